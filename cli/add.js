@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/**
+ * SDL Add
+ * Adds one node, edge, trigger, flow or flow step to an existing SDL directory.
+ *
+ * Usage:
+ *   node add.js <node|edge|trigger|flow|step> <dir> [--<field> <value> ...] [--dry-run]
+ *   node add.js node design/ --label "Order Service" --kind microservice
+ *   node add.js edge design/ --source api-gateway --target order-service --protocol rest
+ *   node add.js step design/ --flow place-order --actor order-service --action "persist order" --via order-to-db
+ *
+ * Fields (required ones in capitals; the rest are optional):
+ *   node     LABEL, ID, KIND, description
+ *   edge     SOURCE, TARGET, PROTOCOL, ID, style, label
+ *   trigger  LABEL, ID, KIND, source, target
+ *   flow     LABEL, ID, TRIGGER, ACTOR, ACTION, via — actor / action / via make step 1.0
+ *   step     FLOW, ID, ACTOR, ACTION, via
+ *
+ * In a terminal, missing fields are prompted for in that order, offering the existing
+ * ids and stdlib kinds (with the project's kinds extension) as numbered choices. Ids
+ * default to the label in kebab-case, an edge's to "<source>-to-<target>" and a step's
+ * to the next sequential number. Without a terminal, missing required fields are an
+ * error unless they have a default.
+ *
+ * The item is inserted into the file in place — a step at its position in numbering
+ * order, everything else at the end — keeping the file's format, layout and comments
+ * (see lib/edit.js). The result is validated first: if it would add validation errors,
+ * nothing is written. --dry-run prints the patch instead of writing.
+ *
+ * Exit codes:
+ *   0 — added, or dry run printed
+ *   1 — usage error, missing directory, unparseable file, invalid field, or the
+ *       addition would not validate
+ */
+
+import { readFileSync, writeFileSync, existsSync, statSync } from "fs";
+import { resolve, join, relative } from "path";
+import { createInterface } from "readline";
+import { parseSource, loadSdl, SDL_FILES } from "./lib/sdl-source.js";
+import { resolveSourceFile } from "./lib/formats.js";
+import { openDocument } from "./lib/edit.js";
+import { unifiedDiff } from "./lib/patch.js";
+import { loadProjectStdlib, stdlibNames } from "./lib/stdlib.js";
+import { parseStepId, compareStepKeys } from "./lib/steps.js";
+import { findConfig } from "./lib/rules.js";
+import { validateSdl } from "./lib/validator.js";
+
+// ── Item fields ───────────────────────────────────────────────────────────────
+
+const ID_RE = /^[a-z0-9-_]+$/;
+
+const ids = (items) => items.map((item) => item?.id).filter((id) => typeof id === "string");
+
+const kebab = (text) => String(text ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+function checkId(list) {
+  return (value, ctx) => {
+    if (!ID_RE.test(value)) return `"${value}" is not a valid id — use lowercase letters, digits, "-" and "_"`;
+    if (ids(ctx.sdl[list]).includes(value)) return `"${value}" is already used in ${SDL_FILES[list]}`;
+    return null;
+  };
+}
+
+function checkStepId(value, ctx) {
+  const parsed = parseStepId(value);
+  if (!parsed.valid) return `"${value}" is not a valid step id — ${parsed.error}`;
+  if (ctx.flow && ids(ctx.flow.steps ?? []).includes(value)) return `flow "${ctx.flow.id}" already has a step "${value}"`;
+  return null;
+}
+
+// Edges that touch the actor first, then the rest
+function viaChoices(ctx, values) {
+  const edges = ctx.sdl.edges.filter((e) => typeof e?.id === "string");
+  const touches = (e) => e.source === values.actor || e.target === values.actor;
+  return [...edges.filter(touches), ...edges.filter((e) => !touches(e))].map((e) => e.id);
+}
+
+// The step after the last top-level one: 3.0 after 2.b
+function nextStepId(steps) {
+  const top = steps.map((s) => parseStepId(s?.id)).filter((p) => p.valid).map((p) => p.key[0]);
+  return `${Math.max(0, ...top) + 1}.0`;
+}
+
+/**
+ * Field definitions in prompt order. `choices` offers values (custom ones are still
+ * accepted unless `strict`), `default` fills a skipped field, `check` returns an error.
+ */
+const ITEMS = {
+  node: {
+    list: "nodes",
+    fields: [
+      { name: "label",       required: true },
+      { name: "id",          required: true, default: (v) => kebab(v.label), check: checkId("nodes") },
+      { name: "kind",        required: true, choices: (ctx) => [...stdlibNames(ctx.stdlib, "node_kinds")] },
+      { name: "description" },
+    ],
+    build: (v) => ({ id: v.id, kind: v.kind, label: v.label, description: v.description }),
+  },
+  edge: {
+    list: "edges",
+    fields: [
+      { name: "source",   required: true, choices: (ctx) => ids(ctx.sdl.nodes) },
+      { name: "target",   required: true, choices: (ctx) => ids(ctx.sdl.nodes) },
+      { name: "protocol", required: true, choices: (ctx) => [...stdlibNames(ctx.stdlib, "edge_protocols")] },
+      { name: "id",       required: true, default: (v) => `${v.source}-to-${v.target}`, check: checkId("edges") },
+      { name: "style",    choices: () => ["sync", "async"], strict: true },
+      { name: "label" },
+    ],
+    build: (v) => ({ id: v.id, protocol: v.protocol, source: v.source, target: v.target, label: v.label, style: v.style }),
+  },
+  trigger: {
+    list: "triggers",
+    fields: [
+      { name: "label",  required: true },
+      { name: "id",     required: true, default: (v) => kebab(v.label), check: checkId("triggers") },
+      { name: "kind",   required: true, choices: (ctx) => [...stdlibNames(ctx.stdlib, "trigger_kinds")] },
+      { name: "source", choices: (ctx) => ids(ctx.sdl.nodes) },
+      { name: "target", choices: (ctx) => ids(ctx.sdl.nodes) },
+    ],
+    build: (v) => ({ id: v.id, kind: v.kind, label: v.label, source: v.source, target: v.target }),
+  },
+  flow: {
+    list: "flows",
+    fields: [
+      { name: "label",   required: true },
+      { name: "id",      required: true, default: (v) => kebab(v.label), check: checkId("flows") },
+      { name: "trigger", required: true, choices: (ctx) => ids(ctx.sdl.triggers) },
+      { name: "actor",   required: true, choices: (ctx) => ids(ctx.sdl.nodes) },
+      { name: "action",  required: true },
+      { name: "via",     choices: viaChoices },
+    ],
+    build: (v) => ({
+      id: v.id, label: v.label, trigger: v.trigger,
+      steps: [{ id: "1.0", actor: v.actor, action: v.action, via: v.via }],
+    }),
+  },
+  step: {
+    list: "flows",
+    fields: [
+      { name: "flow",   required: true, choices: (ctx) => ids(ctx.sdl.flows), strict: true },
+      { name: "id",     required: true, default: (v, ctx) => ctx.flow && nextStepId(ctx.flow.steps ?? []), check: checkStepId },
+      { name: "actor",  required: true, choices: (ctx) => ids(ctx.sdl.nodes) },
+      { name: "action", required: true },
+      { name: "via",    choices: viaChoices },
+    ],
+    build: (v) => ({ id: v.id, actor: v.actor, action: v.action, via: v.via }),
+  },
+};
+
+// ── Collecting values ─────────────────────────────────────────────────────────
+
+function formatChoices(choices) {
+  const width = String(choices.length).length;
+  const cells = choices.map((c, n) => `${String(n + 1).padStart(width)}) ${c}`);
+  const column = Math.max(...cells.map((c) => c.length)) + 2;
+  const perLine = Math.max(1, Math.floor(76 / column));
+  const lines = [];
+  for (let i = 0; i < cells.length; i += perLine) {
+    lines.push("    " + cells.slice(i, i + perLine).map((c) => c.padEnd(column)).join("").trimEnd());
+  }
+  return lines.join("\n");
+}
+
+// A typed number picks from the choices; anything else is taken as typed
+function resolveAnswer(answer, choices) {
+  const n = Number(answer);
+  return Number.isInteger(n) && n >= 1 && n <= choices.length ? choices[n - 1] : answer;
+}
+
+/**
+ * Fills `values` for every field: flags first, then prompts (when `ask` is given),
+ * then defaults. Returns the names of required fields still missing.
+ */
+async function collect(spec, values, ctx, ask) {
+  const missing = [];
+
+  for (const field of spec.fields) {
+    const choices = field.choices?.(ctx, values) ?? [];
+    const fallback = field.default?.(values, ctx) || undefined;
+    const problem = (value) =>
+      (field.strict && !choices.includes(value) ? `"${value}" is not one of: ${choices.join(", ")}` : null) ??
+      field.check?.(value, ctx) ?? null;
+
+    if (values[field.name] !== undefined) {
+      const error = problem(values[field.name]);
+      if (error) throw new Error(`--${field.name}: ${error}`);
+    } else if (ask) {
+      if (choices.length > 0) console.log(formatChoices(choices));
+      for (;;) {
+        const hint = fallback ? ` [${fallback}]` : field.required ? "" : " (optional)";
+        const answer = (await ask(`  ${field.name}${hint}: `)).trim();
+        const value = answer === "" ? fallback : resolveAnswer(answer, choices);
+        if (value === undefined) {
+          if (!field.required) break;
+          continue;
+        }
+        const error = problem(value);
+        if (!error) { values[field.name] = value; break; }
+        console.log(`    ${error}`);
+      }
+    } else if (fallback !== undefined) {
+      const error = problem(fallback);
+      if (error) throw new Error(`${field.name} defaults to "${fallback}", but ${error} — pass --${field.name}`);
+      values[field.name] = fallback;
+    } else if (field.required) {
+      missing.push(field.name);
+    }
+
+    // A step goes into the flow just chosen; later fields look at its steps
+    if (field.name === "flow" && values.flow !== undefined) {
+      ctx.flowIndex = ctx.sdl.flows.findIndex((f) => f?.id === values.flow);
+      ctx.flow = ctx.sdl.flows[ctx.flowIndex];
+    }
+  }
+  return missing;
+}
+
+// ── Insertion ─────────────────────────────────────────────────────────────────
+
+// Drops optional fields left empty, keeping key order
+function compact(item) {
+  return Object.fromEntries(Object.entries(item)
+    .filter(([, v]) => v !== undefined && v !== "")
+    .map(([k, v]) => [k, Array.isArray(v) ? v.map(compact) : v]));
+}
+
+// Where a step goes: before the first step that numbers after it
+function stepPosition(steps, id) {
+  const key = parseStepId(id).key;
+  const after = steps.findIndex((s) => {
+    const parsed = parseStepId(s?.id);
+    return parsed.valid && compareStepKeys(parsed.key, key) > 0;
+  });
+  return after === -1 ? steps.length : after;
+}
+
+/** Opens the file `list` lives in — a new "[]" JSON file when there is none. */
+function openList(dir, list) {
+  const canonical = SDL_FILES[list];
+  const name = resolveSourceFile(dir, canonical) ?? canonical;
+  const path = join(dir, name);
+  const before = existsSync(path) ? readFileSync(path, "utf8") : "[]\n";
+  return { name, path, before, doc: openDocument(before, path) };
+}
+
+// Findings the edit would add, compared by rule and message
+function newFindings(before, after) {
+  const key = (f) => `${f.rule}\n${f.message}`;
+  const seen = new Set(before.map(key));
+  return after.filter((f) => !seen.has(key(f)));
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function usage() {
+  console.error(`Usage: node add.js <${Object.keys(ITEMS).join("|")}> <dir> [--<field> <value> ...] [--dry-run]`);
+  process.exit(1);
+}
+
+function parseArgs() {
+  const [type, dir, ...args] = process.argv.slice(2);
+  if (!ITEMS[type] || !dir) usage();
+
+  const names = ITEMS[type].fields.map((f) => f.name);
+  const values = {};
+  let dryRun = false;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--dry-run") { dryRun = true; continue; }
+    const name = args[i].startsWith("--") ? args[i].slice(2) : null;
+    if (!names.includes(name) || args[i + 1] === undefined) {
+      console.error(`Unknown or incomplete argument "${args[i]}". ${type} fields: ${names.map((n) => `--${n}`).join(", ")}`);
+      process.exit(1);
+    }
+    values[name] = args[++i];
+  }
+
+  const resolved = resolve(dir);
+  if (!existsSync(resolved) || !statSync(resolved).isDirectory()) {
+    console.error(`Error: SDL directory not found: ${resolved}`);
+    process.exit(1);
+  }
+  return { type, dir: resolved, values, dryRun };
+}
+
+async function run() {
+  const { type, dir, values, dryRun } = parseArgs();
+  const spec = ITEMS[type];
+  const label = relative(process.cwd(), dir) || ".";
+  const fail = (message) => {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+  };
+
+  let sdl, stdlib;
+  try {
+    sdl = loadSdl(parseSource(dir));
+    stdlib = loadProjectStdlib(sdl.manifest, dir).stdlib;
+  } catch (e) {
+    fail(e.message);
+  }
+  const ctx = { sdl, stdlib, flow: null, flowIndex: -1 };
+
+  // Answers are read as a line stream, so typed-ahead lines are not lost between prompts
+  const rl = process.stdin.isTTY ? createInterface({ input: process.stdin, output: process.stdout }) : null;
+  const lines = rl?.[Symbol.asyncIterator]();
+  const ask = rl && (async (prompt) => {
+    rl.setPrompt(prompt);
+    rl.prompt();
+    const { value, done } = await lines.next();
+    if (done) throw new Error("input ended before every field was given");
+    return value;
+  });
+  let missing;
+  try {
+    if (rl) console.log(`\nSDL Add — ${type} in ${label}\n`);
+    missing = await collect(spec, values, ctx, ask);
+  } catch (e) {
+    fail(e.message);
+  } finally {
+    rl?.close();
+  }
+  if (missing.length > 0) {
+    fail(`missing ${missing.map((n) => `--${n}`).join(", ")} — pass them as flags, or run in a terminal to be prompted`);
+  }
+
+  const item = compact(spec.build(values));
+  const file = openList(dir, spec.list);
+  try {
+    if (type === "step") {
+      const steps = Array.isArray(ctx.flow.steps) ? ctx.flow.steps : [];
+      file.doc.insertItem([ctx.flowIndex, "steps"], stepPosition(steps, item.id), item);
+    } else {
+      file.doc.insertItem([], sdl[spec.list].length, item);
+    }
+  } catch (e) {
+    fail(e.message);
+  }
+
+  // Validate the system as it would be, against how it is now
+  const options = { baseDir: dir, config: findConfig(dir), name: sdl.name };
+  const current = { manifest: sdl.manifest, nodes: sdl.nodes, edges: sdl.edges, triggers: sdl.triggers, flows: sdl.flows };
+  const before = validateSdl(current, options);
+  const after = validateSdl({ ...current, [spec.list]: file.doc.data() }, options);
+  const errors = newFindings(before.errors, after.errors);
+  const warnings = newFindings(before.warnings, after.warnings);
+
+  const where = type === "step" ? `flow "${ctx.flow.id}" in ${file.name}` : file.name;
+  if (errors.length > 0) {
+    console.error(`\n${type} "${item.id}" would not validate — nothing written:`);
+    for (const e of errors) console.error(`  ${e.rule}: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    process.stdout.write(unifiedDiff(file.before, file.doc.toString(), relative(process.cwd(), file.path)));
+    console.log(`\n${type} "${item.id}" would be added to ${where} — dry run, nothing written`);
+  } else {
+    writeFileSync(file.path, file.doc.toString(), "utf8");
+    console.log(`\nAdded ${type} "${item.id}" to ${where}`);
+  }
+  for (const w of warnings) console.log(`  warning ${w.rule}: ${w.message}`);
+  console.log();
+}
+
+await run();
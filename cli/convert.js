@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * SDL Convert
+ * Translates the SDL files of a directory between JSON and YAML, so a team can
+ * migrate to hand-authored YAML (or back to JSON) in one step.
+ *
+ * Usage:
+ *   node convert.js <dir> --to yaml|json [--out <dir>]
+ *   node convert.js examples/ecommerce-checkout --to yaml
+ *   node convert.js design/ --to json --out build/sdl
+ *
+ * Converts manifest, nodes, edges, triggers and flows from whichever format each
+ * is in (.json, .jsonc, .json5, .yaml, .yml — see lib/formats.js). Without --out the
+ * directory is converted in place: each new file replaces its source. With --out
+ * the sources are left untouched.
+ *
+ * Comments are not carried over — JSON has none, and converted YAML is generated
+ * from the data.
+ *
+ * Exit codes:
+ *   0 — converted (or nothing to convert)
+ *   1 — usage error, missing directory, or unparseable file
+ */
+
+import { writeFileSync, unlinkSync, mkdirSync, existsSync, statSync } from "fs";
+import { resolve, join, extname, relative } from "path";
+import { SDL_FILES } from "./lib/sdl-source.js";
+import { OUTPUT_FORMATS, resolveSourceFile, readSdlFile, stringifySdl } from "./lib/formats.js";
+
+// Extensions that already are the target format — converting them would be a no-op
+const SAME_FORMAT = {
+  json: [".json"],
+  yaml: [".yaml", ".yml"],
+};
+
+// ── Conversion ────────────────────────────────────────────────────────────────
+
+/**
+ * Plans and writes the conversion. Returns [{ from, to, skipped }] with paths
+ * relative to the working directory.
+ */
+function convertDir(dir, format, outDir) {
+  const inPlace = outDir === dir;
+  const ext = OUTPUT_FORMATS[format];
+  const done = [];
+
+  // Parse everything first so a bad file aborts before anything is written
+  const files = [];
+  for (const canonical of Object.values(SDL_FILES)) {
+    const name = resolveSourceFile(dir, canonical);
+    if (!name) continue;
+    files.push({ canonical, name, data: readSdlFile(join(dir, name)) });
+  }
+
+  if (!inPlace) mkdirSync(outDir, { recursive: true });
+
+  for (const { canonical, name, data } of files) {
+    const from = join(dir, name);
+    const target = canonical.replace(/\.json$/, ext);
+    const to = join(outDir, target);
+
+    if (inPlace && SAME_FORMAT[format].includes(extname(name))) {
+      done.push({ from: relative(process.cwd(), from), to: null, skipped: true });
+      continue;
+    }
+
+    writeFileSync(to, stringifySdl(data, format), "utf8");
+    if (inPlace && from !== to) unlinkSync(from);
+    done.push({ from: relative(process.cwd(), from), to: relative(process.cwd(), to), skipped: false });
+  }
+
+  return done;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { to: null, out: null };
+  let dir = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--to")  { opts.to  = args[++i]; continue; }
+    if (args[i] === "--out") { opts.out = args[++i]; continue; }
+    if (!dir) dir = args[i];
+  }
+
+  if (!dir || !opts.to) {
+    console.error(`Usage: node convert.js <dir> --to ${Object.keys(OUTPUT_FORMATS).join("|")} [--out <dir>]`);
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS[opts.to]) {
+    console.error(`Unknown format "${opts.to}". Available: ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+    process.exit(1);
+  }
+
+  dir = resolve(dir);
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+    console.error(`Error: SDL directory not found: ${dir}`);
+    process.exit(1);
+  }
+  return { dir, outDir: opts.out ? resolve(opts.out) : dir, format: opts.to };
+}
+
+function run() {
+  const { dir, outDir, format } = parseArgs();
+
+  let done;
+  try {
+    done = convertDir(dir, format, outDir);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (done.length === 0) {
+    console.log(`No SDL files found in ${relative(process.cwd(), dir) || "."}`);
+    return;
+  }
+
+  console.log(`\nSDL Convert — ${format}\n`);
+  for (const { from, to, skipped } of done) {
+    console.log(skipped ? `  ${from}  (already ${format})` : `  ${from} → ${to}`);
+  }
+  const converted = done.filter((d) => !d.skipped).length;
+  console.log(`\n${converted} file(s) converted\n`);
+}
+
+run();
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * SDL Semantic Diff
+ * Compares two versions of an SDL system and reports what changed architecturally —
+ * nodes, edges, triggers, flows and individual flow steps, keyed by id — instead of
+ * raw JSON line changes.
+ *
+ * Usage:
+ *   node diff.js <old> <new> [--format markdown|json]
+ *
+ *   Each side is either a directory or `<git-ref>:<directory>`:
+ *     node diff.js examples/checkout-v1 examples/checkout-v2
+ *     node diff.js main:examples/ecommerce-checkout examples/ecommerce-checkout
+ *     node diff.js HEAD~3:examples/ecommerce-checkout HEAD:examples/ecommerce-checkout --format json
+ *
+ * Output formats:
+ *   markdown — grouped change list, suitable for posting as a PR comment (default)
+ *   json     — added / removed / changed items per collection, each change classified
+ *
+ * Every change carries a classification code, e.g. "edge-style-changed",
+ * "auth-removed", "step-reordered", so bots can react to specific kinds of change.
+ *
+ * Exit codes:
+ *   0 — diff produced (whether or not anything changed)
+ *   1 — usage error, missing directory, unknown git ref, or unparseable file
+ */
+
+import { parseSource, loadSdl } from "./lib/sdl-source.js";
+import { loadStdlib, loadProjectStdlib, stdlibEntries } from "./lib/stdlib.js";
+import { edgeStyle } from "./lib/stats.js";
+import { same, fmt } from "./lib/values.js";
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function byId(items) {
+  const map = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    if (item && item.id) map.set(item.id, item);
+  }
+  return map;
+}
+
+function change(code, field, from, to, summary) {
+  return { change: code, field, from, to, summary };
+}
+
+/** Generic field-level diff for every key not in `handled`. */
+function diffFields(oldItem, newItem, handled, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(oldItem ?? {}), ...Object.keys(newItem ?? {})]);
+  for (const key of keys) {
+    if (handled.includes(key) || key === "id") continue;
+    const from = oldItem?.[key], to = newItem?.[key];
+    if (same(from, to)) continue;
+    const field = prefix + key;
+    if (from === undefined)    changes.push(change("field-added",   field, from, to, `${field} added: ${fmt(to)}`));
+    else if (to === undefined) changes.push(change("field-removed", field, from, to, `${field} removed (was ${fmt(from)})`));
+    else                       changes.push(change("field-changed", field, from, to, `${field}: ${fmt(from)} → ${fmt(to)}`));
+  }
+  return changes;
+}
+
+/** Set-style diff of a string list, e.g. exposes or consumes. */
+function diffList(field, from = [], to = [], addedCode, removedCode) {
+  const changes = [];
+  const oldSet = new Set(from), newSet = new Set(to);
+  for (const v of to)   if (!oldSet.has(v)) changes.push(change(addedCode,   field, undefined, v, `${field} + ${fmt(v)}`));
+  for (const v of from) if (!newSet.has(v)) changes.push(change(removedCode, field, v, undefined, `${field} − ${fmt(v)}`));
+  return changes;
+}
+
+/**
+ * Ids present in both lists whose relative order changed — i.e. the ids outside
+ * the longest common subsequence of the two orderings.
+ */
+function movedIds(oldIds, newIds) {
+  const common = new Set(oldIds.filter((id) => newIds.includes(id)));
+  const a = oldIds.filter((id) => common.has(id));
+  const b = newIds.filter((id) => common.has(id));
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const stable = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j])                      { stable.add(a[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) i++;
+    else                                     j++;
+  }
+  return b.filter((id) => !stable.has(id));
+}
+
+// ── Per-kind differs ──────────────────────────────────────────────────────────
+
+function diffNode(o, n) {
+  const changes = [];
+  if (o.kind !== n.kind) changes.push(change("kind-changed", "kind", o.kind, n.kind, `kind: ${fmt(o.kind)} → ${fmt(n.kind)}`));
+  changes.push(...diffList("exposes",  o.exposes,  n.exposes,  "interface-added", "interface-removed"));
+  changes.push(...diffList("consumes", o.consumes, n.consumes, "interface-added", "interface-removed"));
+  changes.push(...diffFields(o, n, ["kind", "exposes", "consumes"]));
+  return changes;
+}
+
+function authMechanism(edge) {
+  const m = edge.auth?.mechanism;
+  return m && m !== "none" ? m : undefined;
+}
+
+// Styles compare as stated or implied by the protocol, each side against its own stdlib
+function diffEdge(o, n, { oldProtocols, newProtocols }) {
+  const changes = [];
+
+  const oldStyle = edgeStyle(o, oldProtocols), newStyle = edgeStyle(n, newProtocols);
+  if (oldStyle !== newStyle)
+    changes.push(change("edge-style-changed", "style", oldStyle, newStyle, `style: ${oldStyle ?? "unknown"} → ${newStyle ?? "unknown"}`));
+  if (o.protocol !== n.protocol)
+    changes.push(change("protocol-changed", "protocol", o.protocol, n.protocol, `protocol: ${fmt(o.protocol)} → ${fmt(n.protocol)}`));
+  for (const field of ["source", "target"]) {
+    if (o[field] !== n[field])
+      changes.push(change("edge-rewired", field, o[field], n[field], `${field}: ${fmt(o[field])} → ${fmt(n[field])}`));
+  }
+  if ((o.direction ?? "unidirectional") !== (n.direction ?? "unidirectional"))
+    changes.push(change("direction-changed", "direction", o.direction, n.direction, `direction: ${o.direction ?? "unidirectional"} → ${n.direction ?? "unidirectional"}`));
+
+  const oldAuth = authMechanism(o), newAuth = authMechanism(n);
+  if (oldAuth && !newAuth)      changes.push(change("auth-removed", "auth.mechanism", oldAuth, n.auth?.mechanism, `auth mechanism ${fmt(oldAuth)} removed`));
+  else if (!oldAuth && newAuth) changes.push(change("auth-added",   "auth.mechanism", o.auth?.mechanism, newAuth, `auth mechanism ${fmt(newAuth)} added`));
+  else if (oldAuth !== newAuth) changes.push(change("auth-changed", "auth.mechanism", oldAuth, newAuth, `auth mechanism: ${fmt(oldAuth)} → ${fmt(newAuth)}`));
+  changes.push(...diffFields(o.auth, n.auth, ["mechanism"], "auth."));
+
+  for (const c of diffFields(o.reliability, n.reliability, [], "reliability.")) {
+    changes.push({ ...c, change: "reliability-changed" });
+  }
+
+  changes.push(...diffFields(o, n, ["style", "protocol", "source", "target", "direction", "auth", "reliability"]));
+  return changes;
+}
+
+function diffTrigger(o, n) {
+  const changes = [];
+  if (o.kind !== n.kind) changes.push(change("kind-changed", "kind", o.kind, n.kind, `kind: ${fmt(o.kind)} → ${fmt(n.kind)}`));
+  if (!same(o.schedule, n.schedule))
+    changes.push(change("schedule-changed", "schedule", o.schedule, n.schedule, `schedule: ${fmt(o.schedule?.cron)} → ${fmt(n.schedule?.cron)}`));
+  changes.push(...diffFields(o, n, ["kind", "schedule"]));
+  return changes;
+}
+
+function diffStep(o, n) {
+  const changes = [];
+  const at = `step ${fmt(o.id)}`;
+  if (o.actor !== n.actor)
+    changes.push(change("step-actor-changed", `steps[${o.id}].actor`, o.actor, n.actor, `${at} actor: ${fmt(o.actor)} → ${fmt(n.actor)}`));
+  if (o.via !== n.via)
+    changes.push(change("step-via-changed", `steps[${o.id}].via`, o.via, n.via, `${at} via: ${fmt(o.via)} → ${fmt(n.via)}`));
+  if (Boolean(o.parallel) !== Boolean(n.parallel))
+    changes.push(change("step-parallel-changed", `steps[${o.id}].parallel`, o.parallel, n.parallel, `${at} ${n.parallel ? "now runs in parallel" : "no longer runs in parallel"}`));
+  if (!same(o.error, n.error))
+    changes.push(change("step-error-changed", `steps[${o.id}].error`, o.error, n.error, `${at} error handling changed`));
+  for (const c of diffFields(o, n, ["actor", "via", "parallel", "error"], `steps[${o.id}].`)) {
+    changes.push({ ...c, change: "step-changed", summary: `${at} ${c.summary.replace(`steps[${o.id}].`, "")}` });
+  }
+  return changes;
+}
+
+function diffFlow(o, n) {
+  const changes = [];
+
+  if (o.trigger !== n.trigger)
+    changes.push(change("flow-trigger-changed", "trigger", o.trigger, n.trigger, `trigger: ${fmt(o.trigger)} → ${fmt(n.trigger)}`));
+
+  const oldSteps = byId(o.steps), newSteps = byId(n.steps);
+  for (const [id, step] of newSteps) {
+    if (!oldSteps.has(id))
+      changes.push(change("step-added", `steps[${id}]`, undefined, step, `step ${fmt(id)} added: ${step.actor} — ${step.action}`));
+  }
+  for (const [id, step] of oldSteps) {
+    if (!newSteps.has(id))
+      changes.push(change("step-removed", `steps[${id}]`, step, undefined, `step ${fmt(id)} removed (was ${step.actor} — ${step.action})`));
+    else
+      changes.push(...diffStep(step, newSteps.get(id)));
+  }
+  for (const id of movedIds([...oldSteps.keys()], [...newSteps.keys()])) {
+    changes.push(change("step-reordered", `steps[${id}]`, undefined, undefined, `step ${fmt(id)} reordered`));
+  }
+
+  const refs = (list) => (list ?? []).map((x) => x.flow_ref);
+  changes.push(...diffList("continues_async", refs(o.continues_async), refs(n.continues_async), "continuation-added", "continuation-removed"));
+  changes.push(...diffList("variants", refs(o.variants), refs(n.variants), "variant-added", "variant-removed"));
+
+  changes.push(...diffFields(o, n, ["trigger", "steps", "continues_async", "variants"]));
+  return changes;
+}
+
+// ── Diff ──────────────────────────────────────────────────────────────────────
+
+const COLLECTIONS = [
+  { key: "nodes",    title: "Nodes",    diffItem: diffNode },
+  { key: "edges",    title: "Edges",    diffItem: diffEdge },
+  { key: "triggers", title: "Triggers", diffItem: diffTrigger },
+  { key: "flows",    title: "Flows",    diffItem: diffFlow },
+];
+
+function diffCollection(oldItems, newItems, diffItem, context) {
+  const oldMap = byId(oldItems), newMap = byId(newItems);
+  const added = [], removed = [], changed = [];
+
+  for (const [id, item] of newMap) {
+    if (!oldMap.has(id)) added.push(item);
+  }
+  for (const [id, item] of oldMap) {
+    if (!newMap.has(id)) { removed.push(item); continue; }
+    const changes = diffItem(item, newMap.get(id), context);
+    if (changes.length > 0) changed.push({ id, changes });
+  }
+  return { added, removed, changed };
+}
+
+/**
+ * Computes the semantic diff between two loaded SDL systems; each side's `stdlib`
+ * supplies the protocol styles its edges imply.
+ */
+function diffSdl(oldSdl, newSdl, oldStdlib, newStdlib) {
+  const context = {
+    oldProtocols: new Map(stdlibEntries(oldStdlib, "edge_protocols")),
+    newProtocols: new Map(stdlibEntries(newStdlib, "edge_protocols")),
+  };
+  const diff = {};
+  for (const { key, diffItem } of COLLECTIONS) {
+    diff[key] = diffCollection(oldSdl[key], newSdl[key], diffItem, context);
+  }
+  return diff;
+}
+
+function isEmpty(diff) {
+  return COLLECTIONS.every(({ key }) =>
+    diff[key].added.length + diff[key].removed.length + diff[key].changed.length === 0
+  );
+}
+
+// ── Output ────────────────────────────────────────────────────────────────────
+
+function describe(key, item) {
+  if (key === "edges") return `${item.source} → ${item.target} (${item.protocol}${item.style ? `, ${item.style}` : ""})`;
+  if (key === "flows") return `${item.label ?? ""} — ${(item.steps ?? []).length} step(s)`;
+  return `${item.label ?? ""} (${item.kind})`;
+}
+
+function formatMarkdown(diff, oldLabel, newLabel) {
+  const lines = [];
+  lines.push(`## SDL diff`);
+  lines.push(`\`${oldLabel}\` → \`${newLabel}\``);
+  lines.push("");
+
+  if (isEmpty(diff)) {
+    lines.push("No architectural changes.");
+    return lines.join("\n") + "\n";
+  }
+
+  lines.push(`| | Added | Removed | Changed |`);
+  lines.push(`|---|---|---|---|`);
+  for (const { key, title } of COLLECTIONS) {
+    const d = diff[key];
+    lines.push(`| ${title} | ${d.added.length} | ${d.removed.length} | ${d.changed.length} |`);
+  }
+
+  for (const { key, title } of COLLECTIONS) {
+    const d = diff[key];
+    if (d.added.length + d.removed.length + d.changed.length === 0) continue;
+
+    lines.push("");
+    lines.push(`### ${title}`);
+    for (const item of d.added)   lines.push(`- **Added** \`${item.id}\` — ${describe(key, item)}`);
+    for (const item of d.removed) lines.push(`- **Removed** \`${item.id}\` — ${describe(key, item)}`);
+    for (const { id, changes } of d.changed) {
+      lines.push(`- **Changed** \`${id}\``);
+      for (const c of changes) lines.push(`  - ${c.summary} _(${c.change})_`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function formatJson(diff, oldLabel, newLabel) {
+  const summary = {};
+  for (const { key } of COLLECTIONS) {
+    summary[key] = {
+      added:   diff[key].added.length,
+      removed: diff[key].removed.length,
+      changed: diff[key].changed.length,
+    };
+  }
+  return JSON.stringify({ old: oldLabel, new: newLabel, summary, ...diff }, null, 2) + "\n";
+}
+
+const FORMATS = { markdown: formatMarkdown, json: formatJson };
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { format: "markdown" };
+  const sources = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--format") { opts.format = args[++i]; continue; }
+    sources.push(args[i]);
+  }
+
+  if (sources.length !== 2) {
+    console.error("Usage: node diff.js <old-dir|ref:dir> <new-dir|ref:dir> [--format markdown|json]");
+    process.exit(1);
+  }
+  if (!FORMATS[opts.format]) {
+    console.error(`Unknown format "${opts.format}". Available: ${Object.keys(FORMATS).join(", ")}`);
+    process.exit(1);
+  }
+  return { sources, opts };
+}
+
+function run() {
+  const { sources, opts } = parseArgs();
+
+  let sides;
+  try {
+    sides = sources.map((spec) => {
+      const parsed = parseSource(spec);
+      const sdl = loadSdl(parsed);
+      // A project kinds extension is read from the working tree, so only for directories
+      const stdlib = parsed.ref ? loadStdlib() : loadProjectStdlib(sdl.manifest, parsed.dir).stdlib;
+      return { sdl, stdlib };
+    });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const [before, after] = sides;
+  const diff = diffSdl(before.sdl, after.sdl, before.stdlib, after.stdlib);
+  process.stdout.write(FORMATS[opts.format](diff, sources[0], sources[1]));
+}
+
+run();
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * SDL Init
+ * Creates a new SDL directory: manifest.json with the current sdlVersion, plus
+ * nodes, edges, triggers and flows — empty, or filled from a starter template.
+ *
+ * Usage:
+ *   node init.js <dir> [--template <name>] [--name <name>] [--format json|yaml]
+ *   node init.js --list
+ *   node init.js design/checkout --template web-app --name "Checkout"
+ *
+ * Templates live in cli/templates/ (see lib/templates.js); --list prints them. The
+ * name defaults to the directory's. The directory is created if needed and must not
+ * already hold SDL files — use add.js to grow an existing system.
+ *
+ * The new files are validated before anything is written.
+ *
+ * Exit codes:
+ *   0 — created, or templates listed
+ *   1 — usage error, unknown template, directory already holds SDL files, or the
+ *       result does not validate
+ */
+
+import { writeFileSync, mkdirSync } from "fs";
+import { resolve, join, relative, basename } from "path";
+import { SDL_FILES } from "./lib/sdl-source.js";
+import { OUTPUT_FORMATS, findSourceFiles, stringifySdl } from "./lib/formats.js";
+import { currentSpecVersion } from "./lib/spec.js";
+import { listTemplates, loadTemplate, TEMPLATE_KEYS } from "./lib/templates.js";
+import { validateSdl } from "./lib/validator.js";
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { template: null, name: null, format: "json", list: false };
+  let dir = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--template") { opts.template = args[++i]; continue; }
+    if (args[i] === "--name")     { opts.name     = args[++i]; continue; }
+    if (args[i] === "--format")   { opts.format   = args[++i]; continue; }
+    if (args[i] === "--list")     { opts.list     = true; continue; }
+    if (!dir) dir = args[i];
+  }
+
+  if (opts.list) return { dir: null, opts };
+  if (!dir || opts.template === undefined || opts.name === undefined) {
+    console.error(`Usage: node init.js <dir> [--template <name>] [--name <name>] [--format ${Object.keys(OUTPUT_FORMATS).join("|")}]`);
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS[opts.format]) {
+    console.error(`Unknown format "${opts.format}". Available: ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+    process.exit(1);
+  }
+  return { dir: resolve(dir), opts };
+}
+
+function run() {
+  const { dir, opts } = parseArgs();
+  const fail = (message) => {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+  };
+
+  if (opts.list) {
+    const templates = listTemplates();
+    const width = Math.max(...templates.map((t) => t.name.length));
+    console.log(`\nTemplates (--template <name>):\n`);
+    for (const { name, description } of templates) console.log(`  ${name.padEnd(width)}  ${description}`);
+    console.log();
+    return;
+  }
+
+  const label = relative(process.cwd(), dir) || ".";
+  const existing = Object.values(SDL_FILES).flatMap((file) => findSourceFiles(dir, file));
+  if (existing.length > 0) {
+    fail(`${label} already holds ${existing.join(", ")} — use \`sdl add\` to extend it`);
+  }
+
+  let content = Object.fromEntries(TEMPLATE_KEYS.map((key) => [key, []]));
+  if (opts.template) {
+    try {
+      content = loadTemplate(opts.template);
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+  const manifest = { sdlVersion: currentSpecVersion(), name: opts.name ?? basename(dir) };
+  const sdl = { manifest, ...content };
+
+  // A template must validate; an empty system always does
+  const result = validateSdl(sdl, { baseDir: dir });
+  if (!result.valid) {
+    for (const e of result.errors) console.error(`  ${e.file ?? ""}  ${e.rule}: ${e.message}`);
+    fail(`template "${opts.template}" does not validate — nothing written`);
+  }
+
+  mkdirSync(dir, { recursive: true });
+  const ext = OUTPUT_FORMATS[opts.format];
+  const written = [];
+  for (const [key, canonical] of Object.entries(SDL_FILES)) {
+    const file = canonical.replace(/\.json$/, ext);
+    writeFileSync(join(dir, file), stringifySdl(sdl[key], opts.format), "utf8");
+    written.push(file);
+  }
+
+  console.log(`\nSDL Init — ${label}${opts.template ? ` from template "${opts.template}"` : ""}\n`);
+  for (const file of written) console.log(`  ${join(label, file)}`);
+  const counts = TEMPLATE_KEYS.map((key) => `${sdl[key].length} ${key}`).join(", ");
+  console.log(`\nsdlVersion ${manifest.sdlVersion}; ${counts}`);
+  console.log(`Next: sdl add node ${label}   then   sdl validate ${label}\n`);
+}
+
+run();
@@ -0,0 +1,235 @@
+/**
+ * Cron expressions and IANA time zones — for scheduled triggers
+ *
+ * Supports the standard five-field syntax used by schedule.cron:
+ *
+ *   ┌──────── minute        0-59
+ *   │ ┌────── hour          0-23
+ *   │ │ ┌──── day of month  1-31
+ *   │ │ │ ┌── month         1-12 or JAN-DEC
+ *   │ │ │ │ ┌ day of week   0-7 or SUN-SAT (0 and 7 are both Sunday)
+ *   * * * * *
+ *
+ * Each field is a comma-separated list of `*`, `N`, `N-M`, optionally followed by
+ * `/step`. The macros @yearly, @annually, @monthly, @weekly, @daily, @midnight and
+ * @hourly are accepted. As in Vixie cron, when both day fields are restricted a day
+ * matches if EITHER field matches.
+ *
+ * Fire times are computed in the schedule's time zone. Wall-clock times skipped by
+ * a DST transition do not fire; times repeated by one fire once.
+ *
+ * This module is pure — lib/validator.js decides what to report.
+ */
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES   = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const FIELDS = [
+  { name: "minute",       min: 0, max: 59 },
+  { name: "hour",         min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month",        min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week",  min: 0, max: 7,  names: DAY_NAMES,   offset: 0 },
+];
+
+const MACROS = {
+  "@yearly":   "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly":  "0 0 1 * *",
+  "@weekly":   "0 0 * * 0",
+  "@daily":    "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly":   "0 * * * *",
+};
+
+// Longest each month can be — February counts its leap day
+const MONTH_MAX_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// How far ahead nextFireTimes() looks before giving up, in days
+const SEARCH_DAYS = 366 * 5;
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+function parseValue(text, spec) {
+  const upper = text.toUpperCase();
+  if (spec.names?.includes(upper)) return spec.names.indexOf(upper) + spec.offset;
+  if (!/^\d+$/.test(text)) return null;
+  return Number(text);
+}
+
+function parseField(text, spec) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, step, extra] = part.split("/");
+    if (extra !== undefined || range === "") {
+      return { error: `${spec.name} "${text}": malformed entry "${part}"` };
+    }
+
+    let stepBy = 1;
+    if (step !== undefined) {
+      if (!/^\d+$/.test(step) || Number(step) === 0) {
+        return { error: `${spec.name} "${text}": step "${step}" must be a positive integer` };
+      }
+      stepBy = Number(step);
+    }
+
+    let lo, hi;
+    if (range === "*") {
+      [lo, hi] = [spec.min, spec.max];
+    } else {
+      const bounds = range.split("-");
+      if (bounds.length > 2) return { error: `${spec.name} "${text}": malformed range "${range}"` };
+      lo = parseValue(bounds[0], spec);
+      hi = bounds.length === 2 ? parseValue(bounds[1], spec) : (step !== undefined ? spec.max : lo);
+      if (lo === null || hi === null) {
+        return { error: `${spec.name} "${text}": "${range}" is not a number${spec.names ? " or name" : ""}` };
+      }
+      if (lo < spec.min || hi > spec.max || lo > spec.max || hi < spec.min) {
+        return { error: `${spec.name} "${text}": values must be within ${spec.min}-${spec.max}` };
+      }
+      if (lo > hi) return { error: `${spec.name} "${text}": range "${range}" runs backwards` };
+    }
+
+    for (let v = lo; v <= hi; v += stepBy) values.add(v);
+  }
+
+  return { values, restricted: !text.startsWith("*") };
+}
+
+/**
+ * Parses a cron expression.
+ * Returns { valid: true, minute, hour, dayOfMonth, month, dayOfWeek } — each field
+ * is { values: Set<number>, restricted } — or { valid: false, error }.
+ */
+export function parseCron(expr) {
+  if (typeof expr !== "string" || expr.trim() === "") {
+    return { valid: false, error: "cron expression must be a non-empty string" };
+  }
+
+  const source = expr.trim();
+  const expanded = source.startsWith("@") ? MACROS[source.toLowerCase()] : source;
+  if (!expanded) {
+    return { valid: false, error: `unknown macro "${source}" — expected one of ${Object.keys(MACROS).join(", ")}` };
+  }
+
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { valid: false, error: `"${source}" has ${parts.length} field(s); expected 5 (minute hour day-of-month month day-of-week)` };
+  }
+
+  const fields = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const field = parseField(parts[i], FIELDS[i]);
+    if (field.error) return { valid: false, error: field.error };
+    fields.push(field);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  if (dayOfWeek.values.has(7)) { dayOfWeek.values.delete(7); dayOfWeek.values.add(0); }
+
+  // e.g. "0 0 31 2 *" parses but can never fire
+  if (!dayOfWeek.restricted) {
+    const reachable = [...month.values].some((m) =>
+      [...dayOfMonth.values].some((d) => d <= MONTH_MAX_DAYS[m - 1])
+    );
+    if (!reachable) return { valid: false, error: `"${source}" never fires — no selected month has the selected day(s)` };
+  }
+
+  return { valid: true, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+// ── Time zones ────────────────────────────────────────────────────────────────
+
+let zoneList = null;
+
+/**
+ * True if `tz` names an IANA time zone. Canonical zones come from
+ * Intl.supportedValuesOf; links such as "UTC" or "US/Eastern" are accepted when
+ * the runtime resolves them.
+ */
+export function isValidTimeZone(tz) {
+  if (typeof tz !== "string" || tz === "") return false;
+  zoneList ??= new Set(Intl.supportedValuesOf("timeZone"));
+  if (zoneList.has(tz)) return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+/** Wall-clock parts of `time` (ms since epoch) in `tz`. */
+function zonedParts(time, tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23",
+      year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric",
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(tz).formatToParts(new Date(time))) parts[type] = Number(value);
+  return parts;
+}
+
+/** Instant at which `tz` shows the given wall-clock time, or null if a DST gap skips it. */
+function zonedInstant(year, month, day, hour, minute, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const p = zonedParts(time, tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(time / 60000) * 60000;
+  };
+
+  let time = wall - offsetAt(wall);
+  time = wall - offsetAt(time);
+
+  const p = zonedParts(time, tz);
+  const shown = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return shown === wall ? time : null;
+}
+
+// ── Fire times ────────────────────────────────────────────────────────────────
+
+function matchesDay(cron, month, day, weekday) {
+  if (!cron.month.values.has(month)) return false;
+  const dom = cron.dayOfMonth.values.has(day);
+  const dow = cron.dayOfWeek.values.has(weekday);
+  if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * The next `count` times a parsed cron fires in `tz`, strictly after `from`.
+ * Returns [{ utc, local }] — `utc` an ISO timestamp, `local` e.g. "Mon 2026-10-19 08:00".
+ * May return fewer than `count` entries for schedules that fire very rarely.
+ */
+export function nextFireTimes(cron, tz, count, from = new Date()) {
+  const fires = [];
+  const start = zonedParts(from.getTime(), tz);
+  const minutes = [...cron.minute.values].sort((a, b) => a - b);
+  const hours   = [...cron.hour.values].sort((a, b) => a - b);
+
+  for (let offset = 0; offset < SEARCH_DAYS && fires.length < count; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const [year, month, day, weekday] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCDay()];
+    if (!matchesDay(cron, month, day, weekday)) continue;
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        if (fires.length >= count) return fires;
+        const time = zonedInstant(year, month, day, hour, minute, tz);
+        if (time === null || time <= from.getTime()) continue;
+
+        const pad = (n) => String(n).padStart(2, "0");
+        fires.push({
+          utc:   new Date(time).toISOString(),
+          local: `${DAY_NAMES[weekday][0]}${DAY_NAMES[weekday].slice(1).toLowerCase()} ${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`,
+        });
+      }
+    }
+  }
+  return fires;
+}
@@ -0,0 +1,460 @@
+/**
+ * Format-preserving edits of SDL source files
+ *
+ * Migrations rewrite hand-authored files, so they change only the text they must:
+ * key order, indentation, inline arrays, blank lines between items and (for JSONC,
+ * JSON5 and YAML) comments all survive. Both JSON-family and YAML files are edited
+ * as text, at offsets from a syntax tree.
+ *
+ * Paths are arrays of object keys and array indexes, e.g. [3, "auth", "mechanism"].
+ *
+ *   const doc = openDocument(text, "edges.json");
+ *   doc.renameKey([0, "legacyKind"], "kind");
+ *   doc.setValue([0, "auth", "mechanism"], "oauth2");
+ *   doc.moveMember([0, "technology", "runtime"], [0, "runtime"]);
+ *   doc.insertItem([2, "steps"], 1, { id: "1.a", actor: "api", action: "log" });
+ *   doc.toString();
+ */
+
+import { extname } from "path";
+import YAML from "yaml";
+import { parseSdlText } from "./formats.js";
+import { jsonSyntaxTree } from "./positions.js";
+
+/** Opens `text` for editing; the format follows the extension of `path`. */
+export function openDocument(text, path) {
+  const ext = extname(path).toLowerCase();
+  return ext === ".yaml" || ext === ".yml" ? new YamlDocument(text, path) : new JsonDocument(text, path);
+}
+
+// ── JSON, JSONC, JSON5 ────────────────────────────────────────────────────────
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function indentAt(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+// How the file writes keys and strings, from its first of each: key is '"', "'" or ""
+// for bare identifiers (JSON5); string is '"' or "'"
+function quoteStyle(text) {
+  let key = null, string = null;
+  const visit = (node) => {
+    if (node.type === "scalar") {
+      if (string === null && (text[node.start] === '"' || text[node.start] === "'")) string = text[node.start];
+    } else if (node.type === "object") {
+      for (const member of node.members) {
+        if (key === null) key = /["']/.test(text[member.keyStart]) ? text[member.keyStart] : "";
+        visit(member.value);
+      }
+    } else {
+      node.items.forEach(visit);
+    }
+  };
+  if (text.trim() !== "") visit(jsonSyntaxTree(text));
+  string ??= key || '"';
+  return { key: key ?? string, string };
+}
+
+class JsonDocument {
+  constructor(text, path) {
+    this.text = text;
+    this.path = path;
+    this.style = quoteStyle(text);
+  }
+
+  data() {
+    return parseSdlText(this.text, this.path);
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  has(path) {
+    return this.locate(path) !== null;
+  }
+
+  renameKey(path, key) {
+    const member = this.member(path);
+    if (!member) throw new Error(`${this.path}: nothing at ${formatPath(path)}`);
+    const raw = this.text.slice(member.keyStart, member.keyEnd);
+    const text = /^["']/.test(raw) ? this.quoteString(key, raw[0]) : IDENTIFIER.test(key) ? key : JSON.stringify(key);
+    this.splice(member.keyStart, member.keyEnd, text);
+  }
+
+  /** Replaces the value at `path`, or inserts it (creating parent objects) if absent. */
+  setValue(path, value) {
+    const node = this.locate(path);
+    if (node) {
+      const original = this.text[node.start];
+      const text = typeof value === "string" && (original === "'" || original === '"')
+        ? this.quoteString(value, original)
+        : this.scalar(value);
+      this.splice(node.start, node.end, text);
+      return;
+    }
+    this.insert(path, this.scalar(value));
+  }
+
+  moveMember(from, to) {
+    const member = this.member(from);
+    if (!member) throw new Error(`${this.path}: nothing at ${formatPath(from)}`);
+
+    // Carry the value text over verbatim, re-indented for its new depth
+    const oldIndent = indentAt(this.text, member.keyStart);
+    const valueText = this.text.slice(member.value.start, member.value.end);
+    this.remove(from);
+    const newIndent = this.memberIndent(to);
+    this.insert(to, valueText.split("\n").map((line, n) =>
+      n > 0 && line.startsWith(oldIndent) ? newIndent + line.slice(oldIndent.length) : line
+    ).join("\n"));
+  }
+
+  /**
+   * Inserts `value` into the array at `path` before item `index` (at the end when
+   * index is its length), laid out like the neighbouring items.
+   */
+  insertItem(path, index, value) {
+    const array = this.locate(path);
+    if (array?.type !== "array") throw new Error(`${this.path}: no array at ${formatPath(path) || "(root)"}`);
+    const { items } = array;
+
+    if (items.length === 0) {
+      const base = indentAt(this.text, array.start);
+      this.splice(array.start, array.end, `[\n${base}  ${this.format(value, base + "  ")}\n${base}]`);
+      return;
+    }
+
+    // Separator between items — that of the last pair, keeping blank lines between them
+    const indent = indentAt(this.text, items[items.length - 1].start);
+    const separator = items.length > 1
+      ? this.text.slice(items[items.length - 2].end, items[items.length - 1].start)
+      : `,\n${indent}`;
+    const text = this.format(value, indent);
+
+    if (index < items.length) this.splice(items[index].start, items[index].start, text + separator);
+    else                      this.splice(items[items.length - 1].end, items[items.length - 1].end, separator + text);
+  }
+
+  remove(path) {
+    const parent = this.locate(path.slice(0, -1));
+    const index = parent.members.findIndex((m) => m.key === path[path.length - 1]);
+    const { members } = parent;
+
+    if (members.length === 1)            this.splice(parent.start + 1, parent.end - 1, "");
+    else if (index < members.length - 1) this.splice(members[index].keyStart, members[index + 1].keyStart, "");
+    else                                 this.splice(members[index - 1].value.end, members[index].value.end, "");
+  }
+
+  // ── internals ──
+
+  splice(start, end, text) {
+    this.text = this.text.slice(0, start) + text + this.text.slice(end);
+  }
+
+  // New values: objects one member per line, arrays of scalars inline, as SDL files are written
+  format(value, indent) {
+    const inner = indent + "  ";
+    if (typeof value === "string") return this.quoteString(value, this.style.string);
+    if (Array.isArray(value)) {
+      if (value.length === 0) return "[]";
+      if (value.every((v) => v === null || typeof v !== "object")) return `[${value.map((v) => this.format(v, inner)).join(", ")}]`;
+      return `[\n${value.map((v) => inner + this.format(v, inner)).join(",\n")}\n${indent}]`;
+    }
+    if (value !== null && typeof value === "object") {
+      const members = Object.entries(value).filter(([, v]) => v !== undefined);
+      if (members.length === 0) return "{}";
+      return `{\n${members.map(([k, v]) => `${inner}${this.key(k)}: ${this.format(v, inner)}`).join(",\n")}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // A new string in the file's quote style; other values as JSON
+  scalar(value) {
+    return typeof value === "string" ? this.quoteString(value, this.style.string) : JSON.stringify(value);
+  }
+
+  key(name) {
+    if (this.style.key === "" && IDENTIFIER.test(name)) return name;
+    return this.quoteString(name, this.style.key || this.style.string);
+  }
+
+  quoteString(value, quote) {
+    const json = JSON.stringify(value);
+    if (quote === '"') return json;
+    return `'${json.slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+  }
+
+  locate(path) {
+    let node = jsonSyntaxTree(this.text);
+    for (const seg of path) {
+      if (node.type === "object")                                  node = node.members.find((m) => m.key === seg)?.value;
+      else if (node.type === "array" && typeof seg === "number")   node = node.items[seg];
+      else                                                         node = undefined;
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  member(path) {
+    const parent = this.locate(path.slice(0, -1));
+    if (parent?.type !== "object") return null;
+    return parent.members.find((m) => m.key === path[path.length - 1]) ?? null;
+  }
+
+  // Deepest existing object on the way to `path`: { parent, depth }
+  deepestParent(path) {
+    let depth = path.length - 1;
+    let parent = this.locate(path.slice(0, depth));
+    while (!parent && depth > 0) parent = this.locate(path.slice(0, --depth));
+    return { parent, depth };
+  }
+
+  // Indentation a member at `path` would get — that of its siblings, else one level in
+  memberIndent(path) {
+    const { parent, depth } = this.deepestParent(path);
+    const base = parent?.type === "object" && parent.members.length > 0
+      ? indentAt(this.text, parent.members[parent.members.length - 1].keyStart)
+      : indentAt(this.text, parent?.start ?? 0) + "  ";
+    return base + "  ".repeat(path.length - 1 - depth);
+  }
+
+  // Inserts `valueText` at `path` as the last member of its object, creating missing
+  // parent objects — on their own lines when the value spans several
+  insert(path, valueText) {
+    const { parent, depth } = this.deepestParent(path);
+    if (parent?.type !== "object") throw new Error(`${this.path}: cannot insert at ${formatPath(path)}`);
+
+    const { members } = parent;
+    const multiline = members.length > 0 && this.text.slice(parent.start, members[0].keyStart).includes("\n");
+    const key = (d) => this.key(String(path[d]));
+    const base = members.length > 0 ? indentAt(this.text, members[members.length - 1].keyStart) : "";
+
+    let text = valueText;
+    for (let d = path.length - 1; d > depth; d--) {
+      const level = base + "  ".repeat(d - depth);
+      text = multiline && valueText.includes("\n")
+        ? `{\n${level}${key(d)}: ${text}\n${level.slice(2)}}`
+        : `{ ${key(d)}: ${text} }`;
+    }
+    const member = `${key(depth)}: ${text}`;
+
+    if (members.length === 0) {
+      this.splice(parent.start, parent.end, `{ ${member} }`);
+      return;
+    }
+    const last = members[members.length - 1];
+    this.splice(last.value.end, last.value.end, `,${multiline ? `\n${base}` : " "}${member}`);
+  }
+}
+
+// ── YAML ──────────────────────────────────────────────────────────────────────
+//
+// Edited as text too: re-serialising a YAML document would reflow folded strings and
+// respace comments. Node ranges from the `yaml` parser say what to splice.
+
+function lineStart(text, offset) {
+  return text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+// Offset just past the newline ending the line that holds `offset`
+function lineEnd(text, offset) {
+  const nl = text.indexOf("\n", offset);
+  return nl === -1 ? text.length : nl + 1;
+}
+
+function yamlScalar(value, type) {
+  if (typeof value === "string" && type === "QUOTE_DOUBLE") return JSON.stringify(value);
+  if (typeof value === "string" && type === "QUOTE_SINGLE") return `'${value.replace(/'/g, "''")}'`;
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return YAML.stringify(value, { lineWidth: 0 }).trimEnd();
+}
+
+function keyOf(pair) {
+  return YAML.isScalar(pair.key) ? pair.key.value : pair.key;
+}
+
+class YamlDocument {
+  constructor(text, path) {
+    this.text = text;
+    this.path = path;
+  }
+
+  data() {
+    return parseSdlText(this.text, this.path);
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  has(path) {
+    return YAML.parseDocument(this.text).hasIn(path);
+  }
+
+  renameKey(path, key) {
+    const { pair } = this.pair(path);
+    this.splice(pair.key.range[0], pair.key.range[1], yamlScalar(key, pair.key.type));
+  }
+
+  setValue(path, value) {
+    const node = YAML.parseDocument(this.text).getIn(path, true);
+    if (YAML.isScalar(node)) this.splice(node.range[0], node.range[1], yamlScalar(value, node.type));
+    else this.insert(path, { inline: yamlScalar(value), json: value });
+  }
+
+  moveMember(from, to) {
+    const { pair } = this.pair(from);
+    const node = pair.value;
+    let value;
+
+    if (YAML.isCollection(node) && !node.flow) {
+      // Block collection — carry its lines, dedented; insert() re-indents them
+      const lines = this.text.slice(lineStart(this.text, node.range[0]), lineEnd(this.text, node.range[1] - 1)).replace(/\n$/, "").split("\n");
+      const indent = Math.min(...lines.filter((l) => l.trim()).map((l) => /^ */.exec(l)[0].length));
+      value = { block: lines.map((l) => l.slice(indent)), json: node.toJSON() };
+    } else {
+      // Block scalars end with their newline — insert() adds its own
+      const inline = node ? this.text.slice(node.range[0], node.range[1]).replace(/\n[ \t]*$/, "") : "null";
+      value = { inline, column: pair.key.range[0] - lineStart(this.text, pair.key.range[0]), json: node?.toJSON() ?? null };
+    }
+
+    this.remove(from);
+    this.insert(to, value);
+  }
+
+  insertItem(path, index, value) {
+    const doc = YAML.parseDocument(this.text);
+    const seq = path.length > 0 ? doc.getIn(path, true) : doc.contents;
+
+    if (path.length === 0 && (seq === null || (YAML.isSeq(seq) && seq.flow && seq.items.length === 0))) {
+      // Empty file or a bare "[]" — start a block sequence
+      const block = YAML.stringify([value], { lineWidth: 0 });
+      if (seq) this.splice(seq.range[0], lineEnd(this.text, seq.range[1] - 1), block);
+      else     this.splice(this.text.length, this.text.length, block);
+      return;
+    }
+    if (!YAML.isSeq(seq)) throw new Error(`${this.path}: no sequence at ${formatPath(path) || "(root)"}`);
+
+    if (seq.flow) {
+      const text = JSON.stringify(value);
+      const { items } = seq;
+      if (items.length === 0)           this.splice(seq.range[0], seq.range[1], `[${text}]`);
+      else if (index < items.length)    this.splice(items[index].range[0], items[index].range[0], `${text}, `);
+      else                              this.splice(items[items.length - 1].range[1], items[items.length - 1].range[1], `, ${text}`);
+      return;
+    }
+
+    // Block sequence — a "- " item at the column of the existing dashes
+    const { items } = seq;
+    const dashLine = (item) => lineStart(this.text, item.range[0]);
+    const last = items[items.length - 1];
+    const column = this.text.indexOf("-", dashLine(last)) - dashLine(last);
+    const lines = YAML.stringify([value], { lineWidth: 0 }).replace(/\n$/, "").split("\n");
+    let block = lines.map((l) => (l ? " ".repeat(column) + l : l)).join("\n") + "\n";
+
+    // Keep a blank line between items when the file has them
+    const spaced = items.length > 1 && /\n[ \t]*\n/.test(this.text.slice(items[items.length - 2].range[1] - 1, dashLine(last)));
+    if (index < items.length) {
+      this.splice(dashLine(items[index]), dashLine(items[index]), block + (spaced ? "\n" : ""));
+    } else {
+      const at = lineEnd(this.text, last.range[1] - 1);
+      const prefix = at === this.text.length && !this.text.endsWith("\n") ? "\n" : "";
+      this.splice(at, at, prefix + (spaced ? "\n" : "") + block);
+    }
+  }
+
+  remove(path) {
+    const { map, pair, index } = this.pair(path);
+    const { items } = map;
+    const next = items[index + 1], prev = items[index - 1];
+    const keyStart = pair.key.range[0];
+    const end = (pair.value ?? pair.key).range[1];
+
+    if (map.flow) {
+      if (next)      this.splice(keyStart, next.key.range[0], "");
+      else if (prev) this.splice((prev.value ?? prev.key).range[1], end, "");
+      else           this.splice(keyStart, end, "");
+      return;
+    }
+
+    const ls = lineStart(this.text, keyStart);
+    const ownLine = this.text.slice(ls, keyStart).trim() === "";
+    if (!ownLine) {
+      // First pair of a sequence item ("- id: x") — pull the next key up behind the dash
+      if (next) this.splice(keyStart, next.key.range[0], "");
+      else      this.splice(keyStart, lineEnd(this.text, end - 1) - 1, "{}");
+    } else if (next) {
+      this.splice(ls, lineStart(this.text, next.key.range[0]), "");
+    } else if (prev) {
+      this.splice(ls, lineEnd(this.text, end - 1), "");
+    } else {
+      // Last pair of a nested block map — leave an empty map, as JSON would
+      this.splice(ls - 1, lineEnd(this.text, end - 1) - 1, " {}");
+    }
+  }
+
+  // ── internals ──
+
+  splice(start, end, text) {
+    this.text = this.text.slice(0, start) + text + this.text.slice(end);
+  }
+
+  pair(path) {
+    const doc = YAML.parseDocument(this.text);
+    const map = path.length > 1 ? doc.getIn(path.slice(0, -1), true) : doc.contents;
+    const index = YAML.isMap(map) ? map.items.findIndex((p) => keyOf(p) === path[path.length - 1]) : -1;
+    if (index === -1) throw new Error(`${this.path}: nothing at ${formatPath(path)}`);
+    return { map, pair: map.items[index], index };
+  }
+
+  // Inserts a value — { inline, column?, json } text or { block, json } lines — at `path`,
+  // creating missing parent maps, as the last member of its map
+  insert(path, value) {
+    const doc = YAML.parseDocument(this.text);
+    let depth = path.length - 1;
+    const mapAt = (d) => (d === 0 ? doc.contents : doc.getIn(path.slice(0, d), true));
+    while (depth > 0 && !YAML.isMap(mapAt(depth))) depth--;
+    const map = mapAt(depth);
+    if (!YAML.isMap(map)) throw new Error(`${this.path}: cannot insert at ${formatPath(path)}`);
+    const keys = path.slice(depth).map((k) => yamlScalar(String(k)));
+
+    if (map.flow) {
+      // Flow maps take flow values — block text is rewritten as JSON
+      let text = value.block || value.inline.includes("\n") ? JSON.stringify(value.json) : value.inline;
+      for (let k = keys.length - 1; k > 0; k--) text = `{ ${keys[k]}: ${text} }`;
+      const last = map.items[map.items.length - 1];
+      if (last) this.splice((last.value ?? last.key).range[1], (last.value ?? last.key).range[1], `, ${keys[0]}: ${text}`);
+      else      this.splice(map.range[0], map.range[1], `{ ${keys[0]}: ${text} }`);
+      return;
+    }
+
+    const first = map.items[0], last = map.items[map.items.length - 1];
+    const column = first.key.range[0] - lineStart(this.text, first.key.range[0]);
+    const lines = keys.map((k, n) => `${" ".repeat(column + 2 * n)}${k}:`);
+    const inner = " ".repeat(column + 2 * keys.length);
+
+    if (value.block) {
+      lines.push(...value.block.map((l) => (l ? inner + l : l)));
+    } else {
+      // Continuation lines (block scalars) shift with the key
+      const shift = column + 2 * (keys.length - 1) - (value.column ?? 0);
+      const [head, ...rest] = value.inline.split("\n");
+      lines[lines.length - 1] += ` ${head}`;
+      lines.push(...rest.map((l) => (shift >= 0 ? " ".repeat(shift) + l : l.slice(-shift))));
+    }
+
+    let at = lineEnd(this.text, (last.value ?? last.key).range[1] - 1);
+    const prefix = at === this.text.length && !this.text.endsWith("\n") ? "\n" : "";
+    this.splice(at, at, `${prefix}${lines.join("\n")}\n`);
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** [3, "auth", "mechanism"] → "[3].auth.mechanism" */
+export function formatPath(path) {
+  return path.map((seg, i) => (typeof seg === "number" ? `[${seg}]` : i === 0 ? seg : `.${seg}`)).join("");
+}
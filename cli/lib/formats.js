@@ -0,0 +1,106 @@
+/**
+ * SDL source formats — JSON, JSON with comments, and YAML
+ *
+ * Every SDL file (manifest, nodes, edges, triggers, flows) may be written as:
+ *
+ *   nodes.json              strict JSON
+ *   nodes.jsonc, .json5     JSON5 — comments, trailing commas, unquoted keys
+ *   nodes.yaml, .yml        YAML 1.2 — comments and block (multi-line) strings
+ *
+ * All formats load to the same data. Callers keep naming files by their canonical
+ * JSON name ("nodes.json"); resolveSourceFile() finds whichever variant exists.
+ * When a directory holds more than one, the first in SOURCE_EXTENSIONS order wins.
+ *
+ * Parse failures throw an Error whose message names the file, line and column,
+ * and which carries `line` and `column` (1-based) properties.
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { join, extname, basename } from "path";
+import YAML from "yaml";
+import JSON5 from "json5";
+
+export const SOURCE_EXTENSIONS = [".json", ".jsonc", ".json5", ".yaml", ".yml"];
+
+/** Output formats of `sdl convert`, and the extension each writes. */
+export const OUTPUT_FORMATS = { json: ".json", yaml: ".yaml" };
+
+// ── Resolution ────────────────────────────────────────────────────────────────
+
+function stem(canonical) {
+  return basename(canonical, extname(canonical));
+}
+
+/** Every variant of `canonical` (e.g. "nodes.json") present in `dir`, in precedence order. */
+export function findSourceFiles(dir, canonical) {
+  return SOURCE_EXTENSIONS.map((ext) => stem(canonical) + ext).filter((name) => existsSync(join(dir, name)));
+}
+
+/** The file name that provides `canonical` in `dir`, or null if none exists. */
+export function resolveSourceFile(dir, canonical) {
+  return findSourceFiles(dir, canonical)[0] ?? null;
+}
+
+/** Candidate file names for `canonical`, in precedence order — for sources without a directory listing. */
+export function sourceCandidates(canonical) {
+  return SOURCE_EXTENSIONS.map((ext) => stem(canonical) + ext);
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+function lineColumnAt(text, offset) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function parseError(path, reason, line, column) {
+  const where = line ? ` (line ${line}, column ${column})` : "";
+  return Object.assign(new Error(`Failed to parse ${path}${where}: ${reason}`), { line, column });
+}
+
+/**
+ * Parses SDL source text. The format follows the extension of `path`, which is
+ * used only for that and for error messages.
+ */
+export function parseSdlText(text, path) {
+  const ext = extname(path).toLowerCase();
+
+  if (ext === ".yaml" || ext === ".yml") {
+    try {
+      return YAML.parse(text, { prettyErrors: true });
+    } catch (e) {
+      const pos = e.linePos?.[0];
+      throw parseError(path, e.message.split(" at line ")[0].split("\n")[0], pos?.line, pos?.col);
+    }
+  }
+
+  if (ext === ".jsonc" || ext === ".json5") {
+    try {
+      return JSON5.parse(text);
+    } catch (e) {
+      throw parseError(path, e.message.replace(/^JSON5: /, "").replace(/ at \d+:\d+$/, ""), e.lineNumber, e.columnNumber);
+    }
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const offset = /at position (\d+)/.exec(e.message);
+    const pos = offset ? lineColumnAt(text, Number(offset[1])) : {};
+    throw parseError(path, e.message.replace(/ in JSON at position \d+.*$/, ""), pos.line, pos.column);
+  }
+}
+
+/** Reads and parses one SDL file. */
+export function readSdlFile(path) {
+  return parseSdlText(readFileSync(path, "utf8"), path);
+}
+
+// ── Serialising ───────────────────────────────────────────────────────────────
+
+/** Serialises SDL data in one of OUTPUT_FORMATS. */
+export function stringifySdl(data, format) {
+  if (format === "yaml") return YAML.stringify(data);
+  if (format === "json") return JSON.stringify(data, null, 2) + "\n";
+  throw new Error(`Unknown format "${format}" — expected ${Object.keys(OUTPUT_FORMATS).join(" or ")}`);
+}
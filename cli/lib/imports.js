@@ -0,0 +1,137 @@
+/**
+ * Cross-system imports
+ *
+ * A platform split into per-domain SDL directories links them through the
+ * `imports` block of manifest.json — alias → directory, relative to the
+ * importing directory:
+ *
+ *   {
+ *     "sdlVersion": "0.1",
+ *     "imports": { "payments": "../payments" }
+ *   }
+ *
+ * Items of an imported system are referenced as `<alias>/<id>`: a step actor
+ * "payments/payment-service", a via "payments/gateway-to-payment", a flow_ref
+ * "payments/refund". SDL ids cannot contain "/", so namespaced refs never collide
+ * with local ones.
+ *
+ * Imports are not transitive — `payments/…` resolves against the payments
+ * directory's own items. To reference what payments imports, import it directly.
+ */
+
+import { existsSync, statSync } from "fs";
+import { resolve } from "path";
+import { loadSdl } from "./sdl-source.js";
+
+export const NAMESPACE_SEP = "/";
+
+const ALIAS_RE = /^[a-z0-9-_]+$/;
+
+/** Splits "payments/payment-service" into { alias: "payments", id: "payment-service" }. */
+export function splitRef(ref) {
+  const sep = typeof ref === "string" ? ref.indexOf(NAMESPACE_SEP) : -1;
+  if (sep <= 0) return { alias: null, id: ref };
+  return { alias: ref.slice(0, sep), id: ref.slice(sep + 1) };
+}
+
+/**
+ * Loads the systems a manifest imports.
+ *
+ * Returns {
+ *   declared,  — Set of every alias in manifest.imports, loadable or not
+ *   systems,   — Map<alias, { alias, dir, sdl }> for the imports that loaded
+ *   problems,  — [{ alias, message }] for imports that did not
+ * }
+ */
+export function loadImports(manifest, dir) {
+  const imports = { declared: new Set(), systems: new Map(), problems: [] };
+  const entries = manifest?.imports;
+  if (entries === undefined) return imports;
+
+  if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+    imports.problems.push({ alias: null, message: `"imports" must be an object mapping alias → SDL directory, e.g. { "payments": "../payments" }` });
+    return imports;
+  }
+
+  for (const [alias, path] of Object.entries(entries)) {
+    imports.declared.add(alias);
+
+    if (!ALIAS_RE.test(alias)) {
+      imports.problems.push({ alias, message: `Import alias "${alias}" must match ^[a-z0-9-_]+$` });
+      continue;
+    }
+    if (typeof path !== "string" || path === "") {
+      imports.problems.push({ alias, message: `Import "${alias}": path must be a non-empty string` });
+      continue;
+    }
+
+    const target = resolve(dir, path);
+    if (target === resolve(dir)) {
+      imports.problems.push({ alias, message: `Import "${alias}" points at this directory` });
+      continue;
+    }
+    if (!existsSync(target) || !statSync(target).isDirectory()) {
+      imports.problems.push({ alias, message: `Import "${alias}": directory not found: ${path}` });
+      continue;
+    }
+
+    try {
+      imports.systems.set(alias, { alias, dir: target, sdl: loadSdl({ ref: null, dir: target }) });
+    } catch (e) {
+      imports.problems.push({ alias, message: `Import "${alias}": ${e.message}` });
+    }
+  }
+  return imports;
+}
+
+// ── Namespaced items ──────────────────────────────────────────────────────────
+
+// Local refs gain the alias; refs the imported system namespaces itself are left alone
+function qualify(alias, ref) {
+  if (typeof ref !== "string" || splitRef(ref).alias) return ref;
+  return `${alias}${NAMESPACE_SEP}${ref}`;
+}
+
+// The objects of an array field — none when it is missing or the wrong type
+const list = (v) => (Array.isArray(v) ? v.filter((x) => x && typeof x === "object") : []);
+
+function qualifyFlow(alias, flow) {
+  return {
+    ...flow,
+    id:      qualify(alias, flow.id),
+    trigger: qualify(alias, flow.trigger),
+    steps: list(flow.steps).map((step) => ({
+      ...step,
+      actor: qualify(alias, step.actor),
+      ...(step.via !== undefined && { via: qualify(alias, step.via) }),
+    })),
+    ...(flow.continues_async && {
+      continues_async: list(flow.continues_async).map((c) => ({ ...c, flow_ref: qualify(alias, c.flow_ref) })),
+    }),
+    ...(flow.variants && {
+      variants: list(flow.variants).map((v) => ({ ...v, flow_ref: qualify(alias, v.flow_ref) })),
+    }),
+  };
+}
+
+/**
+ * Items of every loaded import with ids and references namespaced by alias:
+ * { nodes, edges, triggers, flows }, ready to sit alongside the local items.
+ */
+export function importedItems(imports) {
+  const items = { nodes: [], edges: [], triggers: [], flows: [] };
+  for (const { alias, sdl } of imports.systems.values()) {
+    for (const node of list(sdl.nodes)) items.nodes.push({ ...node, id: qualify(alias, node.id) });
+    for (const edge of list(sdl.edges)) {
+      items.edges.push({ ...edge, id: qualify(alias, edge.id), source: qualify(alias, edge.source), target: qualify(alias, edge.target) });
+    }
+    for (const trigger of list(sdl.triggers)) {
+      const t = { ...trigger, id: qualify(alias, trigger.id) };
+      if (trigger.source !== undefined) t.source = qualify(alias, trigger.source);
+      if (trigger.target !== undefined) t.target = qualify(alias, trigger.target);
+      items.triggers.push(t);
+    }
+    for (const flow of list(sdl.flows)) items.flows.push(qualifyFlow(alias, flow));
+  }
+  return items;
+}
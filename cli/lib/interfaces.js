@@ -0,0 +1,54 @@
+/**
+ * Interface strings — the protocol-prefixed entries of node exposes / consumes
+ *
+ *   rest:POST /orders                 rest:<METHOD> <path>
+ *   grpc:OrderService/CreateOrder     grpc:<Service>/<Method>
+ *   event:order.created               event:<name>
+ *   graphql:Query.orders              any other protocol: <protocol>:<name>
+ *
+ * Two entries name the same interface when their keys match. Protocols compare
+ * case-insensitively, REST methods are upper-cased, and REST path parameters match
+ * by position only, so "rest:GET /orders/{id}" matches "rest:GET /orders/{orderId}".
+ *
+ * Flows mention events in free text — outcome.side_effects ("event:order.created
+ * emitted to Kafka") and continues_async.via_event; eventMentions() extracts them.
+ *
+ * This module is pure — lib/validator.js decides what to report.
+ */
+
+/** Request/response protocols: a consumer needs an edge to a node exposing the interface. */
+export const REQUEST_PROTOCOLS = new Set(["rest", "grpc"]);
+
+const PREFIX_RE    = /^([A-Za-z][A-Za-z0-9+.-]*):(.*)$/s;
+const REST_RE      = /^([A-Za-z]+)\s+(\/\S*)$/;
+const EVENT_REF_RE = /\bevent:([A-Za-z0-9_.\-/]+)/g;
+
+/**
+ * Parses one exposes / consumes entry.
+ * Returns { protocol, name, key } — or { error } when the entry is malformed.
+ */
+export function parseInterface(entry) {
+  if (typeof entry !== "string") return { error: "not a string" };
+
+  const match = PREFIX_RE.exec(entry.trim());
+  if (!match) return { error: `no protocol prefix — write e.g. "rest:POST /orders" or "event:order.created"` };
+
+  const protocol = match[1].toLowerCase();
+  const name = match[2].trim();
+  if (!name) return { error: `no interface named after "${match[1]}:"` };
+
+  if (protocol === "rest") {
+    const rest = REST_RE.exec(name);
+    if (!rest) return { error: `expected "rest:<METHOD> /path", e.g. "rest:GET /orders/{id}"` };
+    const path = rest[2].replace(/\{[^}]*\}/g, "{}").replace(/(.)\/$/, "$1");
+    return { protocol, name, key: `rest:${rest[1].toUpperCase()} ${path}` };
+  }
+
+  return { protocol, name, key: `${protocol}:${name}` };
+}
+
+/** Event names mentioned in free text: "event:order.created emitted" → ["order.created"]. */
+export function eventMentions(text) {
+  if (typeof text !== "string") return [];
+  return [...text.matchAll(EVENT_REF_RE)].map((m) => m[1].replace(/[.\-/]+$/, ""));
+}
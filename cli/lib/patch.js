@@ -0,0 +1,78 @@
+/**
+ * Unified diffs of text files — what `sdl migrate --dry-run` prints instead of writing.
+ * A line-level LCS is plenty for SDL files, which run to a few thousand lines at most.
+ */
+
+const CONTEXT = 3;
+
+/** Line edit script between two texts: [{ op: " " | "-" | "+", line }]. */
+function diffLines(a, b) {
+  const n = a.length, m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ op: " ", line: a[i] }); i++; j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: "-", line: a[i] }); i++;
+    } else {
+      ops.push({ op: "+", line: b[j] }); j++;
+    }
+  }
+  return ops;
+}
+
+const NO_NEWLINE = "\\ No newline at end of file";
+
+// A text's lines, without the empty one after a final newline; a last line that
+// lacks its newline carries git's marker, so it differs from one that has it
+function splitLines(text) {
+  if (text === "") return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  else lines[lines.length - 1] += `\n${NO_NEWLINE}`;
+  return lines;
+}
+
+/**
+ * Unified diff of `before` → `after`, labelled a/<name> and b/<name>.
+ * Returns "" when the texts are equal.
+ */
+export function unifiedDiff(before, after, name) {
+  if (before === after) return "";
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Group changes with CONTEXT lines around them into hunks
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1, newLine = 1;
+  ops.forEach((op, k) => {
+    const near = ops.slice(Math.max(0, k - CONTEXT), k + CONTEXT + 1).some((o) => o.op !== " ");
+    if (near) {
+      if (!hunk) hunks.push(hunk = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [] });
+      hunk.lines.push(op.op + op.line);
+      if (op.op !== "+") hunk.oldCount++;
+      if (op.op !== "-") hunk.newCount++;
+    } else {
+      hunk = null;
+    }
+    if (op.op !== "+") oldLine++;
+    if (op.op !== "-") newLine++;
+  });
+
+  const out = [`--- a/${name}`, `+++ b/${name}`];
+  // A side with no lines in the hunk is numbered by the line before it, as diff -u does
+  const range = (start, count) => `${count === 0 ? start - 1 : start},${count}`;
+  for (const h of hunks) {
+    out.push(`@@ -${range(h.oldStart, h.oldCount)} +${range(h.newStart, h.newCount)} @@`);
+    out.push(...h.lines);
+  }
+  return out.join("\n") + "\n";
+}
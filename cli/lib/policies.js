@@ -0,0 +1,195 @@
+/**
+ * Architecture policies — constraints over the SDL graph, declared as data
+ *
+ * A policy pack (stdlib/policies.schema.json) lists policies of three types:
+ *
+ *   forbid-edge       no edge may match `match`
+ *   exclusive-target  of the edges matching `match`, those reaching one target must all
+ *                     come from one source — "no two microservices share a database"
+ *   require-field     every item `on` (nodes, edges or triggers) matching `match` sets
+ *                     `field`, to a value outside `not`
+ *
+ *   { "id": "external-api-auth", "type": "require-field", "on": "edges",
+ *     "match": { "to": { "kind": "external-api" } }, "field": "auth.mechanism", "not": ["none"] }
+ *
+ * A match selects by id, kind (nodes, triggers), protocol (edges) and tag, and by the
+ * nodes at an edge's or trigger's ends (from / to); a list matches any of its names.
+ *
+ * stdlib/policies.json is the default pack, built from the stdlib's ai_hints. Projects
+ * choose packs in .sdlrc "policies" (see lib/rules.js). Violations report under the
+ * rule "policy:<id>". This module is pure — lib/validator.js decides what to report.
+ */
+
+import Ajv from "ajv";
+import { readFileSync, existsSync } from "fs";
+import { join } from "path";
+import { ROOT } from "./spec.js";
+import { parseSdlText } from "./formats.js";
+import { escapePointer } from "./positions.js";
+import { stdlibNames } from "./stdlib.js";
+import { POLICY_RULE_PREFIX } from "./rules.js";
+
+export const POLICY_FILE        = join("stdlib", "policies.json");
+export const POLICY_SCHEMA_FILE = join("stdlib", "policies.schema.json");
+
+/** The name that selects stdlib/policies.json in .sdlrc "policies". */
+export const STDLIB_PACK = "stdlib";
+
+/** The rule a policy's violations report under. */
+export function policyRule(policy) {
+  return `${POLICY_RULE_PREFIX}${policy.id}`;
+}
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+
+/**
+ * Reads a policy pack — STDLIB_PACK or a path, in any format lib/formats.js reads.
+ * Returns { path, text, data, problems } — `data` is null unless the file parsed, and
+ * `problems` lists { pointer, message, line, column } for everything checkPolicies()
+ * finds. `stdlib` is the kinds vocabulary that policy "source" fields refer to.
+ */
+export function loadPolicyPack(pathOrName, stdlib) {
+  const path = pathOrName === STDLIB_PACK ? join(ROOT, POLICY_FILE) : pathOrName;
+  const pack = { path, text: null, data: null, problems: [] };
+  if (!existsSync(path)) {
+    pack.problems.push({ pointer: null, message: `Policy pack ${path} not found` });
+    return pack;
+  }
+
+  try {
+    pack.text = readFileSync(path, "utf8");
+    pack.data = parseSdlText(pack.text, path);
+  } catch (e) {
+    pack.problems.push({ pointer: null, message: e.message, line: e.line ?? null, column: e.column ?? null });
+    return pack;
+  }
+
+  pack.problems.push(...checkPolicies(pack.data, stdlib));
+  return pack;
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+let validateSchema = null;
+
+/**
+ * Checks a policy pack against stdlib/policies.schema.json, for duplicate policy ids,
+ * and that each "source" names an entry of `stdlib`. Returns [{ pointer, message }].
+ */
+export function checkPolicies(data, stdlib) {
+  if (!validateSchema) {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    validateSchema = ajv.compile(JSON.parse(readFileSync(join(ROOT, POLICY_SCHEMA_FILE), "utf8")));
+  }
+  if (!validateSchema(data)) {
+    return validateSchema.errors
+      .filter((err) => !["allOf", "if", "oneOf"].includes(err.keyword))
+      .map((err) => {
+        const extra = err.keyword === "additionalProperties" ? `/${escapePointer(err.params.additionalProperty)}` : "";
+        return { pointer: err.instancePath + extra, message: `${err.instancePath || "(root)"} ${err.message}` };
+      });
+  }
+
+  const problems = [];
+  const seen = new Set();
+  data.policies.forEach((policy, i) => {
+    if (seen.has(policy.id)) problems.push({ pointer: `/policies/${i}/id`, message: `Policy id "${policy.id}" is defined twice` });
+    seen.add(policy.id);
+
+    if (policy.source) {
+      const [vocabulary, name] = policy.source.split(".");
+      if (!stdlibNames(stdlib, vocabulary).has(name)) {
+        problems.push({ pointer: `/policies/${i}/source`, message: `Policy "${policy.id}": source "${policy.source}" is not a stdlib entry` });
+      }
+    }
+  });
+  return problems;
+}
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+const names = (value) => (Array.isArray(value) ? value : [value]);
+
+// Items of the wrong type are reported by schema validation; policies skip them
+const isRecord = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Whether `item` satisfies `match`; from / to look up the nodes at its ends in `nodeMap`
+function matches(item, match, nodeMap) {
+  if (!match) return true;
+  if (!item || typeof item !== "object") return false;
+  if (match.id       !== undefined && !names(match.id).includes(item.id))             return false;
+  if (match.kind     !== undefined && !names(match.kind).includes(item.kind))         return false;
+  if (match.protocol !== undefined && !names(match.protocol).includes(item.protocol)) return false;
+  if (match.tag      !== undefined && !(Array.isArray(item.tags) && item.tags.some((t) => names(match.tag).includes(t)))) return false;
+  if (match.from     !== undefined && !matches(nodeMap.get(item.source), match.from, nodeMap)) return false;
+  if (match.to       !== undefined && !matches(nodeMap.get(item.target), match.to, nodeMap))   return false;
+  return true;
+}
+
+// `kind "id"` for a node in the graph, or just `"id"` for one that is not
+function describeNode(nodeMap, id) {
+  const node = nodeMap.get(id);
+  return node?.kind ? `${node.kind} "${id}"` : `"${id}"`;
+}
+
+/**
+ * Evaluates one policy over the graph { nodes, edges, triggers, nodeMap } — local items
+ * plus a map of every node reachable by id, imported ones included. Returns violations
+ * as { file, index, id, pointer, message }: the SDL file and index of the offending
+ * item, a JSON pointer into that file, and a message naming the nodes and edges.
+ */
+export function evaluatePolicy(policy, graph) {
+  const { nodes, edges, triggers, nodeMap } = graph;
+  const violations = [];
+
+  if (policy.type === "forbid-edge") {
+    edges.forEach((edge, index) => {
+      if (!isRecord(edge) || !matches(edge, policy.match, nodeMap)) return;
+      violations.push({
+        file: "edges.json", index, id: edge.id ?? null, pointer: `/${index}`,
+        message: `Edge "${edge.id}" connects ${describeNode(nodeMap, edge.source)} to ${describeNode(nodeMap, edge.target)}`,
+      });
+    });
+  }
+
+  if (policy.type === "exclusive-target") {
+    const byTarget = new Map();
+    edges.forEach((edge, index) => {
+      if (!isRecord(edge) || !matches(edge, policy.match, nodeMap)) return;
+      if (!byTarget.has(edge.target)) byTarget.set(edge.target, []);
+      byTarget.get(edge.target).push({ edge, index });
+    });
+
+    for (const [target, reaching] of byTarget) {
+      const sources = new Set(reaching.map(({ edge }) => edge.source));
+      if (sources.size < 2) continue;
+      const via = reaching.map(({ edge }) => `${describeNode(nodeMap, edge.source)} (${edge.id})`);
+      const local = nodes.findIndex((n) => n?.id === target);
+      const at = local >= 0
+        ? { file: "nodes.json", index: local, id: target, pointer: `/${local}` }
+        : { file: "edges.json", index: reaching[0].index, id: reaching[0].edge.id ?? null, pointer: `/${reaching[0].index}` };
+      violations.push({ ...at, message: `${describeNode(nodeMap, target)} is reached from ${via.join(" and ")}` });
+    }
+  }
+
+  if (policy.type === "require-field") {
+    const file  = `${policy.on}.json`;
+    const items = { nodes, edges, triggers }[policy.on];
+    const what  = { nodes: "Node", edges: "Edge", triggers: "Trigger" }[policy.on];
+    const path  = policy.field.split(".");
+
+    items.forEach((item, index) => {
+      if (!isRecord(item) || !matches(item, policy.match, nodeMap)) return;
+      const value = path.reduce((v, key) => (v && typeof v === "object" ? v[key] : undefined), item);
+      const missing = value === undefined || value === null;
+      if (!missing && !(policy.not ?? []).includes(value)) return;
+      violations.push({
+        file, index, id: item.id ?? null,
+        pointer: missing ? `/${index}` : `/${index}/${path.map(escapePointer).join("/")}`,
+        message: `${what} "${item.id}": ${policy.field} ${missing ? "is missing" : `is ${JSON.stringify(value)}`}`,
+      });
+    });
+  }
+
+  return violations;
+}
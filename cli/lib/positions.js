@@ -0,0 +1,179 @@
+/**
+ * Source positions — where a JSON pointer lands in an SDL file
+ *
+ * Findings name the offending value by JSON pointer ("/3/steps/1/via"). This maps a
+ * pointer back to the 1-based line and column in the file's text, in any format
+ * lib/formats.js reads, so reports can print clickable `path:line:col` locations.
+ *
+ *   const positions = sourcePositions(text, "flows.yaml");
+ *   positions.locate("/3/steps/1/via");   // → { line: 42, column: 9 }
+ *
+ * A pointer resolves to the key of an object member and to the start of an array
+ * item. When part of the pointer does not exist — e.g. a missing required property —
+ * it resolves to the deepest value that does.
+ */
+
+import { extname } from "path";
+import YAML from "yaml";
+import JSON5 from "json5";
+
+// ── Syntax trees ──────────────────────────────────────────────────────────────
+
+/**
+ * Builds { type, start, end, members | items } nodes with text offsets for JSON, JSONC
+ * or JSON5 text. Object members are { key, keyStart, keyEnd, value }. The text must
+ * already have parsed (see formats.js), so this only needs to find where things are.
+ */
+export function jsonSyntaxTree(text) {
+  let i = 0;
+
+  const skip = () => {
+    for (;;) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      if (text.startsWith("//", i)) {
+        const nl = text.indexOf("\n", i);
+        i = nl === -1 ? text.length : nl;
+      } else if (text.startsWith("/*", i)) {
+        i = text.indexOf("*/", i + 2) + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const string = () => {
+    const quote = text[i++];
+    while (text[i] !== quote) i += text[i] === "\\" ? 2 : 1;
+    i++;
+  };
+
+  const value = () => {
+    skip();
+    const start = i;
+
+    if (text[i] === "{") {
+      i++;
+      const members = [];
+      for (skip(); text[i] !== "}"; skip()) {
+        const keyStart = i;
+        if (text[i] === '"' || text[i] === "'") string();
+        else while (/[A-Za-z0-9_$]/.test(text[i])) i++;
+        const keyEnd = i;
+        skip();
+        i++; // ":"
+        const node = value();
+        const raw = text.slice(keyStart, keyEnd);
+        members.push({ key: /^["']/.test(raw) ? JSON5.parse(raw) : raw, keyStart, keyEnd, value: node });
+        skip();
+        if (text[i] === ",") i++;
+      }
+      i++;
+      return { type: "object", start, end: i, members };
+    }
+
+    if (text[i] === "[") {
+      i++;
+      const items = [];
+      for (skip(); text[i] !== "]"; skip()) {
+        items.push(value());
+        skip();
+        if (text[i] === ",") i++;
+      }
+      i++;
+      return { type: "array", start, end: i, items };
+    }
+
+    if (text[i] === '"' || text[i] === "'") string();
+    else while (i < text.length && !/[\s,\]}/]/.test(text[i])) i++;
+    return { type: "scalar", start, end: i };
+  };
+
+  return value();
+}
+
+// Offset where `segments` resolve — the deepest member key or array item that exists
+function jsonOffset(tree, segments) {
+  let node = tree, offset = tree.start;
+  for (const segment of segments) {
+    if (node.type === "object") {
+      const member = node.members.find((m) => m.key === segment);
+      if (!member) break;
+      node = member.value; offset = member.keyStart;
+    } else if (node.type === "array" && /^\d+$/.test(segment) && node.items[segment]) {
+      node = node.items[segment]; offset = node.start;
+    } else {
+      break;
+    }
+  }
+  return offset;
+}
+
+function yamlOffset(doc, segments) {
+  let node = doc.contents, offset = node?.range[0] ?? 0;
+  for (const segment of segments) {
+    if (YAML.isMap(node)) {
+      const pair = node.items.find((p) => String(YAML.isScalar(p.key) ? p.key.value : p.key) === segment);
+      if (!pair) break;
+      node = pair.value; offset = pair.key.range[0];
+    } else if (YAML.isSeq(node) && /^\d+$/.test(segment) && node.items[segment]) {
+      node = node.items[segment]; offset = node.range[0];
+    } else {
+      break;
+    }
+    if (!node) break;
+  }
+  return offset;
+}
+
+// ── Lookup ────────────────────────────────────────────────────────────────────
+
+/** Escapes one JSON pointer segment: "a/b" → "a~1b". */
+export function escapePointer(segment) {
+  return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/** Splits a JSON pointer into unescaped segments: "/a~1b/0" → ["a/b", "0"]. */
+export function pointerSegments(pointer) {
+  if (!pointer) return [];
+  return pointer.slice(1).split("/").map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Position lookups for one file's text. The format follows the extension of `path`.
+ * The syntax tree is built on the first lookup, so files without findings cost nothing.
+ * locate() returns null if the text cannot be parsed.
+ */
+export function sourcePositions(text, path) {
+  const ext = extname(path).toLowerCase();
+  const isYaml = ext === ".yaml" || ext === ".yml";
+  let tree, lineStarts;
+
+  const lineColumn = (offset) => {
+    if (!lineStarts) {
+      lineStarts = [0];
+      for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) lineStarts.push(i + 1);
+    }
+    let lo = 0, hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+  };
+
+  return {
+    locate(pointer) {
+      if (tree === undefined) {
+        try {
+          tree = isYaml ? YAML.parseDocument(text) : jsonSyntaxTree(text);
+          if (isYaml && tree.errors.length > 0) tree = null;
+        } catch {
+          tree = null;
+        }
+      }
+      if (!tree) return null;
+      const segments = pointerSegments(pointer);
+      return lineColumn(isYaml ? yamlOffset(tree, segments) : jsonOffset(tree, segments));
+    },
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Reachability — which triggers start which flows, and where the chains loop
+ *
+ * Flows form a graph: a trigger starts the flows that name it, and a flow leads on to
+ * the flows its continues_async and variants entries reference. A flow is reachable
+ * when a chain from an entry trigger leads to it. Entry triggers are those that start
+ * from outside the modelled flows — every kind but "event", and events with no
+ * source. An event trigger with a source fires only once that node (the emitter) acts
+ * in a reachable flow, so the analysis runs to a fixed point.
+ *
+ * Chains read as arrows over trigger and flow ids:
+ *
+ *   stripe-payment-success → order-fulfilment → payment-failure
+ *
+ * Within a flow, an error.goto that jumps back to its own step or an earlier one
+ * retries everything in between; retryCycles() finds those jumps. Whether a retry is
+ * bounded is judged from the error's handling / condition text.
+ *
+ * This module is pure — lib/validator.js decides what to report. Only local flows and
+ * triggers take part; namespaced references ("payments/refund") lead out of the graph.
+ */
+
+/** Joins ids into a readable chain: "a → b → c". */
+export function formatChain(ids) {
+  return ids.join(" → ");
+}
+
+// An array field as a list, or none when it is missing or the wrong type
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+// Local flow ids a flow leads on to, as [{ ref, pointer }] in file order
+function nextFlows(flow) {
+  const next = [];
+  listOf(flow.continues_async).forEach((c, k) => next.push({ ref: c?.flow_ref, pointer: `/continues_async/${k}/flow_ref`, async: true }));
+  listOf(flow.variants).forEach((v, k) => next.push({ ref: v?.flow_ref, pointer: `/variants/${k}/flow_ref`, async: false }));
+  return next.filter(({ ref }) => typeof ref === "string");
+}
+
+/**
+ * Analyses the trigger → flow → flow graph of one system.
+ * Returns {
+ *   unusedTriggers:   [{ index, trigger }]                    — no flow names it
+ *   unreachableFlows: [{ index, flow, chain, emitter }]       — chain: the shortest chain
+ *                      from any trigger, emitter: the event source that never acts
+ *   asyncLoops:       [{ index, flow, pointer, cycle, chain }] — continues_async cycles;
+ *                      index / pointer locate the hop that closes the loop
+ * }
+ */
+export function analyzeReachability(flows, triggers) {
+  const flowList    = flows.filter((f) => f && typeof f.id === "string");
+  const flowIndex   = new Map(flows.map((f, i) => [f?.id, i]).filter(([id]) => typeof id === "string"));
+  const triggerById = new Map(triggers.filter((t) => t && typeof t.id === "string").map((t) => [t.id, t]));
+
+  const unusedTriggers = [];
+  const named = new Set(flowList.map((f) => f.trigger));
+  triggers.forEach((trigger, index) => {
+    if (trigger?.id && !named.has(trigger.id)) unusedTriggers.push({ index, trigger });
+  });
+
+  // Shortest chain to every flow from any trigger, ignoring whether the trigger fires
+  const chainTo = new Map();
+  const queue = [];
+  for (const flow of flowList) {
+    if (!chainTo.has(flow.id) && (triggerById.has(flow.trigger) || String(flow.trigger).includes("/"))) {
+      chainTo.set(flow.id, [flow.trigger, flow.id]);
+      queue.push(flow);
+    }
+  }
+  while (queue.length > 0) {
+    const flow = queue.shift();
+    for (const { ref } of nextFlows(flow)) {
+      if (!flowIndex.has(ref) || chainTo.has(ref)) continue;
+      chainTo.set(ref, [...chainTo.get(flow.id), ref]);
+      queue.push(flows[flowIndex.get(ref)]);
+    }
+  }
+
+  // Fixed point: entry triggers, chains onwards, and events whose emitter acts
+  const reachable = new Set();
+  const actors = new Set();
+  const fires = (trigger) => !trigger || trigger.kind !== "event" || !trigger.source || actors.has(trigger.source);
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const flow of flowList) {
+      if (reachable.has(flow.id)) continue;
+      const imported = String(flow.trigger).includes("/");
+      if (!imported && !(triggerById.has(flow.trigger) && fires(triggerById.get(flow.trigger)))) continue;
+      const stack = [flow];
+      while (stack.length > 0) {
+        const f = stack.pop();
+        if (reachable.has(f.id)) continue;
+        reachable.add(f.id);
+        changed = true;
+        for (const step of listOf(f.steps)) if (step?.actor) actors.add(step.actor);
+        for (const { ref } of nextFlows(f)) if (flowIndex.has(ref)) stack.push(flows[flowIndex.get(ref)]);
+      }
+    }
+  }
+
+  const unreachableFlows = [];
+  for (const flow of flowList) {
+    if (reachable.has(flow.id) || !chainTo.has(flow.id)) continue; // no chain: unknown trigger, reported elsewhere
+    const chain = chainTo.get(flow.id);
+    unreachableFlows.push({ index: flowIndex.get(flow.id), flow, chain, emitter: triggerById.get(chain[0])?.source ?? null });
+  }
+
+  return { unusedTriggers, unreachableFlows, asyncLoops: asyncLoops(flows, flowIndex, chainTo) };
+}
+
+// continues_async cycles, each once, found by depth-first search over local flows
+function asyncLoops(flows, flowIndex, chainTo) {
+  const loops = [];
+  const seen = new Set();
+  const state = new Map(); // flow id → "active" while on the DFS path, "done" after
+
+  const visit = (flow, path) => {
+    state.set(flow.id, "active");
+    path.push(flow.id);
+    nextFlows(flow).filter((n) => n.async).forEach(({ ref, pointer }) => {
+      if (!flowIndex.has(ref)) return;
+      if (state.get(ref) === "active") {
+        const cycle = path.slice(path.indexOf(ref));
+        const key = [...cycle].sort().join("\n");
+        if (seen.has(key)) return;
+        seen.add(key);
+        const lead = chainTo.get(ref)?.slice(0, -1) ?? [];
+        loops.push({ index: flowIndex.get(flow.id), flow, pointer, cycle, chain: [...lead, ...cycle, ref] });
+      } else if (!state.has(ref)) {
+        visit(flows[flowIndex.get(ref)], path);
+      }
+    });
+    path.pop();
+    state.set(flow.id, "done");
+  };
+
+  for (const flow of flows) if (flow?.id && !state.has(flow.id)) visit(flow, []);
+  return loops;
+}
+
+// ── error.goto retries ────────────────────────────────────────────────────────
+
+// A count next to a retry / attempt noun ("retry 3 times", "max 5 attempts", "retries: 2"),
+// so status codes and timeouts ("Return 503 and retry", "retry on 504") are no limit
+const BOUND_RE = /\b(?:retry|retries|attempts?)\W{0,3}\d+\b|\b\d+\s*(?:x|times|attempts?|retries|tries)\b|\b(?:up to|at most|max(?:imum)?(?: of)?)\s+\d+\b|\b(?:once|twice)\b/i;
+
+/** Whether a step's error block states a limit — "Retry 3 times then alert on-call". */
+export function statesRetryLimit(error) {
+  return [error?.handling, error?.condition].some((text) => typeof text === "string" && BOUND_RE.test(text));
+}
+
+/**
+ * error.goto jumps in `flow` back to the failing step or an earlier one — each retries
+ * the steps in between. Returns [{ index, step, target, cycle, bounded }]: index of the
+ * failing step, the step ids retried in order, and whether the error states a limit.
+ */
+export function retryCycles(flow) {
+  const steps = listOf(flow?.steps);
+  const position = new Map(steps.map((s, i) => [s?.id, i]).filter(([id]) => typeof id === "string"));
+  const cycles = [];
+
+  steps.forEach((step, index) => {
+    const target = step?.error?.goto;
+    if (!position.has(target) || position.get(target) > index) return;
+    const cycle = steps.slice(position.get(target), index + 1).map((s) => s?.id);
+    cycles.push({ index, step, target, cycle, bounded: statesRetryLimit(step.error) });
+  });
+  return cycles;
+}
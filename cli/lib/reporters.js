@@ -0,0 +1,239 @@
+/**
+ * SDL Validator — report renderers
+ *
+ * Each reporter takes the list of per-example results returned by validateSdl()
+ * (lib/validator.js) and returns the full report as a string. Findings are the
+ * structured records described on the Result class there:
+ *
+ *   { rule, severity, file, line, column, id, pointer, message }
+ *
+ * Reporters never print and never decide the exit code — that stays with the caller.
+ * They take an optional `{ verbose }` flag; in verbose mode text and json also
+ * include each example's result.schedules (next fire times of scheduled triggers).
+ */
+
+import { readFileSync } from "fs";
+import { join, relative, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PKG = JSON.parse(readFileSync(join(__dirname, "..", "package.json"), "utf8"));
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Path of the file a finding refers to, relative to the working directory. */
+function findingPath(result, f) {
+  const base = result.dir ? relative(process.cwd(), result.dir) || "." : ".";
+  return f.file ? join(base, f.file) : base;
+}
+
+/**
+ * Where a finding is, as `path:line:col` — the form editors and terminals make
+ * clickable. Falls back to the bare path without a line, and "" without a file.
+ */
+export function findingLocation(result, f) {
+  if (!f.file) return "";
+  return f.line ? `${findingPath(result, f)}:${f.line}:${f.column}` : findingPath(result, f);
+}
+
+function allFindings(result) {
+  return [...result.errors, ...result.warnings];
+}
+
+function escapeXML(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+// ── text ──────────────────────────────────────────────────────────────────────
+
+export function textLine(result, f) {
+  return f.file ? `${findingLocation(result, f)}  ${f.message}` : f.message;
+}
+
+function scheduleLines(result) {
+  if (result.schedules.length === 0) return [];
+  const out = ["\n  Next fire times:"];
+  for (const s of result.schedules) {
+    out.push(`    ${s.trigger}  "${s.cron}" ${s.timezone}`);
+    if (s.next.length === 0) out.push("      (no fire times in the next five years)");
+    for (const fire of s.next) out.push(`      ${fire.local}  (${fire.utc})`);
+  }
+  return out;
+}
+
+function formatText(results, { verbose = false } = {}) {
+  const out = [];
+  out.push(`\nSDL Validator — checking ${results.length} example(s)\n`);
+  out.push("=".repeat(60));
+
+  for (const result of results) {
+    const status = result.valid ? "✅ PASS" : "❌ FAIL";
+    out.push(`\n${status}  ${result.name}`);
+    out.push("─".repeat(60));
+
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+      out.push("  No issues found.");
+      if (verbose) out.push(...scheduleLines(result));
+      continue;
+    }
+
+    for (const e of result.errors)   out.push(`  ERROR   ${textLine(result, e)}`);
+    for (const w of result.warnings) out.push(`  warning ${textLine(result, w)}`);
+
+    const suppressed = result.suppressed ? `, ${result.suppressed} suppressed` : "";
+    out.push(`\n  ${result.errors.length} error(s), ${result.warnings.length} warning(s)${suppressed}`);
+    if (verbose) out.push(...scheduleLines(result));
+  }
+
+  const passed        = results.filter((r) => r.valid).length;
+  const failed        = results.length - passed;
+  const totalErrors   = results.reduce((n, r) => n + r.errors.length, 0);
+  const totalWarnings = results.reduce((n, r) => n + r.warnings.length, 0);
+
+  out.push("\n" + "=".repeat(60));
+  out.push(`\nSummary: ${passed} passed, ${failed} failed`);
+  out.push(`         ${totalErrors} error(s), ${totalWarnings} warning(s) across all examples\n`);
+
+  return out.join("\n") + "\n";
+}
+
+// ── json ──────────────────────────────────────────────────────────────────────
+
+function formatJson(results, { verbose = false } = {}) {
+  const examples = results.map((result) => ({
+    name:       result.name,
+    dir:        result.dir && (relative(process.cwd(), result.dir) || "."),
+    ok:         result.valid,
+    config:     result.config ? relative(process.cwd(), result.config) : null,
+    errors:     result.errors.length,
+    warnings:   result.warnings.length,
+    suppressed: result.suppressed,
+    findings:   allFindings(result).map((f) => ({ ...f, path: findingPath(result, f) })),
+    ...(verbose && { schedules: result.schedules }),
+  }));
+
+  const report = {
+    tool:    PKG.name,
+    version: PKG.version,
+    summary: {
+      examples: results.length,
+      passed:   examples.filter((e) => e.ok).length,
+      failed:   examples.filter((e) => !e.ok).length,
+      errors:   examples.reduce((n, e) => n + e.errors, 0),
+      warnings: examples.reduce((n, e) => n + e.warnings, 0),
+    },
+    examples,
+  };
+
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+// ── sarif ─────────────────────────────────────────────────────────────────────
+
+function formatSarif(results) {
+  const ruleIds = [...new Set(results.flatMap((r) => allFindings(r).map((f) => f.rule)))].sort();
+
+  const sarifResults = results.flatMap((result) =>
+    allFindings(result).map((f) => {
+      const entry = {
+        ruleId:    f.rule,
+        ruleIndex: ruleIds.indexOf(f.rule),
+        level:     f.severity === "error" ? "error" : "warning",
+        message:   { text: f.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: findingPath(result, f).split("\\").join("/") },
+            ...(f.line && { region: { startLine: f.line, startColumn: f.column } }),
+          },
+        }],
+        properties: { example: result.name },
+      };
+      if (f.id)             entry.locations[0].logicalLocations = [{ name: f.id, kind: "object" }];
+      if (f.pointer != null) entry.properties.pointer = f.pointer;
+      return entry;
+    })
+  );
+
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name:    PKG.name,
+          version: PKG.version,
+          rules:   ruleIds.map((id) => ({ id, name: id })),
+        },
+      },
+      results: sarifResults,
+    }],
+  };
+
+  return JSON.stringify(log, null, 2) + "\n";
+}
+
+// ── junit ─────────────────────────────────────────────────────────────────────
+
+const JUNIT_FILES = ["manifest.json", "nodes.json", "edges.json", "triggers.json", "flows.json"];
+
+// Test cases are named after the file actually loaded, e.g. nodes.yaml
+function junitFiles(result) {
+  return JUNIT_FILES.map((file) => result.sources[file] ?? file);
+}
+
+// Findings about other files (e.g. .sdlrc) are attributed to the manifest test case
+function findingsFor(result, list, file) {
+  const files = junitFiles(result);
+  return list.filter((f) => (files.includes(f.file) ? f.file : files[0]) === file);
+}
+
+// Test cases are per file already, so only the line and column are added
+function junitLine(f) {
+  return f.line ? `${f.line}:${f.column}  ${f.message}` : f.message;
+}
+
+function failedFiles(result) {
+  return junitFiles(result).filter((file) => findingsFor(result, result.errors, file).length > 0);
+}
+
+function formatJunit(results) {
+  const out = [`<?xml version="1.0" encoding="UTF-8"?>`];
+  const totalTests    = results.length * JUNIT_FILES.length;
+  const totalFailures = results.reduce((n, r) => n + failedFiles(r).length, 0);
+  out.push(`<testsuites name="${escapeXML(PKG.name)}" tests="${totalTests}" failures="${totalFailures}">`);
+
+  for (const result of results) {
+    out.push(`  <testsuite name="${escapeXML(result.name)}" tests="${JUNIT_FILES.length}" failures="${failedFiles(result).length}" errors="0">`);
+
+    for (const file of junitFiles(result)) {
+      const errors   = findingsFor(result, result.errors, file);
+      const warnings = findingsFor(result, result.warnings, file);
+      out.push(`    <testcase classname="${escapeXML(result.name)}" name="${escapeXML(file)}" file="${escapeXML(findingPath(result, { file }))}">`);
+      if (errors.length > 0) {
+        const body = errors.map((e) => `[${e.rule}] ${junitLine(e)}`).join("\n");
+        out.push(`      <failure message="${errors.length} error(s)" type="sdl-validation">${escapeXML(body)}</failure>`);
+      }
+      if (warnings.length > 0) {
+        const body = warnings.map((w) => `warning [${w.rule}] ${junitLine(w)}`).join("\n");
+        out.push(`      <system-out>${escapeXML(body)}</system-out>`);
+      }
+      out.push(`    </testcase>`);
+    }
+
+    out.push(`  </testsuite>`);
+  }
+
+  out.push(`</testsuites>`);
+  return out.join("\n") + "\n";
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+export const REPORTERS = {
+  text:  formatText,
+  json:  formatJson,
+  sarif: formatSarif,
+  junit: formatJunit,
+};
@@ -0,0 +1,198 @@
+/**
+ * SDL Validator — lint rules and project configuration
+ *
+ * Every check in lib/validator.js reports under a named rule. Each rule has a default
+ * severity that a project can override in a `.sdlrc` file:
+ *
+ *   {
+ *     "rules": {
+ *       "orphan-edge":       "error",
+ *       "unknown-node-kind": "off"
+ *     }
+ *   }
+ *
+ * Severities: "off" | "warn" | "error".
+ *
+ * The nearest `.sdlrc` wins — the validator looks in the example directory first,
+ * then each parent directory up to the filesystem root. Pass `--config <path>` to
+ * use a specific file instead.
+ *
+ * Individual items can suppress rules inline via their `meta` block:
+ *
+ *   { "id": "legacy-ftp", ..., "meta": { "sdl-lint-disable": ["orphan-edge"] } }
+ *
+ * Suppressions on a flow also cover findings about that flow's steps.
+ *
+ * Architecture policies (see lib/policies.js) report under "policy:<id>" rules, which
+ * "rules" overrides like any other. "policies" chooses the packs evaluated — "stdlib"
+ * (the default, stdlib/policies.json) or paths relative to the .sdlrc:
+ *
+ *   { "policies": ["stdlib", "./policies.json"], "rules": { "policy:gateway-bypass": "off" } }
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { join, dirname, resolve } from "path";
+
+export const CONFIG_FILE = ".sdlrc";
+export const SUPPRESS_KEY = "sdl-lint-disable";
+export const SEVERITIES = ["off", "warn", "error"];
+export const POLICY_RULE_PREFIX = "policy:";
+
+// ── Rule registry ─────────────────────────────────────────────────────────────
+
+export const RULES = {
+  // Files and manifest
+  "missing-file":          { severity: "error", description: "A required SDL file (nodes, edges, triggers, flows) is missing" },
+  "parse-error":           { severity: "error", description: "An SDL file or manifest.json is not valid JSON, JSON5 or YAML" },
+  "duplicate-source":      { severity: "warn",  description: "An SDL file exists in several formats, e.g. nodes.json and nodes.yaml" },
+  "invalid-root":          { severity: "error", description: "An SDL file's root value is not an array" },
+  "missing-manifest":      { severity: "warn",  description: "manifest.json is missing — will become an error in a future release" },
+  "invalid-manifest":      { severity: "error", description: "manifest.json lacks a string sdlVersion" },
+  "missing-spec-tag":      { severity: "warn",  description: "No spec-v<sdlVersion> git tag — validating against working-tree spec/" },
+  "invalid-config":        { severity: "error", description: "The .sdlrc file is unreadable or names an unknown rule or severity" },
+  "invalid-import":        { severity: "error", description: "A manifest.json imports entry is malformed or its SDL directory cannot be loaded" },
+
+  // Schema
+  "schema":                { severity: "error", description: "An item does not conform to its JSON Schema" },
+  "deprecated-field":      { severity: "warn",  description: "An item uses a field marked deprecated in the spec" },
+
+  // Referential integrity
+  "unknown-node-ref":      { severity: "error", description: "An edge, trigger or step references a node that does not exist" },
+  "unknown-edge-ref":      { severity: "error", description: "A step's via references an edge that does not exist" },
+  "unknown-trigger-ref":   { severity: "error", description: "A flow references a trigger that does not exist" },
+  "unknown-step-ref":      { severity: "error", description: "An error.goto references a step that is not in the same flow" },
+  "unresolved-flow-ref":   { severity: "warn",  description: "continues_async or variants references a flow that is not in this example" },
+  "unknown-flow-ref":      { severity: "error", description: "A namespaced flow_ref names a flow that the imported system does not define" },
+  "unknown-import":        { severity: "error", description: "A namespaced reference uses an alias that manifest.json does not import" },
+  "orphan-edge":           { severity: "warn",  description: "An edge is not used by any flow step" },
+  "orphan-node":           { severity: "warn",  description: "A node is not referenced by any edge or flow step" },
+
+  // Flow step structure
+  "step-id-grammar":       { severity: "warn",  description: "A step id does not follow the 1.0 / 2.a / 2.a.1 numbering grammar" },
+  "duplicate-step-id":     { severity: "error", description: "Two steps in the same flow share an id" },
+  "step-order":            { severity: "warn",  description: "Steps are listed out of numbering order, or the numbering has gaps" },
+  "step-parallel":         { severity: "warn",  description: "parallel: true on a step with no sibling branch, or siblings marked inconsistently" },
+
+  // Flow topology
+  "via-edge-actor":        { severity: "warn",  description: "A step's via edge does not touch the step's actor" },
+  "via-edge-direction":    { severity: "warn",  description: "A step hands off over a unidirectional edge against its direction" },
+
+  // Reachability (triggers → flows → continues_async / variants)
+  "unused-trigger":        { severity: "warn",  description: "A trigger starts no flow" },
+  "unreachable-flow":      { severity: "warn",  description: "No chain from an entry trigger leads to a flow — its event trigger's emitter acts in no reachable flow" },
+  "async-loop":            { severity: "warn",  description: "continues_async chains loop back to a flow already in the chain" },
+  "retry-cycle":           { severity: "warn",  description: "An error.goto jumps back to its own or an earlier step without stating a retry limit" },
+
+  // Interfaces (node exposes / consumes)
+  "invalid-interface":     { severity: "warn",  description: "An exposes / consumes entry is not protocol-prefixed, e.g. rest:POST /orders or event:order.created" },
+  "unconsumed-event":      { severity: "warn",  description: "A node exposes an event that no node consumes" },
+  "unexposed-event":       { severity: "warn",  description: "A node consumes an event that no node exposes" },
+  "unreachable-interface": { severity: "warn",  description: "A node consumes a REST / gRPC interface but has no edge to any node exposing it" },
+  "unknown-flow-event":    { severity: "warn",  description: "A flow's outcome.side_effects or continues_async.via_event names an event no node exposes" },
+
+  // Trigger supplemental fields
+  "missing-trigger-field": { severity: "warn",  description: "A trigger lacks a supplemental field its kind expects, e.g. schedule on a scheduled trigger" },
+  "stray-trigger-field":   { severity: "warn",  description: "A trigger carries a supplemental field that belongs to another kind, e.g. interaction on a webhook" },
+  "invalid-cron":          { severity: "error", description: "schedule.cron is not a valid five-field cron expression, or can never fire" },
+  "unknown-timezone":      { severity: "error", description: "schedule.timezone is not an IANA time zone" },
+
+  // Stdlib vocabulary
+  "unknown-node-kind":     { severity: "warn",  description: "A node kind is neither in stdlib nor namespaced" },
+  "unknown-edge-protocol": { severity: "warn",  description: "An edge protocol is neither in stdlib nor namespaced" },
+  "unknown-trigger-kind":  { severity: "warn",  description: "A trigger kind is neither in stdlib nor namespaced" },
+  "undeclared-kind":       { severity: "warn",  description: "A namespaced kind or protocol is not declared in the project kinds extension" },
+  "invalid-kinds-extension": { severity: "error", description: "The kinds extension named by manifest.json is missing, fails kinds.schema.json, or has unnamespaced entries or dangling references" },
+
+  // Protocol compatibility (stdlib metadata)
+  "protocol-style":        { severity: "warn",  description: "An edge's style contradicts its protocol's stdlib style, e.g. kafka marked sync" },
+  "protocol-delivery":     { severity: "warn",  description: "An edge's reliability.delivery promises more than its protocol's stdlib delivery_guarantee" },
+  "atypical-protocol":     { severity: "warn",  description: "An edge's protocol is outside the typical_protocols of both endpoint kinds" },
+
+  // Architecture policies — violations report under "policy:<id>"
+  "invalid-policy":        { severity: "error", description: "A policy pack is missing, unreadable, fails policies.schema.json, or repeats a policy id" },
+};
+
+// ── Config ────────────────────────────────────────────────────────────────────
+
+/** Returns the path of the nearest .sdlrc at or above `startDir`, or null. */
+export function findConfig(startDir) {
+  let dir = resolve(startDir);
+  for (;;) {
+    const candidate = join(dir, CONFIG_FILE);
+    if (existsSync(candidate)) return candidate;
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Loads and checks a .sdlrc file.
+ * Returns { path, rules, policies, problems } — `rules` holds only valid overrides;
+ * `policies` lists the policy packs chosen ("stdlib" or absolute paths), null when the
+ * file does not choose; `problems` lists { severity, message } entries to surface as
+ * invalid-config findings.
+ */
+export function loadConfig(path) {
+  const config = { path, rules: {}, policies: null, problems: [] };
+  if (!path) return config;
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    config.problems.push({ severity: "error", message: `Failed to read ${CONFIG_FILE}: ${e.message}` });
+    return config;
+  }
+
+  for (const [rule, severity] of Object.entries(raw?.rules ?? {})) {
+    if (!RULES[rule] && !rule.startsWith(POLICY_RULE_PREFIX)) {
+      config.problems.push({ severity: "warn", message: `Unknown rule "${rule}" — available rules: sdl --list-rules` });
+    } else if (!SEVERITIES.includes(severity)) {
+      config.problems.push({ severity: "error", message: `Rule "${rule}": severity must be one of ${SEVERITIES.join(", ")} (got ${JSON.stringify(severity)})` });
+    } else {
+      config.rules[rule] = severity;
+    }
+  }
+
+  if (raw?.policies !== undefined) {
+    if (!Array.isArray(raw.policies) || !raw.policies.every((p) => typeof p === "string" && p !== "")) {
+      config.problems.push({ severity: "error", message: `"policies" must be a list of policy packs, e.g. ["stdlib", "./policies.json"]` });
+    } else {
+      config.policies = raw.policies.map((p) => (p === "stdlib" ? p : resolve(dirname(path), p)));
+    }
+  }
+  return config;
+}
+
+/**
+ * Effective severity of a rule under a loaded config. `fallback` is the default of a
+ * rule outside RULES — a policy's own severity.
+ */
+export function ruleSeverity(config, rule, fallback = "error") {
+  return config.rules[rule] ?? RULES[rule]?.severity ?? fallback;
+}
+
+// ── Inline suppression ────────────────────────────────────────────────────────
+
+/**
+ * Builds a lookup of inline suppressions from loaded SDL files.
+ * `filesData` maps file name → parsed array, e.g. { "nodes.json": [...] }.
+ * Returns Map<"file#id", Set<rule>>.
+ */
+export function collectSuppressions(filesData) {
+  const suppressions = new Map();
+  for (const [file, items] of Object.entries(filesData)) {
+    if (!Array.isArray(items)) continue;
+    for (const item of items) {
+      const list = item?.meta?.[SUPPRESS_KEY];
+      if (item?.id && Array.isArray(list)) suppressions.set(`${file}#${item.id}`, new Set(list));
+    }
+  }
+  return suppressions;
+}
+
+export function isSuppressed(suppressions, { file, id }, rule) {
+  if (!file || !id) return false;
+  return suppressions.get(`${file}#${id}`)?.has(rule) ?? false;
+}
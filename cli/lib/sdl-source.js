@@ -0,0 +1,110 @@
+/**
+ * SDL source loading
+ *
+ * Loads the five SDL files of one system either from a directory on disk or from
+ * the same directory at a git ref — the same `git show <ref>:<path>` approach
+ * validate.js uses to read spec schemas from `spec-v*` tags.
+ *
+ * A source spec is either:
+ *   examples/ecommerce-checkout          — working-tree directory
+ *   main:examples/ecommerce-checkout     — that directory at git ref "main"
+ *
+ * Paths in the `<ref>:<dir>` form are relative to the current working directory.
+ * Each file may be JSON, JSON5 or YAML — see formats.js.
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from "fs";
+import { resolve, join, relative, basename } from "path";
+import { execFileSync } from "child_process";
+import { resolveSourceFile, sourceCandidates, parseSdlText } from "./formats.js";
+
+export const SDL_FILES = {
+  manifest: "manifest.json",
+  nodes:    "nodes.json",
+  edges:    "edges.json",
+  triggers: "triggers.json",
+  flows:    "flows.json",
+};
+
+/**
+ * Parses a source spec into { ref, dir, label }.
+ * An existing directory always wins, so paths containing ":" still work.
+ */
+export function parseSource(spec) {
+  if (existsSync(spec) && statSync(spec).isDirectory()) {
+    return { ref: null, dir: resolve(spec), label: spec };
+  }
+  const sep = spec.indexOf(":");
+  if (sep > 0) {
+    return { ref: spec.slice(0, sep), dir: resolve(spec.slice(sep + 1) || "."), label: spec };
+  }
+  throw new Error(`SDL directory not found: ${spec}`);
+}
+
+function gitRefExists(ref) {
+  try {
+    execFileSync("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { stdio: "pipe" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Returns { name, text } for the variant of `file` the source provides, or null. */
+function readSourceFile(source, file) {
+  if (!source.ref) {
+    const name = resolveSourceFile(source.dir, file);
+    if (!name) return null;
+    return { name, text: readFileSync(join(source.dir, name), "utf8") };
+  }
+
+  for (const name of sourceCandidates(file)) {
+    // git show resolves "./" relative to the working directory
+    const rel = relative(process.cwd(), join(source.dir, name)).split("\\").join("/");
+    try {
+      const text = execFileSync("git", ["show", `${source.ref}:./${rel}`], { encoding: "utf8", stdio: "pipe" });
+      return { name, text };
+    } catch {
+      // File does not exist at that ref — try the next format
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads { manifest, nodes, edges, triggers, flows } from a parsed source.
+ * Missing files load as null (manifest) or [] (arrays), but a `<ref>:<dir>` with none of
+ * them — a mistyped path, or a directory that did not exist at that ref — throws, as a
+ * missing working-tree directory does in parseSource(). Parse errors throw.
+ */
+export function loadSdl(source) {
+  if (source.ref && !gitRefExists(source.ref)) {
+    throw new Error(`git ref not found: ${source.ref}`);
+  }
+
+  const sdl = {};
+  let loaded = 0;
+  for (const [key, file] of Object.entries(SDL_FILES)) {
+    const found = readSourceFile(source, file);
+    if (found === null) {
+      sdl[key] = key === "manifest" ? null : [];
+      continue;
+    }
+    loaded++;
+    const where = source.ref ? `${source.ref}:${found.name}` : join(source.dir, found.name);
+    sdl[key] = parseSdlText(found.text, where);
+  }
+  if (source.ref && loaded === 0) {
+    throw new Error(`SDL directory not found: ${source.label ?? `${source.ref}:${relative(process.cwd(), source.dir) || "."}`}`);
+  }
+  sdl.name = sdl.manifest?.name || basename(source.dir);
+  return sdl;
+}
+
+/** The subdirectories of `dir` — one system each, as in examples/ — sorted by path. */
+export function findExampleDirs(dir) {
+  return readdirSync(dir)
+    .map((name) => join(dir, name))
+    .filter((p) => statSync(p).isDirectory())
+    .sort();
+}
@@ -0,0 +1,120 @@
+/**
+ * Spec schema loading
+ *
+ * Reads the spec/*.schema.json files (and spec/migrations/*.json) either from the
+ * working tree or from a git ref — usually a `spec-v<sdlVersion>` tag — via
+ * `git show <ref>:<path>`, so no copies of old versions need to live on disk.
+ */
+
+import { readFileSync, readdirSync, existsSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { execFileSync } from "child_process";
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export const SCHEMA_NAMES = ["node", "edge", "trigger", "flow"];
+
+export const MIGRATIONS_DIR = "spec/migrations";
+
+/** The spec version before any was tagged or shipped a migration. */
+export const INITIAL_SPEC_VERSION = "0.1";
+
+/** The git tag that pins a spec version, e.g. "0.1" → "spec-v0.1". */
+export function specTag(sdlVersion) {
+  return `spec-v${sdlVersion}`;
+}
+
+export function gitTagExists(tag) {
+  try {
+    execFileSync("git", ["rev-parse", "--verify", "--quiet", `refs/tags/${tag}`], { stdio: "pipe", cwd: ROOT });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function gitRefExists(ref) {
+  try {
+    execFileSync("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { stdio: "pipe", cwd: ROOT });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a JSON file under the repository root — from git `ref` when given, else the
+ * working tree. Returns null when the file does not exist there.
+ */
+export function readSpecFile(file, ref = null) {
+  let text;
+
+  if (ref) {
+    try {
+      text = execFileSync("git", ["show", `${ref}:${file}`], { encoding: "utf8", stdio: "pipe", cwd: ROOT });
+    } catch {
+      return null;
+    }
+  } else {
+    if (!existsSync(join(ROOT, file))) return null;
+    text = readFileSync(join(ROOT, file), "utf8");
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Failed to parse ${ref ? `${ref}:` : ""}${file}: ${e.message}`);
+  }
+}
+
+/** Reads spec/<name>.schema.json — from git `ref` when given, else the working tree. */
+export function readSpecSchema(name, ref = null) {
+  return readSpecFile(`spec/${name}.schema.json`, ref);
+}
+
+// ── Versions ──────────────────────────────────────────────────────────────────
+
+/** Orders dotted versions numerically: "0.9" < "0.10" < "1.0". */
+export function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number), pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+/** Spec versions that have a `spec-v*` tag, in ascending order. */
+export function taggedSpecVersions() {
+  let out;
+  try {
+    out = execFileSync("git", ["tag", "--list", "spec-v*"], { encoding: "utf8", stdio: "pipe", cwd: ROOT });
+  } catch {
+    return [];
+  }
+  return out.split("\n")
+    .map((tag) => /^spec-v(\d+(?:\.\d+)*)$/.exec(tag.trim())?.[1])
+    .filter(Boolean)
+    .sort(compareVersions);
+}
+
+/**
+ * Every version with a spec-v* tag or a migration file in `dir` (the working tree's
+ * spec/migrations unless given), in ascending order.
+ */
+export function knownSpecVersions(dir = join(ROOT, MIGRATIONS_DIR)) {
+  const versions = new Set(taggedSpecVersions());
+  if (existsSync(dir)) {
+    for (const name of readdirSync(dir)) {
+      const m = /^(\d+(?:\.\d+)*)\.json$/.exec(name);
+      if (m) versions.add(m[1]);
+    }
+  }
+  return [...versions].sort(compareVersions);
+}
+
+/** The sdlVersion new files are written for — the newest known version. */
+export function currentSpecVersion() {
+  return knownSpecVersions().pop() ?? INITIAL_SPEC_VERSION;
+}
@@ -0,0 +1,202 @@
+/**
+ * Architecture metrics — the numbers behind `sdl stats`
+ *
+ * computeStats() takes one system as loaded by lib/sdl-source.js and measures:
+ *
+ *   nodes        fan-in / fan-out over edges, and the flows each node acts in
+ *   edges        the flows whose steps travel over each edge, and the sync / async share
+ *   flows        step count, steps declaring an `error`, and the longest synchronous
+ *                call chain — the deepest run of nested sync calls in the steps
+ *   coupling     edges between tag groups, e.g. nodes tagged team-checkout and
+ *                team-payments when the prefix is "team-"
+ *   manifest     the manifest.json "stats" block against the real counts
+ *
+ * An edge's style is its own `style`, else its protocol's style in the stdlib (see
+ * lib/stdlib.js). Bidirectional edges count towards both ends' fan-in and fan-out.
+ *
+ * This module is pure — stats.js formats the result.
+ */
+
+import { stdlibEntries } from "./stdlib.js";
+
+export const DEFAULT_TAG_PREFIX = "team-";
+
+const list = (value) => (Array.isArray(value) ? value.filter((item) => item && typeof item === "object") : []);
+
+/** Share of `part` in `whole` as a fraction rounded to 3 places; 0 when whole is 0. */
+function share(part, whole) {
+  return whole === 0 ? 0 : Math.round((part / whole) * 1000) / 1000;
+}
+
+/** "sync", "async" or null — the edge's own style, else its protocol's. */
+export function edgeStyle(edge, protocols) {
+  return edge.style ?? protocols.get(edge.protocol)?.style ?? null;
+}
+
+// ── Sync call chains ──────────────────────────────────────────────────────────
+
+/**
+ * The longest synchronous call chain in a flow, as { hops, nodes, edges }. Steps are
+ * walked in order, keeping the current call path: a sync step whose edge starts on the
+ * path calls one level deeper from there, one that starts elsewhere begins a new path,
+ * and an async hand-off ends it. Steps without `via` are internal and leave it alone.
+ */
+export function longestSyncChain(flow, edgeById, protocols) {
+  let path = [];      // [{ node, edge }] — edge is the one that reached node
+  let best = [];
+
+  for (const step of list(flow.steps)) {
+    const edge = edgeById.get(step.via);
+    if (!edge) continue;
+    if (edgeStyle(edge, protocols) !== "sync") { path = []; continue; }
+
+    const at = path.findIndex((p) => p.node === edge.source);
+    path = at >= 0 ? path.slice(0, at + 1) : [{ node: edge.source, edge: null }];
+    path.push({ node: edge.target, edge: edge.id });
+    if (path.length > best.length) best = path;
+  }
+
+  return {
+    hops:  Math.max(best.length - 1, 0),
+    nodes: best.map((p) => p.node),
+    edges: best.slice(1).map((p) => p.edge),
+  };
+}
+
+// ── Tag coupling ──────────────────────────────────────────────────────────────
+
+/**
+ * Edges between tag groups: a node's group is its first tag starting with `prefix`.
+ * Returns { prefix, groups: { group: nodeCount }, ungrouped, pairs: [{ from, to, edges }] }
+ * — pairs only across different groups, most coupled first.
+ */
+export function tagCoupling(nodes, edges, prefix = DEFAULT_TAG_PREFIX) {
+  const groupOf = new Map();
+  const groups = {};
+  let ungrouped = 0;
+  for (const node of nodes) {
+    const group = Array.isArray(node.tags) ? node.tags.find((t) => typeof t === "string" && t.startsWith(prefix)) : undefined;
+    if (group) {
+      groupOf.set(node.id, group);
+      groups[group] = (groups[group] ?? 0) + 1;
+    } else {
+      ungrouped++;
+    }
+  }
+
+  const counts = new Map();
+  for (const edge of edges) {
+    const from = groupOf.get(edge.source), to = groupOf.get(edge.target);
+    if (!from || !to || from === to) continue;
+    const key = `${from}\n${to}`;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+  const pairs = [...counts].map(([key, count]) => {
+    const [from, to] = key.split("\n");
+    return { from, to, edges: count };
+  }).sort((a, b) => b.edges - a.edges || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+  return { prefix, groups, ungrouped, pairs };
+}
+
+// ── Manifest stats ────────────────────────────────────────────────────────────
+
+/**
+ * Compares the manifest.json "stats" block with the actual `counts`.
+ * Returns null when the manifest declares none, else [{ field, declared, actual }]
+ * for every declared field — `actual` is null for fields stats does not compute.
+ */
+export function manifestDrift(manifest, counts) {
+  const declared = manifest?.stats;
+  if (!declared || typeof declared !== "object") return null;
+  return Object.entries(declared).map(([field, value]) => ({
+    field,
+    declared: value,
+    actual: Object.hasOwn(counts, field) ? counts[field] : null,
+  }));
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+/**
+ * Measures one system { manifest, nodes, edges, triggers, flows } against `stdlib`
+ * (for protocol styles). Options: tagPrefix — the tag prefix that groups nodes.
+ */
+export function computeStats(sdl, stdlib, { tagPrefix = DEFAULT_TAG_PREFIX } = {}) {
+  const nodes    = list(sdl.nodes);
+  const edges    = list(sdl.edges);
+  const triggers = list(sdl.triggers);
+  const flows    = list(sdl.flows);
+
+  const protocols = new Map(stdlibEntries(stdlib, "edge_protocols"));
+  const edgeById  = new Map(edges.map((e) => [e.id, e]));
+  const steps     = flows.flatMap((f) => list(f.steps));
+
+  const counts = {
+    nodes:    nodes.length,
+    edges:    edges.length,
+    triggers: triggers.length,
+    flows:    flows.length,
+    steps:    steps.length,
+  };
+
+  // Flows each node acts in (as a step actor or an end of a step's edge) and each edge carries
+  const nodeFlows = new Map(nodes.map((n) => [n.id, new Set()]));
+  const edgeFlows = new Map(edges.map((e) => [e.id, new Set()]));
+  for (const flow of flows) {
+    for (const step of list(flow.steps)) {
+      nodeFlows.get(step.actor)?.add(flow.id);
+      const edge = edgeById.get(step.via);
+      if (!edge) continue;
+      edgeFlows.get(edge.id).add(flow.id);
+      nodeFlows.get(edge.source)?.add(flow.id);
+      nodeFlows.get(edge.target)?.add(flow.id);
+    }
+  }
+
+  const fanIn = new Map(), fanOut = new Map();
+  const bump = (map, id) => map.set(id, (map.get(id) ?? 0) + 1);
+  for (const edge of edges) {
+    bump(fanOut, edge.source);
+    bump(fanIn,  edge.target);
+    if (edge.direction === "bidirectional") {
+      bump(fanOut, edge.target);
+      bump(fanIn,  edge.source);
+    }
+  }
+
+  const styles = { sync: 0, async: 0, unknown: 0 };
+  for (const edge of edges) {
+    const style = edgeStyle(edge, protocols);
+    styles[style === "sync" || style === "async" ? style : "unknown"]++; // "batch" is no style either
+  }
+
+  const withError = steps.filter((s) => s.error && typeof s.error === "object").length;
+
+  return {
+    name: sdl.name ?? sdl.manifest?.name ?? null,
+    counts,
+    nodes: nodes.map((n) => ({
+      id:     n.id,
+      kind:   n.kind,
+      fanIn:  fanIn.get(n.id) ?? 0,
+      fanOut: fanOut.get(n.id) ?? 0,
+      flows:  nodeFlows.get(n.id)?.size ?? 0,
+    })),
+    edges: edges.map((e) => ({
+      id:       e.id,
+      protocol: e.protocol,
+      style:    edgeStyle(e, protocols),
+      flows:    edgeFlows.get(e.id)?.size ?? 0,
+    })),
+    edgeStyles: { ...styles, syncShare: share(styles.sync, edges.length), asyncShare: share(styles.async, edges.length) },
+    flows: flows.map((f) => {
+      const own = list(f.steps);
+      const errors = own.filter((s) => s.error && typeof s.error === "object").length;
+      return { id: f.id, steps: own.length, errorSteps: errors, longestSyncChain: longestSyncChain(f, edgeById, protocols) };
+    }),
+    errorHandling: { steps: steps.length, withError, share: share(withError, steps.length) },
+    coupling: tagCoupling(nodes, edges, tagPrefix),
+    manifest: manifestDrift(sdl.manifest, counts),
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * The SDL standard library — stdlib/kinds.json
+ *
+ * Three vocabularies (node_kinds, edge_protocols, trigger_kinds) whose entries refer
+ * to each other and to the spec: a node kind's typical_protocols name edge protocols,
+ * every entry names a category, and a trigger kind's supplemental_fields name
+ * properties of spec/trigger.schema.json. checkStdlib() verifies the file against
+ * stdlib/kinds.schema.json and those references, so the validator never reasons from
+ * a dangling one; `sdl stdlib-check` runs it in CI.
+ *
+ * Projects add namespaced kinds in an extension file of the same format, named by
+ * manifest.json "kinds" — see loadKindsExtension(). Tools use loadProjectStdlib() to
+ * get the stdlib merged with it.
+ */
+
+import Ajv from "ajv";
+import { readFileSync, existsSync } from "fs";
+import { join, resolve } from "path";
+import { ROOT, readSpecSchema } from "./spec.js";
+import { parseSdlText } from "./formats.js";
+import { escapePointer } from "./positions.js";
+
+export const STDLIB_FILE       = join("stdlib", "kinds.json");
+export const KINDS_SCHEMA_FILE = join("stdlib", "kinds.schema.json");
+
+export const VOCABULARIES = ["node_kinds", "edge_protocols", "trigger_kinds"];
+
+/** Delivery guarantees, weakest first — a later one promises more than an earlier one. */
+export const DELIVERY_GUARANTEES = ["at-most-once", "at-least-once", "exactly-once"];
+
+/** Reads and parses stdlib/kinds.json. */
+export function loadStdlib() {
+  const path = join(ROOT, STDLIB_FILE);
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to parse ${path}: ${e.message}`);
+  }
+}
+
+/** The entries of one vocabulary as [name, definition] pairs, without "_comment" keys. */
+export function stdlibEntries(stdlib, vocabulary) {
+  const entries = stdlib?.[vocabulary];
+  if (!entries || typeof entries !== "object") return [];
+  return Object.entries(entries).filter(([name]) => !name.startsWith("_"));
+}
+
+/** The names defined in one vocabulary. */
+export function stdlibNames(stdlib, vocabulary) {
+  return new Set(stdlibEntries(stdlib, vocabulary).map(([name]) => name));
+}
+
+// ── Project extensions ────────────────────────────────────────────────────────
+
+/**
+ * Reads the project kinds extension named by manifest.json "kinds" — a path relative
+ * to `dir`, in any format lib/formats.js reads:
+ *
+ *   { "sdlVersion": "0.1", "kinds": "./kinds.json" }
+ *
+ * The file has the stdlib's format (stdlib/kinds.schema.json) and declares namespaced
+ * entries, e.g. node_kinds["acme:iot-device"], plus any categories they need.
+ *
+ * Returns null when the manifest declares no extension, else { path, text, data,
+ * problems } — `data` is null unless the file parsed, and `problems` lists
+ * { pointer, message, line, column } for everything checkExtension() finds.
+ */
+export function loadKindsExtension(manifest, dir, stdlib = loadStdlib()) {
+  if (manifest?.kinds === undefined) return null;
+  if (typeof manifest.kinds !== "string" || manifest.kinds === "") {
+    return { path: null, text: null, data: null, problems: [{ pointer: null, message: `manifest.json "kinds" must be a path, e.g. "./kinds.json"` }] };
+  }
+
+  const path = resolve(dir, manifest.kinds);
+  const extension = { path, text: null, data: null, problems: [] };
+  if (!existsSync(path)) {
+    extension.problems.push({ pointer: null, message: `Kinds extension ${manifest.kinds} not found` });
+    return extension;
+  }
+
+  try {
+    extension.text = readFileSync(path, "utf8");
+    extension.data = parseSdlText(extension.text, path);
+  } catch (e) {
+    extension.problems.push({ pointer: null, message: e.message, line: e.line ?? null, column: e.column ?? null });
+    return extension;
+  }
+
+  extension.problems.push(...checkExtension(extension.data, stdlib));
+  return extension;
+}
+
+/**
+ * The stdlib with an extension's entries and categories added. Extension entries
+ * never replace stdlib ones — checkExtension() reports any that try.
+ */
+export function mergeStdlib(stdlib, extension) {
+  if (!extension || typeof extension !== "object") return stdlib;
+  const categories = extension.categories && typeof extension.categories === "object" ? extension.categories : {};
+  const merged = { ...stdlib, categories: { ...categories, ...stdlib.categories } };
+  for (const vocabulary of VOCABULARIES) {
+    const added = Object.fromEntries(stdlibEntries(extension, vocabulary));
+    merged[vocabulary] = { ...added, ...stdlib[vocabulary] };
+  }
+  return merged;
+}
+
+/**
+ * The stdlib merged with the project extension of the SDL directory `dir`.
+ * Returns { stdlib, extension } — extension as from loadKindsExtension(), or null.
+ */
+export function loadProjectStdlib(manifest, dir) {
+  const stdlib = loadStdlib();
+  const extension = loadKindsExtension(manifest, dir, stdlib);
+  return { stdlib: extension?.data ? mergeStdlib(stdlib, extension.data) : stdlib, extension };
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+let validateSchema = null;
+
+// Problems with `data` against stdlib/kinds.schema.json
+function schemaProblems(data) {
+  if (!validateSchema) {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    validateSchema = ajv.compile(JSON.parse(readFileSync(join(ROOT, KINDS_SCHEMA_FILE), "utf8")));
+  }
+  if (validateSchema(data)) return [];
+  return validateSchema.errors
+    .filter((err) => err.keyword !== "allOf")
+    .map((err) => {
+      const extra = err.keyword === "additionalProperties" ? `/${escapePointer(err.params.additionalProperty)}` : "";
+      return { pointer: err.instancePath + extra, message: `${err.instancePath || "(root)"} ${err.message}` };
+    });
+}
+
+// Dangling references from the entries of `data` into `known` (the merged vocabulary)
+function referenceProblems(data, known) {
+  const problems = [];
+  const report = (pointer, message) => problems.push({ pointer, message });
+
+  const categories   = new Set(Object.keys(known.categories ?? {}));
+  const protocols    = stdlibNames(known, "edge_protocols");
+  const triggerProps = new Set(Object.keys(readSpecSchema("trigger")?.properties ?? {}));
+
+  for (const vocabulary of VOCABULARIES) {
+    for (const [name, def] of stdlibEntries(data, vocabulary)) {
+      if (typeof def?.category === "string" && !categories.has(def.category)) {
+        report(`/${vocabulary}/${escapePointer(name)}/category`, `${vocabulary}.${name}: category "${def.category}" is not defined under "categories"`);
+      }
+    }
+  }
+
+  for (const [name, def] of stdlibEntries(data, "node_kinds")) {
+    if (!Array.isArray(def?.typical_protocols)) continue;
+    def.typical_protocols.forEach((protocol, i) => {
+      if (!protocols.has(protocol)) {
+        report(`/node_kinds/${escapePointer(name)}/typical_protocols/${i}`, `node_kinds.${name}: typical protocol "${protocol}" is not defined under "edge_protocols"`);
+      }
+    });
+  }
+
+  for (const [name, def] of stdlibEntries(data, "trigger_kinds")) {
+    if (!Array.isArray(def?.supplemental_fields)) continue;
+    def.supplemental_fields.forEach((field, i) => {
+      if (!triggerProps.has(field)) {
+        report(`/trigger_kinds/${escapePointer(name)}/supplemental_fields/${i}`, `trigger_kinds.${name}: supplemental field "${field}" is not a property in spec/trigger.schema.json`);
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Checks stdlib/kinds.json against its schema and for dangling references.
+ * Returns [{ pointer, message }] — JSON pointers into kinds.json; empty when sound.
+ */
+export function checkStdlib(stdlib) {
+  return [...schemaProblems(stdlib), ...referenceProblems(stdlib, stdlib)];
+}
+
+/**
+ * Checks a project kinds extension: the schema, that every entry is namespaced
+ * ("acme:iot-device") so it cannot shadow the stdlib, and that its references
+ * resolve against the stdlib merged with it. Returns [{ pointer, message }].
+ */
+export function checkExtension(data, stdlib) {
+  const problems = schemaProblems(data);
+  if (!data || typeof data !== "object" || Array.isArray(data)) return problems;
+
+  for (const vocabulary of VOCABULARIES) {
+    for (const [name] of stdlibEntries(data, vocabulary)) {
+      if (!name.includes(":")) {
+        const hint = stdlibNames(stdlib, vocabulary).has(name) ? "stdlib names cannot be redefined" : `e.g. "acme:${name}"`;
+        problems.push({ pointer: `/${vocabulary}/${escapePointer(name)}`, message: `${vocabulary}."${name}" is not namespaced — ${hint}` });
+      }
+    }
+  }
+  return [...problems, ...referenceProblems(data, mergeStdlib(stdlib, data))];
+}
@@ -0,0 +1,168 @@
+/**
+ * Flow step ids — parser and step tree
+ *
+ * The flow schema numbers steps hierarchically:
+ *
+ *   1.0, 2.0, 3.0      sequential steps
+ *   2.a, 2.b           branches of step 2 (parallel when marked parallel: true)
+ *   2.a.1, 2.a.2       sub-steps of branch 2.a
+ *   2.a.1.a            branches of sub-step 2.a.1, and so on
+ *
+ * Grammar:
+ *   step-id  = INT "." ( "0" | branch )
+ *   branch   = LETTER [ "." INT [ "." branch ] ]
+ *   INT      = 1-9 followed by digits      LETTER = a-z
+ *
+ * Segments alternate integer / letter by depth. "N.0" names group N itself, so its
+ * key is [N]; "2.a.1" has key [2, "a", 1]. Keys order steps: a parent sorts before
+ * its children, and siblings sort by number or letter.
+ *
+ * This module is pure — it parses and builds the tree; lib/validator.js decides what
+ * to report. Other tools (renderers, MCP) can reuse buildStepTree().
+ */
+
+const INT_RE    = /^[1-9][0-9]*$/;
+const LETTER_RE = /^[a-z]$/;
+
+/**
+ * Parses a step id.
+ * Returns { id, key, valid: true } or { id, key: null, valid: false, error }.
+ */
+export function parseStepId(id) {
+  if (typeof id !== "string" || id === "") {
+    return { id, key: null, valid: false, error: "step id must be a non-empty string" };
+  }
+
+  const segments = id.split(".");
+  if (segments.length < 2) {
+    return { id, key: null, valid: false, error: `"${id}" must have at least two segments, e.g. "1.0" or "2.a"` };
+  }
+  if (!INT_RE.test(segments[0])) {
+    return { id, key: null, valid: false, error: `"${id}" must start with a positive integer` };
+  }
+  if (segments[1] === "0") {
+    if (segments.length > 2) {
+      return { id, key: null, valid: false, error: `"${id}": sequential step "${segments[0]}.0" cannot have sub-steps — use "${segments[0]}.a.1"` };
+    }
+    return { id, key: [Number(segments[0])], valid: true };
+  }
+
+  const key = [Number(segments[0])];
+  for (let i = 1; i < segments.length; i++) {
+    const seg = segments[i];
+    const wantLetter = i % 2 === 1;
+    if (wantLetter ? !LETTER_RE.test(seg) : !INT_RE.test(seg)) {
+      const expected = wantLetter ? "a lowercase letter" : "a positive integer";
+      return { id, key: null, valid: false, error: `"${id}": segment ${i + 1} ("${seg}") must be ${expected}` };
+    }
+    key.push(wantLetter ? seg : Number(seg));
+  }
+  return { id, key, valid: true };
+}
+
+/** Orders two step keys: negative if a sorts before b. */
+export function compareStepKeys(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return a.length - b.length;
+}
+
+/** Canonical id for a key, e.g. [2] → "2.0", [2, "a", 1] → "2.a.1". */
+export function stepIdForKey(key) {
+  return key.length === 1 ? `${key[0]}.0` : key.join(".");
+}
+
+/** The segment that would follow `seg` among siblings: 2 → 3, "a" → "b". */
+function nextSegment(seg) {
+  return typeof seg === "number" ? seg + 1 : String.fromCharCode(seg.charCodeAt(0) + 1);
+}
+
+/**
+ * Builds the step tree for a flow's steps array.
+ *
+ * Returns {
+ *   root,        — { key: [], step: null, children: [...] }
+ *   byId,        — Map<stepId, node> for valid, non-duplicate ids
+ *   invalid,     — [{ step, index, error }] ids that do not match the grammar
+ *   duplicates,  — [{ step, index, first }] repeats of an id already seen at index `first`
+ * }
+ *
+ * Each node is { key, id, step, index, parent, children }. Nodes for groups that have
+ * branches but no "N.0" step of their own (e.g. group 4 of 4.a / 4.b) are synthetic:
+ * step and index are null. Children are sorted by key.
+ */
+export function buildStepTree(steps) {
+  const root = { key: [], id: null, step: null, index: null, parent: null, children: [] };
+  const byId = new Map();
+  const invalid = [];
+  const duplicates = [];
+  const firstIndex = new Map();
+
+  const nodeFor = (key) => {
+    let node = root;
+    for (let depth = 1; depth <= key.length; depth++) {
+      const seg = key[depth - 1];
+      let child = node.children.find((c) => c.key[depth - 1] === seg);
+      if (!child) {
+        child = { key: key.slice(0, depth), id: null, step: null, index: null, parent: node, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    }
+    return node;
+  };
+
+  (steps ?? []).forEach((step, index) => {
+    const parsed = parseStepId(step?.id);
+    if (!parsed.valid) {
+      invalid.push({ step, index, error: parsed.error });
+      return;
+    }
+    if (firstIndex.has(step.id)) {
+      duplicates.push({ step, index, first: firstIndex.get(step.id) });
+      return;
+    }
+    firstIndex.set(step.id, index);
+
+    const node = nodeFor(parsed.key);
+    node.id = step.id;
+    node.step = step;
+    node.index = index;
+    byId.set(step.id, node);
+  });
+
+  const sortTree = (node) => {
+    node.children.sort((a, b) => compareStepKeys(a.key, b.key));
+    node.children.forEach(sortTree);
+  };
+  sortTree(root);
+
+  return { root, byId, invalid, duplicates };
+}
+
+/**
+ * Numbering gaps among a node's children, e.g. 1.0, 2.0, 4.0 → [{ expected: [3], found: node 4 }].
+ * Numbering starts at 1 for integers and "a" for letters.
+ */
+export function siblingGaps(node) {
+  const gaps = [];
+  let expected = null;
+  for (const child of node.children) {
+    const seg = child.key[child.key.length - 1];
+    const first = typeof seg === "number" ? 1 : "a";
+    const want = expected ?? first;
+    if (seg !== want) gaps.push({ expected: [...node.key, want], found: child });
+    expected = nextSegment(seg);
+  }
+  return gaps;
+}
+
+/** Depth-first walk over every node below `node` (excluding `node` itself). */
+export function walkStepTree(node, visit) {
+  for (const child of node.children) {
+    visit(child);
+    walkStepTree(child, visit);
+  }
+}
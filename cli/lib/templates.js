@@ -0,0 +1,44 @@
+/**
+ * Starter templates for `sdl init`
+ *
+ * Each template is one JSON file in cli/templates/ holding a small, valid system:
+ *
+ *   { "description": "...", "nodes": [...], "edges": [...], "triggers": [...], "flows": [...] }
+ *
+ * The file name (without .json) is the template name. init.js writes the four arrays
+ * to their SDL files next to a fresh manifest.json.
+ */
+
+import { readFileSync, readdirSync } from "fs";
+import { join, dirname, basename } from "path";
+import { fileURLToPath } from "url";
+
+export const TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "templates");
+
+export const TEMPLATE_KEYS = ["nodes", "edges", "triggers", "flows"];
+
+/** Every template as { name, description }, sorted by name. */
+export function listTemplates() {
+  return readdirSync(TEMPLATES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({ name: basename(file, ".json"), description: readTemplateFile(file).description ?? "" }));
+}
+
+/** The { nodes, edges, triggers, flows } of template `name`. Throws for an unknown name. */
+export function loadTemplate(name) {
+  const names = listTemplates().map((t) => t.name);
+  if (!names.includes(name)) {
+    throw new Error(`Unknown template "${name}". Available: ${names.join(", ")}`);
+  }
+  const template = readTemplateFile(`${name}.json`);
+  return Object.fromEntries(TEMPLATE_KEYS.map((key) => [key, Array.isArray(template[key]) ? template[key] : []]));
+}
+
+function readTemplateFile(file) {
+  try {
+    return JSON.parse(readFileSync(join(TEMPLATES_DIR, file), "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to parse templates/${file}: ${e.message}`);
+  }
+}
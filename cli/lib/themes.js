@@ -0,0 +1,151 @@
+/**
+ * Renderer themes — renderer/themes/*.theme.json
+ *
+ * A theme sets the colors, sizes and layout spacing renderer/render.js draws with.
+ * renderer/themes/theme.schema.json lists every key. A theme file either sets them all,
+ * or names another theme under "extends" and overrides only what it changes:
+ *
+ *   { "extends": "dark", "id": "team", "name": "Team", "ui": { "accent": "#e03c8a" } }
+ *
+ * "extends" is a built-in theme name or a path relative to the extending file, and
+ * may itself extend another. Objects merge key by key; any other value replaces the
+ * inherited one. The merged theme is checked against the schema, and each problem is
+ * reported as a dotted key path ("edges.lines.dotted") in the file that caused it.
+ */
+
+import Ajv from "ajv";
+import { readFileSync, readdirSync, existsSync } from "fs";
+import { join, resolve, dirname, basename, relative } from "path";
+import { ROOT } from "./spec.js";
+
+export const THEMES_DIR        = join("renderer", "themes");
+export const THEME_SCHEMA_FILE = join(THEMES_DIR, "theme.schema.json");
+export const THEME_SUFFIX      = ".theme.json";
+export const DEFAULT_THEME     = "default";
+
+// Keys that describe the file rather than the theme — never inherited
+const FILE_KEYS = ["$schema", "extends"];
+
+/** Names of the built-in themes, sorted. */
+export function builtInThemes() {
+  const dir = join(ROOT, THEMES_DIR);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).filter((f) => f.endsWith(THEME_SUFFIX)).map((f) => basename(f, THEME_SUFFIX)).sort();
+}
+
+// A built-in name, else a path relative to `fromDir`
+function locateTheme(ref, fromDir) {
+  if (builtInThemes().includes(ref)) return join(ROOT, THEMES_DIR, `${ref}${THEME_SUFFIX}`);
+  const path = resolve(fromDir, ref);
+  if (existsSync(path)) return path;
+  throw new Error(`Theme not found: "${ref}". Built-in themes: ${builtInThemes().join(", ")}`);
+}
+
+function readThemeFile(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to parse theme ${displayPath(path)}: ${e.message}`);
+  }
+}
+
+function displayPath(path) {
+  return relative(process.cwd(), path) || path;
+}
+
+/**
+ * The theme `ref` names and the themes it extends, as [{ path, data }] — the named
+ * theme first, its base last. Throws for a missing file or a cycle.
+ */
+export function resolveThemeChain(ref, fromDir = process.cwd()) {
+  const chain = [];
+  let path = locateTheme(ref, fromDir);
+  for (;;) {
+    if (chain.some((t) => t.path === path)) {
+      throw new Error(`Theme ${displayPath(chain[0].path)} extends itself: ${[...chain.map((t) => basename(t.path)), basename(path)].join(" → ")}`);
+    }
+    const data = readThemeFile(path);
+    chain.push({ path, data });
+    if (data?.extends === undefined) return chain;
+    if (typeof data.extends !== "string") throw new Error(`Theme ${displayPath(path)}: "extends" must be a theme name or path`);
+    path = locateTheme(data.extends, dirname(path));
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** `override` laid over `base`: objects merge key by key, anything else replaces. */
+export function mergeThemes(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeThemes(base[key], value) : value;
+  }
+  return merged;
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+let validateSchema = null;
+
+// "/edges/lines" + "dotted" → "edges.lines.dotted"
+function keyPath(instancePath, key) {
+  const segments = instancePath.split("/").slice(1).map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (key !== undefined) segments.push(key);
+  return segments.join(".");
+}
+
+/**
+ * Checks a complete (merged) theme against renderer/themes/theme.schema.json.
+ * Returns [{ key, message }] — `key` is the dotted path of the offending key.
+ */
+export function checkTheme(theme) {
+  if (!validateSchema) {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    validateSchema = ajv.compile(JSON.parse(readFileSync(join(ROOT, THEME_SCHEMA_FILE), "utf8")));
+  }
+  if (validateSchema(theme)) return [];
+
+  return validateSchema.errors.map((err) => {
+    if (err.keyword === "required") {
+      const key = keyPath(err.instancePath, err.params.missingProperty);
+      return { key, message: `missing key "${key}"` };
+    }
+    if (err.keyword === "additionalProperties") {
+      const key = keyPath(err.instancePath, err.params.additionalProperty);
+      return { key, message: `unknown key "${key}"` };
+    }
+    const key = keyPath(err.instancePath);
+    return { key, message: `"${key || "(root)"}" ${err.message}` };
+  });
+}
+
+// The most derived theme in the chain that sets `key` — where a bad value came from
+function fileSetting(chain, key) {
+  const has = (data) => key.split(".").reduce((v, k) => (isObject(v) && k in v ? v[k] : undefined), data) !== undefined;
+  return (chain.find((t) => has(t.data)) ?? chain[0]).path;
+}
+
+/**
+ * Loads theme `ref` (a built-in name or a path) with everything it extends.
+ * Returns { theme, files } — files lists every theme file read, for watch mode.
+ * Throws when a file is missing or unparseable, or the merged theme is incomplete;
+ * the error's `problems` holds [{ file, path, key, pointer, message }] — `file` for
+ * display, `path` absolute, `pointer` the key as a JSON pointer into that file.
+ */
+export function loadTheme(ref = DEFAULT_THEME) {
+  const chain = resolveThemeChain(ref);
+  const theme = chain.reduceRight((merged, { data }) => mergeThemes(merged, data), {});
+  for (const key of FILE_KEYS) delete theme[key];
+
+  const problems = checkTheme(theme).map(({ key, message }) => {
+    // A missing key is the named theme's to add; anything else lies where it is set
+    const path = message.startsWith("missing key") ? chain[0].path : fileSetting(chain, key);
+    const pointer = key ? `/${key.split(".").map((k) => k.replace(/~/g, "~0").replace(/\//g, "~1")).join("/")}` : "";
+    return { file: displayPath(path), path, key, pointer, message };
+  });
+  if (problems.length > 0) {
+    const lines = problems.map((p) => `  ${p.file}: ${p.message}`);
+    throw Object.assign(new Error(`Invalid theme "${ref}":\n${lines.join("\n")}`), { problems });
+  }
+  return { theme, files: chain.map((t) => t.path) };
+}
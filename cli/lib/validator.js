@@ -0,0 +1,1202 @@
+/**
+ * SDL Validator — library API
+ *
+ *   import { validateSdl } from "sdl-cli";   // or "./lib/validator.js"
+ *
+ *   validateSdl("examples/ecommerce-checkout");
+ *   validateSdl({ manifest, nodes, edges, triggers, flows }, { baseDir: "examples/" });
+ *
+ * Runs every check on one SDL system — a directory, or the same data already in memory
+ * — and returns the findings as a plain object. It never prints, never exits and never
+ * writes; validate.js is the CLI on top of it.
+ *
+ * Options:
+ *   config    — path of a .sdlrc to use instead of the nearest one above the directory
+ *               (in-memory input only uses an explicit config)
+ *   fireTimes — next fire times to compute per scheduled trigger (default 0: none)
+ *   name      — name to report the system under (default: directory name, or
+ *               manifest.name for in-memory input)
+ *   baseDir   — directory in-memory manifest imports resolve against (default: cwd)
+ *
+ * Result:
+ *   {
+ *     name, dir,              // dir is null for in-memory input
+ *     valid,                  // no errors
+ *     errors, warnings,       // findings: { rule, severity, file, id, pointer, message }
+ *     suppressed,             // findings silenced by meta["sdl-lint-disable"]
+ *     schedules,              // next fire times, when fireTimes > 0
+ *     config,                 // path of the .sdlrc applied, or null
+ *     sources,                // canonical file name → file actually loaded, where they differ
+ *     dependencies,           // directories the result depends on (dir, imports, .sdlrc,
+ *                             //   kinds extension, policy packs)
+ *   }
+ */
+
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { readFileSync } from "fs";
+import { resolve, join, basename, dirname, relative } from "path";
+import { findConfig, loadConfig, ruleSeverity, collectSuppressions, isSuppressed } from "./rules.js";
+import { buildStepTree, compareStepKeys, siblingGaps, stepIdForKey, walkStepTree } from "./steps.js";
+import { parseCron, nextFireTimes, isValidTimeZone } from "./cron.js";
+import { loadImports, importedItems, splitRef } from "./imports.js";
+import { parseInterface, eventMentions, REQUEST_PROTOCOLS } from "./interfaces.js";
+import { analyzeReachability, retryCycles, formatChain } from "./reachability.js";
+import { findSourceFiles, parseSdlText } from "./formats.js";
+import { sourcePositions, escapePointer } from "./positions.js";
+import { SDL_FILES } from "./sdl-source.js";
+import { SCHEMA_NAMES, specTag, gitTagExists, readSpecSchema } from "./spec.js";
+import { loadProjectStdlib, stdlibEntries, stdlibNames, DELIVERY_GUARANTEES } from "./stdlib.js";
+import { loadPolicyPack, evaluatePolicy, policyRule, STDLIB_PACK } from "./policies.js";
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Returns an SDL file's data by its canonical name, e.g. "nodes.json". Throws if the
+ * file is missing or failed to parse — validateSchemas reports both.
+ */
+function loadSource(sdl, file) {
+  const entry = sdl.files.get(file);
+  if (!entry) throw new Error(`Missing ${file}`);
+  if (entry.error) throw entry.error;
+  return entry.data;
+}
+
+// Items of the wrong type are reported by validateSchemas; the other passes skip them
+const isRecord = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// An array field as a list, or none when it is missing or the wrong type
+const listOf  = (value) => (Array.isArray(value) ? value : []);
+const stepsOf = (flow) => listOf(flow?.steps);
+
+// Parse errors from lib/formats.js carry the line and column they failed at
+function errorLocation(error, file) {
+  return { file, line: error.line ?? null, column: error.column ?? null };
+}
+
+export const REQUIRED_FILES = ["nodes.json", "edges.json", "triggers.json", "flows.json"];
+
+const FILE_MAP = {
+  node:    "nodes.json",
+  edge:    "edges.json",
+  trigger: "triggers.json",
+  flow:    "flows.json",
+};
+
+// ── Result collector ──────────────────────────────────────────────────────────
+
+/**
+ * Collects findings for one SDL system.
+ *
+ * Checks call report(rule, message, loc). The rule's effective severity comes from
+ * the project .sdlrc (see lib/rules.js); rules set to "off" and findings suppressed
+ * via an item's meta["sdl-lint-disable"] are dropped (suppressed ones are counted).
+ *
+ * Each finding is a structured record:
+ *   { rule, severity, file, line, column, id, pointer, message }
+ *
+ *   rule     — stable rule id, e.g. "orphan-edge"
+ *   severity — "error" or "warning"
+ *   file     — SDL file name relative to the SDL directory, or null
+ *   line     — 1-based line in `file` where `pointer` lands (or a parse error is), or null
+ *   column   — 1-based column on that line, or null
+ *   id       — id of the offending item, or null
+ *   pointer  — JSON pointer into `file`, e.g. "/3/steps/1/via", or null
+ *   message  — human-readable description (without the [file] prefix)
+ *
+ * Checks name files canonically ("nodes.json"); `sources` maps those names to the
+ * file actually loaded (e.g. "nodes.yaml") so findings point at the real file, and
+ * `positions` maps them to lookups that turn pointers into lines (lib/positions.js).
+ * In-memory input has no text, so its findings carry no line or column.
+ */
+class Result {
+  constructor(name, dir, config, suppressions = new Map(), sources = new Map(), positions = new Map()) {
+    this.name = name;
+    this.dir = dir;
+    this.sources = sources;
+    this.positions = positions;
+    this.config = config;
+    this.suppressions = suppressions;
+    this.errors = [];
+    this.warnings = [];
+    this.suppressed = 0;
+    this.schedules = []; // Next fire times of scheduled triggers, filled when fireTimes > 0
+    this.defaults = new Map(); // Default severities of rules outside RULES — "policy:<id>"
+  }
+  report(rule, message, loc = {}) {
+    const severity = ruleSeverity(this.config, rule, this.defaults.get(rule));
+    if (severity === "off") return;
+    if (isSuppressed(this.suppressions, loc, rule)) { this.suppressed++; return; }
+    const at = { ...this.position(loc), ...loc, file: this.sources.get(loc.file) ?? loc.file };
+    if (severity === "error") this.errors.push(finding(rule, "error", message, at));
+    else                      this.warnings.push(finding(rule, "warning", message, at));
+  }
+  position({ file, pointer }) {
+    if (pointer == null) return {};
+    return this.positions.get(file)?.locate(pointer) ?? {};
+  }
+}
+
+function finding(rule, severity, message, { file = null, line = null, column = null, id = null, pointer = null } = {}) {
+  return { rule, severity, file, line, column, id, pointer, message };
+}
+
+// ── Manifest / sdlVersion ─────────────────────────────────────────────────────
+
+/**
+ * Reads manifest.json from the SDL input.
+ * Returns the parsed manifest, or null if not present.
+ * Emits a warning if missing — this will become a hard error in a future release.
+ *
+ * Expected manifest.json shape:
+ *   {
+ *     "sdlVersion": "0.1",
+ *     "name": "My Example",      // optional
+ *     "description": "...",      // optional
+ *     "imports": { "payments": "../payments" },  // optional, see lib/imports.js
+ *     "kinds": "./kinds.json"    // optional project kinds extension, see lib/stdlib.js
+ *   }
+ *
+ * Note: sdlVersion tracks the spec schemas in /spec only. It is independent of the
+ * project roadmap version and increments only when the schema files themselves change.
+ */
+function readManifest(sdl, result) {
+  const entry = sdl.files.get("manifest.json");
+
+  if (!entry) {
+    result.report(
+      "missing-manifest",
+      `Missing — add a manifest.json with { "sdlVersion": "0.1" }. ` +
+      `Validating against working-tree spec/. This will become a hard error in a future release.`,
+      { file: "manifest.json" }
+    );
+    return null;
+  }
+
+  if (entry.error) {
+    result.report("parse-error", entry.error.message, errorLocation(entry.error, "manifest.json"));
+    return null;
+  }
+
+  const manifest = entry.data;
+  if (!manifest?.sdlVersion) {
+    result.report("invalid-manifest", `Missing required field "sdlVersion"`, { file: "manifest.json", pointer: "" });
+    return null;
+  }
+
+  if (typeof manifest.sdlVersion !== "string") {
+    result.report("invalid-manifest", `"sdlVersion" must be a string, e.g. "0.1"`, { file: "manifest.json", pointer: "/sdlVersion" });
+    return null;
+  }
+
+  return manifest;
+}
+
+function reportImportProblems(imports, result) {
+  for (const { alias, message } of imports.problems) {
+    const pointer = alias === null ? "/imports" : `/imports/${escapePointer(alias)}`;
+    result.report("invalid-import", message, { file: "manifest.json", pointer });
+  }
+}
+
+/**
+ * Loads spec schemas for a given sdlVersion using git tags.
+ *
+ * Resolution order:
+ *   1. Git tag `spec-v<sdlVersion>` — fetches schemas from that exact commit (preferred).
+ *      Old examples are always validated against the spec they were written for,
+ *      with no files duplicated on disk. Git history is the source of truth.
+ *   2. Working-tree spec/ — fallback if no tag exists yet, with a warning.
+ *
+ * To create a spec version tag:
+ *   git tag spec-v0.1 && git push origin spec-v0.1
+ */
+function loadSchemas(sdlVersion, result) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  let ref = null;
+
+  if (sdlVersion) {
+    const tag = specTag(sdlVersion);
+
+    if (gitTagExists(tag)) {
+      // Read each schema file from git at the tagged commit — no disk copies needed
+      ref = tag;
+    } else {
+      result.report(
+        "missing-spec-tag",
+        `sdlVersion "${sdlVersion}" declared but git tag "${tag}" not found. ` +
+        `Falling back to working-tree spec/. ` +
+        `To pin this version: git tag ${tag} && git push origin ${tag}`,
+        { file: "manifest.json", pointer: "/sdlVersion" }
+      );
+    }
+  }
+
+  const loadSchema = (name) => {
+    const schema = readSpecSchema(name, ref);
+    if (!schema) throw new Error(`Schema spec/${name}.schema.json not found${ref ? ` at ${ref}` : ""}`);
+    return schema;
+  };
+
+  const schemas = SCHEMA_NAMES.map((name) => ({ name, schema: loadSchema(name) }));
+
+  for (const { schema } of schemas) {
+    ajv.addSchema(schema, schema["$id"]);
+  }
+
+  return { ajv, schemas };
+}
+
+// ── Deprecation warnings ──────────────────────────────────────────────────────
+
+/**
+ * Scans the spec schemas for fields marked "deprecated": true and warns if
+ * any SDL items use those fields.
+ *
+ * Spec authors mark a field as deprecated by adding "deprecated": true to the
+ * property definition in the JSON Schema, e.g.:
+ *
+ *   "legacyKind": {
+ *     "type": "string",
+ *     "deprecated": true,
+ *     "description": "Deprecated: use 'kind' instead."
+ *   }
+ *
+ * This gives SDL authors a migration window before the field is removed.
+ */
+function validateDeprecations(sdl, schemas, result) {
+  for (const { name, schema } of schemas) {
+    const deprecatedFields = Object.entries(schema.properties ?? {})
+      .filter(([, def]) => def.deprecated === true)
+      .map(([field]) => field);
+
+    if (deprecatedFields.length === 0) continue;
+
+    let data;
+    try {
+      data = loadSource(sdl, FILE_MAP[name]);
+    } catch {
+      continue; // Already reported in schema validation pass
+    }
+    if (!Array.isArray(data)) continue;
+
+    data.forEach((item, index) => {
+      if (!isRecord(item)) return; // The schema pass reports the wrong type
+      for (const field of deprecatedFields) {
+        if (Object.prototype.hasOwnProperty.call(item, field)) {
+          const loc = item.id ? `id="${item.id}"` : "(unknown id)";
+          const hint = schema.properties[field].description
+            ? ` — ${schema.properties[field].description}`
+            : "";
+          result.report(
+            "deprecated-field",
+            `${loc}: field "${field}" is deprecated${hint}`,
+            { file: FILE_MAP[name], id: item.id ?? null, pointer: `/${index}/${field}` }
+          );
+        }
+      }
+    });
+  }
+}
+
+// ── Schema validation (AJV) ───────────────────────────────────────────────────
+
+function validateSchemas(sdl, { ajv, schemas }, result) {
+  for (const { name, schema } of schemas) {
+    let data;
+
+    try {
+      data = loadSource(sdl, FILE_MAP[name]);
+    } catch (e) {
+      result.report("parse-error", e.message, errorLocation(e, FILE_MAP[name]));
+      continue;
+    }
+
+    if (!Array.isArray(data)) {
+      result.report("invalid-root", "Root value must be an array", { file: FILE_MAP[name], pointer: "" });
+      continue;
+    }
+
+    const validate = ajv.compile(schema);
+
+    data.forEach((item, index) => {
+      const valid = validate(item);
+      if (!valid) {
+        validate.errors.forEach((err) => {
+          const loc = item?.id ? `id="${item.id}"` : `index ${index}`;
+          // Point at the offending key itself, not the object that holds it
+          const extra = err.keyword === "additionalProperties" ? `/${escapePointer(err.params.additionalProperty)}` : "";
+          result.report(
+            "schema",
+            `${loc}: ${err.instancePath || "(root)"} ${err.message}`,
+            { file: FILE_MAP[name], id: item?.id ?? null, pointer: `/${index}${err.instancePath}${extra}` }
+          );
+        });
+      }
+    });
+  }
+}
+
+// ── Referential integrity ─────────────────────────────────────────────────────
+
+/**
+ * Checks that every reference resolves. Namespaced refs ("payments/payment-service")
+ * resolve against the systems imported in manifest.json (see lib/imports.js).
+ */
+function validateRefs(sdl, result, imports) {
+  let nodes, edges, triggers, flows;
+
+  try {
+    nodes    = loadSource(sdl, "nodes.json");
+    edges    = loadSource(sdl, "edges.json");
+    triggers = loadSource(sdl, "triggers.json");
+    flows    = loadSource(sdl, "flows.json");
+  } catch {
+    return; // Already reported in schema validation pass
+  }
+
+  if (
+    !Array.isArray(nodes) || !Array.isArray(edges) ||
+    !Array.isArray(triggers) || !Array.isArray(flows)
+  ) return;
+
+  const imported   = importedItems(imports);
+  const idsOf      = (items) => new Set(items.map((x) => x?.id).filter(Boolean));
+  const nodeIds    = idsOf([...nodes, ...imported.nodes]);
+  const edgeIds    = idsOf([...edges, ...imported.edges]);
+  const triggerIds = idsOf([...triggers, ...imported.triggers]);
+  const flowIds    = idsOf([...flows, ...imported.flows]);
+
+  // A namespaced ref to an undeclared alias is reported as such; one into an import
+  // that failed to load was already reported as invalid-import
+  const reportRef = (rule, ref, message, loc) => {
+    const { alias } = splitRef(ref);
+    if (alias && !imports.declared.has(alias)) {
+      result.report("unknown-import", `${message} — "${alias}" is not in manifest.json imports`, loc);
+    } else if (!alias || imports.systems.has(alias)) {
+      result.report(rule, message, loc);
+    }
+  };
+
+  // ── Edges: source + target must be real nodes
+  edges.forEach((edge, i) => {
+    if (!edge?.id) return;
+    const loc = (field) => ({ file: "edges.json", id: edge.id, pointer: `/${i}/${field}` });
+    if (edge.source && !nodeIds.has(edge.source))
+      reportRef("unknown-node-ref", edge.source, `Edge "${edge.id}": source "${edge.source}" does not reference a known node`, loc("source"));
+    if (edge.target && !nodeIds.has(edge.target))
+      reportRef("unknown-node-ref", edge.target, `Edge "${edge.id}": target "${edge.target}" does not reference a known node`, loc("target"));
+  });
+
+  // ── Triggers: optional source + target must be real nodes
+  triggers.forEach((trigger, i) => {
+    if (!trigger?.id) return;
+    const loc = (field) => ({ file: "triggers.json", id: trigger.id, pointer: `/${i}/${field}` });
+    if (trigger.source && !nodeIds.has(trigger.source))
+      reportRef("unknown-node-ref", trigger.source, `Trigger "${trigger.id}": source "${trigger.source}" does not reference a known node`, loc("source"));
+    if (trigger.target && !nodeIds.has(trigger.target))
+      reportRef("unknown-node-ref", trigger.target, `Trigger "${trigger.id}": target "${trigger.target}" does not reference a known node`, loc("target"));
+  });
+
+  // ── Flows
+  flows.forEach((flow, fi) => {
+    if (!flow?.id) return;
+    const loc = (pointer) => ({ file: "flows.json", id: flow.id, pointer: `/${fi}${pointer}` });
+    const steps = stepsOf(flow);
+
+    if (flow.trigger && !triggerIds.has(flow.trigger))
+      reportRef("unknown-trigger-ref", flow.trigger, `Flow "${flow.id}": trigger "${flow.trigger}" does not reference a known trigger`, loc("/trigger"));
+
+    const stepIds = new Set();
+    steps.forEach((step, si) => {
+      if (!step?.id) return;
+      stepIds.add(step.id);
+
+      if (step.actor && !nodeIds.has(step.actor))
+        reportRef("unknown-node-ref", step.actor, `Flow "${flow.id}" step "${step.id}": actor "${step.actor}" does not reference a known node`, loc(`/steps/${si}/actor`));
+      if (step.via && !edgeIds.has(step.via))
+        reportRef("unknown-edge-ref", step.via, `Flow "${flow.id}" step "${step.id}": via "${step.via}" does not reference a known edge`, loc(`/steps/${si}/via`));
+    });
+
+    steps.forEach((step, si) => {
+      const goto = step?.error?.goto;
+      if (goto && !stepIds.has(goto))
+        result.report("unknown-step-ref", `Flow "${flow.id}" step "${step.id}": error.goto "${goto}" does not reference a step in this flow`, loc(`/steps/${si}/error/goto`));
+    });
+
+    // Local misses stay warnings — the flow may live in a directory not yet imported
+    const checkFlowRef = (ref, what, pointer) => {
+      if (!ref || flowIds.has(ref)) return;
+      if (splitRef(ref).alias) {
+        reportRef("unknown-flow-ref", ref, `Flow "${flow.id}": ${what} "${ref}" which the imported system does not define`, loc(pointer));
+      } else {
+        result.report("unresolved-flow-ref", `Flow "${flow.id}": ${what} "${ref}" which is not in this example (if it lives in another SDL directory, add it to manifest.json imports and reference it as "<alias>/${ref}")`, loc(pointer));
+      }
+    };
+
+    listOf(flow.continues_async).forEach((cont, ci) => {
+      checkFlowRef(cont?.flow_ref, "continues_async references", `/continues_async/${ci}/flow_ref`);
+    });
+
+    listOf(flow.variants).forEach((variant, vi) => {
+      checkFlowRef(variant?.flow_ref, `variant "${variant?.label}" references flow`, `/variants/${vi}/flow_ref`);
+    });
+  });
+
+  // ── Orphan warnings
+  const usedEdgeIds = new Set(
+    flows.flatMap((f) => stepsOf(f).map((s) => s?.via).filter(Boolean))
+  );
+  edges.forEach((edge, i) => {
+    if (edge?.id && !usedEdgeIds.has(edge.id))
+      result.report("orphan-edge", `Edge "${edge.id}" is defined but not referenced in any flow step`, { file: "edges.json", id: edge.id, pointer: `/${i}` });
+  });
+
+  const usedNodeIds = new Set([
+    ...flows.flatMap((f) => stepsOf(f).map((s) => s?.actor).filter(Boolean)),
+    ...edges.flatMap((e) => [e?.source, e?.target].filter(Boolean)),
+  ]);
+  nodes.forEach((node, i) => {
+    if (node?.id && !usedNodeIds.has(node.id))
+      result.report("orphan-node", `Node "${node.id}" is defined but not referenced in any edge or flow step`, { file: "nodes.json", id: node.id, pointer: `/${i}` });
+  });
+}
+
+// ── Flow step structure ───────────────────────────────────────────────────────
+
+/**
+ * Checks step ids against the hierarchical grammar in flow.schema.json (see
+ * lib/steps.js): well-formed ids, no duplicates, listed in numbering order without
+ * gaps, and `parallel: true` only on sibling branches that are all marked alike.
+ *
+ * Steps reached only through another step's error.goto (e.g. "5.0-compensate") are
+ * error handlers outside the numbered sequence, so their ids are not grammar-checked.
+ */
+function validateSteps(sdl, result) {
+  let flows;
+  try {
+    flows = loadSource(sdl, "flows.json");
+  } catch {
+    return; // Already reported in schema validation pass
+  }
+  if (!Array.isArray(flows)) return;
+
+  flows.forEach((flow, fi) => {
+    if (!flow?.id || !Array.isArray(flow.steps)) return;
+
+    const at  = `Flow "${flow.id}"`;
+    const loc = (index, field = "/id") => ({ file: "flows.json", id: flow.id, pointer: `/${fi}/steps/${index}${field}` });
+    const label = (node) => node.id ?? `${node.key.join(".")}.*`;
+    const firstIndex = (node) => node.index ?? firstIndex(node.children[0]);
+
+    const handlers = new Set(flow.steps.map((s) => s?.error?.goto).filter(Boolean));
+    const tree = buildStepTree(flow.steps);
+
+    // ── Grammar and duplicates
+    for (const { step, index, error } of tree.invalid) {
+      if (!isRecord(step) || handlers.has(step.id)) continue;
+      result.report("step-id-grammar", `${at} step "${step.id}": ${error}`, loc(index));
+    }
+    for (const { step, index, first } of tree.duplicates) {
+      result.report("duplicate-step-id", `${at}: step id "${step.id}" is used more than once (first at position ${first + 1})`, loc(index));
+    }
+
+    walkStepTree(tree.root, (node) => {
+      if (node.key.length === 1 && node.step && node.children.length > 0) {
+        const branches = node.children.map(label).join(", ");
+        result.report("step-id-grammar", `${at}: group ${node.key[0]} has both sequential step "${node.id}" and branches ${branches} — use one or the other`, loc(node.index));
+      }
+      if (node.key.length > 1 && !node.step && node.children.length > 0) {
+        const child = node.children[0];
+        result.report("step-id-grammar", `${at} step "${label(child)}": parent step "${stepIdForKey(node.key)}" does not exist`, loc(firstIndex(child)));
+      }
+    });
+
+    // ── Ordering: file order must follow numbering order, without gaps
+    let latest = null;
+    flow.steps.forEach((step, index) => {
+      const node = tree.byId.get(step?.id);
+      if (!node || node.index !== index) return;
+      if (latest && compareStepKeys(latest.key, node.key) > 0) {
+        result.report("step-order", `${at} step "${node.id}" is listed after "${latest.id}" — list steps in numbering order`, loc(index));
+      } else {
+        latest = node;
+      }
+    });
+
+    const reportGaps = (node) => {
+      for (const { expected, found } of siblingGaps(node)) {
+        result.report("step-order", `${at}: numbering skips "${stepIdForKey(expected)}" before "${label(found)}"`, loc(firstIndex(found)));
+      }
+    };
+    reportGaps(tree.root);
+    walkStepTree(tree.root, reportGaps);
+
+    // ── Parallel flags
+    walkStepTree(tree.root, (node) => {
+      if (!node.step?.parallel) return;
+      if (node.key.length === 1) {
+        result.report("step-parallel", `${at} step "${node.id}" is marked parallel, but sequential steps never run concurrently — use branches (e.g. "${node.key[0]}.a", "${node.key[0]}.b")`, loc(node.index, "/parallel"));
+      } else if (node.parent.children.length === 1) {
+        result.report("step-parallel", `${at} step "${node.id}" is marked parallel but has no sibling branch to run alongside`, loc(node.index, "/parallel"));
+      }
+    });
+
+    walkStepTree(tree.root, (node) => {
+      const siblings = node.children.filter((c) => c.step && c.key.length > 1);
+      const marked = siblings.filter((c) => c.step.parallel === true);
+      if (marked.length > 0 && marked.length < siblings.length) {
+        const unmarked = siblings.filter((c) => c.step.parallel !== true).map(label).join(", ");
+        result.report("step-parallel", `${at}: sibling steps ${siblings.map(label).join(", ")} mix parallel and sequential — ${unmarked} not marked parallel`, loc(siblings[0].index, "/parallel"));
+      }
+    });
+  });
+}
+
+// ── Flow topology ─────────────────────────────────────────────────────────────
+
+/**
+ * Checks that each step's `via` edge actually connects its actor:
+ *
+ *   via-edge-actor     — the edge touches neither end at step.actor
+ *   via-edge-direction — the actor is the target of a unidirectional edge and the
+ *                        flow moves on to the edge's source next, i.e. the step hands
+ *                        off against the edge's direction
+ *
+ * When exactly one other edge links the actor to the intended counterpart — first
+ * trying the endpoints of the edge the author named, then the previous / next step's
+ * actor — it is suggested in the message.
+ *
+ * Edges of imported systems take part under their namespaced ids.
+ */
+function validateTopology(sdl, result, imports) {
+  let edges, flows;
+  try {
+    edges = loadSource(sdl, "edges.json");
+    flows = loadSource(sdl, "flows.json");
+  } catch {
+    return; // Already reported in schema validation pass
+  }
+  if (!Array.isArray(edges) || !Array.isArray(flows)) return;
+  edges = [...edges, ...importedItems(imports).edges];
+
+  const edgeMap = new Map(edges.filter((e) => e?.id).map((e) => [e.id, e]));
+  const links = (edge, a, b) =>
+    (edge.source === a && edge.target === b) || (edge.source === b && edge.target === a);
+  const canCarry = (edge, from, to) =>
+    (edge.source === from || edge.direction === "bidirectional") && links(edge, from, to);
+
+  // One unambiguous alternative edge, trying each tier of counterparts in turn
+  const suggest = (actor, tiers, exclude, accept = links) => {
+    for (const counterparts of tiers) {
+      const others = [...new Set(counterparts)].filter((c) => c && c !== actor);
+      const candidates = edges.filter((e) =>
+        e?.id && e.id !== exclude && others.some((c) => accept(e, actor, c))
+      );
+      if (candidates.length === 1) return ` — did you mean "${candidates[0].id}"?`;
+      if (candidates.length > 1) return "";
+    }
+    return "";
+  };
+
+  flows.forEach((flow, fi) => {
+    if (!flow?.id || !Array.isArray(flow.steps)) return;
+
+    flow.steps.forEach((step, si) => {
+      const edge = edgeMap.get(step?.via);
+      if (!edge || !step.actor) return; // Unknown refs are reported by validateRefs
+
+      const prevActor = flow.steps[si - 1]?.actor;
+      const nextActor = flow.steps[si + 1]?.actor;
+      const loc = { file: "flows.json", id: flow.id, pointer: `/${fi}/steps/${si}/via` };
+      const at  = `Flow "${flow.id}" step "${step.id}"`;
+
+      if (edge.source !== step.actor && edge.target !== step.actor) {
+        const hint = suggest(step.actor, [[edge.source, edge.target], [prevActor, nextActor]], edge.id);
+        result.report(
+          "via-edge-actor",
+          `${at}: via "${edge.id}" (${edge.source} → ${edge.target}) does not connect actor "${step.actor}"${hint}`,
+          loc
+        );
+        return;
+      }
+
+      const isUnidirectional = (edge.direction ?? "unidirectional") === "unidirectional";
+      if (
+        isUnidirectional && edge.target === step.actor && edge.source !== step.actor &&
+        nextActor === edge.source && prevActor !== edge.source
+      ) {
+        const hint = suggest(step.actor, [[edge.source]], edge.id, canCarry);
+        result.report(
+          "via-edge-direction",
+          `${at}: "${step.actor}" hands off to "${edge.source}" via "${edge.id}", but that edge is unidirectional ${edge.source} → ${edge.target}${hint}`,
+          loc
+        );
+      }
+    });
+  });
+}
+
+// ── Reachability ──────────────────────────────────────────────────────────────
+
+/**
+ * Dead-code analysis over triggers → flows → continues_async / variants (see
+ * lib/reachability.js): triggers that start no flow, flows no chain from an entry
+ * trigger reaches, continues_async loops, and error.goto retries with no stated limit.
+ * Each finding carries the chain that leads to it.
+ */
+function validateReachability(sdl, result) {
+  let flows, triggers;
+  try {
+    flows    = loadSource(sdl, "flows.json");
+    triggers = loadSource(sdl, "triggers.json");
+  } catch {
+    return; // Already reported in schema validation pass
+  }
+  if (!Array.isArray(flows) || !Array.isArray(triggers)) return;
+
+  const { unusedTriggers, unreachableFlows, asyncLoops } = analyzeReachability(flows, triggers);
+
+  for (const { index, trigger } of unusedTriggers) {
+    result.report("unused-trigger", `Trigger "${trigger.id}" starts no flow — name it in a flow's "trigger" or remove it`, { file: "triggers.json", id: trigger.id, pointer: `/${index}` });
+  }
+
+  for (const { index, flow, chain, emitter } of unreachableFlows) {
+    const why = emitter
+      ? `"${chain[0]}" is an event emitted by "${emitter}", which acts in no reachable flow`
+      : `nothing reaches "${chain[0]}"`;
+    result.report("unreachable-flow", `Flow "${flow.id}" is unreachable: ${formatChain(chain)} — ${why}`, { file: "flows.json", id: flow.id, pointer: `/${index}/trigger` });
+  }
+
+  for (const { index, flow, pointer, chain } of asyncLoops) {
+    result.report("async-loop", `Flow "${flow.id}": continues_async loops back — ${formatChain(chain)} → …`, { file: "flows.json", id: flow.id, pointer: `/${index}${pointer}` });
+  }
+
+  flows.forEach((flow, i) => {
+    for (const { index, step, target, cycle, bounded } of retryCycles(flow)) {
+      if (bounded) continue;
+      result.report(
+        "retry-cycle",
+        `Flow "${flow.id}" step "${step.id}": error.goto "${target}" retries ${formatChain([...cycle, target])} → … with no stated limit — say how many attempts in error.handling, e.g. "retry 3 times, then alert on-call"`,
+        { file: "flows.json", id: flow.id, pointer: `/${i}/steps/${index}/error/goto` }
+      );
+    }
+  });
+}
+
+// ── Trigger supplemental fields ───────────────────────────────────────────────
+
+// payload is optional on every trigger (see trigger.schema.json) — file-upload merely expects one
+const GENERIC_TRIGGER_FIELDS = new Set(["payload"]);
+
+/**
+ * Checks each trigger's supplemental fields against stdlib (and project) trigger_kinds:
+ *   - fields the kind lists in supplemental_fields must be present
+ *   - fields that only other kinds list must not be (undeclared kinds are not checked)
+ *   - schedule.cron must parse and schedule.timezone must be an IANA zone
+ *
+ * With `fireTimes` > 0, records the next fire times of every valid schedule on
+ * result.schedules for verbose output.
+ */
+function validateTriggers(sdl, result, stdlib, { fireTimes = 0 } = {}) {
+  const triggerKinds = Object.fromEntries(stdlibEntries(stdlib, "trigger_kinds"));
+  const kindSpecific = new Set(
+    Object.values(triggerKinds).flatMap((k) => k.supplemental_fields ?? []).filter((f) => !GENERIC_TRIGGER_FIELDS.has(f))
+  );
+
+  let triggers;
+  try { triggers = loadSource(sdl, "triggers.json"); } catch { return; }
+  if (!Array.isArray(triggers)) return;
+
+  triggers.forEach((trigger, i) => {
+    if (!trigger?.id) return;
+    const at  = `Trigger "${trigger.id}"`;
+    const loc = (suffix = "") => ({ file: "triggers.json", id: trigger.id, pointer: `/${i}${suffix}` });
+
+    const expected = triggerKinds[trigger.kind]?.supplemental_fields;
+    if (expected) {
+      for (const field of expected) {
+        if (trigger[field] === undefined) {
+          result.report("missing-trigger-field", `${at}: kind "${trigger.kind}" expects a "${field}" block`, loc());
+        }
+      }
+      for (const field of kindSpecific) {
+        if (trigger[field] !== undefined && !expected.includes(field)) {
+          const owners = Object.keys(triggerKinds).filter((k) => triggerKinds[k].supplemental_fields?.includes(field));
+          result.report(
+            "stray-trigger-field",
+            `${at}: "${field}" belongs to ${owners.map((k) => `"${k}"`).join(" / ")} triggers, not "${trigger.kind}"`,
+            loc(`/${field}`)
+          );
+        }
+      }
+    }
+
+    const schedule = trigger.schedule;
+    if (!schedule || typeof schedule !== "object") return;
+
+    const timezone = schedule.timezone ?? "UTC";
+    const zoneOk = isValidTimeZone(timezone);
+    if (!zoneOk) {
+      result.report("unknown-timezone", `${at}: schedule.timezone "${timezone}" is not an IANA time zone, e.g. "UTC" or "America/New_York"`, loc("/schedule/timezone"));
+    }
+
+    if (schedule.cron === undefined) return;
+    const cron = parseCron(schedule.cron);
+    if (!cron.valid) {
+      result.report("invalid-cron", `${at}: schedule.cron ${cron.error}`, loc("/schedule/cron"));
+      return;
+    }
+
+    if (fireTimes > 0 && zoneOk) {
+      result.schedules.push({
+        trigger:  trigger.id,
+        cron:     schedule.cron,
+        timezone,
+        next:     nextFireTimes(cron, timezone, fireTimes),
+      });
+    }
+  });
+}
+
+// ── Interface consistency ─────────────────────────────────────────────────────
+
+/**
+ * Checks node exposes / consumes as a contract (see lib/interfaces.js): every event
+ * consumed is exposed and vice versa, every REST / gRPC interface a node consumes is
+ * exposed by a node it has an edge to, and every event a flow's outcome.side_effects
+ * or continues_async.via_event names is exposed. Imported systems' nodes and edges
+ * count as exposers, consumers and connections, but are not themselves reported on.
+ */
+function validateInterfaces(sdl, result, imports) {
+  let nodes, edges, flows;
+  try {
+    nodes = loadSource(sdl, "nodes.json");
+    edges = loadSource(sdl, "edges.json");
+    flows = loadSource(sdl, "flows.json");
+  } catch {
+    return; // Already reported in schema validation pass
+  }
+  if (!Array.isArray(nodes) || !Array.isArray(edges) || !Array.isArray(flows)) return;
+  const imported = importedItems(imports);
+
+  // key → ids of the nodes exposing / consuming it
+  const exposers = new Map(), consumers = new Map();
+  const local = []; // { node, index, list, k, iface } for reporting
+  const collect = (node, index) => {
+    for (const [list, map] of [["exposes", exposers], ["consumes", consumers]]) {
+      if (!Array.isArray(node[list])) continue;
+      node[list].forEach((entry, k) => {
+        const iface = parseInterface(entry);
+        if (index !== null) local.push({ node, index, list, k, iface });
+        if (iface.error) return;
+        if (!map.has(iface.key)) map.set(iface.key, new Set());
+        map.get(iface.key).add(node.id);
+      });
+    }
+  };
+  nodes.forEach((node, i) => { if (node?.id) collect(node, i); });
+  imported.nodes.forEach((node) => { if (node?.id) collect(node, null); });
+
+  const allEdges = [...edges, ...imported.edges].filter((e) => e && typeof e === "object");
+  const connects = (from, to) => allEdges.some((e) =>
+    (e.source === from && e.target === to) ||
+    (e.direction === "bidirectional" && e.source === to && e.target === from)
+  );
+  const list = (ids) => [...ids].map((id) => `"${id}"`).join(", ");
+
+  for (const { node, index, list: field, k, iface } of local) {
+    const loc = { file: "nodes.json", id: node.id, pointer: `/${index}/${field}/${k}` };
+    const at  = `Node "${node.id}" ${field} ${JSON.stringify(node[field][k])}`;
+
+    if (iface.error) {
+      result.report("invalid-interface", `${at}: ${iface.error}`, loc);
+      continue;
+    }
+
+    const others = (map) => [...(map.get(iface.key) ?? [])].filter((id) => id !== node.id);
+
+    if (iface.protocol === "event") {
+      if (field === "exposes" && others(consumers).length === 0) {
+        result.report("unconsumed-event", `${at}: no node consumes this event — add it to a consumer's "consumes", or remove it`, loc);
+      }
+      if (field === "consumes" && others(exposers).length === 0) {
+        result.report("unexposed-event", `${at}: no node exposes this event`, loc);
+      }
+    } else if (field === "consumes" && REQUEST_PROTOCOLS.has(iface.protocol)) {
+      const candidates = others(exposers);
+      if (candidates.length === 0) {
+        result.report("unreachable-interface", `${at}: no node exposes this interface`, loc);
+      } else if (!candidates.some((id) => connects(node.id, id))) {
+        result.report("unreachable-interface", `${at}: no edge to a node that exposes it (${list(candidates)})`, loc);
+      }
+    }
+  }
+
+  // Events named by flows
+  flows.forEach((flow, fi) => {
+    if (!flow?.id) return;
+    const mentions = [];
+    const sideEffects = flow.outcome?.side_effects;
+    if (Array.isArray(sideEffects)) {
+      sideEffects.forEach((text, k) => mentions.push({ text, pointer: `/${fi}/outcome/side_effects/${k}`, field: "outcome.side_effects" }));
+    }
+    if (Array.isArray(flow.continues_async)) {
+      flow.continues_async.forEach((c, k) => mentions.push({ text: c?.via_event, pointer: `/${fi}/continues_async/${k}/via_event`, field: "continues_async.via_event" }));
+    }
+
+    for (const { text, pointer, field } of mentions) {
+      for (const event of eventMentions(text)) {
+        if (exposers.has(`event:${event}`)) continue;
+        result.report(
+          "unknown-flow-event",
+          `Flow "${flow.id}" ${field} names event "${event}", which no node exposes`,
+          { file: "flows.json", id: flow.id, pointer }
+        );
+      }
+    }
+  });
+}
+
+// ── Stdlib kind warnings ───────────────────────────────────────────────────────
+
+/**
+ * The stdlib merged with the project kinds extension named by manifest.json "kinds"
+ * (see lib/stdlib.js). Problems with the extension are reported against the file —
+ * or against manifest.json when the file cannot be found. Returns { stdlib, extension }.
+ */
+function loadVocabulary(manifest, sdl, result) {
+  const { stdlib, extension } = loadProjectStdlib(manifest, sdl.baseDir);
+  if (extension) reportFileProblems(sdl, result, "invalid-kinds-extension", extension, { file: "manifest.json", pointer: "/kinds" });
+  return { stdlib, extension };
+}
+
+/**
+ * Warns about kinds and protocols the vocabulary does not define. Plain names must be
+ * in stdlib; namespaced ones ("acme:iot-device") must be declared in the project kinds
+ * extension so tools get their label, category, render hints and ai_hint.
+ */
+function validateKinds(sdl, result, stdlib) {
+  const validNodeKinds     = stdlibNames(stdlib, "node_kinds");
+  const validEdgeProtocols = stdlibNames(stdlib, "edge_protocols");
+  const validTriggerKinds  = stdlibNames(stdlib, "trigger_kinds");
+
+  let nodes, edges, triggers;
+  try {
+    nodes    = loadSource(sdl, "nodes.json");
+    edges    = loadSource(sdl, "edges.json");
+    triggers = loadSource(sdl, "triggers.json");
+  } catch { return; }
+  if (![nodes, edges, triggers].every(Array.isArray)) return;
+
+  const undeclared = (what, name, loc) => result.report(
+    "undeclared-kind",
+    `${what}: "${name}" is not declared — add it to the project kinds extension (manifest.json "kinds")`,
+    loc
+  );
+
+  nodes.forEach((node, i) => {
+    if (typeof node?.kind !== "string" || !node.kind || validNodeKinds.has(node.kind)) return;
+    const loc = { file: "nodes.json", id: node.id ?? null, pointer: `/${i}/kind` };
+    if (node.kind.includes(":")) undeclared(`Node "${node.id}" kind`, node.kind, loc);
+    else result.report("unknown-node-kind", `Node "${node.id}": kind "${node.kind}" is not in stdlib (custom kinds should use a namespace prefix, e.g. "acme:${node.kind}")`, loc);
+  });
+  edges.forEach((edge, i) => {
+    if (typeof edge?.protocol !== "string" || !edge.protocol || validEdgeProtocols.has(edge.protocol)) return;
+    const loc = { file: "edges.json", id: edge.id ?? null, pointer: `/${i}/protocol` };
+    if (edge.protocol.includes(":")) undeclared(`Edge "${edge.id}" protocol`, edge.protocol, loc);
+    else result.report("unknown-edge-protocol", `Edge "${edge.id}": protocol "${edge.protocol}" is not in stdlib`, loc);
+  });
+  triggers.forEach((trigger, i) => {
+    if (typeof trigger?.kind !== "string" || !trigger.kind || validTriggerKinds.has(trigger.kind)) return;
+    const loc = { file: "triggers.json", id: trigger.id ?? null, pointer: `/${i}/kind` };
+    if (trigger.kind.includes(":")) undeclared(`Trigger "${trigger.id}" kind`, trigger.kind, loc);
+    else result.report("unknown-trigger-kind", `Trigger "${trigger.id}": kind "${trigger.kind}" is not in stdlib`, loc);
+  });
+}
+
+// ── Protocol compatibility ────────────────────────────────────────────────────
+
+/**
+ * Checks each edge against its protocol's stdlib metadata:
+ *   - a declared style must match the protocol's style (kafka is async)
+ *   - reliability.delivery must not promise more than the protocol's
+ *     delivery_guarantee (see DELIVERY_GUARANTEES in lib/stdlib.js)
+ *   - the protocol should be among the typical_protocols of at least one endpoint's
+ *     kind. Endpoints whose kind lists none (actor, custom) or is not in stdlib
+ *     have no expectation, so the check is skipped for them.
+ * Protocols the vocabulary does not define are skipped — validateKinds reports those.
+ */
+function validateProtocols(sdl, result, imports, stdlib) {
+  let nodes, edges;
+  try {
+    nodes = loadSource(sdl, "nodes.json");
+    edges = loadSource(sdl, "edges.json");
+  } catch {
+    return; // Already reported in schema validation pass
+  }
+  if (!Array.isArray(nodes) || !Array.isArray(edges)) return;
+
+  const protocols = Object.fromEntries(stdlibEntries(stdlib, "edge_protocols"));
+  const kinds     = Object.fromEntries(stdlibEntries(stdlib, "node_kinds"));
+  const nodeMap   = new Map([...nodes, ...importedItems(imports).nodes].filter((n) => n?.id).map((n) => [n.id, n]));
+  const strength  = (delivery) => DELIVERY_GUARANTEES.indexOf(delivery);
+
+  edges.forEach((edge, i) => {
+    const def = protocols[edge?.protocol];
+    if (!def || edge.protocol === "custom") return;
+    const loc = (pointer) => ({ file: "edges.json", id: edge.id ?? null, pointer: `/${i}${pointer}` });
+    const at  = `Edge "${edge.id}"`;
+
+    if (edge.style && def.style && edge.style !== def.style) {
+      result.report("protocol-style", `${at}: style "${edge.style}" contradicts protocol "${edge.protocol}", which is ${def.style} in stdlib`, loc("/style"));
+    }
+
+    const delivery = edge.reliability?.delivery;
+    if (delivery && def.delivery_guarantee && strength(delivery) > strength(def.delivery_guarantee)) {
+      result.report(
+        "protocol-delivery",
+        `${at}: reliability.delivery "${delivery}" promises more than protocol "${edge.protocol}" guarantees ` +
+        `("${def.delivery_guarantee}") — describe the mechanism that upgrades it (e.g. idempotent consumers) or lower the claim`,
+        loc("/reliability/delivery")
+      );
+    }
+
+    const ends = [edge.source, edge.target].map((id) => nodeMap.get(id)).filter(Boolean);
+    const typical = ends.map((node) => ({ node, list: kinds[node.kind]?.typical_protocols ?? [] }));
+    if (ends.length === 2 && typical.every((t) => t.list.length > 0) && !typical.some((t) => t.list.includes(edge.protocol))) {
+      const describe = ({ node, list }) => `"${node.id}" (${node.kind}: ${list.join(", ")})`;
+      result.report(
+        "atypical-protocol",
+        `${at}: protocol "${edge.protocol}" is not typical for either endpoint — ${typical.map(describe).join(" or ")}`,
+        loc("/protocol")
+      );
+    }
+  });
+}
+
+// ── Architecture policies ─────────────────────────────────────────────────────
+
+/**
+ * Evaluates the policy packs chosen in .sdlrc "policies" — the stdlib pack unless the
+ * file says otherwise (see lib/policies.js). Violations report under "policy:<id>" at
+ * the policy's own severity, which .sdlrc "rules" can override. Problems with a pack
+ * itself report as invalid-policy. Returns the packs read.
+ */
+function validatePolicies(sdl, result, imports, stdlib) {
+  const { config } = result;
+  const packs = (config.policies ?? [STDLIB_PACK]).map((p) => loadPolicyPack(p, stdlib));
+  const fallback = { file: config.path && relative(result.dir ?? process.cwd(), config.path) };
+  for (const pack of packs) reportFileProblems(sdl, result, "invalid-policy", pack, fallback);
+
+  let nodes, edges, triggers;
+  try {
+    nodes    = loadSource(sdl, "nodes.json");
+    edges    = loadSource(sdl, "edges.json");
+    triggers = loadSource(sdl, "triggers.json");
+  } catch {
+    return packs; // Already reported in schema validation pass
+  }
+  if (![nodes, edges, triggers].every(Array.isArray)) return packs;
+
+  const nodeMap = new Map([...nodes, ...importedItems(imports).nodes].filter((n) => n?.id).map((n) => [n.id, n]));
+  const graph   = { nodes, edges, triggers, nodeMap };
+
+  for (const pack of packs) {
+    if (!pack.data || pack.problems.length > 0) continue;
+    for (const policy of pack.data.policies) {
+      const rule = policyRule(policy);
+      result.defaults.set(rule, policy.severity ?? "warn");
+      if (ruleSeverity(config, rule, result.defaults.get(rule)) === "off") continue;
+
+      for (const { file, id, pointer, message } of evaluatePolicy(policy, graph)) {
+        result.report(rule, `Policy "${policy.id}": ${message} — ${policy.description}`, { file, id, pointer });
+      }
+    }
+  }
+  return packs;
+}
+
+// ── Side files ────────────────────────────────────────────────────────────────
+
+/**
+ * Reports the problems of a file the SDL refers to — a kinds extension or policy pack,
+ * as { path, text, problems } from lib/stdlib.js or lib/policies.js. Problems are
+ * located in the file when it was read; `fallback` locates the rest (missing file).
+ */
+function reportFileProblems(sdl, result, rule, { path, text, problems }, fallback) {
+  const inFile = text !== null;
+  const file = inFile ? relative(sdl.dir ?? sdl.baseDir, path) : fallback.file;
+  if (inFile) result.positions.set(file, sourcePositions(text, path));
+
+  for (const { pointer, message, line = null, column = null } of problems) {
+    const loc = !inFile ? fallback
+      : line !== null   ? { file, line, column }
+      :                   { file, pointer };
+    result.report(rule, message, loc);
+  }
+}
+
+// ── Missing file check ────────────────────────────────────────────────────────
+
+function checkRequiredFiles(sdl, result) {
+  for (const file of REQUIRED_FILES) {
+    if (sdl.files.has(file)) continue;
+    const message = sdl.dir
+      ? `Missing required file: ${file} (or its .yaml / .jsonc equivalent)`
+      : `Missing required "${basename(file, ".json")}" array`;
+    result.report("missing-file", message, { file });
+  }
+}
+
+// ── Input ─────────────────────────────────────────────────────────────────────
+
+const SOURCE_FILES = ["manifest.json", ...REQUIRED_FILES];
+
+/**
+ * Reads validateSdl()'s input into the shape the checks share:
+ *
+ *   { dir, name, baseDir, files, sources, duplicates }
+ *
+ *   dir        — the SDL directory, or null for in-memory input
+ *   baseDir    — directory manifest imports resolve against
+ *   files      — canonical file name → { data, text, name } or { error } (parse failure);
+ *                in-memory input has only { data }
+ *   sources    — canonical file name → file actually loaded, where they differ
+ *   duplicates — [{ file, used }] for format variants ignored in favour of `used`
+ *
+ * Files are read once, here; the checks never touch the disk.
+ */
+function readInput(input, options) {
+  if (typeof input === "string") {
+    const dir = resolve(input);
+    const sdl = { dir, name: options.name ?? basename(dir), baseDir: dir, files: new Map(), sources: new Map(), duplicates: [] };
+
+    for (const file of SOURCE_FILES) {
+      const [actual, ...ignored] = findSourceFiles(dir, file);
+      if (!actual) continue;
+      if (actual !== file) sdl.sources.set(file, actual);
+      for (const name of ignored) sdl.duplicates.push({ file: name, used: actual });
+      try {
+        const text = readFileSync(join(dir, actual), "utf8");
+        sdl.files.set(file, { text, name: actual, data: parseSdlText(text, join(dir, actual)) });
+      } catch (error) {
+        sdl.files.set(file, { error });
+      }
+    }
+    return sdl;
+  }
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new TypeError("validateSdl() expects a directory path or { manifest, nodes, edges, triggers, flows }");
+  }
+
+  const files = new Map();
+  for (const [key, file] of Object.entries(SDL_FILES)) {
+    if (input[key] !== undefined && input[key] !== null) files.set(file, { data: input[key] });
+  }
+  return {
+    dir:        null,
+    name:       options.name ?? input.manifest?.name ?? "sdl",
+    baseDir:    resolve(options.baseDir ?? "."),
+    files,
+    sources:    new Map(),
+    duplicates: [],
+  };
+}
+
+function reportDuplicateSources(sdl, result) {
+  for (const { file, used } of sdl.duplicates) {
+    result.report("duplicate-source", `Ignored — ${used} takes precedence. Keep one format per file.`, { file });
+  }
+}
+
+// ── Lint config ───────────────────────────────────────────────────────────────
+
+/**
+ * Resolves the .sdlrc for the input's directory (or the `config` override) and reads
+ * the inline meta["sdl-lint-disable"] suppressions from its SDL files. In-memory input
+ * has no directory to search from, so only an explicit `config` applies.
+ */
+function loadLintSettings(sdl, configPath) {
+  const config = loadConfig(configPath ? resolve(configPath) : sdl.dir && findConfig(sdl.dir));
+
+  const filesData = {};
+  for (const file of REQUIRED_FILES) {
+    try { filesData[file] = loadSource(sdl, file); } catch { /* reported later */ }
+  }
+
+  return { config, suppressions: collectSuppressions(filesData) };
+}
+
+// Config problems bypass report() — a broken .sdlrc cannot be used to silence itself
+function reportConfigProblems(result) {
+  const { path, problems } = result.config;
+  const loc = { file: path && relative(result.dir ?? process.cwd(), path), pointer: "" };
+  for (const { severity, message } of problems) {
+    if (severity === "error") result.errors.push(finding("invalid-config", "error", message, loc));
+    else                      result.warnings.push(finding("invalid-config", "warning", message, loc));
+  }
+}
+// ── Entry point ───────────────────────────────────────────────────────────────
+
+/**
+ * Validates one SDL system — a directory path, or { manifest, nodes, edges, triggers,
+ * flows } in memory (missing arrays are reported as missing files). See the header
+ * for options and the result shape.
+ */
+export function validateSdl(input, options = {}) {
+  const { config: configPath = null, fireTimes = 0 } = options;
+  const sdl = readInput(input, options);
+
+  const { config, suppressions } = loadLintSettings(sdl, configPath);
+  const positions = new Map();
+  for (const [file, { text, name }] of sdl.files) {
+    if (text !== undefined) positions.set(file, sourcePositions(text, name));
+  }
+  const result = new Result(sdl.name, sdl.dir, config, suppressions, sdl.sources, positions);
+
+  reportConfigProblems(result);
+  checkRequiredFiles(sdl, result);
+  reportDuplicateSources(sdl, result);
+
+  // Resolve spec schemas from the git tag for the declared sdlVersion
+  const manifest = readManifest(sdl, result);
+  const { ajv, schemas } = loadSchemas(manifest?.sdlVersion, result);
+  const imports = loadImports(manifest, sdl.baseDir);
+  reportImportProblems(imports, result);
+  const { stdlib, extension } = loadVocabulary(manifest, sdl, result);
+
+  validateSchemas(sdl, { ajv, schemas }, result);
+  validateDeprecations(sdl, schemas, result);
+  validateRefs(sdl, result, imports);
+  validateSteps(sdl, result);
+  validateTopology(sdl, result, imports);
+  validateReachability(sdl, result);
+  validateTriggers(sdl, result, stdlib, { fireTimes });
+  validateInterfaces(sdl, result, imports);
+  validateKinds(sdl, result, stdlib);
+  validateProtocols(sdl, result, imports, stdlib);
+  const packs = validatePolicies(sdl, result, imports, stdlib);
+
+  const dependencies = [...imports.systems.values()].map((s) => s.dir);
+  if (sdl.dir) dependencies.unshift(sdl.dir);
+  if (config.path) dependencies.push(dirname(config.path));
+  if (extension?.path) dependencies.push(dirname(extension.path));
+  for (const { path } of packs) dependencies.push(dirname(path));
+
+  return {
+    name:         result.name,
+    dir:          result.dir,
+    valid:        result.errors.length === 0,
+    errors:       result.errors,
+    warnings:     result.warnings,
+    suppressed:   result.suppressed,
+    schedules:    result.schedules,
+    config:       config.path,
+    sources:      Object.fromEntries(sdl.sources),
+    dependencies,
+  };
+}
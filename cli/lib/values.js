@@ -0,0 +1,27 @@
+/**
+ * Value comparison and formatting shared by the diff tools
+ *
+ * diff.js compares SDL items and spec-compat.js compares schemas the same way: two
+ * values are the same when their JSON is, whatever order their keys were written in.
+ * Both print the values they report in markdown code spans.
+ */
+
+/** JSON with object keys sorted, so key order never counts as a difference. */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function same(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/** A value as a markdown code span; strings unquoted, absent values as "(none)". */
+export function fmt(value) {
+  if (value === undefined || value === null) return "(none)";
+  if (typeof value === "string") return `\`${value}\``;
+  return `\`${JSON.stringify(value)}\``;
+}
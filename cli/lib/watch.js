@@ -0,0 +1,65 @@
+/**
+ * Directory watching for --watch modes
+ *
+ * Watches SDL directories (non-recursively — an SDL system is a flat directory) and
+ * calls back once per burst of changes with the set of directories that changed.
+ * Editors often save a file as several events (truncate, write, rename), so events
+ * are debounced.
+ *
+ * By default only files that affect validation or rendering count: the SDL sources
+ * in any format lib/formats.js reads, kinds extensions and policy packs named
+ * kinds.* / policies.*, layout.json and .sdlrc. Generated output such as
+ * diagram.html never triggers a rebuild.
+ */
+
+import { watch } from "fs";
+import { resolve } from "path";
+
+const WATCHED_FILE = /^(?:(?:manifest|nodes|edges|triggers|flows|kinds|policies)\.(?:json|jsonc|json5|yaml|yml)|layout\.json|\.sdlrc)$/;
+
+export function isWatchedFile(name) {
+  return WATCHED_FILE.test(name);
+}
+
+/**
+ * Starts watching `dirs`. `filter(dir, name)` decides which file events count.
+ * Returns { add(dir), close() } — add() starts watching another directory.
+ */
+export function watchDirs(dirs, onChange, { debounceMs = 150, filter = (_dir, name) => isWatchedFile(name) } = {}) {
+  const watchers = new Map();
+  let pending = new Set();
+  let timer = null;
+
+  const flush = () => {
+    const changed = pending;
+    pending = new Set();
+    onChange(changed);
+  };
+
+  const add = (dir) => {
+    const abs = resolve(dir);
+    if (watchers.has(abs)) return;
+    try {
+      watchers.set(abs, watch(abs, (_event, name) => {
+        // Some platforms omit the file name — treat that as a relevant change
+        if (name && !filter(abs, String(name))) return;
+        pending.add(abs);
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+      }));
+    } catch {
+      // Directory vanished or is unreadable — the next rebuild reports it
+    }
+  };
+
+  dirs.forEach(add);
+
+  return {
+    add,
+    close() {
+      clearTimeout(timer);
+      for (const w of watchers.values()) w.close();
+      watchers.clear();
+    },
+  };
+}
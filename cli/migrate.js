@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * SDL Migrate
+ * Upgrades an SDL directory to a newer spec version by applying the declarative
+ * migration steps published with each version, then bumps manifest.sdlVersion.
+ *
+ * Usage:
+ *   node migrate.js <dir> --to <version> [--dry-run] [--migrations <dir>]
+ *   node migrate.js examples/ecommerce-checkout --to 0.2 --dry-run
+ *   node migrate.js design/ --to 0.3
+ *   node migrate.js design/ --to 0.4 --migrations drafts/ --dry-run
+ *
+ * Migration steps:
+ *   Each spec version may ship spec/migrations/<version>.json, describing how to move
+ *   files from the previous version to it. The file is read from the `spec-v<version>`
+ *   tag (or the working tree, for a version not tagged yet):
+ *
+ *   {
+ *     "description": "Auth moves under security; 'basic' auth is retired",
+ *     "steps": [
+ *       { "op": "rename", "in": "node", "field": "legacyKind",       "to": "kind" },
+ *       { "op": "remap",  "in": "edge", "field": "auth.mechanism",   "values": { "basic": "custom" } },
+ *       { "op": "move",   "in": "node", "field": "technology.runtime", "to": "runtime" }
+ *     ]
+ *   }
+ *
+ *   in      — node | edge | trigger | flow | manifest
+ *   field   — dotted path within each item; "[]" walks every element of an array,
+ *             e.g. "steps[].legacyActor"
+ *   rename  — renames the last key of `field` to `to`, keeping its position
+ *   remap   — replaces values (or elements of an array value) found in `values`
+ *   move    — moves `field` to the dotted path `to`, relative to the innermost array
+ *             element `field` walked (the item itself for top-level fields)
+ *
+ *   Migrations from the manifest's sdlVersion (exclusive) up to --to (inclusive) run
+ *   in version order. A rename or move whose target already exists is skipped and
+ *   reported.
+ *
+ *   --migrations <dir> reads untagged versions' files from <dir> instead of
+ *   spec/migrations — to try a migration out before it ships.
+ *
+ * Files are edited in place in whichever format they are written (JSON, JSON5, YAML);
+ * key order, indentation and comments are preserved (see lib/edit.js). --dry-run
+ * prints the change report and a unified patch without writing anything.
+ *
+ * Exit codes:
+ *   0 — migrated, dry run printed, or already at the target version
+ *   1 — usage error, unknown version, invalid migration file, or unparseable SDL file
+ */
+
+import { readFileSync, writeFileSync, existsSync, statSync } from "fs";
+import { resolve, join, relative } from "path";
+import { resolveSourceFile, parseSdlText } from "./lib/formats.js";
+import { openDocument, formatPath } from "./lib/edit.js";
+import { unifiedDiff } from "./lib/patch.js";
+import { MIGRATIONS_DIR, specTag, gitTagExists, readSpecFile, compareVersions, knownSpecVersions } from "./lib/spec.js";
+
+const TARGET_FILES = {
+  manifest: "manifest.json",
+  node:     "nodes.json",
+  edge:     "edges.json",
+  trigger:  "triggers.json",
+  flow:     "flows.json",
+};
+
+const STEP_FIELDS = {
+  rename: ["field", "to"],
+  remap:  ["field", "values"],
+  move:   ["field", "to"],
+};
+
+// ── Migration files ───────────────────────────────────────────────────────────
+
+function checkMigration(migration, file) {
+  if (!Array.isArray(migration?.steps)) throw new Error(`${file}: expected { "steps": [...] }`);
+
+  migration.steps.forEach((step, i) => {
+    const where = `${file}: step ${i + 1}`;
+    if (!STEP_FIELDS[step?.op]) throw new Error(`${where}: unknown op ${JSON.stringify(step?.op)} — expected ${Object.keys(STEP_FIELDS).join(", ")}`);
+    if (!TARGET_FILES[step.in]) throw new Error(`${where}: "in" must be one of ${Object.keys(TARGET_FILES).join(", ")}`);
+    for (const key of STEP_FIELDS[step.op]) {
+      if (step[key] === undefined) throw new Error(`${where}: ${step.op} needs "${key}"`);
+    }
+    if (typeof step.field !== "string" || step.field === "") throw new Error(`${where}: "field" must be a dotted path`);
+    if (step.op === "rename" && (typeof step.to !== "string" || /[.[\]]/.test(step.to)))
+      throw new Error(`${where}: rename "to" must be a single key — use "move" to change its parent`);
+    if (step.op === "move" && (typeof step.to !== "string" || step.to.includes("[]")))
+      throw new Error(`${where}: move "to" must be a dotted path without "[]"`);
+    if (step.op === "remap" && (!step.values || typeof step.values !== "object" || Array.isArray(step.values)))
+      throw new Error(`${where}: remap "values" must map old value → new value`);
+  });
+  return migration;
+}
+
+// <dir>/<version>.json, or null when there is none
+function readMigrationFile(dir, version) {
+  const path = join(dir, `${version}.json`);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to parse ${relative(process.cwd(), path)}: ${e.message}`);
+  }
+}
+
+/**
+ * The migrations that take `from` to `to`: [{ version, description, steps }], in
+ * order. A tagged version's file is read from its tag, any other from `dir` (the
+ * working tree's spec/migrations unless given). A version without a migration file
+ * contributes no steps.
+ */
+function loadMigrations(from, to, dir = null) {
+  return knownSpecVersions(dir ?? undefined)
+    .filter((v) => compareVersions(v, from) > 0 && compareVersions(v, to) <= 0)
+    .map((version) => {
+      const file = `${MIGRATIONS_DIR}/${version}.json`;
+      const tag = specTag(version);
+      const ref = gitTagExists(tag) ? tag : null;
+      const migration = dir && !ref ? readMigrationFile(dir, version) : readSpecFile(file, ref);
+      if (!migration) return { version, description: null, steps: [] };
+      const label = ref ? `${ref}:${file}` : dir ? relative(process.cwd(), join(dir, `${version}.json`)) : file;
+      checkMigration(migration, label);
+      return { version, description: migration.description ?? null, steps: migration.steps };
+    });
+}
+
+// ── Applying steps ────────────────────────────────────────────────────────────
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/** "steps[].actor" → ["steps", "[]", "actor"] */
+function fieldSegments(field) {
+  return field.split(".").flatMap((part) => (part.endsWith("[]") ? [part.slice(0, -2), "[]"] : [part]));
+}
+
+/** Concrete paths in `value` matching `segments`. */
+function expand(value, segments, path = []) {
+  if (segments.length === 0) return [path];
+  const [seg, ...rest] = segments;
+  if (seg === "[]") {
+    return Array.isArray(value) ? value.flatMap((v, i) => expand(v, rest, [...path, i])) : [];
+  }
+  if (!isObject(value) || !Object.hasOwn(value, seg)) return [];
+  return expand(value[seg], rest, [...path, seg]);
+}
+
+function valueAt(data, path) {
+  return path.reduce((v, seg) => v?.[seg], data);
+}
+
+/**
+ * Applies one step to an open file. Returns [{ item, summary, skipped }] — one
+ * record per edit, or per edit skipped because its target already exists.
+ */
+function applyStep(step, file, isManifest) {
+  const data = file.doc.data();
+  const root = isManifest ? [] : ["[]"];
+  const paths = expand(data, [...root, ...fieldSegments(step.field)]);
+  const records = [];
+
+  const itemOf = (path) => (isManifest ? "manifest" : data[path[0]]?.id ?? `[${path[0]}]`);
+  const fieldOf = (path) => formatPath(isManifest ? path : path.slice(1)) || "(root)";
+  const record = (path, summary, skipped = false) => records.push({ item: itemOf(path), summary, skipped });
+
+  for (const path of paths) {
+    if (step.op === "rename") {
+      const target = [...path.slice(0, -1), step.to];
+      if (file.doc.has(target)) { record(path, `${fieldOf(path)} not renamed — ${fieldOf(target)} already exists`, true); continue; }
+      file.doc.renameKey(path, step.to);
+      record(path, `${fieldOf(path)} → ${fieldOf(target)}`);
+    }
+
+    if (step.op === "remap") {
+      const value = valueAt(data, path);
+      const targets = Array.isArray(value) ? value.map((v, i) => [[...path, i], v]) : [[path, value]];
+      for (const [at, v] of targets) {
+        if (typeof v !== "string" || !Object.hasOwn(step.values, v)) continue;
+        file.doc.setValue(at, step.values[v]);
+        record(path, `${fieldOf(at)}: ${JSON.stringify(v)} → ${JSON.stringify(step.values[v])}`);
+      }
+    }
+
+    if (step.op === "move") {
+      // `to` is relative to the innermost array element the field walked through
+      const lastIndex = path.findLastIndex((seg) => typeof seg === "number");
+      const target = [...path.slice(0, lastIndex + 1), ...step.to.split(".")];
+      if (file.doc.has(target)) { record(path, `${fieldOf(path)} not moved — ${fieldOf(target)} already exists`, true); continue; }
+      file.doc.moveMember(path, target);
+      record(path, `${fieldOf(path)} → ${fieldOf(target)}`);
+    }
+  }
+  return records;
+}
+
+/**
+ * Runs the migrations on `dir` without writing. Returns { files, report } — files
+ * maps canonical name → { name, before, doc }; report lists per-version records.
+ */
+function migrateDir(dir, manifestFile, from, to, migrations) {
+  const files = new Map();
+  const open = (canonical) => {
+    if (!files.has(canonical)) {
+      const name = resolveSourceFile(dir, canonical);
+      if (!name) return null;
+      const before = readFileSync(join(dir, name), "utf8");
+      files.set(canonical, { name, before, doc: openDocument(before, join(dir, name)) });
+    }
+    return files.get(canonical);
+  };
+
+  const report = [];
+  for (const migration of migrations) {
+    const entry = { version: migration.version, description: migration.description, changes: [] };
+    migration.steps.forEach((step) => {
+      const canonical = TARGET_FILES[step.in];
+      const file = open(canonical);
+      if (!file) return;
+      for (const r of applyStep(step, file, step.in === "manifest")) entry.changes.push({ file: file.name, ...r });
+    });
+    report.push(entry);
+  }
+
+  open(manifestFile).doc.setValue(["sdlVersion"], to);
+  report.push({
+    version: to,
+    description: null,
+    changes: [{ file: files.get(manifestFile).name, item: "manifest", summary: `sdlVersion: ${JSON.stringify(from)} → ${JSON.stringify(to)}`, skipped: false }],
+  });
+  return { files, report };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { to: null, dryRun: false, migrations: null };
+  let dir = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--to")         { opts.to = args[++i]; continue; }
+    if (args[i] === "--dry-run")    { opts.dryRun = true; continue; }
+    if (args[i] === "--migrations") { opts.migrations = args[++i]; continue; }
+    if (!dir) dir = args[i];
+  }
+
+  if (!dir || !opts.to || opts.migrations === undefined) {
+    console.error("Usage: node migrate.js <dir> --to <version> [--dry-run] [--migrations <dir>]");
+    process.exit(1);
+  }
+  if (opts.migrations) {
+    opts.migrations = resolve(opts.migrations);
+    if (!existsSync(opts.migrations) || !statSync(opts.migrations).isDirectory()) {
+      console.error(`Error: migrations directory not found: ${opts.migrations}`);
+      process.exit(1);
+    }
+  }
+  dir = resolve(dir);
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+    console.error(`Error: SDL directory not found: ${dir}`);
+    process.exit(1);
+  }
+  return { dir, opts };
+}
+
+function run() {
+  const { dir, opts } = parseArgs();
+  const label = relative(process.cwd(), dir) || ".";
+  const fail = (message) => {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+  };
+
+  const manifestName = resolveSourceFile(dir, "manifest.json");
+  if (!manifestName) fail(`${label} has no manifest.json — sdlVersion says which migrations apply`);
+
+  let manifest, migrations;
+  try {
+    manifest = parseSdlText(readFileSync(join(dir, manifestName), "utf8"), join(dir, manifestName));
+  } catch (e) {
+    fail(e.message);
+  }
+  const from = manifest?.sdlVersion;
+  if (from === undefined) fail(`${manifestName} has no sdlVersion — add the spec version these files were written for`);
+
+  const order = compareVersions(opts.to, from);
+  if (order === 0) {
+    console.log(`${label} is already at sdlVersion ${from}`);
+    return;
+  }
+  if (order < 0) fail(`Cannot migrate down from ${from} to ${opts.to}`);
+
+  const known = knownSpecVersions(opts.migrations ?? undefined);
+  const migrationsDir = opts.migrations ? relative(process.cwd(), opts.migrations) || "." : MIGRATIONS_DIR;
+  if (!known.includes(opts.to)) {
+    fail(`Unknown spec version "${opts.to}" — no ${specTag(opts.to)} tag or ${migrationsDir}/${opts.to}.json. Known: ${known.join(", ") || "(none)"}`);
+  }
+
+  let result;
+  try {
+    migrations = loadMigrations(from, opts.to, opts.migrations);
+    result = migrateDir(dir, "manifest.json", from, opts.to, migrations);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  // Report
+  console.log(`\nSDL Migrate — ${label}: ${from} → ${opts.to}${opts.dryRun ? " (dry run)" : ""}\n`);
+  for (const { version, description, changes } of result.report) {
+    if (changes.length === 0 && !description) continue;
+    console.log(`  ${version}${description ? `  ${description}` : ""}`);
+    if (changes.length === 0) console.log(`    (nothing to change)`);
+    for (const c of changes) {
+      console.log(`    ${c.skipped ? "skipped " : ""}${c.file}  ${c.item}: ${c.summary}`);
+    }
+  }
+
+  const changed = [...result.files.values()].filter((f) => f.doc.toString() !== f.before);
+  const edits = result.report.flatMap((r) => r.changes).filter((c) => !c.skipped).length;
+
+  if (opts.dryRun) {
+    console.log(`\n${edits} change(s) in ${changed.length} file(s) — dry run, nothing written\n`);
+    for (const f of changed) process.stdout.write(unifiedDiff(f.before, f.doc.toString(), relative(process.cwd(), join(dir, f.name))));
+    return;
+  }
+
+  for (const f of changed) writeFileSync(join(dir, f.name), f.doc.toString(), "utf8");
+  console.log(`\n${edits} change(s) written to ${changed.length} file(s)\n`);
+}
+
+run();
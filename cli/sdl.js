@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * SDL CLI entry point
+ * Dispatches `sdl <command> ...` to the matching script in this folder.
+ *
+ * Usage:
+ *   sdl <example-dir>             — same as `sdl validate <example-dir>`
+ *   sdl init <dir> [--template <name>] [--name <name>] [--format json|yaml]
+ *   sdl add <node|edge|trigger|flow|step> <dir> [--<field> <value> ...] [--dry-run]
+ *   sdl validate <example-dir> [--format text|json|sarif|junit]
+ *   sdl diff <old> <new> [--format markdown|json]
+ *   sdl convert <dir> --to yaml|json [--out <dir>]
+ *   sdl spec-compat <from> <to> [--format markdown|json]
+ *   sdl migrate <dir> --to <version> [--dry-run] [--migrations <dir>]
+ *   sdl stats <dir> [--format text|json] [--tag-prefix team-] [--check]
+ *   sdl stdlib-check
+ *
+ * Each command is a standalone script that can also be run directly,
+ * e.g. `node cli/diff.js ...`.
+ */
+
+const COMMANDS = {
+  init:           "./init.js",
+  add:            "./add.js",
+  validate:       "./validate.js",
+  diff:           "./diff.js",
+  convert:        "./convert.js",
+  "spec-compat":  "./spec-compat.js",
+  migrate:        "./migrate.js",
+  stats:          "./stats.js",
+  "stdlib-check": "./stdlib-check.js",
+};
+
+const command = process.argv[2];
+
+if (command === "--help" || command === "-h") {
+  console.log(`Usage: sdl <command> [args]\n\nCommands: ${Object.keys(COMMANDS).join(", ")}\nWith no command, arguments are passed to "validate".`);
+} else if (COMMANDS[command]) {
+  // Drop the command name so each script sees its own arguments at argv[2]
+  process.argv.splice(2, 1);
+  await import(COMMANDS[command]);
+} else {
+  await import(COMMANDS.validate);
+}
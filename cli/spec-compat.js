@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+/**
+ * SDL Spec Compatibility Check
+ * Compares two versions of the spec/*.schema.json files and classifies every change
+ * as breaking (SDL files valid under the old spec may be rejected by the new one) or
+ * non-breaking — the CI check for spec PRs.
+ *
+ * Usage:
+ *   node spec-compat.js <from> <to> [--format markdown|json] [--examples <dir>]
+ *   node spec-compat.js spec-v0.1 spec-v0.2
+ *   node spec-compat.js 0.1 .                  — tag spec-v0.1 against the working tree
+ *   node spec-compat.js main HEAD --format json
+ *
+ *   Each side is a spec version ("0.1" → tag spec-v0.1), any git ref, or "." for the
+ *   working-tree spec/. Schemas are read with `git show`, as validate.js does for the
+ *   sdlVersion declared in a manifest.
+ *
+ * Classification:
+ *   Breaking     — new required field, enum value removed, additionalProperties
+ *                  tightened, pattern added or changed, type narrowed, a min/max
+ *                  limit tightened, const or format added, a closed object losing a
+ *                  property, a schema file removed.
+ *   Non-breaking — optional field added, required field made optional, enum value
+ *                  added, constraints relaxed, a field marked deprecated.
+ *   Annotations (title, description, examples, default, $comment) are ignored. Changes
+ *   to composite keywords (allOf, anyOf, oneOf, not, if/then/else, $ref, ...) cannot be
+ *   classified structurally and count as breaking.
+ *
+ *   To prove the classification, every example (examples/ by default) is validated
+ *   against both specs. Items valid under <from> but invalid under <to> are listed;
+ *   if there are any while no breaking change was found, the check fails.
+ *
+ * Exit codes:
+ *   0 — compatible: no breaking changes
+ *   1 — breaking changes found, or an example the old spec accepts fails the new one
+ *   2 — usage error, unknown git ref, or unparseable schema / example
+ */
+
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { statSync, existsSync } from "fs";
+import { resolve, join, basename } from "path";
+import { ROOT, SCHEMA_NAMES, specTag, gitRefExists, readSpecSchema } from "./lib/spec.js";
+import { loadSdl, findExampleDirs, SDL_FILES } from "./lib/sdl-source.js";
+import { same, fmt } from "./lib/values.js";
+
+const ANNOTATIONS = new Set(["title", "description", "examples", "default", "$comment", "$id", "$schema"]);
+
+// Keywords compared here — everything else falls through to "keyword-changed"
+const HANDLED = new Set([
+  "type", "properties", "required", "additionalProperties", "items", "enum", "const",
+  "pattern", "format", "uniqueItems", "deprecated",
+  "minLength", "maxLength", "minItems", "maxItems", "minProperties", "maxProperties",
+  "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum",
+]);
+
+// Raising a lower bound, or lowering an upper bound, rejects values that used to pass
+const LOWER_BOUNDS = ["minLength", "minItems", "minProperties", "minimum", "exclusiveMinimum"];
+const UPPER_BOUNDS = ["maxLength", "maxItems", "maxProperties", "maximum", "exclusiveMaximum"];
+
+const COLLECTION = { node: "nodes", edge: "edges", trigger: "triggers", flow: "flows" };
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function types(schema) {
+  if (schema.type === undefined) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+// "integer" values are also "number" values
+function typeCovered(type, allowed) {
+  return allowed.includes(type) || (type === "integer" && allowed.includes("number"));
+}
+
+// ── Schema comparison ─────────────────────────────────────────────────────────
+
+/**
+ * Walks two versions of one schema side by side, pushing a change record per
+ * difference: { schema, field, pointer, change, breaking, summary }.
+ *   field   — dotted path of the SDL field, e.g. "auth.mechanism", "steps[].actor"
+ *   pointer — JSON pointer into the schema file
+ */
+function compareSchema(o, n, at, out) {
+  const push = (change, breaking, summary) => {
+    out.push({ schema: at.schema, field: at.field || "(root)", pointer: at.pointer, change, breaking, summary });
+  };
+
+  if (!isObject(o) || !isObject(n)) {
+    // Boolean schemas: true accepts everything, false nothing
+    if (!same(o, n)) push("schema-changed", n === false || (o === true && isObject(n)), `schema ${fmt(o)} → ${fmt(n)}`);
+    return;
+  }
+
+  // type
+  const oldTypes = types(o), newTypes = types(n);
+  if (!same(oldTypes, newTypes)) {
+    if (newTypes === null)                                      push("type-widened", false, `type constraint ${fmt(o.type)} removed`);
+    else if (oldTypes === null)                                 push("type-narrowed", true, `type ${fmt(n.type)} added`);
+    else if (oldTypes.every((t) => typeCovered(t, newTypes)))  push("type-widened", false, `type ${fmt(o.type)} → ${fmt(n.type)}`);
+    else                                                        push("type-narrowed", true, `type ${fmt(o.type)} → ${fmt(n.type)}`);
+  }
+
+  // required
+  const oldRequired = new Set(o.required ?? []), newRequired = new Set(n.required ?? []);
+  for (const f of newRequired) if (!oldRequired.has(f)) push("required-added",   true,  `${fmt(f)} is now required`);
+  for (const f of oldRequired) if (!newRequired.has(f)) push("required-removed", false, `${fmt(f)} is no longer required`);
+
+  // properties
+  const oldProps = o.properties ?? {}, newProps = n.properties ?? {};
+  const closed = n.additionalProperties === false;
+  for (const key of Object.keys(newProps)) {
+    if (!(key in oldProps)) push("property-added", false, `${newRequired.has(key) ? "field" : "optional field"} ${fmt(key)} added`);
+  }
+  for (const key of Object.keys(oldProps)) {
+    if (!(key in newProps)) {
+      push("property-removed", closed, closed
+        ? `field ${fmt(key)} removed — additionalProperties is false, so files using it are rejected`
+        : `field ${fmt(key)} removed — still accepted as an additional property`);
+      continue;
+    }
+    compareSchema(oldProps[key], newProps[key], {
+      schema:  at.schema,
+      field:   at.field ? `${at.field}.${key}` : key,
+      pointer: `${at.pointer}/properties/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`,
+    }, out);
+  }
+
+  // additionalProperties
+  const oldAdditional = o.additionalProperties ?? true, newAdditional = n.additionalProperties ?? true;
+  if (isObject(oldAdditional) && isObject(newAdditional)) {
+    compareSchema(oldAdditional, newAdditional, { ...at, field: `${at.field || "(root)"}.*`, pointer: `${at.pointer}/additionalProperties` }, out);
+  } else if (!same(oldAdditional, newAdditional)) {
+    const tightened = newAdditional === false || (oldAdditional === true && isObject(newAdditional));
+    push(tightened ? "additional-properties-tightened" : "additional-properties-loosened", tightened,
+      `additionalProperties ${fmt(o.additionalProperties)} → ${fmt(n.additionalProperties)}`);
+  }
+
+  // items
+  if (o.items !== undefined || n.items !== undefined) {
+    if (isObject(o.items) && isObject(n.items)) {
+      compareSchema(o.items, n.items, { ...at, field: `${at.field}[]`, pointer: `${at.pointer}/items` }, out);
+    } else if (!same(o.items, n.items)) {
+      push("items-changed", n.items !== undefined, `items ${fmt(o.items)} → ${fmt(n.items)}`);
+    }
+  }
+
+  // enum
+  if (o.enum && !n.enum)      push("enum-removed", false, `enum ${fmt(o.enum)} removed — any value accepted`);
+  else if (!o.enum && n.enum) push("enum-added",   true,  `restricted to ${fmt(n.enum)}`);
+  else if (o.enum && n.enum) {
+    const has = (list, v) => list.some((x) => same(x, v));
+    for (const v of n.enum) if (!has(o.enum, v)) push("enum-value-added",   false, `enum value ${fmt(v)} added`);
+    for (const v of o.enum) if (!has(n.enum, v)) push("enum-value-removed", true,  `enum value ${fmt(v)} removed`);
+  }
+
+  // const, pattern, format — any new or changed restriction may reject existing values
+  for (const key of ["const", "pattern", "format"]) {
+    if (same(o[key], n[key])) continue;
+    if (n[key] === undefined)      push(`${key}-removed`, false, `${key} ${fmt(o[key])} removed`);
+    else if (o[key] === undefined) push(`${key}-added`,   true,  `${key} ${fmt(n[key])} added`);
+    else                           push(`${key}-changed`, true,  `${key} ${fmt(o[key])} → ${fmt(n[key])}`);
+  }
+
+  if (!o.uniqueItems && n.uniqueItems) push("constraint-tightened", true,  `uniqueItems required`);
+  if (o.uniqueItems && !n.uniqueItems) push("constraint-loosened",  false, `uniqueItems no longer required`);
+
+  // numeric and size limits
+  for (const key of [...LOWER_BOUNDS, ...UPPER_BOUNDS]) {
+    if (same(o[key], n[key])) continue;
+    const lower = LOWER_BOUNDS.includes(key);
+    let tightened;
+    if (n[key] === undefined)      tightened = false;
+    else if (o[key] === undefined) tightened = true;
+    else                           tightened = lower ? n[key] > o[key] : n[key] < o[key];
+    push(tightened ? "constraint-tightened" : "constraint-loosened", tightened, `${key} ${fmt(o[key])} → ${fmt(n[key])}`);
+  }
+
+  if (!o.deprecated && n.deprecated) push("field-deprecated",   false, `marked deprecated`);
+  if (o.deprecated && !n.deprecated) push("field-undeprecated", false, `no longer deprecated`);
+
+  // Everything else — composite and conditional keywords
+  const rest = new Set([...Object.keys(o), ...Object.keys(n)]);
+  for (const key of rest) {
+    if (HANDLED.has(key) || ANNOTATIONS.has(key) || same(o[key], n[key])) continue;
+    push("keyword-changed", true, `${key} changed — not classifiable structurally, treated as breaking`);
+  }
+}
+
+/** Compares two schema sets ({ name → schema | null }). Returns the change list. */
+function compareSpecs(oldSpec, newSpec) {
+  const changes = [];
+  for (const name of SCHEMA_NAMES) {
+    const o = oldSpec[name], n = newSpec[name];
+    const at = { schema: name, field: "", pointer: "" };
+    if (!o && !n) continue;
+    if (!o) changes.push({ ...at, field: "(root)", change: "schema-added",   breaking: false, summary: `${name}.schema.json added` });
+    else if (!n) changes.push({ ...at, field: "(root)", change: "schema-removed", breaking: true,  summary: `${name}.schema.json removed` });
+    else compareSchema(o, n, at, changes);
+  }
+  return changes;
+}
+
+// ── Example re-validation ─────────────────────────────────────────────────────
+
+function compileSpec(spec) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const present = SCHEMA_NAMES.filter((name) => spec[name]);
+  for (const name of present) ajv.addSchema(spec[name], spec[name]["$id"]);
+  return Object.fromEntries(present.map((name) => [name, ajv.compile(spec[name])]));
+}
+
+/**
+ * Validates every example item against both specs.
+ * Returns { examples, items, regressions: [{ example, file, id, errors }] } — a
+ * regression is an item the old spec accepts and the new one rejects.
+ */
+function revalidateExamples(examplesDir, oldSpec, newSpec) {
+  const oldValidators = compileSpec(oldSpec), newValidators = compileSpec(newSpec);
+  const dirs = findExampleDirs(examplesDir);
+  const regressions = [];
+  let items = 0;
+
+  for (const dir of dirs) {
+    const sdl = loadSdl({ ref: null, dir });
+    for (const name of SCHEMA_NAMES) {
+      const list = sdl[COLLECTION[name]];
+      if (!Array.isArray(list)) continue;
+
+      list.forEach((item, index) => {
+        items++;
+        const before = oldValidators[name], after = newValidators[name];
+        if (before && !before(item)) return; // already invalid — not this change's doing
+        if (!after || after(item)) return;
+        regressions.push({
+          example: basename(dir),
+          file:    SDL_FILES[COLLECTION[name]],
+          id:      item?.id ?? `index ${index}`,
+          errors:  after ? after.errors.map((e) => `${e.instancePath || "(root)"} ${e.message}`) : [`${name}.schema.json removed`],
+        });
+      });
+    }
+  }
+  return { examples: dirs.length, items, regressions };
+}
+
+// ── Output ────────────────────────────────────────────────────────────────────
+
+function verdict(report) {
+  const breaking = report.changes.filter((c) => c.breaking).length;
+  const missed = breaking === 0 && report.revalidation.regressions.length > 0;
+  return { breaking, missed, compatible: breaking === 0 && !missed };
+}
+
+function formatMarkdown(report) {
+  const { from, to, changes, revalidation } = report;
+  const { breaking, missed, compatible } = verdict(report);
+  const lines = [];
+
+  lines.push(`## SDL spec compatibility`);
+  lines.push(`\`${from}\` → \`${to}\``);
+  lines.push("");
+
+  if (changes.length === 0) lines.push("No schema changes.");
+  else lines.push(`**${compatible ? "Compatible" : "Breaking"}** — ${breaking} breaking, ${changes.length - breaking} non-breaking change(s).`);
+
+  for (const [title, list] of [
+    ["Breaking changes",     changes.filter((c) => c.breaking)],
+    ["Non-breaking changes", changes.filter((c) => !c.breaking)],
+  ]) {
+    if (list.length === 0) continue;
+    lines.push("");
+    lines.push(`### ${title}`);
+    for (const c of list) lines.push(`- \`${c.schema}\` \`${c.field}\`: ${c.summary} _(${c.change})_`);
+  }
+
+  lines.push("");
+  lines.push(`### Examples against \`${to}\``);
+  const { examples, items, regressions } = revalidation;
+  if (regressions.length === 0) {
+    lines.push(`${examples} example(s), ${items} item(s): every item the old spec accepts is still valid.`);
+  } else {
+    if (missed) {
+      lines.push(`**The new spec rejects items the old spec accepts, but no breaking change was classified** — review the schema diff by hand.`);
+      lines.push("");
+    }
+    lines.push(`${regressions.length} item(s) valid under \`${from}\` are rejected by \`${to}\`:`);
+    for (const r of regressions) {
+      lines.push(`- \`${r.example}\` ${r.file} \`${r.id}\`: ${r.errors.join("; ")}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function formatJson(report) {
+  const { breaking, missed, compatible } = verdict(report);
+  return JSON.stringify({
+    from: report.from,
+    to:   report.to,
+    compatible,
+    summary: { breaking, nonBreaking: report.changes.length - breaking, unclassifiedRegressions: missed },
+    changes: report.changes,
+    revalidation: report.revalidation,
+  }, null, 2) + "\n";
+}
+
+const FORMATS = { markdown: formatMarkdown, json: formatJson };
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+/** Resolves a command-line side to a git ref, or null for the working tree. */
+function resolveSpecRef(arg) {
+  if (arg === ".") return null;
+  if (/^\d+(\.\d+)*$/.test(arg)) return specTag(arg);
+  return arg;
+}
+
+function loadSpec(ref) {
+  if (ref && !gitRefExists(ref)) throw new Error(`git ref not found: ${ref}`);
+  return Object.fromEntries(SCHEMA_NAMES.map((name) => [name, readSpecSchema(name, ref)]));
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { format: "markdown", examples: join(ROOT, "examples") };
+  const sides = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--format")   { opts.format   = args[++i]; continue; }
+    if (args[i] === "--examples") { opts.examples = resolve(args[++i]); continue; }
+    sides.push(args[i]);
+  }
+
+  if (sides.length !== 2) {
+    console.error("Usage: node spec-compat.js <from> <to> [--format markdown|json] [--examples <dir>]");
+    console.error(`  <from>, <to>: spec version (0.1 → ${specTag("0.1")}), git ref, or "." for the working tree`);
+    process.exit(2);
+  }
+  if (!FORMATS[opts.format]) {
+    console.error(`Unknown format "${opts.format}". Available: ${Object.keys(FORMATS).join(", ")}`);
+    process.exit(2);
+  }
+  if (!existsSync(opts.examples) || !statSync(opts.examples).isDirectory()) {
+    console.error(`Error: examples directory not found: ${opts.examples}`);
+    process.exit(2);
+  }
+  return { sides, opts };
+}
+
+function run() {
+  const { sides, opts } = parseArgs();
+  const [fromRef, toRef] = sides.map(resolveSpecRef);
+  const label = (ref) => ref ?? "working tree";
+
+  let report;
+  try {
+    const oldSpec = loadSpec(fromRef), newSpec = loadSpec(toRef);
+    if (SCHEMA_NAMES.every((name) => !oldSpec[name])) throw new Error(`no spec schemas found at ${label(fromRef)}`);
+    if (SCHEMA_NAMES.every((name) => !newSpec[name])) throw new Error(`no spec schemas found at ${label(toRef)}`);
+
+    report = {
+      from:         label(fromRef),
+      to:           label(toRef),
+      changes:      compareSpecs(oldSpec, newSpec),
+      revalidation: revalidateExamples(opts.examples, oldSpec, newSpec),
+    };
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  process.stdout.write(FORMATS[opts.format](report));
+  process.exitCode = verdict(report).compatible ? 0 : 1;
+}
+
+run();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * SDL Stats
+ * Architecture health numbers for one SDL system: per-node fan-in / fan-out, the
+ * flows each node and edge takes part in, the longest synchronous call chain per
+ * flow, the sync / async edge share, how many steps declare an `error`, and coupling
+ * between tag groups. See lib/stats.js for how each is measured.
+ *
+ * Usage:
+ *   node stats.js <dir|ref:dir> [--format text|json] [--tag-prefix team-] [--check]
+ *
+ *   The system is a directory or `<git-ref>:<directory>`, as for diff.js.
+ *
+ * manifest.json may carry a "stats" block ({ "nodes": 13, "edges": 17, ... }); it is
+ * compared with the real counts, and --check fails when the two have drifted apart.
+ *
+ * Exit codes:
+ *   0 — stats produced
+ *   1 — usage error, missing directory or unparseable file; with --check, a manifest
+ *       stats field that does not match
+ */
+
+import { parseSource, loadSdl } from "./lib/sdl-source.js";
+import { loadStdlib, loadProjectStdlib } from "./lib/stdlib.js";
+import { computeStats, DEFAULT_TAG_PREFIX } from "./lib/stats.js";
+
+// ── Output ────────────────────────────────────────────────────────────────────
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+// Whole percentages of `counts` that add up to 100, by largest remainder — 5 and 3 of 8
+// print as 63% and 37%, where rounding each share on its own gives 63% and 38%
+function percents(...counts) {
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  if (total === 0) return counts.map(() => "0%");
+  const exact = counts.map((n) => (n * 100) / total);
+  const whole = exact.map(Math.floor);
+  const byRemainder = counts.map((_, i) => i).sort((a, b) => (exact[b] - whole[b]) - (exact[a] - whole[a]) || a - b);
+  let left = 100 - whole.reduce((sum, p) => sum + p, 0);
+  for (const i of byRemainder) if (left-- > 0) whole[i]++;
+  return whole.map((p) => `${p}%`);
+}
+
+// Rows of cells as aligned text; numeric columns align right
+function table(header, rows) {
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((r) => String(r[c]).length)));
+  const line = (cells) => "  " + cells.map((cell, c) =>
+    typeof cell === "number" ? String(cell).padStart(widths[c]) : String(cell).padEnd(widths[c])
+  ).join("  ").trimEnd();
+  return [line(header), ...rows.map(line)].join("\n");
+}
+
+function formatText(stats) {
+  const { counts, edgeStyles, errorHandling, coupling, manifest } = stats;
+  const out = [];
+
+  out.push(`\nSDL Stats — ${stats.name}`);
+  out.push("=".repeat(60));
+  out.push(`Counts   ${counts.nodes} node(s), ${counts.edges} edge(s), ${counts.triggers} trigger(s), ${counts.flows} flow(s), ${counts.steps} step(s)`);
+  const [syncPercent, asyncPercent, unknownPercent] = percents(edgeStyles.sync, edgeStyles.async, edgeStyles.unknown);
+  out.push(`Edges    ${edgeStyles.sync} sync (${syncPercent}), ${edgeStyles.async} async (${asyncPercent})` +
+    (edgeStyles.unknown ? `, ${edgeStyles.unknown} of unknown style (${unknownPercent})` : ""));
+  out.push(`Errors   ${errorHandling.withError} of ${errorHandling.steps} step(s) declare an error (${percent(errorHandling.share)})`);
+
+  out.push(`\nNodes — by fan-in + fan-out`);
+  const nodes = [...stats.nodes].sort((a, b) => (b.fanIn + b.fanOut) - (a.fanIn + a.fanOut) || a.id.localeCompare(b.id));
+  out.push(table(["node", "kind", "fan-in", "fan-out", "flows"], nodes.map((n) => [n.id, n.kind, n.fanIn, n.fanOut, n.flows])));
+
+  out.push(`\nEdges`);
+  out.push(table(["edge", "protocol", "style", "flows"], stats.edges.map((e) => [e.id, e.protocol, e.style ?? "?", e.flows])));
+
+  out.push(`\nFlows`);
+  out.push(table(["flow", "steps", "errors", "longest sync chain"], stats.flows.map((f) => {
+    const { hops, nodes: chain } = f.longestSyncChain;
+    return [f.id, f.steps, f.errorSteps, hops === 0 ? "-" : `${hops} hop(s): ${chain.join(" → ")}`];
+  })));
+
+  out.push(`\nCoupling between ${coupling.prefix}* groups`);
+  const groups = Object.keys(coupling.groups);
+  if (groups.length === 0) {
+    out.push(`  No node is tagged ${coupling.prefix}* — pass --tag-prefix to group by another tag`);
+  } else {
+    out.push(`  ${groups.length} group(s): ${groups.map((g) => `${g} (${coupling.groups[g]})`).join(", ")}` +
+      (coupling.ungrouped ? `; ${coupling.ungrouped} node(s) ungrouped` : ""));
+    if (coupling.pairs.length === 0) out.push("  No edges cross between groups");
+    else out.push(table(["from", "to", "edges"], coupling.pairs.map((p) => [p.from, p.to, p.edges])));
+  }
+
+  if (manifest) {
+    out.push(`\nmanifest.json stats`);
+    out.push(table(["field", "declared", "actual", ""], manifest.map(({ field, declared, actual }) => [
+      field,
+      typeof declared === "number" ? declared : JSON.stringify(declared),
+      actual === null ? "-" : actual,
+      actual === null ? "not computed" : actual === declared ? "ok" : "drifted",
+    ])));
+  }
+
+  return out.join("\n") + "\n\n";
+}
+
+function formatJson(stats) {
+  return JSON.stringify(stats, null, 2) + "\n";
+}
+
+const FORMATS = { text: formatText, json: formatJson };
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { format: "text", tagPrefix: DEFAULT_TAG_PREFIX, check: false };
+  let source = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--format")     { opts.format    = args[++i]; continue; }
+    if (args[i] === "--tag-prefix") { opts.tagPrefix = args[++i]; continue; }
+    if (args[i] === "--check")      { opts.check     = true; continue; }
+    if (!source) source = args[i];
+  }
+
+  if (!source || typeof opts.tagPrefix !== "string") {
+    console.error("Usage: node stats.js <dir|ref:dir> [--format text|json] [--tag-prefix team-] [--check]");
+    process.exit(1);
+  }
+  if (!FORMATS[opts.format]) {
+    console.error(`Unknown format "${opts.format}". Available: ${Object.keys(FORMATS).join(", ")}`);
+    process.exit(1);
+  }
+  return { source, opts };
+}
+
+function run() {
+  const { source, opts } = parseArgs();
+
+  let sdl, stdlib;
+  try {
+    const parsed = parseSource(source);
+    sdl = loadSdl(parsed);
+    // A project kinds extension is read from the working tree, so only for directories
+    stdlib = parsed.ref ? loadStdlib() : loadProjectStdlib(sdl.manifest, parsed.dir).stdlib;
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  const stats = computeStats(sdl, stdlib, { tagPrefix: opts.tagPrefix });
+  process.stdout.write(FORMATS[opts.format](stats));
+
+  const drifted = (stats.manifest ?? []).filter(({ declared, actual }) => actual !== null && actual !== declared);
+  if (opts.check && drifted.length > 0) {
+    console.error(`manifest.json stats drifted: ${drifted.map((d) => `${d.field} declared ${d.declared}, actual ${d.actual}`).join("; ")}`);
+    process.exitCode = 1;
+  }
+}
+
+run();
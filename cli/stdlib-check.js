@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * SDL Stdlib Check
+ * Verifies that stdlib/kinds.json and the default policy pack stdlib/policies.json are
+ * internally consistent, so the validator's stdlib-driven findings never rest on a
+ * dangling reference; and that the built-in renderer themes are complete.
+ *
+ * Usage:
+ *   node stdlib-check.js
+ *
+ * Validates kinds.json against stdlib/kinds.schema.json (the format project kinds
+ * extensions share), then checks that every category is defined under "categories",
+ * that every node kind's typical_protocols are defined edge protocols, and that every
+ * trigger kind's supplemental_fields are properties of spec/trigger.schema.json.
+ * See lib/stdlib.js.
+ *
+ * Validates policies.json against stdlib/policies.schema.json and checks that policy
+ * ids are unique and every "source" names a kinds.json entry. See lib/policies.js.
+ *
+ * Resolves each renderer/themes/*.theme.json with the themes it extends and validates
+ * the result against renderer/themes/theme.schema.json. See lib/themes.js.
+ *
+ * Problems print as path:line:col, like validator findings.
+ *
+ * Exit codes:
+ *   0 — consistent
+ *   1 — problems found, or a file is unreadable
+ */
+
+import { readFileSync } from "fs";
+import { join, relative } from "path";
+import { ROOT } from "./lib/spec.js";
+import { STDLIB_FILE, loadStdlib, checkStdlib } from "./lib/stdlib.js";
+import { POLICY_FILE, STDLIB_PACK, loadPolicyPack } from "./lib/policies.js";
+import { THEMES_DIR, THEME_SUFFIX, builtInThemes, loadTheme } from "./lib/themes.js";
+import { sourcePositions } from "./lib/positions.js";
+
+// Prints `problems` in `file` (relative to the repository root); returns their count
+function printProblems(file, problems) {
+  if (problems.length === 0) {
+    console.log(`${file}: OK`);
+    return 0;
+  }
+
+  const path = join(ROOT, file);
+  const positions = sourcePositions(readFileSync(path, "utf8"), path);
+  const shown = relative(process.cwd(), path);
+  for (const { pointer, message, line, column } of problems) {
+    const pos = line ? { line, column } : pointer !== null && positions.locate(pointer);
+    console.log(`${pos ? `${shown}:${pos.line}:${pos.column}` : shown}  ${message}`);
+  }
+  console.log(`\n${problems.length} problem(s) in ${file}`);
+  return problems.length;
+}
+
+// Problems of one built-in theme that lie in its own file — its bases are checked in turn
+function themeProblems(name) {
+  const path = join(ROOT, THEMES_DIR, `${name}${THEME_SUFFIX}`);
+  try {
+    loadTheme(name);
+    return [];
+  } catch (e) {
+    if (!e.problems) return [{ pointer: null, message: e.message }];
+    return e.problems.filter((p) => p.path === path);
+  }
+}
+
+function run() {
+  let stdlib;
+  try {
+    stdlib = loadStdlib();
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  const problems =
+    printProblems(STDLIB_FILE, checkStdlib(stdlib)) +
+    printProblems(POLICY_FILE, loadPolicyPack(STDLIB_PACK, stdlib).problems) +
+    builtInThemes().reduce((n, name) => n + printProblems(join(THEMES_DIR, `${name}${THEME_SUFFIX}`), themeProblems(name)), 0);
+  if (problems > 0) process.exitCode = 1;
+}
+
+run();
@@ -0,0 +1,124 @@
+/**
+ * sdl add — one node, edge, trigger, flow or step added to an existing system
+ *
+ * Runs add.js without a terminal, so every field comes from a flag or a default, on a
+ * system written to a temporary directory.
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ADD       = resolve(__dirname, "../add.js");
+
+const SYSTEM = {
+  manifest: { sdlVersion: "0.1", name: "Add" },
+  nodes:    [{ id: "api", kind: "microservice", label: "API" }, { id: "db", kind: "database", label: "DB" }],
+  edges:    [{ id: "api-db", protocol: "database", source: "api", target: "db" }],
+  triggers: [{ id: "tick", kind: "scheduled", label: "Tick", target: "api", schedule: { cron: "0 * * * *" } }],
+  flows:    [{
+    id: "main", label: "Main", trigger: "tick",
+    steps: [{ id: "1.0", actor: "api", action: "start" }, { id: "3.0", actor: "db", action: "store", via: "api-db" }],
+  }],
+};
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "sdl-add-"));
+  for (const [name, data] of Object.entries(SYSTEM)) writeFileSync(join(dir, `${name}.json`), JSON.stringify(data, null, 2) + "\n");
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+const add  = (type, ...args) => spawnSync(process.execPath, [ADD, type, dir, ...args], { encoding: "utf8", input: "" });
+const text = (file) => readFileSync(join(dir, file), "utf8");
+const read = (file) => JSON.parse(text(file));
+
+// ── Adding ────────────────────────────────────────────────────────────────────
+
+describe("add.js", () => {
+  test("a node goes at the end, its id defaulting to the label in kebab-case", () => {
+    const run = add("node", "--label", "Order Service", "--kind", "microservice");
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Added node "order-service" to nodes\.json/);
+    assert.deepEqual(read("nodes.json").at(-1), { id: "order-service", kind: "microservice", label: "Order Service" });
+  });
+
+  test("an edge id defaults to <source>-to-<target>", () => {
+    const run = add("edge", "--source", "db", "--target", "api", "--protocol", "database", "--style", "sync");
+    assert.equal(run.status, 0, run.stderr);
+    assert.deepEqual(read("edges.json").at(-1), { id: "db-to-api", protocol: "database", source: "db", target: "api", style: "sync" });
+  });
+
+  test("a step goes into its flow in numbering order", () => {
+    assert.equal(add("step", "--flow", "main", "--id", "2.0", "--actor", "api", "--action", "check").status, 0);
+    const run = add("step", "--flow", "main", "--actor", "db", "--action", "done");
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Added step "4\.0" to flow "main" in flows\.json/);
+    assert.deepEqual(read("flows.json")[0].steps.map((s) => s.id), ["1.0", "2.0", "3.0", "4.0"]);
+  });
+
+  test("a flow starts with step 1.0", () => {
+    const run = add("flow", "--label", "Nightly Cleanup", "--trigger", "tick", "--actor", "api", "--action", "clean up", "--via", "api-db");
+    assert.equal(run.status, 0, run.stderr);
+    assert.deepEqual(read("flows.json").at(-1), {
+      id: "nightly-cleanup", label: "Nightly Cleanup", trigger: "tick",
+      steps: [{ id: "1.0", actor: "api", action: "clean up", via: "api-db" }],
+    });
+  });
+
+  test("--dry-run prints the patch and writes nothing", () => {
+    const before = text("nodes.json");
+    const run = add("node", "--label", "Cache", "--kind", "cache", "--dry-run");
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /^\+ {4}"id": "cache",$/m);
+    assert.match(run.stdout, /node "cache" would be added to nodes\.json — dry run, nothing written/);
+    assert.equal(text("nodes.json"), before);
+  });
+});
+
+// ── Refusing ──────────────────────────────────────────────────────────────────
+
+describe("add.js refuses", () => {
+  const unchanged = (run, file, before, pattern) => {
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, pattern);
+    assert.equal(text(file), before);
+  };
+
+  test("an id already in use", () => {
+    unchanged(add("node", "--label", "API", "--kind", "microservice"), "nodes.json", text("nodes.json"), /Error: id defaults to "api", but "api" is already used in nodes\.json — pass --id/);
+    unchanged(add("node", "--id", "db", "--label", "Other", "--kind", "database"), "nodes.json", text("nodes.json"), /Error: --id: "db" is already used in nodes\.json/);
+  });
+
+  test("missing required fields without a terminal", () => {
+    unchanged(add("node", "--label", "Cache"), "nodes.json", text("nodes.json"), /Error: missing --kind — pass them as flags/);
+  });
+
+  test("an addition that would not validate", () => {
+    unchanged(add("edge", "--source", "api", "--target", "nowhere", "--protocol", "rest"), "edges.json", text("edges.json"),
+      /edge "api-to-nowhere" would not validate — nothing written:\n {2}unknown-node-ref: /);
+  });
+
+  test("a step in a flow that does not exist, or a style outside sync / async", () => {
+    unchanged(add("step", "--flow", "nope", "--actor", "api", "--action", "x"), "flows.json", text("flows.json"), /Error: --flow: "nope" is not one of: main/);
+    unchanged(add("edge", "--source", "db", "--target", "api", "--protocol", "rest", "--style", "batch"), "edges.json", text("edges.json"), /Error: --style: "batch" is not one of: sync, async/);
+  });
+
+  test("an unknown field or directory", () => {
+    const field = add("node", "--colour", "red");
+    assert.equal(field.status, 1);
+    assert.match(field.stderr, /Unknown or incomplete argument "--colour"\. node fields: --label, --id, --kind, --description/);
+
+    const missing = spawnSync(process.execPath, [ADD, "node", join(dir, "nope"), "--label", "X"], { encoding: "utf8" });
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Error: SDL directory not found: /);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Cron expressions and time zones — lib/cron.js
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCron, nextFireTimes, isValidTimeZone } from "../lib/cron.js";
+
+const values = (field) => [...field.values].sort((a, b) => a - b);
+
+// Fire times of `expr` in `tz` after the ISO instant `from`, as UTC ISO strings
+function fires(expr, tz, from, count) {
+  const cron = parseCron(expr);
+  assert.ok(cron.valid, cron.error);
+  return nextFireTimes(cron, tz, count, new Date(from)).map((f) => f.utc);
+}
+
+// ── parseCron ─────────────────────────────────────────────────────────────────
+
+describe("parseCron", () => {
+  const fields = [
+    ["*/15 * * * *",        "minute",     [0, 15, 30, 45]],
+    ["0 9-17/4 * * *",      "hour",       [9, 13, 17]],
+    ["0 0 1,15,31 * *",     "dayOfMonth", [1, 15, 31]],
+    ["0 0 1 JAN,jul *",     "month",      [1, 7]],
+    ["0 0 1 10/1 *",        "month",      [10, 11, 12]],
+    ["0 0 * * MON-FRI",     "dayOfWeek",  [1, 2, 3, 4, 5]],
+    ["0 0 * * 7",           "dayOfWeek",  [0]],
+    ["0 0 * * 5-7",         "dayOfWeek",  [0, 5, 6]],
+    ["0 0 * * SUN,7",       "dayOfWeek",  [0]],
+  ];
+  for (const [expr, field, expected] of fields) {
+    test(`"${expr}" → ${field} ${expected.join(",")}`, () => {
+      const cron = parseCron(expr);
+      assert.ok(cron.valid, cron.error);
+      assert.deepEqual(values(cron[field]), expected);
+    });
+  }
+
+  test("macros expand to their five-field form", () => {
+    for (const [macro, expr] of [["@daily", "0 0 * * *"], ["@HOURLY", "0 * * * *"], ["@weekly", "0 0 * * 0"], ["@annually", "0 0 1 1 *"]]) {
+      assert.deepEqual(parseCron(macro), parseCron(expr), macro);
+    }
+  });
+
+  test("a field is restricted unless it starts with *", () => {
+    const cron = parseCron("0 0 */2 * 1");
+    assert.equal(cron.dayOfMonth.restricted, false);
+    assert.equal(cron.dayOfWeek.restricted, true);
+  });
+
+  const invalid = [
+    ["",               /non-empty string/],
+    ["@often",         /unknown macro "@often"/],
+    ["* * * *",        /has 4 field\(s\); expected 5/],
+    ["* * * * * *",    /has 6 field\(s\); expected 5/],
+    ["60 * * * *",     /minute "60": values must be within 0-59/],
+    ["* 24 * * *",     /hour "24": values must be within 0-23/],
+    ["* * 0 * *",      /day of month "0": values must be within 1-31/],
+    ["* * * 13 *",     /month "13": values must be within 1-12/],
+    ["* * * * 8",      /day of week "8": values must be within 0-7/],
+    ["*/0 * * * *",    /step "0" must be a positive integer/],
+    ["5-1 * * * *",    /range "5-1" runs backwards/],
+    ["1-2-3 * * * *",  /malformed range "1-2-3"/],
+    ["1,,2 * * * *",   /malformed entry ""/],
+    ["* * * FOO *",    /"FOO" is not a number or name/],
+    ["MON * * * *",    /"MON" is not a number$/],
+    ["0 0 31 2 *",     /never fires/],
+    ["0 0 30,31 2 *",  /never fires/],
+    ["0 0 31 4,6,9 *", /never fires/],
+  ];
+  for (const [expr, error] of invalid) {
+    test(`rejects "${expr}"`, () => {
+      const cron = parseCron(expr);
+      assert.equal(cron.valid, false);
+      assert.match(cron.error, error);
+    });
+  }
+
+  test("a day that exists in some selected month can fire", () => {
+    assert.ok(parseCron("0 0 29 2 *").valid, "Feb 29 — leap years");
+    assert.ok(parseCron("0 0 31 2,3 *").valid, "Mar 31");
+  });
+
+  test("a restricted day of week keeps an impossible day of month reachable", () => {
+    assert.ok(parseCron("0 0 31 2 MON").valid);
+  });
+});
+
+// ── nextFireTimes ─────────────────────────────────────────────────────────────
+
+describe("nextFireTimes", () => {
+  test("both day fields restricted: a day matches if EITHER does", () => {
+    // April 2026: Fridays are the 3rd, 10th, 17th and 24th; the 13th is a Monday
+    assert.deepEqual(fires("0 0 13 * FRI", "UTC", "2026-04-01T00:00:00Z", 5), [
+      "2026-04-03T00:00:00.000Z", "2026-04-10T00:00:00.000Z", "2026-04-13T00:00:00.000Z",
+      "2026-04-17T00:00:00.000Z", "2026-04-24T00:00:00.000Z",
+    ]);
+  });
+
+  test("one day field restricted: only it counts", () => {
+    assert.deepEqual(fires("0 0 * * FRI", "UTC", "2026-04-01T00:00:00Z", 3), [
+      "2026-04-03T00:00:00.000Z", "2026-04-10T00:00:00.000Z", "2026-04-17T00:00:00.000Z",
+    ]);
+    assert.deepEqual(fires("0 0 13 * *", "UTC", "2026-04-01T00:00:00Z", 2), [
+      "2026-04-13T00:00:00.000Z", "2026-05-13T00:00:00.000Z",
+    ]);
+  });
+
+  test("7 fires on Sundays", () => {
+    assert.deepEqual(fires("0 12 * * 7", "UTC", "2026-04-01T00:00:00Z", 2), [
+      "2026-04-05T12:00:00.000Z", "2026-04-12T12:00:00.000Z",
+    ]);
+  });
+
+  test("fire times are strictly after `from`", () => {
+    assert.deepEqual(fires("0 * * * *", "UTC", "2026-04-01T10:00:00Z", 1), ["2026-04-01T11:00:00.000Z"]);
+  });
+
+  test("times are wall-clock in the schedule's zone", () => {
+    assert.deepEqual(fires("0 9 * * *", "Asia/Kolkata", "2026-04-01T00:00:00Z", 1), ["2026-04-01T03:30:00.000Z"]);
+  });
+
+  test("Feb 29 waits for the next leap year", () => {
+    assert.deepEqual(fires("0 0 29 2 *", "UTC", "2026-01-01T00:00:00Z", 1), ["2028-02-29T00:00:00.000Z"]);
+  });
+
+  test("local is the weekday and wall-clock time", () => {
+    const [fire] = nextFireTimes(parseCron("30 8 * * *"), "Europe/Berlin", 1, new Date("2026-10-18T12:00:00Z"));
+    assert.deepEqual(fire, { utc: "2026-10-19T06:30:00.000Z", local: "Mon 2026-10-19 08:30" });
+  });
+
+  test("a time skipped by a DST gap does not fire that day", () => {
+    // New York springs forward at 02:00 on 2026-03-08 — 02:30 does not exist
+    assert.deepEqual(fires("30 2 * * *", "America/New_York", "2026-03-07T12:00:00Z", 2), [
+      "2026-03-09T06:30:00.000Z", "2026-03-10T06:30:00.000Z",
+    ]);
+  });
+
+  test("a time repeated by a DST change fires once", () => {
+    // New York falls back at 02:00 on 2026-11-01 — 01:30 happens twice
+    const times = fires("30 1 * * *", "America/New_York", "2026-10-31T12:00:00Z", 2);
+    assert.equal(times.length, 2);
+    assert.ok(["2026-11-01T05:30:00.000Z", "2026-11-01T06:30:00.000Z"].includes(times[0]), times[0]);
+    assert.equal(times[1], "2026-11-02T06:30:00.000Z");
+  });
+
+  test("returns fewer entries when the schedule is rarer than the search window", () => {
+    // Five years from 2026 reach Feb 29 2028 but not 2032
+    assert.deepEqual(fires("0 0 29 2 *", "UTC", "2026-01-01T00:00:00Z", 3), ["2028-02-29T00:00:00.000Z"]);
+  });
+});
+
+// ── isValidTimeZone ───────────────────────────────────────────────────────────
+
+describe("isValidTimeZone", () => {
+  for (const tz of ["UTC", "Europe/Berlin", "America/Argentina/Buenos_Aires", "US/Eastern"]) {
+    test(`accepts ${tz}`, () => assert.equal(isValidTimeZone(tz), true));
+  }
+  for (const tz of ["", "Mars/Olympus", "Europe/berlin-ish", 5, undefined]) {
+    test(`rejects ${JSON.stringify(tz)}`, () => assert.equal(isValidTimeZone(tz), false));
+  }
+});
@@ -0,0 +1,175 @@
+/**
+ * sdl diff — the semantic diff of two systems, as directories or `<ref>:<dir>`
+ *
+ * Runs diff.js with --format json on systems written to a temporary directory; the
+ * `<ref>:<dir>` cases commit one to a throwaway git repository first.
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawnSync, execFileSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DIFF      = resolve(__dirname, "../diff.js");
+
+let root;
+beforeEach(() => { root = mkdtempSync(join(tmpdir(), "sdl-diff-")); });
+afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+const NODES = [
+  { id: "api",    kind: "microservice", label: "API" },
+  { id: "orders", kind: "microservice", label: "Orders" },
+  { id: "bus",    kind: "message-broker", label: "Bus" },
+];
+const EDGES = [
+  { id: "api-orders", protocol: "rest",  source: "api", target: "orders" },
+  { id: "api-bus",    protocol: "kafka", source: "api", target: "bus", style: "async" },
+];
+const FLOWS = [{
+  id: "checkout", label: "Checkout", trigger: "click",
+  steps: [
+    { id: "1.0", actor: "api",    action: "accept the order" },
+    { id: "2.0", actor: "orders", action: "store the order", via: "api-orders" },
+    { id: "3.0", actor: "api",    action: "publish order.created", via: "api-bus" },
+  ],
+}];
+
+// Writes a system to `root/name`, with `changes` replacing whole files; returns its path
+function system(name, changes = {}) {
+  const dir = join(root, name);
+  mkdirSync(dir, { recursive: true });
+  const files = {
+    manifest: { sdlVersion: "0.1", name: "Diff" },
+    nodes:    NODES,
+    edges:    EDGES,
+    triggers: [{ id: "click", kind: "user-action", label: "Click" }],
+    flows:    FLOWS,
+    ...changes,
+  };
+  for (const [file, data] of Object.entries(files)) {
+    if (data !== undefined) writeFileSync(join(dir, `${file}.json`), JSON.stringify(data, null, 2));
+  }
+  return dir;
+}
+
+function diff(oldSpec, newSpec, cwd = root) {
+  return spawnSync(process.execPath, [DIFF, oldSpec, newSpec, "--format", "json"], { encoding: "utf8", cwd });
+}
+
+// The JSON diff of two systems; fails the test unless diff.js exits 0
+function changes(oldSpec, newSpec, cwd) {
+  const run = diff(oldSpec, newSpec, cwd);
+  assert.equal(run.status, 0, run.stderr);
+  return JSON.parse(run.stdout);
+}
+
+// The change codes reported for item `id` of `collection`
+const codes = (result, collection, id) =>
+  result[collection].changed.find((c) => c.id === id)?.changes.map((c) => c.change) ?? [];
+
+const withEdge = (id, fields) => EDGES.map((e) => (e.id === id ? { ...e, ...fields } : e));
+const withSteps = (steps) => [{ ...FLOWS[0], steps }];
+
+// ── Elements ──────────────────────────────────────────────────────────────────
+
+describe("diff.js elements", () => {
+  test("identical systems have no changes", () => {
+    const run = spawnSync(process.execPath, [DIFF, system("a"), system("b")], { encoding: "utf8" });
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /No architectural changes\./);
+  });
+
+  test("added and removed items are keyed by id", () => {
+    const nodes = [...NODES.filter((n) => n.id !== "bus"), { id: "cache", kind: "cache", label: "Cache" }];
+    const result = changes(system("a"), system("b", { nodes }));
+    assert.deepEqual(result.nodes.added.map((n) => n.id), ["cache"]);
+    assert.deepEqual(result.nodes.removed.map((n) => n.id), ["bus"]);
+    assert.deepEqual(result.summary.nodes, { added: 1, removed: 1, changed: 0 });
+  });
+
+  test("an edge's style compares as stated or implied by its protocol", () => {
+    const edgeCodes = (id, fields) => codes(changes(system("a"), system(`b-${id}`, { edges: withEdge(id, fields) })), "edges", id);
+    assert.deepEqual(edgeCodes("api-bus", { style: undefined }), [], "kafka without a style is still async");
+    assert.deepEqual(edgeCodes("api-orders", { style: "sync" }), [], "rest is sync anyway");
+
+    const result = changes(system("a"), system("b", { edges: withEdge("api-orders", { style: "async" }) }));
+    assert.deepEqual(result.edges.changed, [{
+      id: "api-orders",
+      changes: [{ change: "edge-style-changed", field: "style", from: "sync", to: "async", summary: "style: sync → async" }],
+    }]);
+  });
+
+  test("a protocol change reports the style it implies", () => {
+    const result = changes(system("a"), system("b", { edges: withEdge("api-orders", { protocol: "kafka" }) }));
+    assert.deepEqual(codes(result, "edges", "api-orders"), ["edge-style-changed", "protocol-changed"]);
+    assert.deepEqual(codes(changes(system("c"), system("d", { edges: withEdge("api-orders", { protocol: "grpc" }) })), "edges", "api-orders"), ["protocol-changed"]);
+  });
+
+  test("auth mechanisms added and removed", () => {
+    const secured = system("secured", { edges: withEdge("api-orders", { auth: { mechanism: "mtls" } }) });
+    assert.deepEqual(codes(changes(system("plain"), secured), "edges", "api-orders"), ["auth-added"]);
+    assert.deepEqual(codes(changes(secured, system("none", { edges: withEdge("api-orders", { auth: { mechanism: "none" } }) })), "edges", "api-orders"), ["auth-removed"]);
+  });
+
+  test("flow steps added, removed, changed and reordered", () => {
+    const [s1, s2, s3] = FLOWS[0].steps;
+    const cases = [
+      [[s1, s2, s3, { id: "4.0", actor: "orders", action: "reply" }], ["step-added"]],
+      [[s1, s2],                                                      ["step-removed"]],
+      [[s1, { ...s2, actor: "api" }, s3],                             ["step-actor-changed"]],
+      [[s1, { ...s2, via: "api-bus" }, s3],                           ["step-via-changed"]],
+      [[s1, s3, s2],                                                  ["step-reordered"]],
+      [[s1, { ...s2, action: "save the order" }, s3],                 ["step-changed"]],
+    ];
+    cases.forEach(([steps, expected], i) => {
+      assert.deepEqual(codes(changes(system(`old-${i}`), system(`new-${i}`, { flows: withSteps(steps) })), "flows", "checkout"), expected);
+    });
+  });
+});
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+
+describe("diff.js sources", () => {
+  const git = (...args) => execFileSync("git", ["-c", "user.name=t", "-c", "user.email=t@example.com", ...args], { cwd: root, stdio: "pipe" });
+
+  beforeEach(() => {
+    system("sys", { manifest: undefined });
+    git("init", "-q");
+    git("add", "-A");
+    git("commit", "-q", "-m", "system");
+  });
+
+  test("<ref>:<dir> reads the directory as committed, optional files may be absent", () => {
+    system("sys", { manifest: undefined, edges: withEdge("api-orders", { protocol: "grpc" }) });
+    const result = changes("HEAD:sys", "sys");
+    assert.deepEqual(codes(result, "edges", "api-orders"), ["protocol-changed"]);
+    assert.equal(result.old, "HEAD:sys");
+  });
+
+  test("an unknown ref is an error", () => {
+    const run = diff("no-such-ref:sys", "sys");
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /git ref not found: no-such-ref/);
+  });
+
+  test("a directory with no SDL files at the ref is an error, not an empty system", () => {
+    for (const spec of ["HEAD:sys-typo", "HEAD:."]) {
+      const run = diff(spec, "sys");
+      assert.equal(run.status, 1, spec);
+      assert.match(run.stderr, new RegExp(`SDL directory not found: ${spec.replace(".", "\\.")}`));
+    }
+  });
+
+  test("a missing working-tree directory is an error", () => {
+    const run = diff("nope", "sys");
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /SDL directory not found: nope/);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Format-preserving edits — lib/edit.js
+ *
+ * Each edit is checked against the exact text it should produce: only the edited
+ * text may change, so key order, blank lines, inline arrays and comments survive.
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { openDocument, formatPath } from "../lib/edit.js";
+
+// Applies `edit` to `text` opened as `name`; returns the new text
+function edited(text, name, edit) {
+  const doc = openDocument(text, name);
+  edit(doc);
+  return doc.toString();
+}
+
+// ── JSON ──────────────────────────────────────────────────────────────────────
+
+describe("JSON", () => {
+  const NODES = `[
+  {
+    "id": "api",
+    "legacyKind": "microservice",
+    "technology": { "language": "go", "runtime": "lambda" },
+    "tags": ["core", "team-a"]
+  },
+
+  {
+    "id": "db",
+    "legacyKind": "database"
+  }
+]
+`;
+  const edit = (fn) => edited(NODES, "nodes.json", fn);
+
+  test("renameKey keeps the key's position", () => {
+    assert.equal(edit((d) => d.renameKey([0, "legacyKind"], "kind")), NODES.replace('"legacyKind": "microservice"', '"kind": "microservice"'));
+  });
+
+  test("setValue replaces a value in place", () => {
+    assert.equal(edit((d) => d.setValue([1, "legacyKind"], "cache")), NODES.replace('"database"', '"cache"'));
+    assert.equal(edit((d) => d.setValue([0, "tags", 1], "team-b")), NODES.replace('"team-a"', '"team-b"'));
+  });
+
+  test("setValue adds a missing member last, creating parent objects", () => {
+    assert.equal(edit((d) => d.setValue([0, "owner", "team"], "payments")), NODES.replace(
+      '"tags": ["core", "team-a"]\n',
+      '"tags": ["core", "team-a"],\n    "owner": { "team": "payments" }\n',
+    ));
+  });
+
+  test("moveMember takes the value out of an inline object and appends it", () => {
+    assert.equal(edit((d) => d.moveMember([0, "technology", "runtime"], [0, "runtime"])), NODES.replace(
+      '"technology": { "language": "go", "runtime": "lambda" },\n    "tags": ["core", "team-a"]\n',
+      '"technology": { "language": "go" },\n    "tags": ["core", "team-a"],\n    "runtime": "lambda"\n',
+    ));
+  });
+
+  test("insertItem lays the item out like its neighbours, blank line included", () => {
+    const item = `{
+    "id": "cache",
+    "kind": "cache",
+    "tags": ["x"]
+  }`;
+    assert.equal(edit((d) => d.insertItem([], 1, { id: "cache", kind: "cache", tags: ["x"] })),
+      NODES.replace('  {\n    "id": "db"', `  ${item},\n\n  {\n    "id": "db"`));
+    assert.equal(edit((d) => d.insertItem([], 2, { id: "cache", kind: "cache", tags: ["x"] })),
+      NODES.replace('"database"\n  }\n', `"database"\n  },\n\n  ${item}\n`));
+  });
+
+  test("insertItem into an empty [] file", () => {
+    assert.equal(edited("[]\n", "nodes.json", (d) => d.insertItem([], 0, { id: "api", kind: "microservice" })),
+      '[\n  {\n    "id": "api",\n    "kind": "microservice"\n  }\n]\n');
+  });
+
+  test("insertItem into a nested empty array", () => {
+    assert.equal(edited('[\n  { "id": "f", "steps": [] }\n]\n', "flows.json", (d) => d.insertItem([0, "steps"], 0, { id: "1.0" })),
+      '[\n  { "id": "f", "steps": [\n    {\n      "id": "1.0"\n    }\n  ] }\n]\n');
+  });
+
+  test("edits that name a missing member or array throw", () => {
+    assert.throws(() => edit((d) => d.renameKey([0, "nope"], "x")), /nodes\.json: nothing at \[0\]\.nope/);
+    assert.throws(() => edit((d) => d.moveMember([5, "id"], [5, "x"])), /nothing at \[5\]\.id/);
+    assert.throws(() => edit((d) => d.insertItem([0, "id"], 0, {})), /no array at \[0\]\.id/);
+  });
+
+  test("has and data see the current text", () => {
+    const doc = openDocument(NODES, "nodes.json");
+    doc.renameKey([0, "legacyKind"], "kind");
+    assert.equal(doc.has([0, "kind"]), true);
+    assert.equal(doc.has([0, "legacyKind"]), false);
+    assert.equal(doc.data()[0].kind, "microservice");
+  });
+});
+
+// ── JSON5 ─────────────────────────────────────────────────────────────────────
+
+describe("JSON5", () => {
+  const NODES = `// nodes
+[
+  {
+    id: 'api', // the API
+    legacyKind: 'microservice',
+    technology: {
+      language: 'go',
+      runtime: 'lambda',
+    },
+  },
+]
+`;
+  const edit = (fn) => edited(NODES, "nodes.json5", fn);
+
+  test("renameKey keeps bare keys bare and comments in place", () => {
+    assert.equal(edit((d) => d.renameKey([0, "legacyKind"], "kind")), NODES.replace("legacyKind:", "kind:"));
+    assert.equal(edit((d) => d.renameKey([0, "legacyKind"], "legacy-kind")), NODES.replace("legacyKind:", '"legacy-kind":'));
+  });
+
+  test("setValue keeps the string's quotes", () => {
+    assert.equal(edit((d) => d.setValue([0, "legacyKind"], "it's")), NODES.replace("'microservice'", "'it\\'s'"));
+  });
+
+  test("new members follow the file's key and string style", () => {
+    assert.equal(edit((d) => d.setValue([0, "owner", "team"], "payments")),
+      NODES.replace("    },\n  },", "    },\n    owner: { team: 'payments' },\n  },"));
+  });
+
+  test("moveMember out of a multi-line object", () => {
+    assert.equal(edit((d) => d.moveMember([0, "technology", "runtime"], [0, "runtime"])),
+      NODES.replace("      runtime: 'lambda',\n    },\n", "    },\n    runtime: 'lambda',\n"));
+  });
+
+  test("insertItem keeps the trailing comma", () => {
+    assert.equal(edit((d) => d.insertItem([], 1, { id: "cache", tags: ["x"] })),
+      NODES.replace("  },\n]", "  },\n  {\n    id: 'cache',\n    tags: ['x']\n  },\n]"));
+  });
+
+  test("insertItem into an empty [] file", () => {
+    assert.equal(edited("// none yet\n[]\n", "nodes.json5", (d) => d.insertItem([], 0, { id: "api" })),
+      '// none yet\n[\n  {\n    "id": "api"\n  }\n]\n');
+  });
+});
+
+// ── YAML ──────────────────────────────────────────────────────────────────────
+
+describe("YAML", () => {
+  const NODES = `# nodes
+- id: api
+  legacyKind: microservice # old name
+  technology:
+    language: go
+    runtime: lambda
+  tags: [core]
+
+- id: db
+  legacyKind: database
+`;
+  const edit = (fn) => edited(NODES, "nodes.yaml", fn);
+
+  test("renameKey keeps the trailing comment", () => {
+    assert.equal(edit((d) => d.renameKey([0, "legacyKind"], "kind")), NODES.replace("legacyKind: microservice", "kind: microservice"));
+  });
+
+  test("setValue replaces a scalar, or adds a block map for a missing path", () => {
+    assert.equal(edit((d) => d.setValue([1, "legacyKind"], "cache")), NODES.replace("legacyKind: database", "legacyKind: cache"));
+    assert.equal(edit((d) => d.setValue([0, "tags", 0], "edge")), NODES.replace("[core]", "[edge]"));
+    assert.equal(edit((d) => d.setValue([0, "owner", "team"], "payments")),
+      NODES.replace("  tags: [core]\n", "  tags: [core]\n  owner:\n    team: payments\n"));
+  });
+
+  test("setValue quotes as the original did", () => {
+    assert.equal(edited('name: "Shop"\n', "manifest.yaml", (d) => d.setValue(["name"], "Store")), 'name: "Store"\n');
+    assert.equal(edited("name: 'Shop'\n", "manifest.yaml", (d) => d.setValue(["name"], "it's")), "name: 'it''s'\n");
+  });
+
+  test("moveMember re-indents the member at its new depth", () => {
+    assert.equal(edit((d) => d.moveMember([0, "technology", "runtime"], [0, "runtime"])),
+      NODES.replace("    runtime: lambda\n  tags: [core]\n", "  tags: [core]\n  runtime: lambda\n"));
+  });
+
+  test("moveMember carries a block collection", () => {
+    const text = "- id: api\n  technology:\n    language: go\n  meta:\n    owner: a\n";
+    assert.equal(edited(text, "nodes.yaml", (d) => d.moveMember([0, "technology"], [0, "meta", "technology"])),
+      "- id: api\n  meta:\n    owner: a\n    technology:\n      language: go\n");
+  });
+
+  test("insertItem keeps the blank line between items", () => {
+    assert.equal(edit((d) => d.insertItem([], 1, { id: "cache", kind: "cache" })),
+      NODES.replace("- id: db", "- id: cache\n  kind: cache\n\n- id: db"));
+    assert.equal(edit((d) => d.insertItem([], 2, { id: "cache", kind: "cache" })),
+      NODES + "\n- id: cache\n  kind: cache\n");
+  });
+
+  test("insertItem into a flow sequence", () => {
+    assert.equal(edit((d) => d.insertItem([0, "tags"], 1, "team-a")), NODES.replace("[core]", '[core, "team-a"]'));
+  });
+
+  test("insertItem into an empty [] file", () => {
+    assert.equal(edited("[]\n", "nodes.yaml", (d) => d.insertItem([], 0, { id: "api", kind: "microservice" })),
+      "- id: api\n  kind: microservice\n");
+  });
+
+  test("edits that name a missing member or sequence throw", () => {
+    assert.throws(() => edit((d) => d.renameKey([0, "nope"], "x")), /nodes\.yaml: nothing at \[0\]\.nope/);
+    assert.throws(() => edit((d) => d.insertItem([0, "id"], 0, "x")), /no sequence at \[0\]\.id/);
+  });
+});
+
+// ── formatPath ────────────────────────────────────────────────────────────────
+
+test("formatPath", () => {
+  assert.equal(formatPath([3, "auth", "mechanism"]), "[3].auth.mechanism");
+  assert.equal(formatPath(["sdlVersion"]), "sdlVersion");
+  assert.equal(formatPath([]), "");
+});
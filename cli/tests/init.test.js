@@ -0,0 +1,92 @@
+/**
+ * sdl init — new SDL directories, empty or from a starter template
+ *
+ * Runs init.js in a temporary directory and checks the files it writes.
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, readFileSync, readdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+import { currentSpecVersion } from "../lib/spec.js";
+import { listTemplates } from "../lib/templates.js";
+import { validateSdl } from "../lib/validator.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const INIT      = resolve(__dirname, "../init.js");
+
+let root;
+beforeEach(() => { root = mkdtempSync(join(tmpdir(), "sdl-init-")); });
+afterEach(() => rmSync(root, { recursive: true, force: true }));
+
+const init = (...args) => spawnSync(process.execPath, [INIT, ...args], { encoding: "utf8", cwd: root });
+const read = (dir, file) => JSON.parse(readFileSync(join(root, dir, file), "utf8"));
+
+describe("init.js", () => {
+  test("creates an empty system named after its directory", () => {
+    const run = init("design/checkout");
+    assert.equal(run.status, 0, run.stderr);
+    assert.deepEqual(readdirSync(join(root, "design/checkout")).sort(), ["edges.json", "flows.json", "manifest.json", "nodes.json", "triggers.json"]);
+    assert.deepEqual(read("design/checkout", "manifest.json"), { sdlVersion: currentSpecVersion(), name: "checkout" });
+    assert.deepEqual(read("design/checkout", "nodes.json"), []);
+    assert.match(run.stdout, /Next: sdl add node design\/checkout/);
+  });
+
+  test("every template writes a system that validates", () => {
+    for (const { name } of listTemplates()) {
+      const run = init(name, "--template", name, "--name", "Starter");
+      assert.equal(run.status, 0, run.stderr);
+      assert.equal(read(name, "manifest.json").name, "Starter");
+      assert.ok(read(name, "nodes.json").length > 0, name);
+      assert.deepEqual(validateSdl(join(root, name)).errors, [], name);
+    }
+  });
+
+  test("--format yaml writes YAML files", () => {
+    const run = init("sys", "--template", "web-app", "--format", "yaml");
+    assert.equal(run.status, 0, run.stderr);
+    assert.ok(readdirSync(join(root, "sys")).every((file) => file.endsWith(".yaml")));
+    assert.deepEqual(validateSdl(join(root, "sys")).errors, []);
+  });
+
+  test("--list prints the templates", () => {
+    const run = init("--list");
+    assert.equal(run.status, 0, run.stderr);
+    for (const { name } of listTemplates()) assert.match(run.stdout, new RegExp(`^  ${name} `, "m"));
+  });
+
+  test("a directory that already holds SDL files is left alone", () => {
+    mkdirSync(join(root, "sys"));
+    writeFileSync(join(root, "sys", "nodes.yaml"), "[]\n");
+    const run = init("sys");
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /Error: sys already holds nodes\.yaml — use `sdl add` to extend it/);
+    assert.deepEqual(readdirSync(join(root, "sys")), ["nodes.yaml"]);
+  });
+
+  test("an unknown template or format writes nothing", () => {
+    const template = init("sys", "--template", "nope");
+    assert.equal(template.status, 1);
+    assert.match(template.stderr, /Unknown template "nope"\. Available: /);
+
+    const format = init("sys", "--format", "xml");
+    assert.equal(format.status, 1);
+    assert.match(format.stderr, /Unknown format "xml"/);
+    assert.deepEqual(readdirSync(root), []);
+  });
+
+  test("a missing directory or option value is a usage error", () => {
+    for (const args of [[], ["sys", "--template"]]) {
+      const run = init(...args);
+      assert.equal(run.status, 1);
+      assert.match(run.stderr, /^Usage: node init\.js <dir>/);
+    }
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Interfaces — lib/interfaces.js, and the node exposes / consumes rules lib/validator.js
+ * reports from it
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseInterface, eventMentions } from "../lib/interfaces.js";
+import { validateSdl } from "../lib/validator.js";
+
+// An orders → payments system; `orders` and `payments` add fields to those nodes
+function system({ orders = {}, payments = {}, edges, outcome } = {}) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Interfaces" },
+    nodes:    [
+      { id: "orders",   kind: "microservice", label: "Orders",   ...orders },
+      { id: "payments", kind: "microservice", label: "Payments", ...payments },
+    ],
+    edges:    edges ?? [{ id: "orders-payments", source: "orders", target: "payments", protocol: "rest" }],
+    triggers: [{ id: "click", kind: "user-action", label: "Click" }],
+    flows:    [{ id: "main", label: "Main", trigger: "click", steps: [{ id: "1.0", actor: "orders", action: "work" }], ...(outcome && { outcome }) }],
+  };
+}
+
+const RULES = ["invalid-interface", "unconsumed-event", "unexposed-event", "unreachable-interface", "unknown-flow-event"];
+
+// Interface findings as "rule pointer message"
+function findings(input) {
+  return validateSdl(input).warnings.filter((f) => RULES.includes(f.rule)).map((f) => `${f.rule} ${f.pointer} ${f.message}`);
+}
+
+// ── parseInterface ────────────────────────────────────────────────────────────
+
+describe("parseInterface", () => {
+  test("REST keys ignore method case, parameter names and a trailing slash", () => {
+    const keys = ["rest:GET /orders/{id}", "REST:get /orders/{orderId}/"].map((e) => parseInterface(e).key);
+    assert.deepEqual(keys, ["rest:GET /orders/{}", "rest:GET /orders/{}"]);
+  });
+
+  test("other protocols key on their name", () => {
+    assert.deepEqual(parseInterface("event:order.created"), { protocol: "event", name: "order.created", key: "event:order.created" });
+    assert.equal(parseInterface("grpc:OrderService/CreateOrder").key, "grpc:OrderService/CreateOrder");
+  });
+
+  test("malformed entries are errors", () => {
+    for (const entry of ["POST /orders", "event:", "rest:/orders", 5]) {
+      assert.ok(parseInterface(entry).error, JSON.stringify(entry));
+    }
+  });
+});
+
+describe("eventMentions", () => {
+  test("finds every event in free text, without trailing punctuation", () => {
+    assert.deepEqual(eventMentions("event:order.created emitted, then event:order.paid."), ["order.created", "order.paid"]);
+    assert.deepEqual(eventMentions("no events here"), []);
+    assert.deepEqual(eventMentions(undefined), []);
+  });
+});
+
+// ── exposes / consumes rules ──────────────────────────────────────────────────
+
+describe("interface rules", () => {
+  test("an event exposed and consumed, and a REST interface reached over an edge, pass", () => {
+    const input = system({
+      orders:   { exposes: ["event:order.created"], consumes: ["rest:POST /payments/{orderId}"] },
+      payments: { exposes: ["rest:POST /payments/{id}"], consumes: ["event:order.created"] },
+      outcome:  { success: "Order placed", side_effects: ["event:order.created emitted"] },
+    });
+    assert.deepEqual(validateSdl(input).errors, []);
+    assert.deepEqual(findings(input), []);
+  });
+
+  test("an entry without a protocol prefix is invalid", () => {
+    assert.deepEqual(findings(system({ orders: { exposes: ["POST /orders"] } })), [
+      'invalid-interface /0/exposes/0 Node "orders" exposes "POST /orders": no protocol prefix — write e.g. "rest:POST /orders" or "event:order.created"',
+    ]);
+  });
+
+  test("an event nobody consumes, and one nobody exposes", () => {
+    assert.deepEqual(findings(system({ orders: { exposes: ["event:order.created"] }, payments: { consumes: ["event:order.paid"] } })), [
+      'unconsumed-event /0/exposes/0 Node "orders" exposes "event:order.created": no node consumes this event — add it to a consumer\'s "consumes", or remove it',
+      'unexposed-event /1/consumes/0 Node "payments" consumes "event:order.paid": no node exposes this event',
+    ]);
+  });
+
+  test("a REST interface nobody exposes, or exposed only across no edge", () => {
+    const consumes = { payments: { consumes: ["rest:GET /orders"] } };
+    assert.deepEqual(findings(system(consumes)), [
+      'unreachable-interface /1/consumes/0 Node "payments" consumes "rest:GET /orders": no node exposes this interface',
+    ]);
+    assert.deepEqual(findings(system({ ...consumes, orders: { exposes: ["rest:GET /orders"] } })), [
+      'unreachable-interface /1/consumes/0 Node "payments" consumes "rest:GET /orders": no edge to a node that exposes it ("orders")',
+    ]);
+
+    const bidirectional = [{ id: "orders-payments", source: "orders", target: "payments", protocol: "rest", direction: "bidirectional" }];
+    assert.deepEqual(findings(system({ ...consumes, orders: { exposes: ["rest:GET /orders"] }, edges: bidirectional })), []);
+  });
+
+  test("a flow side effect naming an event nobody exposes", () => {
+    assert.deepEqual(findings(system({ outcome: { success: "Order placed", side_effects: ["event:order.created emitted"] } })), [
+      'unknown-flow-event /0/outcome/side_effects/0 Flow "main" outcome.side_effects names event "order.created", which no node exposes',
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * sdl migrate — end to end, against fixtures/migrations/0.2.json
+ *
+ * Runs migrate.js on a copy of fixtures/legacy-system (YAML nodes, JSONC edges,
+ * JSON flows and manifest) and checks the files it writes.
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawnSync } from "node:child_process";
+import { cpSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+const __dirname  = dirname(fileURLToPath(import.meta.url));
+const MIGRATE    = resolve(__dirname, "../migrate.js");
+const LEGACY     = resolve(__dirname, "fixtures/legacy-system");
+const MIGRATIONS = resolve(__dirname, "fixtures/migrations");
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "sdl-migrate-"));
+  cpSync(LEGACY, dir, { recursive: true });
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+const migrate = (...args) => spawnSync(process.execPath, [MIGRATE, dir, ...args], { encoding: "utf8" });
+const read    = (file) => readFileSync(join(dir, file), "utf8");
+const fixture = (file) => readFileSync(join(LEGACY, file), "utf8");
+
+describe("migrate.js", () => {
+  test("applies each step in the file's own format and bumps sdlVersion", () => {
+    const run = migrate("--to", "0.2", "--migrations", MIGRATIONS);
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /7 change\(s\) written to 4 file\(s\)/);
+
+    assert.equal(read("manifest.json"), `{
+  "sdlVersion": "0.2",
+  "name": "Legacy"
+}
+`);
+    assert.equal(read("nodes.yaml"), `# Nodes written for spec 0.1
+- id: api
+  kind: microservice # renamed to kind in 0.2
+  label: API
+  technology:
+    language: go
+  runtime: lambda
+
+- id: db
+  kind: database
+  label: Orders DB
+`);
+    assert.equal(read("edges.jsonc"), fixture("edges.jsonc").replace('"mechanism": "basic"', '"mechanism": "custom"'));
+    assert.equal(read("flows.json"), fixture("flows.json").replace('"legacyActor"', '"actor"'));
+    assert.equal(read("triggers.json"), fixture("triggers.json"));
+  });
+
+  test("--dry-run prints the report and a patch, and writes nothing", () => {
+    const run = migrate("--to", "0.2", "--migrations", MIGRATIONS, "--dry-run");
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /nodes\.yaml {2}api: technology\.runtime → runtime/);
+    assert.match(run.stdout, /7 change\(s\) in 4 file\(s\) — dry run, nothing written/);
+    assert.match(run.stdout, /\n@@ -1,4 \+1,4 @@\n \{\n- {2}"sdlVersion": "0\.1",\n- {2}"title": "Legacy"\n\+ {2}"sdlVersion": "0\.2",\n\+ {2}"name": "Legacy"\n \}\n/);
+    for (const file of ["manifest.json", "nodes.yaml", "edges.jsonc", "flows.json"]) assert.equal(read(file), fixture(file), file);
+  });
+
+  test("a second run finds the directory already migrated", () => {
+    assert.equal(migrate("--to", "0.2", "--migrations", MIGRATIONS).status, 0);
+    const run = migrate("--to", "0.2", "--migrations", MIGRATIONS);
+    assert.equal(run.status, 0);
+    assert.match(run.stdout, /already at sdlVersion 0\.2/);
+  });
+
+  test("a version with no tag or migration file is an error", () => {
+    const run = migrate("--to", "0.3", "--migrations", MIGRATIONS);
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, /Unknown spec version "0\.3" — no spec-v0\.3 tag or .*migrations\/0\.3\.json\. Known: .*0\.2/);
+  });
+});
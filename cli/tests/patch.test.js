@@ -0,0 +1,77 @@
+/**
+ * Unified diffs — lib/patch.js
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { unifiedDiff } from "../lib/patch.js";
+
+const lines = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line ${from + i}`);
+const text  = (list) => list.join("\n") + "\n";
+
+// Just the @@ headers of a diff
+const headers = (diff) => diff.split("\n").filter((l) => l.startsWith("@@"));
+
+describe("unifiedDiff", () => {
+  test("equal texts give no diff", () => {
+    assert.equal(unifiedDiff("a\n", "a\n", "f"), "");
+  });
+
+  test("one changed line, with three lines of context each side", () => {
+    const before = lines(1, 10);
+    const after = [...before];
+    after[4] = "LINE 5";
+    assert.equal(unifiedDiff(text(before), text(after), "nodes.json"), [
+      "--- a/nodes.json",
+      "+++ b/nodes.json",
+      "@@ -2,7 +2,7 @@",
+      " line 2", " line 3", " line 4",
+      "-line 5",
+      "+LINE 5",
+      " line 6", " line 7", " line 8",
+      "",
+    ].join("\n"));
+  });
+
+  test("context is cut at the start and end of the file", () => {
+    const before = lines(1, 5);
+    assert.deepEqual(headers(unifiedDiff(text(before), text(["line 0", ...before]), "f")), ["@@ -1,3 +1,4 @@"]);
+    assert.deepEqual(headers(unifiedDiff(text(before), text([...before, "line 6"]), "f")), ["@@ -3,3 +3,4 @@"]);
+  });
+
+  test("distant changes get separate hunks, near ones share one", () => {
+    const before = lines(1, 30);
+    const far = before.map((l) => (l === "line 3" || l === "line 25" ? l.toUpperCase() : l));
+    assert.deepEqual(headers(unifiedDiff(text(before), text(far), "f")), ["@@ -1,6 +1,6 @@", "@@ -22,7 +22,7 @@"]);
+
+    const near = before.map((l) => (l === "line 10" || l === "line 15" ? l.toUpperCase() : l));
+    assert.deepEqual(headers(unifiedDiff(text(before), text(near), "f")), ["@@ -7,12 +7,12 @@"]);
+  });
+
+  test("line numbers in later hunks follow earlier insertions and deletions", () => {
+    const before = lines(1, 30);
+    const after = [...before.slice(0, 2), "new a", "new b", ...before.slice(2, 24), ...before.slice(25)];
+    assert.deepEqual(headers(unifiedDiff(text(before), text(after), "f")), ["@@ -1,5 +1,7 @@", "@@ -22,7 +24,6 @@"]);
+  });
+
+  test("the final newline is not a line of its own", () => {
+    const diff = unifiedDiff("a\nb\n", "a\nc\n", "f");
+    assert.deepEqual(headers(diff), ["@@ -1,2 +1,2 @@"]);
+    assert.ok(diff.endsWith("-b\n+c\n"));
+  });
+
+  test("a missing final newline is marked", () => {
+    assert.equal(unifiedDiff("a\nb\n", "a\nb", "f"), [
+      "--- a/f", "+++ b/f", "@@ -1,2 +1,2 @@", " a", "-b", "+b", "\\ No newline at end of file", "",
+    ].join("\n"));
+  });
+
+  test("an empty side starts at line 0", () => {
+    assert.deepEqual(headers(unifiedDiff("", "x\ny\n", "f")), ["@@ -0,0 +1,2 @@"]);
+    assert.deepEqual(headers(unifiedDiff("x\n", "", "f")), ["@@ -1,1 +0,0 @@"]);
+  });
+});
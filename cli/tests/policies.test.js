@@ -0,0 +1,99 @@
+/**
+ * Architecture policies — lib/policies.js, and the policy:<id> rules lib/validator.js
+ * reports from them
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+import { evaluatePolicy } from "../lib/policies.js";
+import { validateSdl } from "../lib/validator.js";
+
+const NODES = [
+  { id: "web",    kind: "frontend",     label: "Web" },
+  { id: "orders", kind: "microservice", label: "Orders" },
+  { id: "users",  kind: "microservice", label: "Users" },
+  { id: "db",     kind: "database",     label: "DB" },
+];
+
+// The graph evaluatePolicy works on
+function graph({ nodes = NODES, edges = [], triggers = [] } = {}) {
+  const nodeMap = new Map(nodes.filter((n) => n?.id).map((n) => [n.id, n]));
+  return { nodes, edges, triggers, nodeMap };
+}
+
+const edge = (id, source, target, fields = {}) => ({ id, source, target, protocol: "http", ...fields });
+const messages = (violations) => violations.map((v) => `${v.pointer} ${v.message}`);
+
+// ── evaluatePolicy ────────────────────────────────────────────────────────────
+
+describe("evaluatePolicy", () => {
+  test("forbid-edge reports each matching edge", () => {
+    const policy = { id: "no-web-db", type: "forbid-edge", match: { from: { kind: "frontend" }, to: { kind: "database" } } };
+    const edges  = [edge("web-db", "web", "db"), edge("orders-db", "orders", "db")];
+    assert.deepEqual(messages(evaluatePolicy(policy, graph({ edges }))), ['/0 Edge "web-db" connects frontend "web" to database "db"']);
+  });
+
+  test("exclusive-target reports a target reached from two sources", () => {
+    const policy = { id: "shared-db", type: "exclusive-target", match: { from: { kind: "microservice" }, to: { kind: "database" } } };
+    const shared = [edge("orders-db", "orders", "db"), edge("users-db", "users", "db")];
+    assert.deepEqual(messages(evaluatePolicy(policy, graph({ edges: shared }))), [
+      '/3 database "db" is reached from microservice "orders" (orders-db) and microservice "users" (users-db)',
+    ]);
+    assert.deepEqual(evaluatePolicy(policy, graph({ edges: shared.slice(0, 1) })), []);
+  });
+
+  test("require-field reports a missing field or a value in `not`", () => {
+    const policy = { id: "auth", type: "require-field", on: "edges", field: "auth.mechanism", not: ["none"] };
+    const edges  = [edge("a", "web", "orders"), edge("b", "web", "users", { auth: { mechanism: "none" } }), edge("c", "orders", "db", { auth: { mechanism: "mtls" } })];
+    assert.deepEqual(messages(evaluatePolicy(policy, graph({ edges }))), [
+      '/0 Edge "a": auth.mechanism is missing',
+      '/1/auth/mechanism Edge "b": auth.mechanism is "none"',
+    ]);
+  });
+
+  test("items that are not objects are skipped, with or without a match", () => {
+    const bad = [null, 5, "x", []];
+    const policies = [
+      { id: "owner",  type: "require-field", on: "nodes", field: "owner" },
+      { id: "any",    type: "forbid-edge" },
+      { id: "shared", type: "exclusive-target" },
+    ];
+    assert.deepEqual(messages(evaluatePolicy(policies[0], graph({ nodes: [...bad, NODES[1]] }))), ['/4 Node "orders": owner is missing']);
+    assert.deepEqual(messages(evaluatePolicy(policies[1], graph({ edges: [...bad, edge("e", "web", "db")] }))), ['/4 Edge "e" connects frontend "web" to database "db"']);
+    assert.deepEqual(evaluatePolicy(policies[2], graph({ edges: bad })), []);
+  });
+});
+
+// ── policy rules in validateSdl ───────────────────────────────────────────────
+
+describe("validateSdl policies", () => {
+  test("a policy without a match reports on a system with a null node instead of throwing", () => {
+    const dir = mkdtempSync(join(tmpdir(), "sdl-policies-"));
+    try {
+      writeFileSync(join(dir, "policies.json"), JSON.stringify({
+        policies: [{ id: "owner", description: "Every node names its owner.", type: "require-field", on: "nodes", field: "owner" }],
+      }));
+      writeFileSync(join(dir, ".sdlrc"), JSON.stringify({ policies: ["./policies.json"] }));
+
+      const result = validateSdl({
+        manifest: { sdlVersion: "0.1", name: "Policies" },
+        nodes:    [null, { id: "api", kind: "microservice", label: "API" }],
+        edges:    [],
+        triggers: [],
+        flows:    [],
+      }, { config: join(dir, ".sdlrc") });
+
+      assert.deepEqual(result.errors.map((f) => `${f.rule} ${f.pointer}`), ["schema /0"]);
+      assert.deepEqual(result.warnings.filter((f) => f.rule === "policy:owner").map((f) => f.message), ['Policy "owner": Node "api": owner is missing — Every node names its owner.']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Protocol compatibility — the protocol-style, protocol-delivery and atypical-protocol
+ * rules lib/validator.js reports from each edge protocol's stdlib metadata
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateSdl } from "../lib/validator.js";
+
+// A system with one edge `fields` (source, target, protocol, ...) between its four nodes
+function system(fields) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Protocols" },
+    nodes:    [
+      { id: "user", kind: "actor",        label: "User" },
+      { id: "web",  kind: "frontend",     label: "Web" },
+      { id: "api",  kind: "microservice", label: "API" },
+      { id: "db",   kind: "database",     label: "DB" },
+    ],
+    edges:    [{ id: "e", ...fields }],
+    triggers: [{ id: "click", kind: "user-action", label: "Click" }],
+    flows:    [{ id: "main", label: "Main", trigger: "click", steps: [{ id: "1.0", actor: "api", action: "work", via: "e" }] }],
+  };
+}
+
+// Findings of `rule` for the edge, as "pointer message"; fails on schema errors
+function findings(rule, fields) {
+  const result = validateSdl(system(fields));
+  assert.deepEqual(result.errors, []);
+  return result.warnings.filter((f) => f.rule === rule).map((f) => `${f.pointer} ${f.message}`);
+}
+
+// ── protocol-style ────────────────────────────────────────────────────────────
+
+describe("protocol-style", () => {
+  test("a style contradicting the protocol is reported", () => {
+    assert.deepEqual(findings("protocol-style", { source: "web", target: "api", protocol: "kafka", style: "sync" }), [
+      '/0/style Edge "e": style "sync" contradicts protocol "kafka", which is async in stdlib',
+    ]);
+  });
+
+  test("a matching or absent style passes, and custom protocols are skipped", () => {
+    assert.deepEqual(findings("protocol-style", { source: "web", target: "api", protocol: "kafka", style: "async" }), []);
+    assert.deepEqual(findings("protocol-style", { source: "web", target: "api", protocol: "kafka" }), []);
+    assert.deepEqual(findings("protocol-style", { source: "web", target: "api", protocol: "custom", style: "async" }), []);
+  });
+});
+
+// ── protocol-delivery ─────────────────────────────────────────────────────────
+
+describe("protocol-delivery", () => {
+  test("a delivery stronger than the protocol guarantees is reported", () => {
+    assert.deepEqual(findings("protocol-delivery", { source: "web", target: "api", protocol: "kafka", reliability: { delivery: "exactly-once" } }), [
+      '/0/reliability/delivery Edge "e": reliability.delivery "exactly-once" promises more than protocol "kafka" guarantees ' +
+      '("at-least-once") — describe the mechanism that upgrades it (e.g. idempotent consumers) or lower the claim',
+    ]);
+  });
+
+  test("a delivery up to the guarantee passes", () => {
+    for (const delivery of ["at-most-once", "at-least-once"]) {
+      assert.deepEqual(findings("protocol-delivery", { source: "web", target: "api", protocol: "kafka", reliability: { delivery } }), [], delivery);
+    }
+  });
+});
+
+// ── atypical-protocol ─────────────────────────────────────────────────────────
+
+describe("atypical-protocol", () => {
+  test("a protocol neither endpoint's kind lists is reported", () => {
+    assert.deepEqual(findings("atypical-protocol", { source: "web", target: "db", protocol: "grpc" }), [
+      '/0/protocol Edge "e": protocol "grpc" is not typical for either endpoint — "web" (frontend: rest, graphql, websocket) or "db" (database: database)',
+    ]);
+  });
+
+  test("a protocol one endpoint lists passes", () => {
+    assert.deepEqual(findings("atypical-protocol", { source: "api", target: "db", protocol: "database" }), []);
+    assert.deepEqual(findings("atypical-protocol", { source: "web", target: "db", protocol: "database" }), []);
+  });
+
+  test("an endpoint whose kind lists no protocols has no expectation", () => {
+    assert.deepEqual(findings("atypical-protocol", { source: "user", target: "db", protocol: "grpc" }), []);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * error.goto retries — lib/reachability.js, and the retry-cycle rule lib/validator.js
+ * builds on it
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { statesRetryLimit, retryCycles } from "../lib/reachability.js";
+import { validateSdl } from "../lib/validator.js";
+
+// A one-service system whose only flow retries step 1.0 from itself with `handling`
+function system(handling) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Retries" },
+    nodes:    [{ id: "api", kind: "microservice", label: "API" }],
+    edges:    [],
+    triggers: [{ id: "tick", kind: "scheduled", label: "Tick", target: "api", schedule: { cron: "0 * * * *" } }],
+    flows:    [{
+      id: "main", label: "Main", trigger: "tick",
+      steps: [{ id: "1.0", actor: "api", action: "call upstream", error: { condition: "Upstream unavailable", handling, goto: "1.0" } }],
+    }],
+  };
+}
+
+const retryWarnings = (handling) => validateSdl(system(handling)).warnings.filter((f) => f.rule === "retry-cycle");
+
+// ── statesRetryLimit ──────────────────────────────────────────────────────────
+
+describe("statesRetryLimit", () => {
+  const bounded = [
+    "Retry 3 times then alert on-call",
+    "retries: 2, then give up",
+    "Max 5 attempts with exponential backoff",
+    "Back off and retry up to 4 times",
+    "Retry at most 3",
+    "retry 3x",
+    "Retry once",
+    "Try twice more, then fail the order",
+  ];
+  for (const text of bounded) {
+    test(`"${text}" states a limit`, () => assert.equal(statesRetryLimit({ handling: text }), true));
+  }
+
+  const unbounded = [
+    "Return 503 and retry",
+    "Retry on 504 from the gateway",
+    "Wait 30 seconds and retry",
+    "Retry with backoff; limited by the circuit breaker",
+    "Regenerate the nonce and retry",
+  ];
+  for (const text of unbounded) {
+    test(`"${text}" states no limit`, () => assert.equal(statesRetryLimit({ handling: text }), false));
+  }
+
+  test("the condition counts as well as the handling", () => {
+    assert.equal(statesRetryLimit({ condition: "Fewer than 3 attempts so far", handling: "retry" }), true);
+    assert.equal(statesRetryLimit(undefined), false);
+  });
+});
+
+// ── retryCycles ───────────────────────────────────────────────────────────────
+
+describe("retryCycles", () => {
+  test("a goto back to an earlier step retries the steps in between", () => {
+    const flow = { steps: [{ id: "1.0" }, { id: "2.0" }, { id: "3.0", error: { goto: "2.0", handling: "retry 2 times" } }] };
+    assert.deepEqual(retryCycles(flow).map(({ index, target, cycle, bounded }) => ({ index, target, cycle, bounded })), [
+      { index: 2, target: "2.0", cycle: ["2.0", "3.0"], bounded: true },
+    ]);
+  });
+
+  test("a goto forward is no retry", () => {
+    assert.deepEqual(retryCycles({ steps: [{ id: "1.0", error: { goto: "9.0" } }, { id: "9.0" }] }), []);
+  });
+
+  test("steps without an id are not goto targets", () => {
+    assert.deepEqual(retryCycles({ steps: [{ action: "no id" }, { id: "2.0" }] }), []);
+  });
+});
+
+// ── retry-cycle rule ──────────────────────────────────────────────────────────
+
+describe("retry-cycle", () => {
+  test("a status code in the handling is no retry limit", () => {
+    const [warning, ...rest] = retryWarnings("Return 503 and retry");
+    assert.equal(rest.length, 0);
+    assert.match(warning.message, /Flow "main" step "1\.0": error\.goto "1\.0" retries 1\.0 → 1\.0 → … with no stated limit/);
+    assert.equal(warning.pointer, "/0/steps/0/error/goto");
+  });
+
+  test("a stated count silences it", () => {
+    assert.deepEqual(retryWarnings("Return 503 and retry up to 3 times"), []);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Lint rules and .sdlrc — lib/rules.js, as lib/validator.js applies it: severity
+ * overrides, unknown rules and severities, and meta["sdl-lint-disable"] suppression
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+import { findConfig, loadConfig, ruleSeverity } from "../lib/rules.js";
+import { validateSdl } from "../lib/validator.js";
+
+let dir;
+beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "sdl-rules-")); });
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+// A system whose edge "api-db" no step uses (orphan-edge, a warning by default)
+function system({ edge = {}, flow = {} } = {}) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Rules" },
+    nodes:    [{ id: "api", kind: "microservice", label: "API" }, { id: "db", kind: "database", label: "DB" }],
+    edges:    [{ id: "api-db", source: "api", target: "db", protocol: "database", ...edge }],
+    triggers: [{ id: "tick", kind: "scheduled", label: "Tick", target: "api", schedule: { cron: "0 * * * *" } }],
+    flows:    [{ id: "main", label: "Main", trigger: "tick", steps: [{ id: "1.0", actor: "api", action: "work" }], ...flow }],
+  };
+}
+
+// Writes `rc` as dir/.sdlrc (a string is written as is); returns its path
+function sdlrc(rc) {
+  const path = join(dir, ".sdlrc");
+  writeFileSync(path, typeof rc === "string" ? rc : JSON.stringify(rc));
+  return path;
+}
+
+// Findings of `rule` as "severity message"
+function findings(result, rule) {
+  return [...result.errors, ...result.warnings].filter((f) => f.rule === rule).map((f) => `${f.severity} ${f.message}`);
+}
+
+const ORPHAN = 'Edge "api-db" is defined but not referenced in any flow step';
+
+// ── .sdlrc ────────────────────────────────────────────────────────────────────
+
+describe(".sdlrc", () => {
+  test("without one, rules report at their default severity", () => {
+    assert.deepEqual(findings(validateSdl(system()), "orphan-edge"), [`warning ${ORPHAN}`]);
+  });
+
+  test("an override raises a rule to an error", () => {
+    const result = validateSdl(system(), { config: sdlrc({ rules: { "orphan-edge": "error" } }) });
+    assert.deepEqual(findings(result, "orphan-edge"), [`error ${ORPHAN}`]);
+    assert.equal(result.valid, false);
+    assert.equal(result.config, join(dir, ".sdlrc"));
+  });
+
+  test('"off" drops the rule\'s findings without counting them as suppressed', () => {
+    const result = validateSdl(system(), { config: sdlrc({ rules: { "orphan-edge": "off" } }) });
+    assert.deepEqual(findings(result, "orphan-edge"), []);
+    assert.equal(result.suppressed, 0);
+  });
+
+  test("an unknown rule is an invalid-config warning, and the other overrides still apply", () => {
+    const result = validateSdl(system(), { config: sdlrc({ rules: { "orphan-edges": "off", "orphan-edge": "error" } }) });
+    assert.deepEqual(findings(result, "invalid-config"), ['warning Unknown rule "orphan-edges" — available rules: sdl --list-rules']);
+    assert.deepEqual(findings(result, "orphan-edge"), [`error ${ORPHAN}`]);
+  });
+
+  test("an unknown severity or unreadable file is an invalid-config error", () => {
+    const loud = validateSdl(system(), { config: sdlrc({ rules: { "orphan-edge": "loud" } }) });
+    assert.deepEqual(findings(loud, "invalid-config"), ['error Rule "orphan-edge": severity must be one of off, warn, error (got "loud")']);
+    assert.deepEqual(findings(loud, "orphan-edge"), [`warning ${ORPHAN}`]);
+
+    const broken = validateSdl(system(), { config: sdlrc("{ rules: ") });
+    assert.equal(findings(broken, "invalid-config").length, 1);
+    assert.match(findings(broken, "invalid-config")[0], /^error Failed to read \.sdlrc: /);
+  });
+
+  test("an invalid-config override cannot silence a broken .sdlrc", () => {
+    const result = validateSdl(system(), { config: sdlrc({ rules: { "invalid-config": "off", "nope": "off" } }) });
+    assert.equal(findings(result, "invalid-config").length, 1);
+  });
+
+  test("the nearest .sdlrc at or above a directory applies", () => {
+    const nested = join(dir, "a", "b");
+    mkdirSync(nested, { recursive: true });
+    const path = sdlrc({ rules: { "orphan-node": "off" } });
+    assert.equal(findConfig(nested), path);
+
+    const config = loadConfig(path);
+    assert.equal(ruleSeverity(config, "orphan-node"), "off");
+    assert.equal(ruleSeverity(config, "orphan-edge"), "warn");
+    assert.equal(ruleSeverity(config, "policy:custom", "warn"), "warn");
+  });
+});
+
+// ── meta["sdl-lint-disable"] ──────────────────────────────────────────────────
+
+describe('meta["sdl-lint-disable"]', () => {
+  test("an item suppresses the rules it names, and they are counted", () => {
+    const result = validateSdl(system({ edge: { meta: { "sdl-lint-disable": ["orphan-edge"] } } }));
+    assert.deepEqual(findings(result, "orphan-edge"), []);
+    assert.equal(result.suppressed, 1);
+  });
+
+  test("other rules on the item still report", () => {
+    const result = validateSdl(system({ edge: { meta: { "sdl-lint-disable": ["orphan-node"] } } }));
+    assert.deepEqual(findings(result, "orphan-edge"), [`warning ${ORPHAN}`]);
+    assert.equal(result.suppressed, 0);
+  });
+
+  test("suppression wins over an .sdlrc override to error", () => {
+    const result = validateSdl(system({ edge: { meta: { "sdl-lint-disable": ["orphan-edge"] } } }), {
+      config: sdlrc({ rules: { "orphan-edge": "error" } }),
+    });
+    assert.deepEqual(findings(result, "orphan-edge"), []);
+    assert.equal(result.valid, true);
+  });
+
+  test("a flow's suppressions cover its steps", () => {
+    // db acts over an edge that does not touch it
+    const steps = [{ id: "1.0", actor: "api", action: "work", via: "api-db" }, { id: "2.0", actor: "db", action: "store", via: "elsewhere" }];
+    const edges = [
+      { id: "api-db",    source: "api", target: "db",  protocol: "database" },
+      { id: "elsewhere", source: "api", target: "api", protocol: "rest" },
+    ];
+    const flagged = validateSdl({ ...system({ flow: { steps } }), edges });
+    assert.equal(findings(flagged, "via-edge-actor").length, 1);
+
+    const quiet = validateSdl({ ...system({ flow: { steps, meta: { "sdl-lint-disable": ["via-edge-actor"] } } }), edges });
+    assert.deepEqual(findings(quiet, "via-edge-actor"), []);
+    assert.equal(quiet.suppressed, 1);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * sdl stats — the text report's sync / async edge share
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const STATS     = resolve(__dirname, "../stats.js");
+
+let dir;
+beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "sdl-stats-")); });
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+// Writes a two-service system with one edge per protocol in `protocols`, or per { protocol, style }
+// given as an object; returns its Edges line
+function edgesLine(protocols) {
+  const files = {
+    manifest: { sdlVersion: "0.1", name: "Shares" },
+    nodes:    [{ id: "a", kind: "microservice", label: "A" }, { id: "b", kind: "microservice", label: "B" }],
+    edges:    protocols.map((edge, i) => ({ id: `e${i}`, source: "a", target: "b", ...(typeof edge === "string" ? { protocol: edge } : edge) })),
+    triggers: [],
+    flows:    [],
+  };
+  for (const [name, data] of Object.entries(files)) writeFileSync(join(dir, `${name}.json`), JSON.stringify(data));
+
+  const run = spawnSync(process.execPath, [STATS, dir], { encoding: "utf8" });
+  assert.equal(run.status, 0, run.stderr);
+  return run.stdout.split("\n").find((line) => line.startsWith("Edges "));
+}
+
+describe("stats.js edge share", () => {
+  test("sync and async shares add up to 100%", () => {
+    // 5/8 and 3/8 round to 63% and 38% on their own
+    assert.equal(edgesLine(["rest", "rest", "rest", "rest", "rest", "kafka", "kafka", "kafka"]), "Edges    5 sync (63%), 3 async (37%)");
+  });
+
+  test("edges of unknown style print their share, and all three add up to 100%", () => {
+    assert.equal(edgesLine(["rest", "kafka", "acme:pigeon"]), "Edges    1 sync (34%), 1 async (33%), 1 of unknown style (33%)");
+    assert.equal(edgesLine(["rest", "rest", "kafka", "acme:pigeon", "acme:pigeon", "acme:pigeon"]), "Edges    2 sync (33%), 1 async (17%), 3 of unknown style (50%)");
+  });
+
+  test("a style other than sync or async counts as unknown", () => {
+    const batch = { protocol: "rest", style: "batch" };
+    assert.equal(edgesLine(["rest", "kafka", batch, batch]), "Edges    1 sync (25%), 1 async (25%), 2 of unknown style (50%)");
+  });
+});
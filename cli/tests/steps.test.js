@@ -0,0 +1,160 @@
+/**
+ * Flow step ids — lib/steps.js, and the step rules lib/validator.js builds on it
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseStepId, compareStepKeys, stepIdForKey, buildStepTree, siblingGaps } from "../lib/steps.js";
+import { validateSdl } from "../lib/validator.js";
+
+// A one-service system whose only flow has `steps`
+function system(steps) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Steps" },
+    nodes:    [{ id: "api", kind: "microservice", label: "API" }],
+    edges:    [],
+    triggers: [{ id: "tick", kind: "scheduled", label: "Tick", target: "api", schedule: { cron: "0 * * * *" } }],
+    flows:    [{ id: "main", label: "Main", trigger: "tick", steps: steps.map((id) => ({ id, actor: "api", action: `step ${id}` })) }],
+  };
+}
+
+const findings = (steps, rule) => {
+  const result = validateSdl(system(steps));
+  return [...result.errors, ...result.warnings].filter((f) => f.rule === rule).map((f) => f.message);
+};
+
+// ── parseStepId ───────────────────────────────────────────────────────────────
+
+describe("parseStepId", () => {
+  const valid = [
+    ["1.0",       [1]],
+    ["12.0",      [12]],
+    ["2.a",       [2, "a"]],
+    ["2.a.1",     [2, "a", 1]],
+    ["2.a.10",    [2, "a", 10]],
+    ["2.a.1.b",   [2, "a", 1, "b"]],
+    ["3.z.4.c.2", [3, "z", 4, "c", 2]],
+  ];
+  for (const [id, key] of valid) {
+    test(`"${id}" → [${key.join(", ")}]`, () => {
+      assert.deepEqual(parseStepId(id), { id, key, valid: true });
+    });
+  }
+
+  const invalid = [
+    ["",        /non-empty string/],
+    ["1",       /at least two segments/],
+    ["0.0",     /start with a positive integer/],
+    ["01.0",    /start with a positive integer/],
+    ["a.1",     /start with a positive integer/],
+    ["1.0.1",   /cannot have sub-steps/],
+    ["2.A",     /segment 2 \("A"\) must be a lowercase letter/],
+    ["2.ab",    /segment 2 \("ab"\) must be a lowercase letter/],
+    ["2.1",     /segment 2 \("1"\) must be a lowercase letter/],
+    ["2.a.b",   /segment 3 \("b"\) must be a positive integer/],
+    ["2.a.0",   /segment 3 \("0"\) must be a positive integer/],
+    ["2.a.",    /segment 3 \(""\) must be a positive integer/],
+    ["5.0-fix", /segment 2 \("0-fix"\) must be a lowercase letter/],
+  ];
+  for (const [id, error] of invalid) {
+    test(`rejects "${id}"`, () => {
+      const parsed = parseStepId(id);
+      assert.equal(parsed.valid, false);
+      assert.equal(parsed.key, null);
+      assert.match(parsed.error, error);
+    });
+  }
+
+  test("rejects a non-string id", () => {
+    assert.equal(parseStepId(undefined).valid, false);
+    assert.equal(parseStepId(1).valid, false);
+  });
+});
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+
+describe("compareStepKeys / stepIdForKey", () => {
+  test("parents sort before children, siblings by number or letter", () => {
+    const ids = ["10.0", "2.b", "2.0", "2.a.2", "2.a", "1.0", "2.a.10", "2.a.1"];
+    const sorted = ids.map((id) => parseStepId(id).key).sort(compareStepKeys).map(stepIdForKey);
+    assert.deepEqual(sorted, ["1.0", "2.0", "2.a", "2.a.1", "2.a.2", "2.a.10", "2.b", "10.0"]);
+  });
+
+  test("group N is written N.0", () => {
+    assert.equal(stepIdForKey([4]), "4.0");
+    assert.equal(stepIdForKey([4, "b", 2]), "4.b.2");
+  });
+});
+
+// ── buildStepTree ─────────────────────────────────────────────────────────────
+
+describe("buildStepTree", () => {
+  test("nests branches under their group and sorts children", () => {
+    const tree = buildStepTree([{ id: "1.0" }, { id: "2.b" }, { id: "2.a" }, { id: "2.a.1" }, { id: "3.0" }]);
+    assert.deepEqual(tree.root.children.map((n) => stepIdForKey(n.key)), ["1.0", "2.0", "3.0"]);
+    const group = tree.root.children[1];
+    assert.equal(group.step, null, "group 2 has no step of its own");
+    assert.deepEqual(group.children.map((n) => n.id), ["2.a", "2.b"]);
+    assert.deepEqual(group.children[0].children.map((n) => n.id), ["2.a.1"]);
+    assert.equal(tree.byId.get("2.b").index, 1);
+  });
+
+  test("collects invalid and duplicate ids without placing them", () => {
+    const tree = buildStepTree([{ id: "1.0" }, { id: "x" }, { id: "1.0" }, {}]);
+    assert.deepEqual(tree.invalid.map((i) => i.index), [1, 3]);
+    assert.deepEqual(tree.duplicates.map((d) => [d.index, d.first]), [[2, 0]]);
+    assert.equal(tree.byId.size, 1);
+  });
+
+  test("tolerates a missing steps array", () => {
+    assert.equal(buildStepTree(undefined).root.children.length, 0);
+  });
+});
+
+describe("siblingGaps", () => {
+  test("reports the first missing number or letter", () => {
+    const tree = buildStepTree([{ id: "1.0" }, { id: "2.0" }, { id: "4.0" }, { id: "4.a" }]);
+    assert.deepEqual(siblingGaps(tree.root).map((g) => stepIdForKey(g.expected)), ["3.0"]);
+
+    const branches = buildStepTree([{ id: "1.b" }, { id: "1.c" }]);
+    assert.deepEqual(siblingGaps(branches.root.children[0]).map((g) => stepIdForKey(g.expected)), ["1.a"]);
+  });
+
+  test("no gaps in 1.0, 2.a, 2.b, 3.0", () => {
+    const tree = buildStepTree([{ id: "1.0" }, { id: "2.a" }, { id: "2.b" }, { id: "3.0" }]);
+    assert.deepEqual(siblingGaps(tree.root), []);
+    assert.deepEqual(siblingGaps(tree.root.children[1]), []);
+  });
+});
+
+// ── Validator rules ───────────────────────────────────────────────────────────
+
+describe("step rules", () => {
+  test("a group cannot be both a sequential step and branches", () => {
+    const [message] = findings(["1.0", "2.0", "2.a", "2.b"], "step-id-grammar");
+    assert.match(message, /group 2 has both sequential step "2\.0" and branches 2\.a, 2\.b/);
+  });
+
+  test("branches alone, or sequential steps alone, are fine", () => {
+    assert.deepEqual(findings(["1.0", "2.a", "2.b", "3.0"], "step-id-grammar"), []);
+    assert.deepEqual(findings(["1.0", "2.0", "3.0"], "step-id-grammar"), []);
+  });
+
+  test("a sub-step needs its branch", () => {
+    const [message] = findings(["1.0", "2.a", "2.b.1"], "step-id-grammar");
+    assert.match(message, /step "2\.b\.1": parent step "2\.b" does not exist/);
+  });
+
+  test("steps out of numbering order, and gaps, are step-order findings", () => {
+    assert.match(findings(["1.0", "3.0", "2.0"], "step-order")[0], /"2\.0" is listed after "3\.0"/);
+    assert.match(findings(["1.0", "3.0"], "step-order")[0], /numbering skips "2\.0" before "3\.0"/);
+  });
+
+  test("duplicate ids are reported once each", () => {
+    assert.equal(findings(["1.0", "2.0", "2.0"], "duplicate-step-id").length, 1);
+  });
+});
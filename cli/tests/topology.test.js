@@ -0,0 +1,91 @@
+/**
+ * Flow topology — the via-edge-actor and via-edge-direction rules lib/validator.js
+ * reports for each step's `via` edge
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateSdl } from "../lib/validator.js";
+
+const EDGES = [
+  { id: "web-api", source: "web", target: "api", protocol: "rest" },
+  { id: "api-db",  source: "api", target: "db",  protocol: "database" },
+];
+
+// A web → api → db system whose only flow runs `steps`; `edges` replaces EDGES
+function system(steps, edges = EDGES) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Topology" },
+    nodes:    [
+      { id: "web", kind: "frontend",     label: "Web" },
+      { id: "api", kind: "microservice", label: "API" },
+      { id: "db",  kind: "database",     label: "DB" },
+    ],
+    edges,
+    triggers: [{ id: "click", kind: "user-action", label: "Click" }],
+    flows:    [{ id: "main", label: "Main", trigger: "click", steps }],
+  };
+}
+
+const step = (id, actor, via) => ({ id, actor, action: "work", ...(via && { via }) });
+
+// Messages of `rule` for a flow of `steps`
+function messages(rule, steps, edges) {
+  return validateSdl(system(steps, edges)).warnings.filter((f) => f.rule === rule).map((f) => `${f.pointer} ${f.message}`);
+}
+
+// ── via-edge-actor ────────────────────────────────────────────────────────────
+
+describe("via-edge-actor", () => {
+  test("an edge that does not touch the actor is reported, with the one edge that does", () => {
+    const steps = [step("1.0", "web"), step("2.0", "api", "web-api"), step("3.0", "db", "web-api")];
+    assert.deepEqual(messages("via-edge-actor", steps), [
+      '/0/steps/2/via Flow "main" step "3.0": via "web-api" (web → api) does not connect actor "db" — did you mean "api-db"?',
+    ]);
+  });
+
+  test("no suggestion when several edges would do", () => {
+    const edges = [...EDGES, { id: "api-db-2", source: "api", target: "db", protocol: "database" }];
+    const steps = [step("1.0", "web"), step("2.0", "api", "web-api"), step("3.0", "db", "web-api")];
+    assert.deepEqual(messages("via-edge-actor", steps, edges), [
+      '/0/steps/2/via Flow "main" step "3.0": via "web-api" (web → api) does not connect actor "db"',
+    ]);
+  });
+
+  test("an edge from or to the actor passes", () => {
+    const steps = [step("1.0", "web", "web-api"), step("2.0", "api", "web-api"), step("3.0", "db", "api-db")];
+    assert.deepEqual(messages("via-edge-actor", steps), []);
+  });
+});
+
+// ── via-edge-direction ────────────────────────────────────────────────────────
+
+describe("via-edge-direction", () => {
+  // db acts over api → db, then api acts: db handed off to api against the edge
+  const against = [step("1.0", "web"), step("2.0", "db", "api-db"), step("3.0", "api")];
+
+  test("handing off against a unidirectional edge is reported", () => {
+    assert.deepEqual(messages("via-edge-direction", against), [
+      '/0/steps/1/via Flow "main" step "2.0": "db" hands off to "api" via "api-db", but that edge is unidirectional api → db',
+    ]);
+  });
+
+  test("the one edge that carries the hand-off is suggested", () => {
+    const edges = [...EDGES, { id: "db-api", source: "db", target: "api", protocol: "database" }];
+    assert.match(messages("via-edge-direction", against, edges)[0], / — did you mean "db-api"\?$/);
+  });
+
+  test("a bidirectional edge passes", () => {
+    const edges = [EDGES[0], { ...EDGES[1], direction: "bidirectional" }];
+    assert.deepEqual(messages("via-edge-direction", against, edges), []);
+  });
+
+  test("a reply to the step before passes", () => {
+    const steps = [step("1.0", "api"), step("2.0", "db", "api-db"), step("3.0", "api")];
+    assert.deepEqual(messages("via-edge-direction", steps), []);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Malformed input — lib/validator.js reports wrong types as findings, never throws
+ *
+ * Uses Node's built-in test runner (node:test) — no extra dependencies.
+ *   npm test
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { resolve, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+
+import { validateSdl } from "../lib/validator.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SDL       = resolve(__dirname, "../sdl.js");
+
+// A one-service system that validates clean; `overrides` replaces whole files
+function system(overrides = {}) {
+  return {
+    manifest: { sdlVersion: "0.1", name: "Malformed" },
+    nodes:    [{ id: "api", kind: "microservice", label: "API" }],
+    edges:    [],
+    triggers: [{ id: "tick", kind: "scheduled", label: "Tick", target: "api", schedule: { cron: "0 * * * *" } }],
+    flows:    [{ id: "main", label: "Main", trigger: "tick", steps: [{ id: "1.0", actor: "api", action: "work" }] }],
+    ...overrides,
+  };
+}
+
+// A flow like system().flows[0] with `fields` replaced
+const flow = (fields) => ({ ...system().flows[0], ...fields });
+
+// Errors as "rule file pointer"
+const errors = (input) => validateSdl(input).errors.map((f) => `${f.rule} ${f.file} ${f.pointer}`);
+
+describe("validateSdl on malformed input", () => {
+  for (const file of ["nodes", "edges", "triggers", "flows"]) {
+    for (const root of ["x", {}, 5]) {
+      test(`${file}.json holding ${JSON.stringify(root)} is an invalid root`, () => {
+        assert.deepEqual(errors(system({ [file]: root })), [`invalid-root ${file}.json `]);
+      });
+    }
+
+    test(`${file}.json items that are not objects are schema errors`, () => {
+      const items = [null, 3, "s"];
+      assert.deepEqual(errors(system({ [file]: items })).filter((e) => e.startsWith("schema")), [
+        `schema ${file}.json /0`, `schema ${file}.json /1`, `schema ${file}.json /2`,
+      ]);
+    });
+  }
+
+  const fields = [
+    ["steps that are not an array",  flow({ steps: "x" }),           ["schema flows.json /0/steps"]],
+    ["steps that are not objects",   flow({ steps: [null, 5] }),     ["schema flows.json /0/steps/0", "schema flows.json /0/steps/1"]],
+    ["continues_async not an array", flow({ continues_async: 5 }),   ["schema flows.json /0/continues_async"]],
+    ["variants not an array",        flow({ variants: "x" }),        ["schema flows.json /0/variants"]],
+  ];
+  for (const [name, bad, expected] of fields) {
+    test(`flow with ${name}`, () => {
+      assert.deepEqual(errors(system({ flows: [bad] })), expected);
+    });
+  }
+
+  test("a kind or protocol that is not a string is a schema error only", () => {
+    const result = validateSdl(system({
+      nodes: [{ id: "api", kind: 5, label: "API" }],
+      edges: [{ id: "e", source: "api", target: "api", protocol: ["http"] }],
+    }));
+    assert.ok(result.errors.length > 0);
+    assert.ok(result.errors.every((f) => f.rule === "schema"));
+    assert.ok(!result.warnings.some((f) => /kind|protocol/.test(f.rule)));
+  });
+});
+
+describe("sdl validate on malformed files", () => {
+  test("a nodes.json that holds an object fails with a finding, not a crash", () => {
+    const dir = mkdtempSync(join(tmpdir(), "sdl-malformed-"));
+    try {
+      for (const [name, data] of Object.entries(system({ nodes: {} }))) writeFileSync(join(dir, `${name}.json`), JSON.stringify(data));
+
+      const run = spawnSync(process.execPath, [SDL, "validate", dir], { encoding: "utf8" });
+      assert.equal(run.status, 1, run.stderr);
+      assert.equal(run.stderr, "");
+      assert.match(run.stdout, /ERROR {3}.*nodes\.json:1:1 {2}Root value must be an array/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -4,9 +4,42 @@
  * Validates an SDL example directory against the spec schemas.
  *
  * Usage:
- *   node validate.js <example-dir>
+ *   node validate.js <example-dir> [--format text|json|sarif|junit]
  *   node validate.js examples/ecommerce-checkout
  *   node validate.js examples/
+ *   node validate.js examples/ --format sarif > sdl.sarif
+ *   node validate.js examples/ --verbose --fire-times 10
+ *   node validate.js examples/ecommerce-checkout --watch
+ *
+ * Output formats:
+ *   text  — human-readable report (default)
+ *   json  — every finding as a structured record, plus per-example totals
+ *   sarif — SARIF 2.1.0, for code-scanning upload and PR annotations
+ *   junit — JUnit XML, one test suite per example and one test case per file
+ *
+ *   Every finding carries a rule id, severity, file, line and column, item id, JSON
+ *   pointer into the file, and message. Text output prints locations as
+ *   path:line:col, which editors and terminals make clickable; sarif carries them as
+ *   regions for precise PR annotations. Non-text formats write only the report to stdout.
+ *
+ *   --verbose adds the next fire times (5 by default, --fire-times N) of every
+ *   scheduled trigger, in its schedule.timezone, to the text and json reports.
+ *
+ * Watch mode:
+ *   --watch prints the full text report, then re-validates an example whenever its SDL
+ *   files, manifest, layout.json or .sdlrc change (or a directory it imports does),
+ *   printing only findings that appeared (+) or were resolved (-). Runs until Ctrl+C.
+ *
+ * Source formats:
+ *   Each SDL file may be JSON, JSON5 (.jsonc / .json5 — comments, trailing commas) or
+ *   YAML (.yaml / .yml). Findings and parse errors name the file actually loaded; parse
+ *   errors include the line and column. `sdl convert` migrates a directory between
+ *   JSON and YAML. See lib/formats.js.
+ *
+ * Rules and .sdlrc:
+ *   Every check is a named rule (list them with --list-rules). A `.sdlrc` file in the
+ *   example directory or any parent sets per-project severities, and items can opt out
+ *   inline with meta["sdl-lint-disable"]. See lib/rules.js for the format.
  *
  * Exit codes:
  *   0 — valid (errors: 0)
@@ -26,426 +59,136 @@
  *   Falls back to the working-tree spec/ with a warning if no tag exists for the declared
  *   version. A warning is also emitted when manifest.json is missing — this will become a
  *   hard error in a future release.
+ *
+ * Library use:
+ *   The checks live in lib/validator.js, exported as validateSdl(dirOrObject, options) —
+ *   it takes a directory or in-memory { manifest, nodes, edges, triggers, flows } and
+ *   returns the findings without printing. This file only parses arguments, picks the
+ *   example directories, and prints the report.
  */
 
-import Ajv from "ajv";
-import addFormats from "ajv-formats";
-import { readFileSync, readdirSync, statSync } from "fs";
-import { resolve, join, basename, dirname } from "path";
-import { fileURLToPath } from "url";
-import { execSync } from "child_process";
+import { resolve } from "path";
+import { REPORTERS, textLine } from "./lib/reporters.js";
+import { RULES } from "./lib/rules.js";
+import { resolveSourceFile } from "./lib/formats.js";
+import { watchDirs } from "./lib/watch.js";
+import { validateSdl, REQUIRED_FILES } from "./lib/validator.js";
+import { findExampleDirs } from "./lib/sdl-source.js";
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, "..");
-
-function loadJSON(path) {
-  try {
-    return JSON.parse(readFileSync(path, "utf8"));
-  } catch (e) {
-    throw new Error(`Failed to parse ${path}: ${e.message}`);
+function printRules() {
+  const width = Math.max(...Object.keys(RULES).map((r) => r.length));
+  console.log("\nSDL Validator — rules (default severity)\n");
+  for (const [id, { severity, description }] of Object.entries(RULES)) {
+    console.log(`  ${id.padEnd(width)}  ${severity.padEnd(5)}  ${description}`);
   }
+  console.log(`\nOverride severities per project in .sdlrc: { "rules": { "<rule>": "off" | "warn" | "error" } }`);
+  console.log(`Architecture policies report as "policy:<id>" — see stdlib/policies.json\n`);
 }
 
-function findExampleDirs(dir) {
-  return readdirSync(dir)
-    .map((name) => join(dir, name))
-    .filter((p) => statSync(p).isDirectory());
-}
-
-const REQUIRED_FILES = ["nodes.json", "edges.json", "triggers.json", "flows.json"];
-
-const SCHEMA_NAMES = ["node", "edge", "trigger", "flow"];
-const FILE_MAP = {
-  node:    "nodes.json",
-  edge:    "edges.json",
-  trigger: "triggers.json",
-  flow:    "flows.json",
-};
+// ── Main ──────────────────────────────────────────────────────────────────────
 
-// ── Result collector ──────────────────────────────────────────────────────────
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { format: "text", config: null, verbose: false, fireTimes: 5, watch: false };
+  let target = null;
 
-class Result {
-  constructor(exampleName) {
-    this.name = exampleName;
-    this.errors = [];
-    this.warnings = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--format")     { opts.format = args[++i]; continue; }
+    if (args[i] === "--config")     { opts.config = args[++i]; continue; }
+    if (args[i] === "--verbose" || args[i] === "-v") { opts.verbose = true; continue; }
+    if (args[i] === "--fire-times") { opts.fireTimes = Number(args[++i]); continue; }
+    if (args[i] === "--watch")      { opts.watch = true; continue; }
+    if (args[i] === "--list-rules") { printRules(); process.exit(0); }
+    if (!target) target = args[i];
   }
-  error(msg) { this.errors.push(msg); }
-  warn(msg)  { this.warnings.push(msg); }
-  ok()       { return this.errors.length === 0; }
-}
-
-// ── Manifest / sdlVersion ─────────────────────────────────────────────────────
-
-/**
- * Reads manifest.json from the example directory.
- * Returns the parsed manifest, or null if not present.
- * Emits a warning if missing — this will become a hard error in a future release.
- *
- * Expected manifest.json shape:
- *   {
- *     "sdlVersion": "0.1",
- *     "name": "My Example",      // optional
- *     "description": "..."       // optional
- *   }
- *
- * Note: sdlVersion tracks the spec schemas in /spec only. It is independent of the
- * project roadmap version and increments only when the schema files themselves change.
- */
-function readManifest(exampleDir, result) {
-  const manifestPath = join(exampleDir, "manifest.json");
-  let raw;
 
-  try {
-    raw = readFileSync(manifestPath, "utf8");
-  } catch {
-    result.warn(
-      `[manifest.json] Missing — add a manifest.json with { "sdlVersion": "0.1" }. ` +
-      `Validating against working-tree spec/. This will become a hard error in a future release.`
-    );
-    return null;
+  if (!target) {
+    console.error("Usage: node validate.js <example-dir|examples-parent-dir> [--format text|json|sarif|junit] [--config .sdlrc] [--verbose [--fire-times N]] [--watch] [--list-rules]");
+    process.exit(1);
   }
-
-  let manifest;
-  try {
-    manifest = JSON.parse(raw);
-  } catch (e) {
-    result.error(`[manifest.json] Failed to parse: ${e.message}`);
-    return null;
+  if (!REPORTERS[opts.format]) {
+    console.error(`Unknown format "${opts.format}". Available: ${Object.keys(REPORTERS).join(", ")}`);
+    process.exit(1);
   }
-
-  if (!manifest.sdlVersion) {
-    result.error(`[manifest.json] Missing required field "sdlVersion"`);
-    return null;
+  if (opts.watch && opts.format !== "text") {
+    console.error("--watch prints incremental text output and cannot be combined with --format");
+    process.exit(1);
   }
-
-  if (typeof manifest.sdlVersion !== "string") {
-    result.error(`[manifest.json] "sdlVersion" must be a string, e.g. "0.1"`);
-    return null;
+  if (!Number.isInteger(opts.fireTimes) || opts.fireTimes < 1) {
+    console.error("--fire-times must be a positive integer");
+    process.exit(1);
   }
 
-  return manifest;
+  return { target: resolve(target), opts };
 }
 
 /**
- * Loads spec schemas for a given sdlVersion using git tags.
- *
- * Resolution order:
- *   1. Git tag `spec-v<sdlVersion>` — fetches schemas from that exact commit (preferred).
- *      Old examples are always validated against the spec they were written for,
- *      with no files duplicated on disk. Git history is the source of truth.
- *   2. Working-tree spec/ — fallback if no tag exists yet, with a warning.
- *
- * To create a spec version tag:
- *   git tag spec-v0.1 && git push origin spec-v0.1
+ * Runs every check on one example directory.
+ * Returns { result, deps } — deps lists the directories whose files the result
+ * depends on (the example, its imports, and the directory of its .sdlrc).
  */
-function loadSchemas(sdlVersion, result) {
-  const ajv = new Ajv({ allErrors: true, strict: false });
-  addFormats(ajv);
-
-  let loadSchema;
-
-  if (sdlVersion) {
-    const tag = `spec-v${sdlVersion}`;
-
-    const tagExists = (() => {
-      try {
-        execSync(`git rev-parse --verify "refs/tags/${tag}"`, { stdio: "pipe", cwd: ROOT });
-        return true;
-      } catch {
-        return false;
-      }
-    })();
-
-    if (tagExists) {
-      // Read each schema file from git at the tagged commit — no disk copies needed
-      loadSchema = (name) => {
-        const content = execSync(`git show ${tag}:spec/${name}.schema.json`, {
-          encoding: "utf8",
-          cwd: ROOT,
-        });
-        return JSON.parse(content);
-      };
-    } else {
-      result.warn(
-        `[manifest.json] sdlVersion "${sdlVersion}" declared but git tag "${tag}" not found. ` +
-        `Falling back to working-tree spec/. ` +
-        `To pin this version: git tag ${tag} && git push origin ${tag}`
-      );
-      loadSchema = (name) => loadJSON(join(ROOT, "spec", `${name}.schema.json`));
-    }
-  } else {
-    loadSchema = (name) => loadJSON(join(ROOT, "spec", `${name}.schema.json`));
-  }
-
-  const schemas = SCHEMA_NAMES.map((name) => ({ name, schema: loadSchema(name) }));
-
-  for (const { schema } of schemas) {
-    ajv.addSchema(schema, schema["$id"]);
-  }
-
-  return { ajv, schemas };
+function validateExample(dir, opts) {
+  const result = validateSdl(dir, { config: opts.config, fireTimes: opts.verbose ? opts.fireTimes : 0 });
+  return { result, deps: result.dependencies };
 }
 
-// ── Deprecation warnings ──────────────────────────────────────────────────────
-
-/**
- * Scans the spec schemas for fields marked "deprecated": true and warns if
- * any SDL items use those fields.
- *
- * Spec authors mark a field as deprecated by adding "deprecated": true to the
- * property definition in the JSON Schema, e.g.:
- *
- *   "legacyKind": {
- *     "type": "string",
- *     "deprecated": true,
- *     "description": "Deprecated: use 'kind' instead."
- *   }
- *
- * This gives SDL authors a migration window before the field is removed.
- */
-function validateDeprecations(exampleDir, schemas, result) {
-  for (const { name, schema } of schemas) {
-    const deprecatedFields = Object.entries(schema.properties ?? {})
-      .filter(([, def]) => def.deprecated === true)
-      .map(([field]) => field);
-
-    if (deprecatedFields.length === 0) continue;
-
-    const filePath = join(exampleDir, FILE_MAP[name]);
-    let data;
-    try {
-      data = loadJSON(filePath);
-    } catch {
-      continue; // Already reported in schema validation pass
-    }
-    if (!Array.isArray(data)) continue;
+// ── Watch mode ────────────────────────────────────────────────────────────────
 
-    for (const item of data) {
-      for (const field of deprecatedFields) {
-        if (Object.prototype.hasOwnProperty.call(item, field)) {
-          const loc = item.id ? `id="${item.id}"` : "(unknown id)";
-          const hint = schema.properties[field].description
-            ? ` — ${schema.properties[field].description}`
-            : "";
-          result.warn(
-            `[${FILE_MAP[name]}] ${loc}: field "${field}" is deprecated${hint}`
-          );
-        }
-      }
-    }
-  }
+function findingKey(f) {
+  return [f.rule, f.file, f.pointer, f.message].join("\0");
 }
 
-// ── Schema validation (AJV) ───────────────────────────────────────────────────
-
-function validateSchemas(exampleDir, { ajv, schemas }, result) {
-  for (const { name, schema } of schemas) {
-    const filePath = join(exampleDir, FILE_MAP[name]);
-    let data;
-
-    try {
-      data = loadJSON(filePath);
-    } catch (e) {
-      result.error(`[${FILE_MAP[name]}] ${e.message}`);
-      continue;
-    }
-
-    if (!Array.isArray(data)) {
-      result.error(`[${FILE_MAP[name]}] Root value must be an array`);
-      continue;
-    }
-
-    const validate = ajv.compile(schema);
-
-    data.forEach((item, index) => {
-      const valid = validate(item);
-      if (!valid) {
-        validate.errors.forEach((err) => {
-          const loc = item.id ? `id="${item.id}"` : `index ${index}`;
-          result.error(
-            `[${FILE_MAP[name]}] ${loc}: ${err.instancePath || "(root)"} ${err.message}`
-          );
-        });
-      }
-    });
-  }
+function findingLine(result, f) {
+  const label = f.severity === "error" ? "ERROR  " : "warning";
+  return `${label} ${textLine(result, f)}`;
 }
 
-// ── Referential integrity ─────────────────────────────────────────────────────
-
-function validateRefs(exampleDir, result) {
-  let nodes, edges, triggers, flows;
-
-  try {
-    nodes    = loadJSON(join(exampleDir, "nodes.json"));
-    edges    = loadJSON(join(exampleDir, "edges.json"));
-    triggers = loadJSON(join(exampleDir, "triggers.json"));
-    flows    = loadJSON(join(exampleDir, "flows.json"));
-  } catch {
-    return; // Already reported in schema validation pass
-  }
-
-  if (
-    !Array.isArray(nodes) || !Array.isArray(edges) ||
-    !Array.isArray(triggers) || !Array.isArray(flows)
-  ) return;
-
-  const nodeIds    = new Set(nodes.map((n) => n.id).filter(Boolean));
-  const edgeIds    = new Set(edges.map((e) => e.id).filter(Boolean));
-  const triggerIds = new Set(triggers.map((t) => t.id).filter(Boolean));
-  const flowIds    = new Set(flows.map((f) => f.id).filter(Boolean));
-
-  // ── Edges: source + target must be real nodes
-  for (const edge of edges) {
-    if (!edge.id) continue;
-    if (edge.source && !nodeIds.has(edge.source))
-      result.error(`[edges.json] Edge "${edge.id}": source "${edge.source}" does not reference a known node`);
-    if (edge.target && !nodeIds.has(edge.target))
-      result.error(`[edges.json] Edge "${edge.id}": target "${edge.target}" does not reference a known node`);
-  }
-
-  // ── Triggers: optional source + target must be real nodes
-  for (const trigger of triggers) {
-    if (!trigger.id) continue;
-    if (trigger.source && !nodeIds.has(trigger.source))
-      result.error(`[triggers.json] Trigger "${trigger.id}": source "${trigger.source}" does not reference a known node`);
-    if (trigger.target && !nodeIds.has(trigger.target))
-      result.error(`[triggers.json] Trigger "${trigger.id}": target "${trigger.target}" does not reference a known node`);
-  }
-
-  // ── Flows
-  for (const flow of flows) {
-    if (!flow.id) continue;
-
-    if (flow.trigger && !triggerIds.has(flow.trigger))
-      result.error(`[flows.json] Flow "${flow.id}": trigger "${flow.trigger}" does not reference a known trigger`);
-
-    const stepIds = new Set();
-    for (const step of flow.steps ?? []) {
-      if (!step.id) continue;
-      stepIds.add(step.id);
-
-      if (step.actor && !nodeIds.has(step.actor))
-        result.error(`[flows.json] Flow "${flow.id}" step "${step.id}": actor "${step.actor}" does not reference a known node`);
-      if (step.via && !edgeIds.has(step.via))
-        result.error(`[flows.json] Flow "${flow.id}" step "${step.id}": via "${step.via}" does not reference a known edge`);
-    }
-
-    for (const step of flow.steps ?? []) {
-      const goto = step?.error?.goto;
-      if (goto && !stepIds.has(goto))
-        result.error(`[flows.json] Flow "${flow.id}" step "${step.id}": error.goto "${goto}" does not reference a step in this flow`);
-    }
-
-    for (const cont of flow.continues_async ?? []) {
-      if (cont.flow_ref && !flowIds.has(cont.flow_ref))
-        result.warn(`[flows.json] Flow "${flow.id}": continues_async references "${cont.flow_ref}" which is not in this example (may be defined in another file)`);
-    }
-
-    for (const variant of flow.variants ?? []) {
-      if (variant.flow_ref && !flowIds.has(variant.flow_ref))
-        result.warn(`[flows.json] Flow "${flow.id}": variant "${variant.label}" references flow "${variant.flow_ref}" which is not in this example (may be defined in another file)`);
-    }
-  }
-
-  // ── Orphan warnings
-  const usedEdgeIds = new Set(
-    flows.flatMap((f) => (f.steps ?? []).map((s) => s.via).filter(Boolean))
-  );
-  for (const edge of edges) {
-    if (edge.id && !usedEdgeIds.has(edge.id))
-      result.warn(`[edges.json] Edge "${edge.id}" is defined but not referenced in any flow step`);
-  }
-
-  const usedNodeIds = new Set([
-    ...flows.flatMap((f) => (f.steps ?? []).map((s) => s.actor).filter(Boolean)),
-    ...edges.flatMap((e) => [e.source, e.target].filter(Boolean)),
-  ]);
-  for (const node of nodes) {
-    if (node.id && !usedNodeIds.has(node.id))
-      result.warn(`[nodes.json] Node "${node.id}" is defined but not referenced in any edge or flow step`);
-  }
-}
-
-// ── Stdlib kind warnings ───────────────────────────────────────────────────────
-
-function validateKinds(exampleDir, result) {
-  const kinds = loadJSON(join(ROOT, "stdlib", "kinds.json"));
-  const validNodeKinds     = new Set(Object.keys(kinds.node_kinds).filter((k) => !k.startsWith("_")));
-  const validEdgeProtocols = new Set(Object.keys(kinds.edge_protocols).filter((k) => !k.startsWith("_")));
-  const validTriggerKinds  = new Set(Object.keys(kinds.trigger_kinds).filter((k) => !k.startsWith("_")));
-
-  let nodes, edges, triggers;
-  try {
-    nodes    = loadJSON(join(exampleDir, "nodes.json"));
-    edges    = loadJSON(join(exampleDir, "edges.json"));
-    triggers = loadJSON(join(exampleDir, "triggers.json"));
-  } catch { return; }
-
-  for (const node of nodes ?? []) {
-    if (node.kind && !validNodeKinds.has(node.kind) && !node.kind.includes(":"))
-      result.warn(`[nodes.json] Node "${node.id}": kind "${node.kind}" is not in stdlib (custom kinds should use a namespace prefix, e.g. "acme:${node.kind}")`);
-  }
-  for (const edge of edges ?? []) {
-    if (edge.protocol && !validEdgeProtocols.has(edge.protocol) && !edge.protocol.includes(":"))
-      result.warn(`[edges.json] Edge "${edge.id}": protocol "${edge.protocol}" is not in stdlib`);
-  }
-  for (const trigger of triggers ?? []) {
-    if (trigger.kind && !validTriggerKinds.has(trigger.kind) && !trigger.kind.includes(":"))
-      result.warn(`[triggers.json] Trigger "${trigger.id}": kind "${trigger.kind}" is not in stdlib`);
-  }
-}
-
-// ── Missing file check ────────────────────────────────────────────────────────
-
-function checkRequiredFiles(exampleDir, result) {
-  for (const file of REQUIRED_FILES) {
-    try {
-      readFileSync(join(exampleDir, file));
-    } catch {
-      result.error(`Missing required file: ${file}`);
+/**
+ * Prints the full report once, then re-validates an example whenever one of its
+ * files (or a directory it imports) changes, printing only new and resolved findings.
+ */
+function watchExamples(exampleDirs, opts) {
+  const state = new Map(); // example dir → { result, deps }
+  for (const dir of exampleDirs) state.set(dir, validateExample(dir, opts));
+
+  process.stdout.write(REPORTERS.text([...state.values()].map((s) => s.result), { verbose: opts.verbose }));
+
+  const time = () => new Date().toLocaleTimeString();
+  const watcher = watchDirs([...state.values()].flatMap((s) => s.deps), (changed) => {
+    for (const [dir, before] of state) {
+      if (!before.deps.some((d) => changed.has(resolve(d)))) continue;
+
+      const after = validateExample(dir, opts);
+      state.set(dir, after);
+      after.deps.forEach(watcher.add);
+
+      const findings = (r) => new Map([...r.errors, ...r.warnings].map((f) => [findingKey(f), f]));
+      const old = findings(before.result);
+      const now = findings(after.result);
+      const added    = [...now].filter(([k]) => !old.has(k)).map(([, f]) => f);
+      const resolved = [...old].filter(([k]) => !now.has(k)).map(([, f]) => f);
+
+      const totals = `${after.result.errors.length} error(s), ${after.result.warnings.length} warning(s)`;
+      const change = added.length || resolved.length
+        ? `${added.length} new, ${resolved.length} resolved`
+        : "no change in findings";
+      console.log(`\n[${time()}] ${after.result.name}: ${change} — ${totals}`);
+      for (const f of added)    console.log(`  + ${findingLine(after.result, f)}`);
+      for (const f of resolved) console.log(`  - ${findingLine(before.result, f)}`);
     }
-  }
-}
-
-// ── Report printer ────────────────────────────────────────────────────────────
-
-function printResult(result) {
-  const status = result.ok() ? "✅ PASS" : "❌ FAIL";
-  console.log(`\n${status}  ${result.name}`);
-  console.log("─".repeat(60));
-
-  if (result.errors.length === 0 && result.warnings.length === 0) {
-    console.log("  No issues found.");
-    return;
-  }
-
-  for (const e of result.errors)   console.log(`  ERROR   ${e}`);
-  for (const w of result.warnings) console.log(`  warning ${w}`);
+  });
 
-  console.log(`\n  ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+  console.log(`Watching ${exampleDirs.length} example(s) for changes — press Ctrl+C to stop`);
 }
 
-// ── Main ──────────────────────────────────────────────────────────────────────
-
 function run() {
-  const arg = process.argv[2];
-
-  if (!arg) {
-    console.error("Usage: node validate.js <example-dir|examples-parent-dir>");
-    process.exit(1);
-  }
-
-  const target = resolve(arg);
+  const { target, opts } = parseArgs();
 
   // Accept either a single example dir or a parent dir containing multiple examples
   let exampleDirs;
-  const hasRequiredFiles = REQUIRED_FILES.some((f) => {
-    try { readFileSync(join(target, f)); return true; } catch { return false; }
-  });
+  const hasRequiredFiles = REQUIRED_FILES.some((f) => resolveSourceFile(target, f));
 
   if (hasRequiredFiles) {
     exampleDirs = [target];
@@ -457,40 +200,18 @@ function run() {
     }
   }
 
-  console.log(`\nSDL Validator — checking ${exampleDirs.length} example(s)\n`);
-  console.log("=".repeat(60));
-
-  const results = [];
-
-  for (const dir of exampleDirs) {
-    const result = new Result(basename(dir));
-
-    checkRequiredFiles(dir, result);
-
-    // Resolve spec schemas from the git tag for the declared sdlVersion
-    const manifest = readManifest(dir, result);
-    const { ajv, schemas } = loadSchemas(manifest?.sdlVersion, result);
-
-    validateSchemas(dir, { ajv, schemas }, result);
-    validateDeprecations(dir, schemas, result);
-    validateRefs(dir, result);
-    validateKinds(dir, result);
-
-    printResult(result);
-    results.push(result);
+  if (opts.watch) {
+    watchExamples(exampleDirs, opts);
+    return;
   }
 
-  // Summary
-  const passed        = results.filter((r) => r.ok()).length;
-  const failed        = results.length - passed;
-  const totalErrors   = results.reduce((n, r) => n + r.errors.length, 0);
-  const totalWarnings = results.reduce((n, r) => n + r.warnings.length, 0);
+  const results = exampleDirs.map((dir) => validateExample(dir, opts).result);
 
-  console.log("\n" + "=".repeat(60));
-  console.log(`\nSummary: ${passed} passed, ${failed} failed`);
-  console.log(`         ${totalErrors} error(s), ${totalWarnings} warning(s) across all examples\n`);
+  process.stdout.write(REPORTERS[opts.format](results, { verbose: opts.verbose }));
 
-  process.exit(failed > 0 ? 1 : 0);
+  // exitCode rather than exit() so a large report piped to a file is fully flushed
+  const failed = results.filter((r) => !r.valid).length;
+  process.exitCode = failed > 0 ? 1 : 0;
 }
 
 run();
@@ -1,5 +1,8 @@
-import { readFileSync, existsSync } from "fs";
-import { join, resolve } from "path";
+import { readFileSync, existsSync, statSync } from "fs";
+import { join, resolve, extname, basename, dirname } from "path";
+import { fileURLToPath } from "url";
+import JSON5 from "json5";
+import YAML from "yaml";
 import type {
   SdlArchitecture,
   SdlNode,
@@ -7,6 +10,12 @@ import type {
   SdlTrigger,
   SdlFlow,
   SdlManifest,
+  SdlImport,
+  SdlKinds,
+  SdlKindDef,
+  SdlKindTable,
+  SdlKindUse,
+  SdlVocabulary,
 } from "../types.js";
 
 export function resolveDir(sdlDirArg: string | undefined): { dir: string } | { error: string } {
@@ -24,32 +33,234 @@ export function resolveDir(sdlDirArg: string | undefined): { dir: string } | { e
         "     Cursor (.cursor/mcp.json):\n" +
         '       "env": { "SDL_DIR": "/path/to/your/sdl/files" }\n\n' +
         "  The directory should contain:\n" +
-        "    nodes.json, edges.json, triggers.json, flows.json, manifest.json",
+        "    nodes.json, edges.json, triggers.json, flows.json, manifest.json\n" +
+        "    (each may also be .yaml / .yml / .jsonc / .json5)",
     };
   }
 
   return { dir: resolve(raw) };
 }
 
-export function loadJsonFile<T>(filePath: string): T | null {
-  if (!existsSync(filePath)) return null;
+// ── Source formats ────────────────────────────────────────────────────────────
+// Each SDL file may be strict JSON, JSON5 (.jsonc / .json5 — comments, trailing
+// commas) or YAML (.yaml / .yml) — the same set the CLI validator reads. Callers
+// name files canonically ("nodes.json"); the first variant present wins.
+
+export const SOURCE_EXTENSIONS = [".json", ".jsonc", ".json5", ".yaml", ".yml"];
+
+/** File name in `dir` that provides `canonical` (e.g. "nodes.json" → "nodes.yaml"), or null. */
+export function resolveSdlFile(dir: string, canonical: string): string | null {
+  const stem = basename(canonical, extname(canonical));
+  return SOURCE_EXTENSIONS.map(ext => stem + ext).find(name => existsSync(join(dir, name))) ?? null;
+}
+
+function parseFailure(filePath: string, reason: string, line?: number, column?: number): Error {
+  const where = line ? ` (line ${line}, column ${column})` : "";
+  return new Error(`Failed to parse ${filePath}${where}: ${reason}`);
+}
+
+/** Parses SDL source text in the format given by the extension of `filePath`. */
+export function parseSdlText<T>(text: string, filePath: string): T {
+  const ext = extname(filePath).toLowerCase();
+
+  if (ext === ".yaml" || ext === ".yml") {
+    try {
+      return YAML.parse(text, { prettyErrors: true }) as T;
+    } catch (e) {
+      const pos = e instanceof YAML.YAMLError ? e.linePos?.[0] : undefined;
+      const msg = e instanceof Error ? e.message : String(e);
+      throw parseFailure(filePath, msg.split(" at line ")[0].split("\n")[0], pos?.line, pos?.col);
+    }
+  }
+
+  if (ext === ".jsonc" || ext === ".json5") {
+    try {
+      return JSON5.parse(text) as T;
+    } catch (e) {
+      const { lineNumber, columnNumber } = e as { lineNumber?: number; columnNumber?: number };
+      const msg = (e instanceof Error ? e.message : String(e)).replace(/^JSON5: /, "").replace(/ at \d+:\d+$/, "");
+      throw parseFailure(filePath, msg, lineNumber, columnNumber);
+    }
+  }
+
   try {
-    return JSON.parse(readFileSync(filePath, "utf8")) as T;
+    return JSON.parse(text) as T;
   } catch (e) {
-    throw new Error(
-      `Failed to parse ${filePath}: ${e instanceof Error ? e.message : String(e)}`
+    const msg = e instanceof Error ? e.message : String(e);
+    const offset = /at position (\d+)/.exec(msg);
+    const before = offset ? text.slice(0, Number(offset[1])).split("\n") : null;
+    throw parseFailure(
+      filePath,
+      msg.replace(/ in JSON at position \d+.*$/, ""),
+      before?.length,
+      before ? before[before.length - 1].length + 1 : undefined,
     );
   }
 }
 
+/** Loads the variant of `canonical` present in `dir`; null when there is none. */
+export function loadSdlFile<T>(dir: string, canonical: string): T | null {
+  const name = resolveSdlFile(dir, canonical);
+  if (!name) return null;
+  const filePath = join(dir, name);
+  return parseSdlText<T>(readFileSync(filePath, "utf8"), filePath);
+}
+
 export function loadArchitecture(dir: string): SdlArchitecture {
-  return {
-    manifest: loadJsonFile<SdlManifest>(join(dir, "manifest.json")),
-    nodes:    loadJsonFile<SdlNode[]>(join(dir,    "nodes.json"))       ?? [],
-    edges:    loadJsonFile<SdlEdge[]>(join(dir,    "edges.json"))       ?? [],
-    triggers: loadJsonFile<SdlTrigger[]>(join(dir, "triggers.json"))    ?? [],
-    flows:    loadJsonFile<SdlFlow[]>(join(dir,    "flows.json"))       ?? [],
+  const arch: SdlArchitecture = {
+    manifest: loadSdlFile<SdlManifest>(dir,  "manifest.json"),
+    nodes:    loadSdlFile<SdlNode[]>(dir,     "nodes.json")       ?? [],
+    edges:    loadSdlFile<SdlEdge[]>(dir,     "edges.json")       ?? [],
+    triggers: loadSdlFile<SdlTrigger[]>(dir,  "triggers.json")    ?? [],
+    flows:    loadSdlFile<SdlFlow[]>(dir,     "flows.json")       ?? [],
+    imports:  [],
+    kinds:    emptyKinds(),
+  };
+  arch.kinds = loadKinds(arch.manifest, dir);
+  mergeImports(arch, dir);
+  return arch;
+}
+
+// ── Kinds ─────────────────────────────────────────────────────────────────────
+// stdlib/kinds.json defines the plain kind, protocol and trigger kind names. A project
+// adds namespaced ones ("acme:iot-device") in an extension file of the same format,
+// named by manifest.kinds. Extension entries never replace stdlib ones, and the CLI
+// validator checks the extension against stdlib/kinds.schema.json — here a broken
+// extension is recorded rather than thrown. `npm run build` copies stdlib/kinds.json
+// to dist/stdlib, so the published package carries its own copy.
+
+export const STDLIB_KINDS_FILE = resolve(dirname(fileURLToPath(import.meta.url)), "../stdlib/kinds.json");
+
+const VOCABULARIES: SdlVocabulary[] = ["node_kinds", "edge_protocols", "trigger_kinds"];
+
+function emptyKinds(): SdlKinds {
+  const table = (): SdlKindTable => ({ node_kinds: {}, edge_protocols: {}, trigger_kinds: {} });
+  return { stdlib: table(), project: table() };
+}
+
+// The entries of each vocabulary in `data`, without "_comment" keys; `keep` filters names
+function kindTable(data: unknown, keep: (name: string) => boolean = () => true): SdlKindTable {
+  const table: SdlKindTable = { node_kinds: {}, edge_protocols: {}, trigger_kinds: {} };
+  for (const vocabulary of VOCABULARIES) {
+    const entries = (data as Partial<Record<SdlVocabulary, Record<string, SdlKindDef>>> | null)?.[vocabulary];
+    if (!entries || typeof entries !== "object") continue;
+    for (const [name, def] of Object.entries(entries)) {
+      if (!name.startsWith("_") && keep(name)) table[vocabulary][name] = def;
+    }
+  }
+  return table;
+}
+
+/** The stdlib (read from `stdlibFile`) and the project kinds extension named by manifest.kinds, if any. */
+export function loadKinds(manifest: SdlManifest | null, dir: string, stdlibFile: string = STDLIB_KINDS_FILE): SdlKinds {
+  const kinds = emptyKinds();
+  const problems: string[] = [];
+
+  try {
+    kinds.stdlib = kindTable(JSON.parse(readFileSync(stdlibFile, "utf8")));
+  } catch (e) {
+    problems.push(`stdlib not loaded: ${e instanceof Error ? e.message : String(e)}`);
+  }
+
+  if (manifest?.kinds !== undefined) {
+    if (typeof manifest.kinds !== "string" || manifest.kinds === "") {
+      problems.push(`manifest "kinds" must be a path, e.g. "./kinds.json"`);
+    } else {
+      const path = resolve(dir, manifest.kinds);
+      kinds.extension = path;
+      try {
+        const data = parseSdlText<unknown>(readFileSync(path, "utf8"), path);
+        kinds.project = kindTable(data, name => name.includes(":"));
+      } catch (e) {
+        problems.push(`kinds extension not loaded: ${e instanceof Error ? e.message : String(e)}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) kinds.error = problems.join("; ");
+  return kinds;
+}
+
+/** Looks up `name` in one vocabulary — stdlib first, then the project extension. */
+export function lookupKind(kinds: SdlKinds, vocabulary: SdlVocabulary, name: string): SdlKindUse {
+  const stdlib = kinds.stdlib[vocabulary][name];
+  if (stdlib) return { vocabulary, name, source: "stdlib", definition: stdlib };
+  const project = kinds.project[vocabulary][name];
+  if (project) return { vocabulary, name, source: "project", definition: project };
+  return { vocabulary, name, source: null };
+}
+
+/** Every kind, protocol and trigger kind the architecture uses, in first-use order. */
+export function usedKinds(arch: SdlArchitecture): SdlKindUse[] {
+  const uses: SdlKindUse[] = [];
+  const seen = new Set<string>();
+  const add = (vocabulary: SdlVocabulary, name: string | undefined) => {
+    if (!name || seen.has(`${vocabulary}:${name}`)) return;
+    seen.add(`${vocabulary}:${name}`);
+    uses.push(lookupKind(arch.kinds, vocabulary, name));
   };
+
+  for (const n of arch.nodes)    add("node_kinds",     n.kind);
+  for (const e of arch.edges)    add("edge_protocols", e.protocol);
+  for (const t of arch.triggers) add("trigger_kinds",  t.kind);
+  return uses;
+}
+
+// ── Cross-system imports ──────────────────────────────────────────────────────
+// manifest.imports maps an alias to another SDL directory, e.g. { "payments": "../payments" }.
+// Its items join the architecture under namespaced ids ("payments/payment-service") —
+// the same form local edges and steps use to reference them. Imports are not
+// transitive, and an import that fails to load is recorded rather than thrown.
+
+const NAMESPACE_SEP = "/";
+
+function qualify(alias: string, ref: string): string;
+function qualify(alias: string, ref: string | undefined): string | undefined;
+function qualify(alias: string, ref: string | undefined): string | undefined {
+  if (ref === undefined || ref.includes(NAMESPACE_SEP)) return ref;
+  return `${alias}${NAMESPACE_SEP}${ref}`;
+}
+
+function mergeImports(arch: SdlArchitecture, dir: string): void {
+  for (const [alias, path] of Object.entries(arch.manifest?.imports ?? {})) {
+    const importDir = resolve(dir, path);
+    const entry: SdlImport = { alias, dir: importDir };
+    arch.imports.push(entry);
+
+    if (!existsSync(importDir) || !statSync(importDir).isDirectory()) {
+      entry.error = `directory not found: ${importDir}`;
+      continue;
+    }
+
+    let nodes: SdlNode[], edges: SdlEdge[], triggers: SdlTrigger[], flows: SdlFlow[];
+    try {
+      nodes    = loadSdlFile<SdlNode[]>(importDir,    "nodes.json")    ?? [];
+      edges    = loadSdlFile<SdlEdge[]>(importDir,    "edges.json")    ?? [];
+      triggers = loadSdlFile<SdlTrigger[]>(importDir, "triggers.json") ?? [];
+      flows    = loadSdlFile<SdlFlow[]>(importDir,    "flows.json")    ?? [];
+    } catch (e) {
+      entry.error = e instanceof Error ? e.message : String(e);
+      continue;
+    }
+
+    const system = alias;
+    arch.nodes.push(...nodes.map(n => ({ ...n, id: qualify(alias, n.id), system })));
+    arch.edges.push(...edges.map(e => ({
+      ...e, id: qualify(alias, e.id), source: qualify(alias, e.source), target: qualify(alias, e.target), system,
+    })));
+    arch.triggers.push(...triggers.map(t => ({
+      ...t, id: qualify(alias, t.id), source: qualify(alias, t.source), target: qualify(alias, t.target), system,
+    })));
+    arch.flows.push(...flows.map(f => ({
+      ...f,
+      id:      qualify(alias, f.id),
+      trigger: qualify(alias, f.trigger),
+      steps:   (f.steps ?? []).map(s => ({ ...s, actor: qualify(alias, s.actor), via: qualify(alias, s.via) })),
+      continues_async: f.continues_async?.map(c => ({ ...c, flow_ref: qualify(alias, c.flow_ref) })),
+      variants:        f.variants?.map(v => ({ ...v, flow_ref: qualify(alias, v.flow_ref) })),
+      system,
+    })));
+  }
 }
 
 export function guardDir(
@@ -72,7 +283,7 @@ export function guardDir(
 
 export function missingFilesWarning(dir: string): string {
   const expected = ["manifest.json", "nodes.json", "edges.json", "triggers.json", "flows.json"];
-  const missing  = expected.filter(f => !existsSync(join(dir, f)));
+  const missing  = expected.filter(f => !resolveSdlFile(dir, f));
   return missing.length > 0
     ? `\n\n> ⚠️ Missing files in ${dir}: ${missing.join(", ")}`
     : "";
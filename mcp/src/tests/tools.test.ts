@@ -17,12 +17,21 @@ import {
   loadArchitecture,
   guardDir,
   missingFilesWarning,
+  parseSdlText,
+  resolveSdlFile,
+  loadKinds,
+  lookupKind,
+  STDLIB_KINDS_FILE,
+  usedKinds,
 } from "../services/sdl-loader.js";
 import type { SdlFlow, SdlNode, SdlStep } from "../types.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const FIXTURE   = resolve(__dirname, "fixtures/simple-system");
 const MISSING   = resolve(__dirname, "fixtures/does-not-exist");
+const IMPORTING = resolve(__dirname, "fixtures/importing-system");
+const YAML_SYS  = resolve(__dirname, "fixtures/yaml-system");
+const EXTENDED  = resolve(__dirname, "fixtures/extended-system");
 
 // ── sdl-loader: resolveDir ────────────────────────────────────────────────────
 
@@ -119,6 +128,142 @@ describe("loadArchitecture", () => {
   });
 });
 
+// ── sdl-loader: manifest imports ─────────────────────────────────────────────
+
+describe("loadArchitecture imports", () => {
+  test("fixture without imports has an empty imports list", () => {
+    assert.deepEqual(loadArchitecture(FIXTURE).imports, []);
+  });
+
+  test("merges imported nodes under namespaced ids", () => {
+    const arch = loadArchitecture(IMPORTING);
+    const ids  = arch.nodes.map((n: SdlNode) => n.id);
+    assert.ok(ids.includes("storefront"));
+    assert.ok(ids.includes("orders/api-gateway"));
+    assert.ok(ids.includes("orders/order-db"));
+    assert.equal(arch.nodes.find((n: SdlNode) => n.id === "orders/order-db")?.system, "orders");
+    assert.equal(arch.nodes.find((n: SdlNode) => n.id === "storefront")?.system, undefined);
+  });
+
+  test("namespaces references inside imported items", () => {
+    const arch = loadArchitecture(IMPORTING);
+    const edge = arch.edges.find(e => e.id === "orders/gateway-to-order");
+    assert.equal(edge?.source, "orders/api-gateway");
+    assert.equal(edge?.target, "orders/order-service");
+
+    const flow = arch.flows.find((f: SdlFlow) => f.id === "orders/place-order");
+    assert.equal(flow?.trigger, "orders/checkout-submit");
+    assert.equal(flow?.steps[1].via, "orders/gateway-to-order");
+    assert.equal(flow?.steps[0].via, undefined);
+  });
+
+  test("local cross-system references resolve against merged items", () => {
+    const arch    = loadArchitecture(IMPORTING);
+    const nodeIds = new Set(arch.nodes.map((n: SdlNode) => n.id));
+    const edgeIds = new Set(arch.edges.map(e => e.id));
+    const flow    = arch.flows.find((f: SdlFlow) => f.id === "browse-and-order")!;
+    for (const step of flow.steps) {
+      assert.ok(nodeIds.has(step.actor), step.actor);
+      if (step.via) assert.ok(edgeIds.has(step.via), step.via);
+    }
+    assert.ok(arch.flows.some((f: SdlFlow) => f.id === flow.continues_async![0].flow_ref));
+  });
+
+  test("records an import that cannot be loaded instead of throwing", () => {
+    const arch    = loadArchitecture(IMPORTING);
+    const billing = arch.imports.find(i => i.alias === "billing");
+    assert.ok(billing?.error?.includes("not found"));
+    assert.equal(arch.imports.find(i => i.alias === "orders")?.error, undefined);
+  });
+});
+
+// ── sdl-loader: kinds ────────────────────────────────────────────────────────
+
+describe("loadArchitecture kinds", () => {
+  test("stdlib kinds are known without an extension", () => {
+    const arch = loadArchitecture(FIXTURE);
+    assert.equal(arch.kinds.extension, undefined);
+    assert.equal(arch.kinds.error, undefined);
+    assert.equal(lookupKind(arch.kinds, "node_kinds", "database").source, "stdlib");
+  });
+
+  test("merges namespaced kinds from the project kinds extension", () => {
+    const arch   = loadArchitecture(EXTENDED);
+    const device = lookupKind(arch.kinds, "node_kinds", "acme:iot-device");
+    assert.equal(arch.kinds.extension, resolve(EXTENDED, "kinds.json"));
+    assert.equal(device.source, "project");
+    assert.equal(device.definition?.label, "IoT Device");
+    assert.equal(lookupKind(arch.kinds, "edge_protocols", "acme:lora").source, "project");
+  });
+
+  test("extension entries never replace stdlib ones", () => {
+    const arch = loadArchitecture(EXTENDED);
+    const kind = lookupKind(arch.kinds, "node_kinds", "microservice");
+    assert.equal(kind.source, "stdlib");
+    assert.notEqual(kind.definition?.label, "Shadowed");
+  });
+
+  test("records an extension that cannot be loaded instead of throwing", () => {
+    const kinds = loadKinds({ sdlVersion: "0.1", kinds: "./missing.json" }, EXTENDED);
+    assert.ok(kinds.error?.includes("kinds extension not loaded"));
+    assert.equal(lookupKind(kinds, "node_kinds", "gateway").source, "stdlib");
+  });
+
+  test("reads the stdlib copy the build puts in dist", () => {
+    assert.equal(STDLIB_KINDS_FILE, resolve(__dirname, "../stdlib/kinds.json"));
+    assert.ok(existsSync(STDLIB_KINDS_FILE));
+  });
+
+  test("records a missing stdlib instead of throwing", () => {
+    const kinds = loadKinds(null, FIXTURE, resolve(MISSING, "kinds.json"));
+    assert.ok(kinds.error?.includes("stdlib not loaded"));
+    assert.equal(lookupKind(kinds, "node_kinds", "database").source, null);
+  });
+
+  test("lists used kinds, flagging undeclared ones", () => {
+    const uses = usedKinds(loadArchitecture(EXTENDED));
+    assert.deepEqual(uses.map(k => [k.name, k.source]), [
+      ["acme:iot-device", "project"],
+      ["microservice",    "stdlib"],
+      ["acme:robot",      null],
+      ["acme:lora",       "project"],
+    ]);
+  });
+});
+
+// ── sdl-loader: YAML / JSON5 sources ─────────────────────────────────────────
+
+describe("YAML and JSON5 sources", () => {
+  test("resolves each file to the format present", () => {
+    assert.equal(resolveSdlFile(YAML_SYS, "nodes.json"),    "nodes.yaml");
+    assert.equal(resolveSdlFile(YAML_SYS, "edges.json"),    "edges.yml");
+    assert.equal(resolveSdlFile(YAML_SYS, "triggers.json"), "triggers.jsonc");
+    assert.equal(resolveSdlFile(YAML_SYS, "flows.json"),    "flows.json5");
+    assert.equal(resolveSdlFile(FIXTURE,  "nodes.json"),    "nodes.json");
+    assert.equal(resolveSdlFile(MISSING,  "nodes.json"),    null);
+  });
+
+  test("loads a mixed-format directory like a JSON one", () => {
+    const arch = loadArchitecture(YAML_SYS);
+    assert.equal(arch.manifest?.name, "YAML System");
+    assert.ok(arch.manifest?.description?.includes("folded multi-line description"));
+    assert.equal(arch.nodes.length,    3);
+    assert.equal(arch.edges.length,    2);
+    assert.equal(arch.triggers.length, 1);
+    assert.equal(arch.flows[0].steps[1].via, "order-to-db");
+  });
+
+  test("missingFilesWarning accepts non-JSON variants", () => {
+    assert.equal(missingFilesWarning(YAML_SYS), "");
+  });
+
+  test("parse errors report line and column", () => {
+    assert.throws(() => parseSdlText("- id: a\n  label: [oops\n", "nodes.yaml"), /nodes\.yaml \(line \d+, column \d+\)/);
+    assert.throws(() => parseSdlText("[\n  { id: @ }\n]", "flows.json5"), /flows\.json5 \(line 2, column 9\)/);
+    assert.throws(() => parseSdlText("[\n  {\"id\": 1,}\n]", "edges.json"), /edges\.json \(line 2, column 12\)/);
+  });
+});
+
 // ── sdl-loader: guardDir ─────────────────────────────────────────────────────
 
 describe("guardDir", () => {
@@ -6,12 +6,13 @@ import {
   loadArchitecture,
   guardDir,
   missingFilesWarning,
+  usedKinds,
 } from "../services/sdl-loader.js";
 
 // ── Summary formatter ──────────────────────────────────────────────────────────
 
 function formatSummary(arch: SdlArchitecture, dir: string): string {
-  const { manifest, nodes, edges, triggers, flows } = arch;
+  const { manifest, nodes, edges, triggers, flows, imports } = arch;
   const lines: string[] = [];
 
   lines.push(`# SDL Architecture Summary`);
@@ -28,6 +29,15 @@ function formatSummary(arch: SdlArchitecture, dir: string): string {
   lines.push(`- ${flows.length} flow(s)`);
   lines.push("");
 
+  if (imports.length > 0) {
+    lines.push(`## Imports`);
+    lines.push(`Imported items appear below under namespaced ids, e.g. "${imports[0].alias}/<id>".`);
+    for (const i of imports) {
+      lines.push(`- **${i.alias}** → ${i.dir}${i.error ? ` — ⚠️ not loaded: ${i.error}` : ""}`);
+    }
+    lines.push("");
+  }
+
   if (nodes.length > 0) {
     lines.push(`## Nodes`);
     for (const n of nodes) lines.push(`- **${n.id}** (${n.kind}): ${n.label}`);
@@ -45,9 +55,26 @@ function formatSummary(arch: SdlArchitecture, dir: string): string {
   if (triggers.length > 0) {
     lines.push(`## Triggers`);
     for (const t of triggers) lines.push(`- **${t.id}** (${t.kind}): ${t.label}`);
+    lines.push("");
   }
 
-  return lines.join("\n");
+  const kinds = usedKinds(arch);
+  if (kinds.length > 0 || arch.kinds.extension) {
+    lines.push(`## Kinds`);
+    if (arch.kinds.extension) lines.push(`Namespaced kinds come from the project kinds extension ${arch.kinds.extension}.`);
+    if (arch.kinds.error)     lines.push(`⚠️ ${arch.kinds.error}`);
+    for (const k of kinds) {
+      const what = k.vocabulary === "node_kinds" ? "node" : k.vocabulary === "edge_protocols" ? "protocol" : "trigger";
+      if (!k.definition) {
+        lines.push(`- **${k.name}** (${what}) — ⚠️ not declared in stdlib or the project kinds extension`);
+        continue;
+      }
+      const hint = k.definition.ai_hint ? ` — ${k.definition.ai_hint}` : "";
+      lines.push(`- **${k.name}** (${what}, ${k.source}): ${k.definition.label}${hint}`);
+    }
+  }
+
+  return lines.join("\n").trimEnd();
 }
 
 // ── Tool registration ──────────────────────────────────────────────────────────
@@ -63,6 +90,13 @@ Call this at the start of any task involving system design, cross-service change
 or questions about how components connect. For focused queries on a specific flow
 or node, use sdl_get_flow or sdl_get_flows_for_node instead.
 
+Systems listed under manifest.json "imports" are included, with their items
+namespaced as "<alias>/<id>" (e.g. "payments/payment-service").
+
+The kinds, protocols and trigger kinds in use are listed with their stdlib
+definitions and ai_hint guidance. Namespaced ones (e.g. "acme:iot-device") come
+from the project kinds extension named by manifest.json "kinds".
+
 SDL directory resolution (in order):
   1. sdl_dir argument — pass explicitly when working with a specific source
   2. SDL_DIR environment variable — set in MCP client config for zero-argument use
@@ -118,6 +152,8 @@ Args:
         edges:    arch.edges,
         triggers: arch.triggers,
         flows:    arch.flows,
+        imports:  arch.imports,
+        kinds:    usedKinds(arch),
       };
 
       return {
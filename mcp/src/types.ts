@@ -13,6 +13,8 @@ export interface SdlNode {
   technology?: string;
   tags?: string[];
   meta?: Record<string, unknown>;
+  /** Alias of the imported system this item came from — absent for local items. */
+  system?: string;
 }
 
 export interface SdlEdge {
@@ -34,6 +36,8 @@ export interface SdlEdge {
   };
   tags?: string[];
   meta?: Record<string, unknown>;
+  /** Alias of the imported system this item came from — absent for local items. */
+  system?: string;
 }
 
 export interface SdlTrigger {
@@ -59,6 +63,8 @@ export interface SdlTrigger {
   };
   tags?: string[];
   meta?: Record<string, unknown>;
+  /** Alias of the imported system this item came from — absent for local items. */
+  system?: string;
 }
 
 export interface SdlStep {
@@ -98,12 +104,61 @@ export interface SdlFlow {
   }>;
   tags?: string[];
   meta?: Record<string, unknown>;
+  /** Alias of the imported system this item came from — absent for local items. */
+  system?: string;
 }
 
 export interface SdlManifest {
   sdlVersion: string;
   name?: string;
   description?: string;
+  /** Other SDL directories this system references, alias → path relative to this one. */
+  imports?: Record<string, string>;
+  /** Project kinds extension, a path relative to this directory (e.g. "./kinds.json"). */
+  kinds?: string;
+}
+
+/** An entry of manifest.imports as resolved by the loader. */
+export interface SdlImport {
+  alias: string;
+  dir: string;
+  /** Set when the imported directory could not be loaded. */
+  error?: string;
+}
+
+export type SdlVocabulary = "node_kinds" | "edge_protocols" | "trigger_kinds";
+
+/** An entry of stdlib/kinds.json or of a project kinds extension. */
+export interface SdlKindDef {
+  label: string;
+  category: string;
+  description: string;
+  examples?: string[];
+  /** Architectural guidance written for an AI reader. */
+  ai_hint?: string;
+  [field: string]: unknown;
+}
+
+export type SdlKindTable = Record<SdlVocabulary, Record<string, SdlKindDef>>;
+
+/** The kinds vocabularies an architecture is read against. */
+export interface SdlKinds {
+  stdlib: SdlKindTable;
+  /** Namespaced entries ("acme:iot-device") from the manifest's kinds extension. */
+  project: SdlKindTable;
+  /** Path of the kinds extension, when the manifest names one. */
+  extension?: string;
+  /** Set when stdlib or the extension could not be loaded. */
+  error?: string;
+}
+
+/** A kind, protocol or trigger kind the architecture uses, with its definition. */
+export interface SdlKindUse {
+  vocabulary: SdlVocabulary;
+  name: string;
+  /** Where the definition came from — null when neither stdlib nor the extension declares it. */
+  source: "stdlib" | "project" | null;
+  definition?: SdlKindDef;
 }
 
 export interface SdlArchitecture {
@@ -112,4 +167,6 @@ export interface SdlArchitecture {
   edges: SdlEdge[];
   triggers: SdlTrigger[];
   flows: SdlFlow[];
+  imports: SdlImport[];
+  kinds: SdlKinds;
 }
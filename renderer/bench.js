@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * SDL Renderer Benchmark
+ * Generates synthetic SDL systems of a given size and times renderSvg() on each —
+ * layout, crossing reduction and drawing — so changes to render.js can be checked
+ * against large systems, not just the examples.
+ *
+ * Usage:
+ *   node bench.js [--sizes 100,500,2000] [--runs 3] [--seed 1] [--write <dir>]
+ *
+ * Options:
+ *   --sizes <n,n,...>   Node counts to generate  [default: 100,500,2000]
+ *   --runs <number>     Timed renders per size; the median is reported  [default: 3]
+ *   --seed <number>     Seed for the generator — the same seed gives the same system
+ *   --write <dir>       Also write each system to <dir>/bench-<n>/ as SDL files, to
+ *                       open with render.js or validate.js
+ *
+ * A generated system looks like a company split into teams: a few shared entry
+ * points (actors, frontends, gateways, a broker, external APIs), then one team-<n>
+ * tag per ten or so nodes — services, databases, caches and queues — wired with
+ * rest, grpc, database and kafka edges, mostly within a team and sometimes across.
+ * Every team has a trigger and a flow through its services. The systems validate
+ * without errors; most edges are in no flow, so validate.js warns about them.
+ */
+
+import { writeFileSync, mkdirSync } from "fs";
+import { resolve, join, relative } from "path";
+import { performance } from "perf_hooks";
+import { renderSvg } from "./render.js";
+
+const DEFAULTS = { sizes: [100, 500, 2000], runs: 3, seed: 1, write: null };
+
+// Nodes shared by every team, per 100 nodes in the system (at least one of each)
+const SHARED = [
+  { kind: "actor",          name: "user",     per100: 1 },
+  { kind: "frontend",       name: "frontend", per100: 1 },
+  { kind: "gateway",        name: "gateway",  per100: 1 },
+  { kind: "message-broker", name: "broker",   per100: 0.5 },
+  { kind: "external-api",   name: "partner",  per100: 1 },
+];
+
+// What a team is made of, as weights
+const TEAM_MIX = [
+  { kind: "microservice",  weight: 5 },
+  { kind: "database",      weight: 2 },
+  { kind: "cache",         weight: 1 },
+  { kind: "message-queue", weight: 1 },
+];
+
+const TEAM_SIZE = 10;
+
+// ── Generator ─────────────────────────────────────────────────────────────────
+
+// mulberry32 — small, fast and seedable; Math.random() is neither of the last two
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A valid SDL system of about `size` nodes, as { manifest, nodes, edges, triggers, flows }.
+ * The same size and seed always give the same system.
+ */
+function generateSystem(size, seed = DEFAULTS.seed) {
+  const random = prng(seed * 7919 + size);
+  const pick   = (list) => list[Math.floor(random() * list.length)];
+  const weighted = (list) => {
+    let roll = random() * list.reduce((sum, item) => sum + item.weight, 0);
+    return list.find((item) => (roll -= item.weight) < 0) ?? list[list.length - 1];
+  };
+
+  const nodes = [], edges = [], triggers = [], flows = [];
+  const byKind = {};
+  const addNode = (node) => {
+    nodes.push(node);
+    (byKind[node.kind] ??= []).push(node);
+    return node;
+  };
+  const edgeIds = new Set();
+  const addEdge = (source, target, protocol, style, tags = []) => {
+    const id = `${source.id}-to-${target.id}`;
+    if (source === target || edgeIds.has(id)) return null;
+    edgeIds.add(id);
+    const edge = { id, protocol, source: source.id, target: target.id, style };
+    if (tags.length > 0) edge.tags = tags;
+    edges.push(edge);
+    return edge;
+  };
+
+  for (const { kind, name, per100 } of SHARED) {
+    const count = Math.max(1, Math.round(size / 100 * per100));
+    for (let i = 1; i <= count; i++) addNode({ id: `${name}-${i}`, kind, label: `${capitalize(name)} ${i}` });
+  }
+  for (const frontend of byKind.frontend) addEdge(pick(byKind.actor), frontend, "rest", "sync");
+  for (const actor of byKind.actor) addEdge(actor, pick(byKind.frontend), "rest", "sync");
+  for (const frontend of byKind.frontend) addEdge(frontend, pick(byKind.gateway), "rest", "sync");
+
+  // Teams fill the rest; the first service of each is what its gateway calls
+  const teams = [];
+  for (let t = 1; nodes.length < size; t++) {
+    const tag = `team-${t}`;
+    const members = [];
+    const count = Math.min(TEAM_SIZE, size - nodes.length);
+    for (let i = 1; i <= count; i++) {
+      const { kind } = i === 1 ? TEAM_MIX[0] : weighted(TEAM_MIX);
+      members.push(addNode({ id: `t${t}-${kind}-${i}`, kind, label: `Team ${t} ${kind} ${i}`, tags: [tag] }));
+    }
+    teams.push({ tag, members, services: members.filter((n) => n.kind === "microservice") });
+  }
+
+  for (const [t, team] of teams.entries()) {
+    const [entry, ...services] = team.services;
+    const gateway = byKind.gateway[t % byKind.gateway.length];
+    addEdge(gateway, entry, "rest", "sync", [team.tag]);
+    for (const service of services) addEdge(pick(team.services.filter((s) => s !== service)), service, "grpc", "sync", [team.tag]);
+    for (const store of team.members.filter((n) => n.kind !== "microservice")) {
+      const owner = pick(team.services);
+      if (store.kind === "message-queue") addEdge(owner, store, "kafka", "async", [team.tag]);
+      else addEdge(owner, store, "database", "sync", [team.tag]);
+    }
+    // A few calls to other teams, the broker and partners
+    if (t > 0 && random() < 0.6) addEdge(pick(team.services), pick(teams[Math.floor(random() * t)].services), "grpc", "sync");
+    if (random() < 0.5) addEdge(pick(team.services), pick(byKind["message-broker"]), "kafka", "async");
+    const partner = random() < 0.3 && addEdge(pick(team.services), pick(byKind["external-api"]), "rest", "sync");
+    if (partner) Object.assign(partner, { auth: { mechanism: "api-key" }, reliability: { timeout_ms: 5000 } });
+
+    const actor = pick(byKind.actor);
+    triggers.push({
+      id: `${team.tag}-request`,
+      kind: "user-interaction",
+      label: `Team ${t + 1} request`,
+      source: actor.id,
+      target: gateway.id,
+      interaction: { gesture: "click", element: `${team.tag}-button` },
+    });
+
+    // gateway → entry service → each service it calls, in edge order
+    const steps = [{ id: "1.0", actor: gateway.id, action: `route to ${entry.id}`, via: `${gateway.id}-to-${entry.id}` }];
+    for (const edge of edges.filter((e) => e.source === entry.id && e.tags?.includes(team.tag))) {
+      steps.push({ id: `${steps.length + 1}.0`, actor: entry.id, action: `call ${edge.target}`, via: edge.id });
+    }
+    flows.push({ id: `${team.tag}-flow`, label: `Team ${t + 1} flow`, trigger: `${team.tag}-request`, steps });
+  }
+
+  const manifest = {
+    sdlVersion: "0.1",
+    name: `Benchmark ${size}`,
+    description: `Synthetic system of ${nodes.length} nodes generated by renderer/bench.js (seed ${seed}).`,
+    stats: { nodes: nodes.length, edges: edges.length, triggers: triggers.length, flows: flows.length },
+  };
+  return { manifest, nodes, edges, triggers, flows };
+}
+
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error("Usage: node bench.js [--sizes 100,500,2000] [--runs 3] [--seed 1] [--write <dir>]");
+  process.exit(1);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { ...DEFAULTS };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--sizes") { opts.sizes = (args[++i] ?? "").split(",").map(Number); continue; }
+    if (args[i] === "--runs")  { opts.runs  = Number(args[++i]); continue; }
+    if (args[i] === "--seed")  { opts.seed  = Number(args[++i]); continue; }
+    if (args[i] === "--write") { opts.write = args[++i]; continue; }
+    usage(`Unknown argument "${args[i]}"`);
+  }
+
+  if (opts.sizes.some((n) => !Number.isInteger(n) || n < 10)) usage("--sizes takes whole numbers of 10 or more");
+  if (!Number.isInteger(opts.runs) || opts.runs < 1) usage("--runs takes a whole number of 1 or more");
+  if (!Number.isInteger(opts.seed)) usage("--seed takes a whole number");
+  if (opts.write === undefined) usage("--write takes a directory");
+  return opts;
+}
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+function run() {
+  const opts = parseArgs();
+
+  console.log(`\nSDL Renderer Benchmark — ${opts.runs} run(s) per size, seed ${opts.seed}\n`);
+  const rows = [["nodes", "edges", "flows", "median ms", "min ms", "svg KB"]];
+  for (const size of opts.sizes) {
+    const sdl = generateSystem(size, opts.seed);
+    if (opts.write) {
+      const dir = join(resolve(opts.write), `bench-${size}`);
+      mkdirSync(dir, { recursive: true });
+      for (const key of ["manifest", "nodes", "edges", "triggers", "flows"]) {
+        writeFileSync(join(dir, `${key}.json`), JSON.stringify(sdl[key], null, 2) + "\n", "utf8");
+      }
+      console.log(`  Wrote ${relative(process.cwd(), dir) || dir}`);
+    }
+
+    const times = [];
+    let svg = "";
+    for (let r = 0; r < opts.runs; r++) {
+      const start = performance.now();
+      svg = renderSvg(sdl);
+      times.push(performance.now() - start);
+    }
+    rows.push([sdl.nodes.length, sdl.edges.length, sdl.flows.length,
+      Math.round(median(times)), Math.round(Math.min(...times)), Math.round(Buffer.byteLength(svg) / 1024)]);
+  }
+
+  const widths = rows[0].map((_, c) => Math.max(...rows.map((r) => String(r[c]).length)));
+  console.log();
+  for (const row of rows) console.log("  " + row.map((cell, c) => String(cell).padStart(widths[c])).join("  "));
+  console.log();
+}
+
+run();
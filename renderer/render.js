@@ -1,46 +1,120 @@
 #!/usr/bin/env node
 /**
  * SDL Renderer
- * Generates a self-contained interactive HTML diagram from an SDL example.
+ * Generates a self-contained interactive HTML diagram from an SDL example, or a
+ * standalone SVG of its graph for docs, ADRs and slides.
  *
  * Usage:
  *   node render.js <example-dir> [options]
  *
  * Options:
- *   --theme <name|path>   Theme name (default|dark) or path to .theme.json  [default: "default"]
- *   --output <path>       Output HTML file path  [default: <example-dir>/diagram.html]
+ *   --theme <name|path>   Built-in theme (default|dark|high-contrast|print) or path to a
+ *                         .theme.json  [default: "default"]
+ *   --format html|svg     Interactive HTML page, or a standalone SVG  [default: html]
+ *   --flow <id|all>       With --format svg: highlight a flow, dimming the rest; one SVG
+ *                         per flow, named <output>.<flow-id>.svg. Repeatable
+ *   --group-by <key>      Box nodes that share tag:<prefix> (e.g. tag:team-) or
+ *                         meta:<field> (e.g. meta:domain); the HTML page can collapse a box
+ *   --output <path>       Output file path  [default: <example-dir>/diagram.html or .svg]
  *   --title <string>      Diagram title  [default: folder name]
+ *   --layout <path>       Saved node positions  [default: <example-dir>/layout.json]
+ *   --watch               Re-render on change and serve with live reload
+ *   --port <number>       Port for --watch  [default: 5050]
+ *   --host <address>      Address --watch listens on  [default: 127.0.0.1 — this machine
+ *                         only; 0.0.0.0 serves the diagram to the whole network]
+ *
+ * SDL files may be JSON, JSON5 (.jsonc / .json5) or YAML (.yaml / .yml).
+ *
+ * Systems listed under manifest.json "imports" are resolved: nodes and edges that
+ * this example references as "<alias>/<id>" are drawn alongside its own.
+ *
+ * Namespaced kinds and protocols ("acme:iot-device") are drawn from the project kinds
+ * extension named by manifest.json "kinds", merged with stdlib/kinds.json.
+ *
+ * In the HTML page the wheel zooms around the pointer, dragging pans, and the minimap
+ * in the corner shows where the view is — click or drag it to move there. The search
+ * box (or "/") finds nodes by id or label and centres on them; "+", "-" and "0" zoom
+ * in, out and to fit. Long layers wrap into several columns, so a system of thousands
+ * of nodes still lays out about as wide as it is tall; bench.js times it at that size.
+ *
+ * Opening a flow highlights it on the graph; its Sequence toggle shows the same flow
+ * as a sequence diagram — lifelines per actor, par / alt / opt blocks, replies, error
+ * branches and links to the flows it continues into.
+ *
+ * Themes live in renderer/themes/ and are checked against theme.schema.json there. A
+ * custom theme may "extend" a built-in one and override a few keys — see
+ * cli/lib/themes.js.
+ *
+ * Library use — the module only runs the CLI when executed directly:
+ *
+ *   import { renderSvg } from "./renderer/render.js";
+ *
+ *   renderSvg("examples/ecommerce-checkout");
+ *   renderSvg({ manifest, nodes, edges, triggers, flows }, { theme: "dark", flow: "place-order" });
+ *
+ * renderSvg() returns the SVG as a string; it never prints and never writes.
  */
 
-import { readFileSync, writeFileSync, readdirSync } from "fs";
-import { resolve, join, basename, dirname } from "path";
+import { readFileSync, writeFileSync, readdirSync, realpathSync } from "fs";
+import { resolve, join, basename, dirname, extname } from "path";
 import { fileURLToPath } from "url";
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ROOT = resolve(__dirname, "..");
+import { createServer } from "http";
+import { resolveSourceFile, readSdlFile } from "../cli/lib/formats.js";
+import { watchDirs, isWatchedFile } from "../cli/lib/watch.js";
+import { loadStdlib, loadProjectStdlib } from "../cli/lib/stdlib.js";
+import { buildStepTree } from "../cli/lib/steps.js";
+import { loadTheme, resolveThemeChain, builtInThemes, DEFAULT_THEME } from "../cli/lib/themes.js";
 
 // ── Arg parsing ───────────────────────────────────────────────────────────────
 
+const OUTPUT_FORMATS = ["html", "svg"];
+
 function parseArgs() {
   const args = process.argv.slice(2);
-  const opts = { theme: "default", output: null, title: null, layout: null };
+  const opts = { theme: DEFAULT_THEME, format: "html", flows: [], groupBy: null, output: null, title: null, layout: null, watch: false, port: 5050, host: "127.0.0.1" };
   let exampleDir = null;
 
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === "--theme")  { opts.theme  = args[++i]; continue; }
-    if (args[i] === "--output") { opts.output = args[++i]; continue; }
-    if (args[i] === "--title")  { opts.title  = args[++i]; continue; }
-    if (args[i] === "--layout") { opts.layout = args[++i]; continue; }
+    if (args[i] === "--theme")    { opts.theme   = args[++i]; continue; }
+    if (args[i] === "--format")   { opts.format  = args[++i]; continue; }
+    if (args[i] === "--flow")     { opts.flows.push(args[++i]); continue; }
+    if (args[i] === "--group-by") { opts.groupBy = args[++i]; continue; }
+    if (args[i] === "--output")   { opts.output  = args[++i]; continue; }
+    if (args[i] === "--title")    { opts.title   = args[++i]; continue; }
+    if (args[i] === "--layout")   { opts.layout  = args[++i]; continue; }
+    if (args[i] === "--watch")    { opts.watch   = true; continue; }
+    if (args[i] === "--port")     { opts.port    = Number(args[++i]); continue; }
+    if (args[i] === "--host")     { opts.host    = args[++i]; continue; }
     if (!exampleDir) exampleDir = args[i];
   }
 
-  if (!exampleDir) {
-    console.error("Usage: node render.js <example-dir> [--theme default|dark] [--output out.html]");
+  if (!exampleDir || opts.flows.includes(undefined) || opts.groupBy === undefined) {
+    console.error(`Usage: node render.js <example-dir> [--theme ${builtInThemes().join("|")}|<path>] [--format ${OUTPUT_FORMATS.join("|")}] [--flow <id>|all] [--group-by tag:<prefix>|meta:<field>] [--output out.html] [--watch [--port 5050] [--host 127.0.0.1]]`);
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS.includes(opts.format)) {
+    console.error(`Unknown format "${opts.format}". Available: ${OUTPUT_FORMATS.join(", ")}`);
+    process.exit(1);
+  }
+  if (opts.flows.length > 0 && opts.format !== "svg") {
+    console.error("--flow needs --format svg — the HTML page highlights flows interactively");
+    process.exit(1);
+  }
+  if (opts.watch && opts.format !== "html") {
+    console.error("--watch serves the HTML page; use it without --format svg");
+    process.exit(1);
+  }
+  if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535) {
+    console.error("--port must be a port number");
+    process.exit(1);
+  }
+  if (!opts.host) {
+    console.error("--host must be an address, e.g. 127.0.0.1");
     process.exit(1);
   }
 
   const dir = resolve(exampleDir);
-  opts.output = opts.output ? resolve(opts.output) : join(dir, "diagram.html");
+  opts.output = opts.output ? resolve(opts.output) : join(dir, `diagram.${opts.format}`);
   opts.title  = opts.title  || basename(dir).replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase());
   return { dir, opts };
 }
@@ -51,11 +125,84 @@ function loadJSON(path) {
   return JSON.parse(readFileSync(path, "utf8"));
 }
 
-function loadTheme(nameOrPath) {
-  const builtIn = join(__dirname, "themes", `${nameOrPath}.theme.json`);
-  try { return loadJSON(builtIn); } catch {}
-  try { return loadJSON(resolve(nameOrPath)); } catch {}
-  throw new Error(`Theme not found: "${nameOrPath}". Built-in themes: default, dark`);
+// SDL files may be JSON, JSON5 or YAML (nodes.yaml, flows.jsonc, ...) — parsed by the
+// CLI's format loader, so install the CLI's dependencies first: cd cli && npm install
+function loadSource(dir, file) {
+  const actual = resolveSourceFile(dir, file);
+  if (!actual) throw new Error(`Missing ${file} in ${dir}`);
+  return readSdlFile(join(dir, actual));
+}
+
+// ── Kinds ─────────────────────────────────────────────────────────────────────
+//
+// stdlib/kinds.json merged with the project kinds extension, if the manifest names one
+// (see cli/lib/stdlib.js). A broken extension is logged and otherwise ignored — kinds
+// it would have declared are drawn like stdlib "custom"; `sdl validate` reports why.
+
+function loadKinds(manifest, dir, log) {
+  const { stdlib, extension } = loadProjectStdlib(manifest, dir);
+  if (!extension?.problems.length) return stdlib;
+
+  for (const { message } of extension.problems) log(`  Warning : kinds extension — ${message}`);
+  return loadStdlib();
+}
+
+// ── Cross-system imports ──────────────────────────────────────────────────────
+//
+// manifest.json may import other SDL directories: { "imports": { "payments": "../payments" } }.
+// Local edges, triggers and steps then reference their items as "payments/payment-service".
+// Only the imported nodes and edges this system actually references are drawn; each
+// keeps its namespaced id and records the alias it came from in `system`.
+
+const NAMESPACE_SEP = "/";
+
+function loadImportedSystems(manifest, dir) {
+  const systems = new Map();
+  for (const [alias, path] of Object.entries(manifest?.imports ?? {})) {
+    const importDir = resolve(dir, path);
+    const load = (file) => { try { return loadSource(importDir, file); } catch { return []; } };
+    systems.set(alias, { nodes: load("nodes.json"), edges: load("edges.json") });
+  }
+  return systems;
+}
+
+function resolveImports(manifest, dir, nodes, edges, triggers, flows) {
+  const systems = loadImportedSystems(manifest, dir);
+  if (systems.size === 0) return { nodes, edges };
+
+  const lookup = (ref, pick) => {
+    const sep = typeof ref === "string" ? ref.indexOf(NAMESPACE_SEP) : -1;
+    if (sep <= 0) return null;
+    const alias = ref.slice(0, sep), id = ref.slice(sep + 1);
+    const item = systems.get(alias)?.[pick].find(x => x.id === id);
+    return item ? { alias, item } : null;
+  };
+  const qualify = (alias, ref) => ref.includes(NAMESPACE_SEP) ? ref : `${alias}${NAMESPACE_SEP}${ref}`;
+
+  const extraEdges = new Map();
+  for (const step of flows.flatMap(f => f.steps ?? [])) {
+    const found = step.via && !extraEdges.has(step.via) && lookup(step.via, "edges");
+    if (found) {
+      const { alias, item } = found;
+      extraEdges.set(step.via, { ...item, id: step.via, source: qualify(alias, item.source), target: qualify(alias, item.target), system: alias });
+    }
+  }
+  const allEdges = [...edges, ...extraEdges.values()];
+
+  const localIds   = new Set(nodes.map(n => n.id));
+  const extraNodes = new Map();
+  const refs = [
+    ...allEdges.flatMap(e => [e.source, e.target]),
+    ...triggers.flatMap(t => [t.source, t.target]),
+    ...flows.flatMap(f => (f.steps ?? []).map(s => s.actor)),
+  ];
+  for (const ref of refs) {
+    if (!ref || localIds.has(ref) || extraNodes.has(ref)) continue;
+    const found = lookup(ref, "nodes");
+    if (found) extraNodes.set(ref, { ...found.item, id: ref, system: found.alias });
+  }
+
+  return { nodes: [...nodes, ...extraNodes.values()], edges: allEdges };
 }
 
 // ── Layer assignment ──────────────────────────────────────────────────────────
@@ -77,6 +224,12 @@ function assignLayer(kind) {
 }
 
 // ── Sugiyama barycenter crossing minimization ─────────────────────────────────
+//
+// Adjacency and the edges between each pair of adjacent layers are indexed once per
+// layout; the sweeps stop after MAX_SWEEP_ROUNDS, or sooner once a round finds no
+// crossings left.
+
+const MAX_SWEEP_ROUNDS = 4;
 
 function buildAdjacency(nodes, edges) {
   const adj = {};
@@ -88,26 +241,25 @@ function buildAdjacency(nodes, edges) {
   return adj;
 }
 
-function countCrossings(layerA, layerB, edges) {
-  const posA = {}, posB = {};
-  layerA.forEach((n, i) => { posA[n.id] = i; });
-  layerB.forEach((n, i) => { posB[n.id] = i; });
-  const rel = edges.filter(
-    e => (posA[e.source] !== undefined && posB[e.target] !== undefined) ||
-         (posB[e.source] !== undefined && posA[e.target] !== undefined)
-  );
-  let crossings = 0;
-  for (let i = 0; i < rel.length; i++) {
-    for (let j = i + 1; j < rel.length; j++) {
-      const e1 = rel[i], e2 = rel[j];
-      const a1 = posA[e1.source] ?? posA[e1.target];
-      const b1 = posB[e1.target] ?? posB[e1.source];
-      const a2 = posA[e2.source] ?? posA[e2.target];
-      const b2 = posB[e2.target] ?? posB[e2.source];
-      if (a1 !== undefined && b1 !== undefined && a2 !== undefined && b2 !== undefined) {
-        if ((a1 - a2) * (b1 - b2) < 0) crossings++;
-      }
-    }
+// Crossings between the edges joining two adjacent layers, given as [id in A, id in B]
+// pairs. Sorted by their A end, a later pair crosses every earlier one whose B end lies
+// below its own; a Fenwick tree over B positions counts those in O(log n) per edge.
+function countCrossings(layerA, layerB, pairs) {
+  if (pairs.length < 2) return 0;
+  const posA = new Map(layerA.map((n, i) => [n.id, i]));
+  const posB = new Map(layerB.map((n, i) => [n.id, i]));
+  const ends = pairs.map(([a, b]) => [posA.get(a), posB.get(b)]).sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+
+  const tree = new Array(layerB.length + 1).fill(0);
+  const add    = (i) => { for (i++; i < tree.length; i += i & -i) tree[i]++; };
+  const atMost = (i) => { let n = 0; for (i++; i > 0; i -= i & -i) n += tree[i]; return n; };
+
+  let crossings = 0, inserted = 0;
+  for (let i = 0; i < ends.length;) {
+    // Edges sharing an A end do not cross each other — count the run, then insert it
+    let j = i;
+    for (; j < ends.length && ends[j][0] === ends[i][0]; j++) crossings += inserted - atMost(ends[j][1]);
+    for (; i < j; i++, inserted++) add(ends[i][1]);
   }
   return crossings;
 }
@@ -125,7 +277,7 @@ function barycenterSort(layer, adj, fixedPositions) {
     .map(({ node }) => node);
 }
 
-function computeLayout(nodes, edges, theme) {
+function computeLayout(nodes, edges, theme, groupOf = null) {
   const { layer_spacing_x, node_spacing_y, margin } = theme.layout;
 
   // Assign to layers
@@ -139,11 +291,21 @@ function computeLayout(nodes, edges, theme) {
 
   const adj = buildAdjacency(nodes, edges);
 
-  // Barycenter sweeps — forward then backward, 4 rounds, keep best
+  // between[i] — edges joining layers i and i + 1, as [id in i, id in i + 1]
+  const layerOf = new Map();
+  layers.forEach((layer, i) => layer.forEach(n => layerOf.set(n.id, i)));
+  const between = layers.slice(1).map(() => []);
+  for (const e of edges) {
+    const s = layerOf.get(e.source), t = layerOf.get(e.target);
+    if (s === undefined || t === undefined || Math.abs(s - t) !== 1) continue;
+    between[Math.min(s, t)].push(s < t ? [e.source, e.target] : [e.target, e.source]);
+  }
+
+  // Barycenter sweeps — forward then backward, keep best
   let bestLayers = layers.map(l => [...l]);
   let bestCrossings = Infinity;
 
-  for (let round = 0; round < 4; round++) {
+  for (let round = 0; round < MAX_SWEEP_ROUNDS && bestCrossings > 0; round++) {
     // Forward pass
     for (let i = 1; i < layers.length; i++) {
       const fp = {};
@@ -158,7 +320,7 @@ function computeLayout(nodes, edges, theme) {
     }
     let total = 0;
     for (let i = 0; i < layers.length - 1; i++) {
-      total += countCrossings(layers[i], layers[i + 1], edges);
+      total += countCrossings(layers[i], layers[i + 1], between[i]);
     }
     if (total < bestCrossings) {
       bestCrossings = total;
@@ -167,15 +329,18 @@ function computeLayout(nodes, edges, theme) {
   }
 
   layers = bestLayers;
+  if (groupOf) return groupedPositions(layers, layerIndices, theme, groupOf);
 
   // Assign pixel positions
+  const rows   = wrapRows(nodes.length, theme);
+  const starts = columnStarts(layers.map(l => l.length), layerIndices, rows, theme);
   const positions = {};
   layers.forEach((layerNodes, li) => {
     const layerIdx = layerIndices[li];
-    const x = margin + layerIdx * layer_spacing_x;
     layerNodes.forEach((node, i) => {
       const nodeH = getNodeDims(node.kind, theme).h;
-      const y = margin + i * (nodeH + node_spacing_y);
+      const x = starts[li] + Math.floor(i / rows) * layer_spacing_x;
+      const y = margin + (i % rows) * (nodeH + node_spacing_y);
       positions[node.id] = { x, y, layer: layerIdx, indexInLayer: i, layerSize: layerNodes.length };
     });
   });
@@ -183,6 +348,188 @@ function computeLayout(nodes, edges, theme) {
   return positions;
 }
 
+// ── Column wrapping ───────────────────────────────────────────────────────────
+//
+// Layers follow node kinds, so a large system has a few very long layers — 1,000
+// microservices would make one column over 150,000px tall. A layer longer than wrapRows()
+// is laid out as several side-by-side columns instead, and the layers after it move
+// right to make room. Systems under MIN_WRAP_ROWS nodes per layer never wrap.
+
+const MIN_WRAP_ROWS = 12;
+const WRAP_ASPECT   = 1.6;
+
+/** Most nodes per column for a system of `count` nodes — about WRAP_ASPECT wide by 1 tall. */
+function wrapRows(count, theme) {
+  const rowHeight = theme.nodes.height + theme.layout.node_spacing_y;
+  return Math.max(MIN_WRAP_ROWS, Math.ceil(Math.sqrt(count * theme.layout.layer_spacing_x / (WRAP_ASPECT * rowHeight))));
+}
+
+// x of each layer's first column, given how many nodes the layer holds
+function columnStarts(counts, layerIndices, rows, theme) {
+  const { layer_spacing_x, margin } = theme.layout;
+  let extra = 0;
+  return counts.map((count, li) => {
+    const x = margin + (layerIndices[li] + extra) * layer_spacing_x;
+    extra += Math.max(1, Math.ceil(count / rows)) - 1;
+    return x;
+  });
+}
+
+// ── Groups ────────────────────────────────────────────────────────────────────
+//
+// --group-by draws a labelled container around the nodes that share a grouping key:
+//
+//   tag:<prefix>   the node's first tag starting with <prefix> — tag:team- puts nodes
+//                  tagged team-checkout in one box and team-payments in another
+//   meta:<field>   the node's meta.<field> value — meta:group, meta:domain, ...
+//
+// Nodes without a key stay outside every box. The layout stacks groups as bands so a
+// group's members stay contiguous; the HTML page can collapse a group into one node.
+
+const GROUP_BY_RE = /^(tag|meta):(.+)$/;
+
+/** A node → group key function for a --group-by value. Throws for anything else. */
+function groupKeyFor(groupBy) {
+  const match = GROUP_BY_RE.exec(groupBy);
+  if (!match) throw new Error(`Invalid grouping "${groupBy}" — use tag:<prefix> or meta:<field>`);
+  const [, source, name] = match;
+  if (source === "tag") {
+    return (node) => (Array.isArray(node.tags) ? node.tags.find(t => typeof t === "string" && t.startsWith(name)) : undefined) ?? null;
+  }
+  return (node) => {
+    const value = node.meta?.[name];
+    return typeof value === "string" || typeof value === "number" ? String(value) : null;
+  };
+}
+
+// Space above a group's nodes: padding plus the label line
+function groupHeader(theme) {
+  return theme.groups.padding + theme.groups.label_font_size + 8;
+}
+
+/**
+ * Positions for layers already ordered by crossing minimisation, with each group
+ * stacked as its own band across every layer column — so group boxes never overlap.
+ * Bands follow the mean row their members had; ungrouped nodes form a band of their own.
+ * Long layers wrap as in computeLayout(), and when the bands would make the page much
+ * taller than wide they continue in further band columns to the right.
+ */
+function groupedPositions(layers, layerIndices, theme, groupOf) {
+  const { layer_spacing_x, node_spacing_y, margin } = theme.layout;
+
+  const rows = new Map();
+  layers.forEach(layer => layer.forEach((node, i) => {
+    const group = groupOf(node);
+    const [sum, count] = rows.get(group) ?? [0, 0];
+    rows.set(group, [sum + (i + 0.5) / layer.length, count + 1]);
+  }));
+  const meanRow = (group) => rows.get(group)[0] / rows.get(group)[1];
+  const bands = [...rows.keys()].sort((a, b) => meanRow(a) - meanRow(b) || String(a).localeCompare(String(b)));
+
+  // members.get(group)[li] — the group's nodes in layer li, in layer order
+  const members = new Map(bands.map(group => [group, layers.map(() => [])]));
+  layers.forEach((layer, li) => layer.forEach(node => members.get(groupOf(node))[li].push(node)));
+  const wrap   = wrapRows(layers.reduce((n, layer) => n + layer.length, 0), theme);
+  const starts = columnStarts(layers.map((_, li) => Math.max(...bands.map(g => members.get(g)[li].length))), layerIndices, wrap, theme);
+
+  // Each band from y = 0; `height` is how far the next band starts below it
+  const laid = bands.map(group => {
+    const header = group === null ? 0 : groupHeader(theme);
+    const local = {};
+    let bottom = 0, right = 0;
+    members.get(group).forEach((layerMembers, li) => {
+      let y = header;
+      layerMembers.forEach((node, i) => {
+        const { w, h } = getNodeDims(node.kind, theme);
+        if (i > 0 && i % wrap === 0) y = header;
+        const x = starts[li] + Math.floor(i / wrap) * layer_spacing_x;
+        local[node.id] = { x, y, layer: layerIndices[li], indexInLayer: i, layerSize: layerMembers.length };
+        bottom = Math.max(bottom, y + h);
+        right  = Math.max(right, x + w);
+        y += h + node_spacing_y;
+      });
+    });
+    return { local, right, height: bottom + (group === null ? 0 : theme.groups.padding) + node_spacing_y / 2 };
+  });
+
+  const width   = Math.max(...laid.map(b => b.right)) - margin + theme.groups.padding * 2 + node_spacing_y;
+  const total   = laid.reduce((sum, b) => sum + b.height, 0);
+  const columns = Math.max(1, Math.round(Math.sqrt(WRAP_ASPECT * total / width)));
+
+  const positions = {};
+  let left = 0, top = margin;
+  for (const band of laid) {
+    if (columns > 1 && top > margin && top - margin + band.height > total / columns) {
+      left += width;
+      top = margin;
+    }
+    for (const [id, pos] of Object.entries(band.local)) positions[id] = { ...pos, x: pos.x + left, y: pos.y + top };
+    top += band.height;
+  }
+  return positions;
+}
+
+/**
+ * The groups to draw: [{ id, label, members, box, summary }] — box is the container
+ * around the members' final positions, summary the node that stands in for the group
+ * when it is collapsed. Groups appear in the order their first member does.
+ */
+function buildGroups(nodes, positions, theme, kinds, groupOf) {
+  const { padding, label_font_size } = theme.groups;
+  const groups = new Map();
+  for (const node of nodes) {
+    const id  = groupOf(node);
+    const pos = positions[node.id];
+    if (id === null || !pos) continue;
+    const { w, h } = getNodeDims(node.kind, theme);
+    // A person's label sits below its shape
+    const shape = (kinds.node_kinds[node.kind] || kinds.node_kinds["custom"]).render.shape;
+    const below = shape === "person" ? 34 : 0;
+    const group = groups.get(id) ?? { id, members: [], x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+    group.members.push(node.id);
+    group.x1 = Math.min(group.x1, pos.x);
+    group.y1 = Math.min(group.y1, pos.y);
+    group.x2 = Math.max(group.x2, pos.x + w);
+    group.y2 = Math.max(group.y2, pos.y + h + below);
+    groups.set(id, group);
+  }
+
+  return [...groups.values()].map(({ id, members, x1, y1, x2, y2 }) => {
+    const header = groupHeader(theme);
+    const box    = { x: x1 - padding, y: y1 - header, w: x2 - x1 + padding * 2, h: y2 - y1 + header + padding };
+    const summary = { x: x1, y: y1, w: theme.nodes.width, h: theme.nodes.height };
+    const collapsedBox = { x: box.x, y: box.y, w: summary.w + padding * 2, h: summary.h + header + padding };
+    return { id, label: `${id} · ${members.length}`, members, box, summary, collapsedBox, labelY: box.y + padding / 2 + label_font_size };
+  });
+}
+
+function groupSVG(group, theme, { collapsible = false } = {}) {
+  const g = theme.groups;
+  const dash = theme.edges.lines[g.line];
+  const { x, y, w, h } = group.box;
+  return `<g class="sdl-group" data-group="${escapeAttr(group.id)}">
+    <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${g.corner_radius}" ry="${g.corner_radius}"
+      fill="${g.fill}" stroke="${g.stroke}" stroke-width="1" ${dash === "none" ? "" : `stroke-dasharray="${dash}"`}/>
+    <text class="sdl-group-label" x="${x + g.padding / 2}" y="${group.labelY}"
+      font-family="${theme.ui.font_family}" font-size="${g.label_font_size}" font-weight="600"
+      fill="${g.text}">${collapsible ? `<tspan class="sdl-group-toggle">▾ </tspan>` : ""}${escapeXML(group.label)}</text>
+  </g>`;
+}
+
+// The node a collapsed group shows instead of its members — hidden until collapsed
+function groupSummarySVG(group, theme) {
+  const { x, y, w, h } = group.summary;
+  const color = theme.colors.gray;
+  return `<g class="sdl-group-summary" data-group="${escapeAttr(group.id)}" style="display:none">
+    <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${theme.nodes.corner_radius}" ry="${theme.nodes.corner_radius}"
+      fill="${color.fill}" stroke="${color.stroke}" stroke-width="${theme.nodes.stroke_width}" stroke-dasharray="${theme.edges.lines.dashed}"/>
+    <text x="${x + w / 2}" y="${y + h / 2 - 2}" text-anchor="middle" font-family="${theme.ui.font_family}"
+      font-size="${theme.nodes.font_size}" font-weight="600" fill="${color.text}">${escapeXML(group.id)}</text>
+    <text x="${x + w / 2}" y="${y + h / 2 + 13}" text-anchor="middle" font-family="${theme.ui.font_mono}"
+      font-size="9" fill="${color.text}" opacity="0.6">${group.members.length} nodes</text>
+  </g>`;
+}
+
 // ── Node dimensions ───────────────────────────────────────────────────────────
 
 function getNodeDims(kind, theme) {
@@ -292,9 +639,9 @@ function nodeShapeSVG(node, pos, theme, kinds) {
 
   const kindLabel = `<text x="${cx}" y="${labelY + 14}" text-anchor="middle"
     font-family="${theme.ui.font_mono}" font-size="9"
-    fill="${color.text}" opacity="0.6">${node.kind}</text>`;
+    fill="${color.text}" opacity="0.6">${node.system ? `${escapeXML(node.system)} · ` : ""}${node.kind}</text>`;
 
-  return `<g class="sdl-node" data-id="${node.id}" data-kind="${node.kind}"
+  return `<g class="sdl-node" data-id="${node.id}" data-kind="${node.kind}"${node.system ? ` data-system="${escapeAttr(node.system)}"` : ""}
     style="cursor:pointer" title="${escapeAttr(node.label)}">
     ${shapeEl}${iconSVG}${label}${kindLabel}
   </g>`;
@@ -305,13 +652,13 @@ function nodeShapeSVG(node, pos, theme, kinds) {
 // left/right side — matches JSX authoring tool so exported layouts render
 // identically in both environments.
 
-function buildPortIndex(edges, positions, nodes, theme) {
+function buildPortIndex(edges, positions, nodeById, theme) {
   const rightEdges = {}, leftEdges = {};
   for (const e of edges) {
     const sp = positions[e.source], tp = positions[e.target];
     if (!sp || !tp) continue;
-    const sn = nodes.find(n => n.id === e.source);
-    const tn = nodes.find(n => n.id === e.target);
+    const sn = nodeById.get(e.source);
+    const tn = nodeById.get(e.target);
     if (!sn || !tn) continue;
     const { w: sw } = getNodeDims(sn.kind, theme);
     const { w: tw } = getNodeDims(tn.kind, theme);
@@ -326,7 +673,7 @@ function buildPortIndex(edges, positions, nodes, theme) {
   const portY = {};
   function assignPorts(sideMap) {
     for (const [nodeId, edgeIds] of Object.entries(sideMap)) {
-      const node = nodes.find(n => n.id === nodeId);
+      const node = nodeById.get(nodeId);
       const pos  = positions[nodeId];
       if (!node || !pos) continue;
       const { h } = getNodeDims(node.kind, theme);
@@ -344,13 +691,13 @@ function buildPortIndex(edges, positions, nodes, theme) {
   return portY;
 }
 
-function edgeSVG(edge, positions, nodes, theme, kinds, portY) {
+function edgeSVG(edge, positions, nodeById, theme, kinds, portY) {
   const srcPos = positions[edge.source];
   const tgtPos = positions[edge.target];
   if (!srcPos || !tgtPos) return "";
 
-  const srcNode = nodes.find(n => n.id === edge.source);
-  const tgtNode = nodes.find(n => n.id === edge.target);
+  const srcNode = nodeById.get(edge.source);
+  const tgtNode = nodeById.get(edge.target);
   if (!srcNode || !tgtNode) return "";
 
   const srcDims = getNodeDims(srcNode.kind, theme);
@@ -440,7 +787,7 @@ function svgFilterId(themeId) { return `shadow-${themeId}`; }
 
 // ── Canvas size ───────────────────────────────────────────────────────────────
 
-function computeCanvasSize(positions, nodes, theme) {
+function computeCanvasSize(positions, nodes, theme, groups = []) {
   let maxX = 0, maxY = 0;
   for (const node of nodes) {
     const pos  = positions[node.id];
@@ -449,6 +796,11 @@ function computeCanvasSize(positions, nodes, theme) {
     maxX = Math.max(maxX, pos.x + dims.w);
     maxY = Math.max(maxY, pos.y + dims.h);
   }
+  // Group boxes reach past their nodes by the group padding
+  for (const { box } of groups) {
+    maxX = Math.max(maxX, box.x + box.w - theme.layout.margin);
+    maxY = Math.max(maxY, box.y + box.h - theme.layout.margin);
+  }
   return {
     width:  maxX + theme.layout.margin * 2,
     height: maxY + theme.layout.margin * 2,
@@ -459,7 +811,7 @@ function computeCanvasSize(positions, nodes, theme) {
 
 function buildGrid(width, height, theme) {
   if (!theme.canvas.grid) return { pattern: "", rect: "" };
-  const s = theme.canvas.grid_size || 24;
+  const s = theme.canvas.grid_size;
   const pattern = `<pattern id="sdl-grid" width="${s}" height="${s}" patternUnits="userSpaceOnUse">
     <path d="M ${s} 0 L 0 0 0 ${s}" fill="none" stroke="${theme.canvas.grid_color}" stroke-width="0.5"/>
   </pattern>`;
@@ -467,6 +819,280 @@ function buildGrid(width, height, theme) {
   return { pattern, rect };
 }
 
+// ── Sequence diagrams ─────────────────────────────────────────────────────────
+//
+// Every flow is also drawn as a sequence diagram, shown in place of the graph when
+// the open flow is switched to sequence view. Lifelines are the step actors and the
+// nodes at the far end of their `via` edges, in order of first appearance. A step is
+// a message from its actor along `via`, or a self-message when it has none:
+//
+//   2.a / 2.b branches  → a par block when any is `parallel`, else an alt block
+//   condition           → an opt frame guarded by the condition
+//   returns             → a dashed reply arrow back to the actor
+//   error.goto          → a branch arrow, in the right gutter, to the step it jumps to
+//   continues_async     → a note that opens the spawned flow's diagram
+
+const SEQ = {
+  head_height: 44,   // lifeline header box
+  min_column:  180,  // lifeline spacing, widened to fit message labels up to max_column
+  max_column:  260,
+  row:         40,   // message
+  self_row:    50,   // self-message loop
+  reply_row:   30,
+  frame_title: 22,   // room above the first message of a frame for its tag
+  frame_pad:   10,
+  note_height: 40,   // continues_async note
+  branch_gap:  12,   // between error branch arrows
+};
+
+// A flow's top-level step nodes in drawing order: the step tree (see cli/lib/steps.js),
+// with each step whose id it cannot place ("5.0-compensate") kept after the step before
+// it in the array. Returns [{ node, indexes }] — indexes of the steps each one draws.
+function sequenceItems(steps) {
+  const { root, invalid, duplicates } = buildStepTree(steps);
+  const indexesUnder = (node) => [node.index, ...node.children.flatMap(indexesUnder)].filter(i => i !== null);
+  const items = root.children.map(node => ({ node, indexes: indexesUnder(node) }));
+  for (const { step, index } of [...invalid, ...duplicates].sort((a, b) => a.index - b.index)) {
+    const after = items.findIndex(item => item.indexes.includes(index - 1));
+    items.splice(after + 1, 0, { node: { step, index, children: [] }, indexes: [index] });
+  }
+  return items;
+}
+
+function sequenceSVG(flow, flows, nodes, edges, theme, kinds) {
+  const ui       = theme.ui;
+  const font     = theme.edges.label_font_size;
+  const charW    = font * 0.6;
+  const margin   = theme.layout.margin;
+  const edgeById = new Map(edges.map(e => [e.id, e]));
+  const nodeById = new Map(nodes.map(n => [n.id, n]));
+  const idPrefix = `seq-${flow.id}`;
+
+  // Sender and receiver of a step's message — the actor and the far end of `via`
+  const ends = (step) => {
+    const edge = edgeById.get(step.via);
+    if (!edge) return { from: step.actor, to: step.actor, edge: null };
+    return { from: step.actor, to: edge.target === step.actor ? edge.source : edge.target, edge };
+  };
+  const suffix = (step, edge) => edge ? ` · ${edge.protocol}` : step.via ? ` · ${step.via}` : "";
+
+  const lifelines = [];
+  for (const step of flow.steps) {
+    const { from, to } = ends(step);
+    for (const id of [from, to]) if (id && !lifelines.includes(id)) lifelines.push(id);
+  }
+  const col = new Map(lifelines.map((id, i) => [id, i]));
+
+  let column = SEQ.min_column;
+  for (const step of flow.steps) {
+    const { from, to, edge } = ends(step);
+    const span  = Math.abs(col.get(from) - col.get(to)) || 1;
+    const chars = `${step.id}  ${step.action}${suffix(step, edge)}`.length;
+    column = Math.max(column, (chars * charW + 24) / span);
+  }
+  column = Math.ceil(Math.min(column, SEQ.max_column));
+  const x = (id) => margin + column / 2 + col.get(id) * column;
+
+  const fit = (text, width) => {
+    const max = Math.max(Math.floor(width / charW), 4);
+    return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+  };
+
+  // Arrowheads, defined per color as they are used
+  const markers = new Map();
+  const marker = (color, open) => {
+    const id = `${idPrefix}-${open ? "open" : "arrow"}-${markers.size}`;
+    const key = `${color}|${open}`;
+    if (!markers.has(key)) markers.set(key, { id, color, open });
+    return `url(#${markers.get(key).id})`;
+  };
+  const protocolColor = (edge) => {
+    if (!edge) return ui.text_secondary;
+    const protocolDef = kinds.edge_protocols[edge.protocol] || kinds.edge_protocols["custom"];
+    return (theme.colors[protocolDef.render.color_hint] || theme.colors.gray).stroke;
+  };
+  const errorColor = (theme.colors.red || theme.colors.gray).stroke;
+
+  // A horizontal arrow, or a loop on one lifeline when x1 === x2
+  const arrow = (x1, x2, y, color, { open = false, dash = null } = {}) => {
+    const d = x1 === x2 ? `M${x1},${y} h28 v14 h-26` : `M${x1},${y} H${x2}`;
+    return `<path d="${d}" fill="none" stroke="${color}" stroke-width="${theme.edges.stroke_width}"
+      ${dash ? `stroke-dasharray="${dash}"` : ""} marker-end="${marker(color, open)}"/>`;
+  };
+
+  const frames   = [];
+  const messages = [];
+  const rows     = {};   // step id → { x, y } of its message, for error branches
+  let y = margin + SEQ.head_height + 16;
+
+  // Lifeline ids a list of steps touches, for the width of a frame around them
+  const touched = (steps) => steps.flatMap(s => { const { from, to } = ends(s); return [from, to]; });
+
+  const frameSVG = (tag, guard, top, bottom, ids, depth, dividers = []) => {
+    const inset = depth * 6;
+    const xs    = ids.map(x);
+    const left  = Math.min(...xs) - column / 2 + 8 + inset;
+    const right = Math.max(...xs) + column / 2 - 8 - inset;
+    const tagW  = tag.length * charW + 16;
+    return `<g class="seq-frame">
+      <rect x="${left}" y="${top}" width="${right - left}" height="${bottom - top}"
+        fill="none" stroke="${ui.border}" stroke-width="1"/>
+      <path d="M${left},${top} h${tagW} v10 l-6,6 h-${tagW - 6} z" fill="${ui.surface_alt}" stroke="${ui.border}" stroke-width="1"/>
+      <text x="${left + 6}" y="${top + 12}" font-family="${ui.font_mono}" font-size="${font}"
+        font-weight="600" fill="${ui.text_primary}">${tag}</text>
+      ${guard ? `<text x="${left + tagW + 6}" y="${top + 12}" font-family="${ui.font_family}" font-size="${font}"
+        fill="${ui.text_secondary}">[${escapeXML(fit(guard, right - left - tagW - 16))}]<title>${escapeXML(guard)}</title></text>` : ""}
+      ${dividers.map(dy => `<line x1="${left}" y1="${dy}" x2="${right}" y2="${dy}"
+        stroke="${ui.border}" stroke-width="1" stroke-dasharray="6 4"/>`).join("")}
+    </g>`;
+  };
+
+  const drawMessage = (step) => {
+    const { from, to, edge } = ends(step);
+    const ax = x(from), bx = x(to);
+    const self = from === to;
+    const ay = y + SEQ.row - 12;
+    rows[step.id] = { x: ax, y: ay };
+
+    const extra = suffix(step, edge);
+    const room  = self ? column - 48 : Math.abs(bx - ax) - 16;
+    const action = fit(step.action, room - (step.id.length + 2 + extra.length) * charW);
+    const labelX = self ? ax + 36 : (ax + bx) / 2;
+    const labelY = self ? ay + 11 : ay - 6;
+    const parts = [
+      `<text x="${labelX}" y="${labelY}" text-anchor="${self ? "start" : "middle"}"
+        font-family="${ui.font_family}" font-size="${font}" fill="${ui.text_primary}">`,
+      `<tspan font-family="${ui.font_mono}" font-weight="600" fill="${ui.accent}">${escapeXML(step.id)}</tspan> ${escapeXML(action)}`,
+      extra ? `<tspan font-family="${ui.font_mono}" fill="${ui.text_secondary}">${escapeXML(extra)}</tspan>` : "",
+      `<title>${escapeXML(`${step.action}${extra}`)}</title></text>`,
+      arrow(ax, bx, ay, protocolColor(edge), { open: edge?.style === "async" }),
+    ];
+    y += self ? SEQ.self_row : SEQ.row;
+
+    if (step.returns) {
+      const ry = y + SEQ.reply_row - 12;
+      const replyRoom = self ? column - 48 : Math.abs(bx - ax) - 16;
+      parts.push(
+        `<text x="${self ? ax + 36 : (ax + bx) / 2}" y="${self ? ry + 11 : ry - 5}" text-anchor="${self ? "start" : "middle"}"
+          font-family="${ui.font_family}" font-size="${font}" font-style="italic" fill="${ui.text_secondary}">${escapeXML(fit(step.returns, replyRoom))}<title>${escapeXML(step.returns)}</title></text>`,
+        arrow(bx, ax, ry, ui.text_secondary, { open: true, dash: theme.edges.lines.dashed }),
+      );
+      y += self ? SEQ.self_row - 10 : SEQ.reply_row;
+    }
+    messages.push(`<g class="seq-step" data-step="${escapeAttr(step.id)}">${parts.join("")}</g>`);
+  };
+
+  const drawStep = (step, depth) => {
+    if (!step.condition) return drawMessage(step);
+    const top = y;
+    y += SEQ.frame_title;
+    drawMessage(step);
+    frames.push(frameSVG("opt", step.condition, top, y, touched([step]), depth));
+    y += SEQ.frame_pad;
+  };
+
+  // A node's step, then its children — sub-steps in order, or branches side by side
+  // in a par / alt block
+  const stepsUnder = (node) => [node.step, ...node.children.flatMap(stepsUnder)].filter(Boolean);
+  const drawNode = (node, depth) => {
+    if (node.step) drawStep(node.step, depth);
+    const children = node.children;
+    const branching = children.length > 1 && typeof children[0].key.at(-1) === "string";
+    if (!branching) return children.forEach(child => drawNode(child, depth));
+
+    const top = y;
+    const dividers = [];
+    children.forEach((child, i) => {
+      if (i > 0) { dividers.push(y); y += SEQ.frame_pad; }
+      else y += SEQ.frame_title;
+      drawNode(child, depth + 1);
+    });
+    const parallel = children.some(child => child.step?.parallel);
+    frames.push(frameSVG(parallel ? "par" : "alt", "", top, y, touched(children.flatMap(stepsUnder)), depth, dividers));
+    y += SEQ.frame_pad;
+  };
+  for (const { node } of sequenceItems(flow.steps)) drawNode(node, 0);
+
+  // Error branches run through a gutter right of the last lifeline
+  const gotos  = flow.steps.filter(s => s.error?.goto && rows[s.id]);
+  const labels = gotos.map(s => `on error → ${s.error.goto}`);
+  const gutter = gotos.length ? gotos.length * SEQ.branch_gap + Math.max(...labels.map(l => l.length)) * charW + 16 : 0;
+  const gutterX = margin + lifelines.length * column;
+  gotos.forEach((step, i) => {
+    const from = rows[step.id];
+    const to   = rows[step.error.goto];
+    const bx   = gutterX + (i + 1) * SEQ.branch_gap;
+    const d    = to ? `M${from.x},${from.y + 6} H${bx} V${to.y} H${to.x + 4}` : `M${from.x},${from.y + 6} H${bx + 16}`;
+    const why  = [step.error.condition, step.error.handling].filter(Boolean).join(" — ");
+    messages.push(`<g class="seq-branch" data-step="${escapeAttr(step.id)}">
+      <path d="${d}" fill="none" stroke="${errorColor}" stroke-width="1" stroke-dasharray="${theme.edges.lines.dashed}"
+        marker-end="${marker(errorColor, false)}" opacity="0.8"/>
+      <text x="${bx + 6}" y="${from.y + 2}" font-family="${ui.font_mono}" font-size="${font}"
+        fill="${errorColor}">${escapeXML(labels[i])}${why ? `<title>${escapeXML(why)}</title>` : ""}</text>
+    </g>`);
+  });
+
+  // Spawned flows, each a note linking to its own diagram
+  const notes = [];
+  if (flow.continues_async?.length && lifelines.length) {
+    y += SEQ.frame_pad;
+    const left  = margin + 8;
+    const width = lifelines.length * column - 16;
+    for (const next of flow.continues_async) {
+      const target = flows.find(f => f.id === next.flow_ref);
+      const detail = `via ${next.via_event}${next.condition ? ` · ${next.condition}` : ""}`;
+      notes.push(`<g class="seq-note${target ? " seq-link" : ""}"${target ? ` data-flow-ref="${escapeAttr(target.id)}"` : ""}>
+        <rect x="${left}" y="${y}" width="${width}" height="${SEQ.note_height - 6}" rx="4"
+          fill="${ui.surface_alt}" stroke="${ui.border}" stroke-width="1"/>
+        <text x="${left + 10}" y="${y + 14}" font-family="${ui.font_family}" font-size="${font}" font-weight="600"
+          fill="${target ? ui.accent : ui.text_secondary}">${escapeXML(fit(`continues async → ${target ? target.label : `${next.flow_ref} (not in this system)`}`, width - 20))}</text>
+        <text x="${left + 10}" y="${y + 27}" font-family="${ui.font_family}" font-size="${font}"
+          fill="${ui.text_secondary}">${escapeXML(fit(detail, width - 20))}</text>
+        <title>${escapeXML(detail)}</title>
+      </g>`);
+      y += SEQ.note_height;
+    }
+  }
+
+  const bottom = y + 8;
+  const width  = margin * 2 + lifelines.length * column + gutter;
+  const height = bottom + margin;
+
+  const heads = lifelines.map(id => {
+    const node    = nodeById.get(id);
+    const kindDef = kinds.node_kinds[node?.kind] || kinds.node_kinds["custom"];
+    const color   = theme.colors[kindDef.render.color_hint] || theme.colors.gray;
+    const cx = x(id), w = column - 24, top = margin;
+    return `<g class="seq-lifeline" data-id="${escapeAttr(id)}">
+      <line x1="${cx}" y1="${top + SEQ.head_height}" x2="${cx}" y2="${bottom}"
+        stroke="${ui.border}" stroke-width="1" stroke-dasharray="${theme.edges.lines.dashed}"/>
+      <rect x="${cx - w / 2}" y="${top}" width="${w}" height="${SEQ.head_height}" rx="${theme.nodes.corner_radius}"
+        fill="${color.fill}" stroke="${color.stroke}" stroke-width="${theme.nodes.stroke_width}"/>
+      <text x="${cx}" y="${top + 19}" text-anchor="middle" font-family="${ui.font_family}"
+        font-size="${theme.nodes.font_size}" font-weight="600" fill="${color.text}">${escapeXML(fit(node?.label ?? id, w - 12))}</text>
+      <text x="${cx}" y="${top + 33}" text-anchor="middle" font-family="${ui.font_mono}"
+        font-size="9" fill="${color.text}" opacity="0.6">${escapeXML(node?.kind ?? "unknown node")}</text>
+    </g>`;
+  });
+
+  const defs = [...markers.values()].map(({ id, color, open }) => {
+    const size = theme.edges.arrow_size;
+    const head = open
+      ? `<path d="M0,0 L${size},${size / 2} L0,${size}" fill="none" stroke="${color}" stroke-width="1.2"/>`
+      : `<path d="M0,0 L0,${size} L${size},${size / 2} z" fill="${color}"/>`;
+    return `<marker id="${id}" markerWidth="${size}" markerHeight="${size}"
+      refX="${size - 1}" refY="${size / 2}" orient="auto" markerUnits="userSpaceOnUse">${head}</marker>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <defs>${defs.join("\n")}</defs>
+    ${heads.join("\n")}
+    ${frames.join("\n")}
+    ${messages.join("\n")}
+    ${notes.join("\n")}
+  </svg>`;
+}
+
 // ── Utility ───────────────────────────────────────────────────────────────────
 
 function escapeXML(str)  { return String(str || "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;"); }
@@ -474,13 +1100,24 @@ function escapeAttr(str) { return escapeXML(str).replace(/"/g,"&quot;"); }
 
 // ── HTML template ─────────────────────────────────────────────────────────────
 
-function buildHTML(title, svgContent, flows, nodes, edges, triggers, theme) {
+function buildHTML(title, svgContent, diagram) {
+  const { flows, nodes, edges, triggers, theme, kinds, positions, groups } = diagram;
   const t = theme.ui;
   const flowsJSON    = JSON.stringify(flows);
   const nodesJSON    = JSON.stringify(nodes.map(n => ({ id: n.id, label: n.label, kind: n.kind, responsibilities: n.responsibilities })));
   const edgesJSON    = JSON.stringify(edges.map(e => ({ id: e.id, source: e.source, target: e.target, protocol: e.protocol, style: e.style })));
   const triggersJSON = JSON.stringify(triggers.map(t => ({ id: t.id, label: t.label, kind: t.kind })));
   const dimmedOpacity = theme.edges.opacity_dimmed;
+  // Node boxes and groups, for drawing aggregated edges when a group is collapsed
+  const boxesJSON    = JSON.stringify(Object.fromEntries(nodes.filter(n => positions[n.id]).map(n => {
+    const { w, h } = getNodeDims(n.kind, theme);
+    return [n.id, { x: positions[n.id].x, y: positions[n.id].y, w, h }];
+  })));
+  const groupsJSON   = JSON.stringify(groups.map(({ id, members, box, summary, collapsedBox }) => ({ id, members, box, summary, collapsedBox })));
+  const groupEdge    = { stroke: theme.colors.gray.stroke, width: theme.edges.stroke_width, marker: `arrow-gray-${theme.id}` };
+  const sequencesHTML = flows.map(f =>
+    `<div class="sequence" data-flow-id="${escapeAttr(f.id)}">${sequenceSVG(f, flows, nodes, edges, theme, kinds)}</div>`
+  ).join("\n");
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -495,14 +1132,14 @@ function buildHTML(title, svgContent, flows, nodes, edges, triggers, theme) {
 :root {
   --bg:         ${t.background};
   --surface:    ${t.surface};
-  --surface-alt:${t.surface_alt || t.surface};
+  --surface-alt:${t.surface_alt};
   --border:     ${t.border};
   --text:       ${t.text_primary};
   --text-muted: ${t.text_secondary};
   --accent:     ${t.accent};
-  --accent-text:${t.accent_text || "#fff"};
+  --accent-text:${t.accent_text};
   --font:       ${t.font_family};
-  --mono:       ${t.font_mono || "monospace"};
+  --mono:       ${t.font_mono};
 }
 html, body { height: 100%; background: var(--bg); color: var(--text); font-family: var(--font); }
 body { display: flex; flex-direction: column; overflow: hidden; }
@@ -560,6 +1197,60 @@ header {
   background: ${theme.canvas.background};
 }
 .canvas-wrap svg { display: block; }
+#canvasWrap { overflow: hidden; cursor: grab; touch-action: none; }
+#canvasWrap.panning { cursor: grabbing; }
+#canvasWrap > svg { width: 100%; height: 100%; }
+.sdl-node.search-hit { filter: drop-shadow(0 0 4px var(--accent)) drop-shadow(0 0 8px var(--accent)); }
+
+/* ── Zoom controls and minimap ── */
+.zoom-controls {
+  position: absolute; left: 12px; bottom: 12px; display: flex; gap: 4px;
+}
+.zoom-controls button {
+  min-width: 28px; height: 28px; padding: 0 8px; border-radius: 5px;
+  background: var(--surface); border: 1px solid var(--border);
+  color: var(--text); font-size: 13px; cursor: pointer; font-family: var(--font);
+}
+.zoom-controls button:hover { background: var(--surface-alt); }
+.minimap {
+  position: absolute; right: 12px; bottom: 12px;
+  background: var(--surface); border: 1px solid var(--border); border-radius: 6px;
+  box-shadow: 0 4px 12px rgba(0,0,0,0.1); cursor: crosshair;
+}
+.minimap-node  { fill: var(--text-muted); opacity: 0.5; }
+.minimap-group { fill: none; stroke: var(--border); stroke-width: 1; vector-effect: non-scaling-stroke; }
+.minimap-view  { fill: var(--accent); fill-opacity: 0.12; stroke: var(--accent); stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+
+/* ── Search ── */
+.search-box { display: flex; align-items: center; gap: 8px; }
+.search {
+  width: 220px; padding: 5px 10px; border-radius: 5px;
+  background: var(--surface-alt); border: 1px solid var(--border);
+  color: var(--text); font-size: 12px; font-family: var(--font);
+}
+.search:focus { outline: none; border-color: var(--accent); }
+.search-count { font-size: 11px; font-family: var(--mono); color: var(--text-muted); min-width: 70px; }
+
+/* ── Groups ── */
+.sdl-group-label { cursor: pointer; user-select: none; }
+.sdl-group-label:hover { text-decoration: underline; }
+.sdl-group-summary { cursor: pointer; }
+
+/* ── Sequence view ── */
+.sequence-wrap, .sequence { display: none; }
+.app.sequence-view #canvasWrap { display: none; }
+.app.sequence-view .sequence-wrap { display: block; background: var(--bg); }
+.sequence.active { display: block; }
+.seq-link { cursor: pointer; }
+.seq-link:hover rect { stroke: var(--accent); }
+.view-toggle { display: flex; gap: 6px; padding: 8px 16px; border-bottom: 1px solid var(--border); }
+.view-toggle button {
+  flex: 1; padding: 5px 8px; border-radius: 5px;
+  background: transparent; border: 1px solid var(--border);
+  color: var(--text-muted); font-size: 11px; cursor: pointer;
+  font-family: var(--font);
+}
+.view-toggle button.active { background: var(--accent); border-color: var(--accent); color: var(--accent-text); }
 
 /* ── Detail panel ── */
 .detail-panel {
@@ -618,6 +1309,11 @@ header {
 
 <header>
   <span class="header-title">${escapeXML(title)}</span>
+  <span class="search-box">
+    <input class="search" id="search" type="search" list="nodeNames" placeholder="Search nodes  ( / )" autocomplete="off"/>
+    <datalist id="nodeNames"></datalist>
+    <span class="search-count" id="searchCount"></span>
+  </span>
   <span class="header-meta">${nodes.length} nodes &middot; ${edges.length} edges &middot; ${flows.length} flows</span>
   <span class="theme-badge">${theme.name}</span>
 </header>
@@ -641,10 +1337,24 @@ header {
 
   <div class="canvas-wrap" id="canvasWrap">
     ${svgContent}
+    <div class="zoom-controls">
+      <button data-zoom="in" title="Zoom in (+)">+</button>
+      <button data-zoom="out" title="Zoom out (-)">&minus;</button>
+      <button data-zoom="fit" title="Fit to screen (0)">Fit</button>
+    </div>
+    <svg class="minimap" id="minimap" xmlns="http://www.w3.org/2000/svg"></svg>
+  </div>
+
+  <div class="canvas-wrap sequence-wrap" id="sequenceWrap">
+    ${sequencesHTML}
   </div>
 
   <aside class="detail-panel" id="detailPanel">
     <div class="detail-header" id="detailTitle">Flow Steps</div>
+    <div class="view-toggle">
+      <button id="viewGraph" class="active" onclick="setView('graph')">Graph</button>
+      <button id="viewSequence" onclick="setView('sequence')">Sequence</button>
+    </div>
     <div class="step-list" id="stepList"></div>
   </aside>
 </div>
@@ -661,8 +1371,11 @@ const nodes    = ${nodesJSON};
 const edges    = ${edgesJSON};
 const triggers = ${triggersJSON};
 const DIMMED   = ${dimmedOpacity};
+const boxes    = ${boxesJSON};
+const groups   = ${groupsJSON};
 
 let activeFlow = null;
+let view       = "graph";
 
 // ── Build flow list ──────────────────────────────────────────────────────────
 const flowList = document.getElementById("flowList");
@@ -702,6 +1415,8 @@ function selectFlow(flowId) {
   document.querySelectorAll(".sdl-edge").forEach(el => {
     el.style.opacity = activeEdges.has(el.dataset.id) ? "1" : String(DIMMED);
   });
+  document.querySelectorAll(".seq-step").forEach(el => el.style.opacity = "1");
+  dimGroups(activeNodes, activeEdges);
 
   // Render step list
   const panel = document.getElementById("detailPanel");
@@ -725,6 +1440,7 @@ function selectFlow(flowId) {
     stepList.appendChild(el);
   });
   panel.classList.add("visible");
+  setView(view);
 }
 
 function highlightStep(step) {
@@ -736,16 +1452,135 @@ function highlightStep(step) {
   document.querySelectorAll(".sdl-edge").forEach(el => {
     el.style.opacity = el.dataset.id === step.via ? "1" : String(DIMMED);
   });
+  document.querySelectorAll(".sequence.active .seq-step").forEach(el => {
+    el.style.opacity = el.dataset.step === step.id ? "1" : String(DIMMED);
+  });
+  dimGroups(new Set([step.actor]), new Set([step.via]));
 }
 
 function resetView() {
   activeFlow = null;
   document.querySelectorAll(".flow-item").forEach(el => el.classList.remove("active"));
   document.querySelectorAll(".sdl-node, .sdl-edge").forEach(el => el.style.opacity = "1");
+  dimGroups(null, null);
   document.getElementById("detailPanel").classList.remove("visible");
   document.getElementById("resetBtn").classList.remove("visible");
+  setView(view);
+}
+
+// ── Graph / sequence view ─────────────────────────────────────────────────────
+// The sequence view shows the open flow's diagram in place of the graph
+function setView(next) {
+  view = next;
+  document.querySelector(".app").classList.toggle("sequence-view", view === "sequence" && activeFlow !== null);
+  document.getElementById("viewGraph").classList.toggle("active", view === "graph");
+  document.getElementById("viewSequence").classList.toggle("active", view === "sequence");
+  document.querySelectorAll(".sequence").forEach(el => {
+    el.classList.toggle("active", el.dataset.flowId === activeFlow);
+  });
+  // The canvas had no size while hidden
+  applyCamera();
+}
+
+// A continues_async note opens the spawned flow's diagram
+document.querySelectorAll(".seq-link").forEach(el => {
+  el.addEventListener("click", () => {
+    selectFlow(el.dataset.flowRef);
+    document.getElementById("sequenceWrap").scrollTo(0, 0);
+  });
+});
+
+// ── Group collapse ────────────────────────────────────────────────────────────
+// Clicking a group's label collapses it into one summary node; edges to and from its
+// members are hidden and redrawn between summary nodes, one per pair, with a count.
+const collapsed   = new Set();
+const groupOfNode = {};
+groups.forEach(g => g.members.forEach(id => { groupOfNode[id] = g.id; }));
+let groupDim = { nodes: null, edges: null };
+
+function toggleGroup(groupId) {
+  if (collapsed.has(groupId)) collapsed.delete(groupId);
+  else collapsed.add(groupId);
+  drawGroups();
+}
+
+// The node id, or "group:<id>" when the node's group is collapsed
+function representative(nodeId) {
+  const group = groupOfNode[nodeId];
+  return collapsed.has(group) ? "group:" + group : nodeId;
+}
+
+function boxOf(rep) {
+  return rep.startsWith("group:") ? groups.find(g => "group:" + g.id === rep).summary : boxes[rep];
+}
+
+function drawGroups() {
+  document.querySelectorAll(".sdl-node").forEach(el => {
+    el.style.display = collapsed.has(groupOfNode[el.dataset.id]) ? "none" : "";
+  });
+  document.querySelectorAll(".sdl-edge").forEach(el => {
+    const hidden = representative(el.dataset.source) !== el.dataset.source || representative(el.dataset.target) !== el.dataset.target;
+    el.style.display = hidden ? "none" : "";
+  });
+  groups.forEach(g => {
+    const on    = collapsed.has(g.id);
+    const box   = on ? g.collapsedBox : g.box;
+    const group = document.querySelector('.sdl-group[data-group="' + CSS.escape(g.id) + '"]');
+    const rect  = group.querySelector("rect");
+    rect.setAttribute("width", box.w);
+    rect.setAttribute("height", box.h);
+    group.querySelector(".sdl-group-toggle").textContent = on ? "▸ " : "▾ ";
+    document.querySelector('.sdl-group-summary[data-group="' + CSS.escape(g.id) + '"]').style.display = on ? "" : "none";
+  });
+
+  // One aggregated edge per pair of representatives that are not both plain nodes
+  const aggregated = new Map();
+  edges.forEach(e => {
+    const source = representative(e.source), target = representative(e.target);
+    if ((source === e.source && target === e.target) || source === target) return;
+    if (!boxOf(source) || !boxOf(target)) return;
+    const key = source + " → " + target;
+    if (!aggregated.has(key)) aggregated.set(key, { source, target, ids: [] });
+    aggregated.get(key).ids.push(e.id);
+  });
+  document.getElementById("groupEdges").innerHTML = [...aggregated.values()].map(groupEdgeSVG).join("");
+  dimGroups(groupDim.nodes, groupDim.edges);
 }
 
+function groupEdgeSVG({ source, target, ids }) {
+  const s = boxOf(source), t = boxOf(target);
+  const toRight = s.x + s.w / 2 <= t.x + t.w / 2;
+  const x1 = toRight ? s.x + s.w : s.x, y1 = s.y + s.h / 2;
+  const x2 = toRight ? t.x : t.x + t.w, y2 = t.y + t.h / 2;
+  const dx = Math.max(Math.abs(x2 - x1) * 0.45, 40) * (toRight ? 1 : -1);
+  const width = ${groupEdge.width} + Math.min(ids.length - 1, 4) * 0.75;
+  const label = ids.length > 1
+    ? \`<text x="\${(x1 + x2) / 2}" y="\${(y1 + y2) / 2 - 8}" text-anchor="middle" font-family="${theme.ui.font_mono}"
+        font-size="9" fill="${groupEdge.stroke}">×\${ids.length}</text>\`
+    : "";
+  return \`<g class="sdl-group-edge" data-edges="\${ids.join(" ")}">
+    <path d="M\${x1},\${y1} C\${x1 + dx},\${y1} \${x2 - dx},\${y2} \${x2},\${y2}" fill="none"
+      stroke="${groupEdge.stroke}" stroke-width="\${width}" marker-end="url(#${groupEdge.marker})" opacity="0.7"/>
+    \${label}
+  </g>\`;
+}
+
+// Flow and step highlighting for summary nodes and aggregated edges — null resets
+function dimGroups(activeNodes, activeEdges) {
+  groupDim = { nodes: activeNodes, edges: activeEdges };
+  document.querySelectorAll(".sdl-group-summary").forEach(el => {
+    const members = groups.find(g => g.id === el.dataset.group).members;
+    el.style.opacity = !activeNodes || members.some(id => activeNodes.has(id)) ? "1" : String(DIMMED);
+  });
+  document.querySelectorAll(".sdl-group-edge").forEach(el => {
+    el.style.opacity = !activeEdges || el.dataset.edges.split(" ").some(id => activeEdges.has(id)) ? "1" : String(DIMMED);
+  });
+}
+
+document.querySelectorAll(".sdl-group-label, .sdl-group-summary").forEach(el => {
+  el.addEventListener("click", () => toggleGroup(el.closest("[data-group]").dataset.group));
+});
+
 // ── Node tooltips ─────────────────────────────────────────────────────────────
 const tooltip = document.getElementById("tooltip");
 document.querySelectorAll(".sdl-node").forEach(el => {
@@ -773,73 +1608,454 @@ function positionTooltip(e) {
   tooltip.style.top  = y + "px";
 }
 
-// ── Keyboard shortcut ─────────────────────────────────────────────────────────
-document.addEventListener("keydown", e => { if (e.key === "Escape") resetView(); });
+// ── Pan, zoom and minimap ─────────────────────────────────────────────────────
+// The graph fills the canvas; the camera is its viewBox. Wheel zooms around the
+// pointer, dragging pans, and the minimap shows every node with the visible area.
+const canvas  = document.getElementById("canvasWrap");
+const graph   = canvas.querySelector("svg");
+const GRAPH   = { w: Number(graph.getAttribute("width")), h: Number(graph.getAttribute("height")) };
+const ZOOM    = { min: 0.02, max: 4, step: 1.25 };
+const camera  = { x: 0, y: 0, scale: 1 };
+graph.removeAttribute("width");
+graph.removeAttribute("height");
+
+function applyCamera() {
+  const w = canvas.clientWidth / camera.scale, h = canvas.clientHeight / camera.scale;
+  graph.setAttribute("viewBox", camera.x + " " + camera.y + " " + w + " " + h);
+  const frame = document.getElementById("minimapView");
+  frame.setAttribute("x", camera.x);
+  frame.setAttribute("y", camera.y);
+  frame.setAttribute("width", w);
+  frame.setAttribute("height", h);
+}
+
+// Zooms by factor, keeping canvas point (cx, cy) in place
+function zoomAt(factor, cx = canvas.clientWidth / 2, cy = canvas.clientHeight / 2) {
+  const scale = Math.min(ZOOM.max, Math.max(ZOOM.min, camera.scale * factor));
+  camera.x += cx / camera.scale - cx / scale;
+  camera.y += cy / camera.scale - cy / scale;
+  camera.scale = scale;
+  applyCamera();
+}
+
+function centerOn(x, y, scale = camera.scale) {
+  camera.scale = scale;
+  camera.x = x - canvas.clientWidth / scale / 2;
+  camera.y = y - canvas.clientHeight / scale / 2;
+  applyCamera();
+}
+
+// The whole graph, never enlarged past 100%
+function fitView() {
+  const scale = Math.min(canvas.clientWidth / GRAPH.w, canvas.clientHeight / GRAPH.h, 1);
+  centerOn(GRAPH.w / 2, GRAPH.h / 2, Math.max(scale, ZOOM.min));
+}
+
+canvas.addEventListener("wheel", e => {
+  e.preventDefault();
+  const rect = canvas.getBoundingClientRect();
+  zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+}, { passive: false });
+
+// A drag pans once it moves a few pixels; the click that ends it is swallowed so it
+// does not also toggle a group
+let drag = null, panned = false;
+canvas.addEventListener("pointerdown", e => {
+  if (e.button !== 0 || e.target.closest(".minimap, .zoom-controls")) return;
+  drag = { x: e.clientX, y: e.clientY, moved: false };
+  panned = false;
+});
+window.addEventListener("pointermove", e => {
+  if (!drag) return;
+  const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+  if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+  drag = { x: e.clientX, y: e.clientY, moved: true };
+  canvas.classList.add("panning");
+  tooltip.classList.remove("visible");
+  camera.x -= dx / camera.scale;
+  camera.y -= dy / camera.scale;
+  applyCamera();
+});
+window.addEventListener("pointerup", () => {
+  panned = Boolean(drag?.moved);
+  drag = null;
+  canvas.classList.remove("panning");
+});
+canvas.addEventListener("click", e => {
+  if (panned) { e.stopPropagation(); panned = false; }
+}, true);
+
+document.querySelectorAll(".zoom-controls button").forEach(btn => {
+  btn.addEventListener("click", () => {
+    if (btn.dataset.zoom === "fit") fitView();
+    else zoomAt(btn.dataset.zoom === "in" ? ZOOM.step : 1 / ZOOM.step);
+  });
+});
+
+// Minimap — node and group boxes in graph coordinates, scaled to fit its corner
+const minimap = document.getElementById("minimap");
+const MINIMAP = Math.min(200 / GRAPH.w, 150 / GRAPH.h);
+minimap.setAttribute("viewBox", "0 0 " + GRAPH.w + " " + GRAPH.h);
+minimap.style.width  = GRAPH.w * MINIMAP + "px";
+minimap.style.height = GRAPH.h * MINIMAP + "px";
+minimap.innerHTML =
+  groups.map(g => '<rect class="minimap-group" x="' + g.box.x + '" y="' + g.box.y + '" width="' + g.box.w + '" height="' + g.box.h + '"/>').join("") +
+  Object.values(boxes).map(b => '<rect class="minimap-node" x="' + b.x + '" y="' + b.y + '" width="' + b.w + '" height="' + b.h + '"/>').join("") +
+  '<rect class="minimap-view" id="minimapView"/>';
+
+let minimapDrag = false;
+function minimapCenter(e) {
+  const rect = minimap.getBoundingClientRect();
+  centerOn((e.clientX - rect.left) / MINIMAP, (e.clientY - rect.top) / MINIMAP);
+}
+minimap.addEventListener("pointerdown", e => { minimapDrag = true; minimapCenter(e); });
+window.addEventListener("pointermove", e => { if (minimapDrag) minimapCenter(e); });
+window.addEventListener("pointerup", () => { minimapDrag = false; });
+window.addEventListener("resize", applyCamera);
+
+fitView();
+
+// ── Search ────────────────────────────────────────────────────────────────────
+// Matches node ids and labels; Enter centres on the next match
+const search      = document.getElementById("search");
+const searchCount = document.getElementById("searchCount");
+const nodeNames   = document.getElementById("nodeNames");
+nodes.forEach(n => {
+  const option = document.createElement("option");
+  option.value = n.label || n.id;
+  nodeNames.appendChild(option);
+});
+let searchHits = [], searchIndex = -1;
+
+function runSearch() {
+  const query = search.value.trim().toLowerCase();
+  // Exact id or label matches first, then substrings
+  const exact = n => n.id.toLowerCase() === query || (n.label || "").toLowerCase() === query;
+  searchHits = !query ? [] : nodes
+    .filter(n => n.id.toLowerCase().includes(query) || (n.label || "").toLowerCase().includes(query))
+    .sort((a, b) => exact(b) - exact(a));
+  searchIndex = -1;
+  searchCount.textContent = query ? searchHits.length + " match" + (searchHits.length === 1 ? "" : "es") : "";
+  // Picking a name from the list jumps straight to it
+  if (searchHits.length > 0 && exact(searchHits[0])) nextSearchHit();
+}
+
+function nextSearchHit() {
+  if (searchHits.length === 0) return;
+  searchIndex = (searchIndex + 1) % searchHits.length;
+  searchCount.textContent = (searchIndex + 1) + " of " + searchHits.length;
+  focusNode(searchHits[searchIndex].id);
+}
+
+function focusNode(id) {
+  const box = boxes[id];
+  if (!box) return;
+  if (collapsed.has(groupOfNode[id])) toggleGroup(groupOfNode[id]);
+  if (view === "sequence") setView("graph");
+  centerOn(box.x + box.w / 2, box.y + box.h / 2, Math.max(camera.scale, 1));
+  document.querySelectorAll(".sdl-node.search-hit").forEach(el => el.classList.remove("search-hit"));
+  document.querySelector('.sdl-node[data-id="' + CSS.escape(id) + '"]').classList.add("search-hit");
+}
+
+search.addEventListener("input", runSearch);
+search.addEventListener("keydown", e => {
+  if (e.key === "Enter") nextSearchHit();
+  if (e.key === "Escape") { search.value = ""; runSearch(); search.blur(); }
+  e.stopPropagation();
+});
+
+// ── Keyboard shortcuts ────────────────────────────────────────────────────────
+document.addEventListener("keydown", e => {
+  if (e.key === "Escape") {
+    resetView();
+    document.querySelectorAll(".sdl-node.search-hit").forEach(el => el.classList.remove("search-hit"));
+  }
+  if (e.key === "/") { e.preventDefault(); search.focus(); }
+  if (e.key === "+" || e.key === "=") zoomAt(ZOOM.step);
+  if (e.key === "-") zoomAt(1 / ZOOM.step);
+  if (e.key === "0") fitView();
+});
 </script>
 </body>
 </html>`;
 }
 
-// ── Main ──────────────────────────────────────────────────────────────────────
+// ── Render ────────────────────────────────────────────────────────────────────
 
-function run() {
-  const { dir, opts } = parseArgs();
+// The system in `dir` as { manifest, nodes, edges, triggers, flows }
+function loadExample(dir) {
+  let manifest = null;
+  try { manifest = loadSource(dir, "manifest.json"); } catch { /* no manifest — no imports, stdlib kinds */ }
+  return {
+    manifest,
+    nodes:    loadSource(dir, "nodes.json"),
+    edges:    loadSource(dir, "edges.json"),
+    triggers: loadSource(dir, "triggers.json"),
+    flows:    loadSource(dir, "flows.json"),
+  };
+}
 
-  const nodes    = loadJSON(join(dir, "nodes.json"));
-  const edges    = loadJSON(join(dir, "edges.json"));
-  const triggers = loadJSON(join(dir, "triggers.json"));
-  const flows    = loadJSON(join(dir, "flows.json"));
-  const kinds    = loadJSON(join(ROOT, "stdlib", "kinds.json"));
-  const theme    = loadTheme(opts.theme);
-
-  console.log(`\nSDL Renderer`);
-  console.log(`  Example : ${basename(dir)}`);
-  console.log(`  Theme   : ${theme.name}`);
-  console.log(`  Nodes   : ${nodes.length}  Edges: ${edges.length}  Flows: ${flows.length}`);
-
-  // Layout — compute from algorithm, then overlay saved positions if available
-  let positions = computeLayout(nodes, edges, theme);
-
-  // Check for layout override: --layout flag > auto-detect <dir>/layout.json
-  const layoutPath = opts.layout
-    ? resolve(opts.layout)
-    : join(dir, "layout.json");
-  try {
-    const saved = loadJSON(layoutPath);
-    let loaded = 0;
-    for (const node of nodes) {
-      if (saved[node.id]) {
-        positions[node.id] = { ...positions[node.id], x: saved[node.id].x, y: saved[node.id].y };
-        loaded++;
-      }
-    }
-    if (loaded > 0) console.log(`  Layout  : loaded ${loaded} positions from ${basename(layoutPath)}`);
-  } catch (_) { /* no layout file — use computed positions */ }
+// What every output draws from: the system with its imports resolved, its kinds, the
+// theme, node positions — computed, with the saved `layout` positions laid over them —
+// and the group boxes for `groupBy`
+function prepareDiagram(sdl, { theme = DEFAULT_THEME, layout = null, groupBy = null, baseDir = "." }, log) {
+  const dir      = resolve(baseDir);
+  const manifest = sdl.manifest ?? null;
+  const triggers = sdl.triggers ?? [];
+  const flows    = sdl.flows ?? [];
+  const { nodes, edges } = resolveImports(manifest, dir, sdl.nodes ?? [], sdl.edges ?? [], triggers, flows);
+  const kinds    = loadKinds(manifest, dir, log);
+  if (typeof theme === "string") ({ theme } = loadTheme(theme));
+  const groupOf  = groupBy ? groupKeyFor(groupBy) : null;
+
+  const positions = computeLayout(nodes, edges, theme, groupOf);
+  let placed = 0;
+  for (const node of nodes) {
+    const saved = layout?.[node.id];
+    if (!saved) continue;
+    positions[node.id] = { ...positions[node.id], x: saved.x, y: saved.y };
+    placed++;
+  }
+  const groups = groupOf ? buildGroups(nodes, positions, theme, kinds, groupOf) : [];
+  return { nodes, edges, triggers, flows, theme, kinds, positions, groups, placed };
+}
 
-  const canvasSize = computeCanvasSize(positions, nodes, theme);
+function findFlow(flows, id) {
+  const flow = flows.find(f => f.id === id);
+  if (!flow) throw new Error(`Unknown flow "${id}". Flows: ${flows.map(f => f.id).join(", ") || "none"}`);
+  return flow;
+}
+
+/**
+ * The layered graph as an <svg> element. With `flow`, nodes and edges outside it are
+ * dimmed. `standalone` adds a <title> and paints the canvas background, which the
+ * HTML page otherwise sets around it; without it, groups get the collapsed-state
+ * summary nodes and a layer for aggregated edges that the page's script fills.
+ */
+function graphSVG(diagram, { flow = null, title = null, standalone = false } = {}) {
+  const { nodes, edges, theme, kinds, positions, groups } = diagram;
+  const canvasSize = computeCanvasSize(positions, nodes, theme, groups);
 
-  // Build SVG
   const markers        = buildMarkers(theme);
   const { pattern, rect: gridRect } = buildGrid(canvasSize.width, canvasSize.height, theme);
-  const portY          = buildPortIndex(edges, positions, nodes, theme);
-  const edgesSVG       = edges.map(e => edgeSVG(e, positions, nodes, theme, kinds, portY)).join("\n");
-  const nodesSVG       = nodes.map(n => nodeShapeSVG(n, positions[n.id] || {x:0,y:0}, theme, kinds)).join("\n");
+  const nodeById       = new Map(nodes.map(n => [n.id, n]));
+  const portY          = buildPortIndex(edges, positions, nodeById, theme);
+
+  const inFlow = flow && {
+    nodes: new Set(flow.steps.map(s => s.actor)),
+    edges: new Set(flow.steps.map(s => s.via).filter(Boolean)),
+  };
+  const dim = (svg, active) => !inFlow || active ? svg : `<g opacity="${theme.edges.opacity_dimmed}">${svg}</g>`;
 
-  const svg = `<svg xmlns="http://www.w3.org/2000/svg"
+  const edgesSVG       = edges.map(e => dim(edgeSVG(e, positions, nodeById, theme, kinds, portY), inFlow?.edges.has(e.id))).join("\n");
+  const nodesSVG       = nodes.map(n => dim(nodeShapeSVG(n, positions[n.id] || {x:0,y:0}, theme, kinds), inFlow?.nodes.has(n.id))).join("\n");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg"
     width="${canvasSize.width}" height="${canvasSize.height}"
     viewBox="0 0 ${canvasSize.width} ${canvasSize.height}">
+    ${standalone && title ? `<title>${escapeXML(title)}</title>` : ""}
     ${markers}
     ${pattern ? `<defs>${pattern}</defs>` : ""}
+    ${standalone ? `<rect width="${canvasSize.width}" height="${canvasSize.height}" fill="${theme.canvas.background}"/>` : ""}
     ${gridRect}
+    ${groups.length ? `<g id="groups">${groups.map(g => groupSVG(g, theme, { collapsible: !standalone })).join("\n")}</g>` : ""}
     <g id="edges">${edgesSVG}</g>
+    ${groups.length && !standalone ? `<g id="groupEdges"></g>` : ""}
     <g id="nodes">${nodesSVG}</g>
+    ${groups.length && !standalone ? `<g id="groupSummaries">${groups.map(g => groupSummarySVG(g, theme)).join("\n")}</g>` : ""}
   </svg>`;
+}
+
+/**
+ * Renders an SDL system's graph as a standalone SVG string — no HTML, scripts or
+ * external files, ready to embed in docs or slides.
+ *
+ * `sdl` is a directory, or { manifest, nodes, edges, triggers, flows } already in memory.
+ *
+ * Options:
+ *   theme    — built-in theme name, path to a .theme.json, or a theme object as
+ *              loadTheme() returns it  (default: "default")
+ *   layout   — saved positions, { "<node-id>": { x, y } }, laid over the computed layout
+ *   flow     — id of a flow to highlight; nodes and edges outside it are dimmed
+ *   groupBy  — draw a box around nodes sharing a key: "tag:<prefix>" or "meta:<field>"
+ *   title    — the SVG's <title>  (default: manifest.name, then the flow's label)
+ *   baseDir  — directory in-memory manifest imports and kinds extensions resolve
+ *              against  (default: cwd; the directory itself when `sdl` is one)
+ *
+ * Throws for missing or unparseable files, an invalid theme or an unknown flow id.
+ */
+export function renderSvg(sdl, options = {}) {
+  if (typeof sdl === "string") {
+    options = { ...options, baseDir: sdl };
+    sdl = loadExample(resolve(sdl));
+  }
+  if (!sdl || typeof sdl !== "object" || Array.isArray(sdl)) {
+    throw new TypeError("renderSvg() expects a directory path or { manifest, nodes, edges, triggers, flows }");
+  }
+
+  const diagram = prepareDiagram(sdl, options, () => {});
+  const flow    = options.flow ? findFlow(diagram.flows, options.flow) : null;
+  const name    = sdl.manifest?.name ?? "SDL diagram";
+  const title   = options.title ?? (flow ? `${name} — ${flow.label}` : name);
+  return graphSVG(diagram, { flow, title, standalone: true });
+}
+
+// Loads the example in `dir` for the CLI: --layout or <dir>/layout.json, logging as it goes
+function prepareExample(dir, opts, log) {
+  log(`\nSDL Renderer`);
+  log(`  Example : ${basename(dir)}`);
+  const sdl        = loadExample(dir);
+  const layoutPath = layoutFile(dir, opts);
+  let layout = null;
+  try { layout = loadJSON(layoutPath); } catch (_) { /* no layout file — use computed positions */ }
+
+  const diagram = prepareDiagram(sdl, { theme: opts.theme, layout, groupBy: opts.groupBy, baseDir: dir }, log);
+  const { nodes, edges, flows, theme, groups, placed } = diagram;
+  log(`  Theme   : ${theme.name}`);
+  log(`  Nodes   : ${nodes.length}  Edges: ${edges.length}  Flows: ${flows.length}`);
+  if (nodes.length > sdl.nodes.length || edges.length > sdl.edges.length) {
+    log(`  Imports : ${nodes.length - sdl.nodes.length} node(s), ${edges.length - sdl.edges.length} edge(s) from imported systems`);
+  }
+  if (placed > 0) log(`  Layout  : loaded ${placed} positions from ${basename(layoutPath)}`);
+  if (opts.groupBy) log(`  Groups  : ${groups.length} by ${opts.groupBy}`);
+  return diagram;
+}
+
+const kilobytes = (text) => (text.length / 1024).toFixed(1);
 
-  const html = buildHTML(opts.title, svg, flows, nodes, edges, triggers, theme);
+/** Renders the example in `dir` to opts.output. Returns the HTML written. */
+function renderDiagram(dir, opts, log = console.log) {
+  const diagram = prepareExample(dir, opts, log);
+
+  const html = buildHTML(opts.title, graphSVG(diagram), diagram);
   writeFileSync(opts.output, html, "utf8");
 
-  const kb = (html.length / 1024).toFixed(1);
-  console.log(`  Output  : ${opts.output} (${kb} KB)\n`);
+  log(`  Output  : ${opts.output} (${kilobytes(html)} KB)\n`);
+  return html;
+}
+
+/**
+ * Writes the graph of the example in `dir` as standalone SVG: to opts.output, or with
+ * --flow one file per flow, <output>.<flow-id>.svg.
+ */
+function exportSvg(dir, opts, log = console.log) {
+  const diagram = prepareExample(dir, opts, log);
+  const flows   = opts.flows.includes("all") ? diagram.flows : opts.flows.map(id => findFlow(diagram.flows, id));
+
+  const ext    = extname(opts.output) || ".svg";
+  const stem   = join(dirname(opts.output), basename(opts.output, extname(opts.output)));
+  const output = (flow) => flow ? `${stem}.${flow.id}${ext}` : opts.output;
+
+  for (const flow of flows.length > 0 ? flows : [null]) {
+    const title = flow ? `${opts.title} — ${flow.label}` : opts.title;
+    const svg   = graphSVG(diagram, { flow, title, standalone: true }) + "\n";
+    writeFileSync(output(flow), svg, "utf8");
+    log(`  Output  : ${output(flow)} (${kilobytes(svg)} KB)`);
+  }
+  log("");
+}
+
+function layoutFile(dir, opts) {
+  return opts.layout ? resolve(opts.layout) : join(dir, "layout.json");
+}
+
+// ── Watch mode + live reload ──────────────────────────────────────────────────
+//
+// --watch re-renders whenever the SDL files, manifest.json, layout.json, an imported
+// system or a theme file changes, and serves the diagram at http://<host>:<port>/ —
+// loopback unless --host says otherwise, so the architecture stays on this machine.
+// The served page holds a Server-Sent Events connection and reloads itself after each
+// successful re-render; diagram.html on disk is written without the reload script.
+
+const RELOAD_PATH = "/__sdl/reload";
+const RELOAD_SCRIPT = `<script>new EventSource("${RELOAD_PATH}").onmessage = () => location.reload();</script>`;
+
+function withLiveReload(html) {
+  return html.replace("</body>", `${RELOAD_SCRIPT}\n</body>`);
+}
+
+function watchedPaths(dir, opts) {
+  const dirs  = new Set([dir]);
+  const files = new Set([layoutFile(dir, opts)]);
+
+  try {
+    const manifest = loadSource(dir, "manifest.json");
+    for (const path of Object.values(manifest?.imports ?? {})) dirs.add(resolve(dir, path));
+    if (typeof manifest?.kinds === "string") files.add(resolve(dir, manifest.kinds));
+  } catch { /* no manifest — nothing imported */ }
+
+  // The theme file and every theme it extends
+  try {
+    for (const { path } of resolveThemeChain(opts.theme)) files.add(path);
+  } catch { /* reported by the first render */ }
+  for (const file of files) dirs.add(dirname(file));
+
+  return { dirs: [...dirs], files };
+}
+
+function serveAndWatch(dir, opts) {
+  let html = withLiveReload(renderDiagram(dir, opts));
+  const clients = new Set();
+
+  const server = createServer((req, res) => {
+    const path = req.url.split("?")[0];
+    if (path === RELOAD_PATH) {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      res.write(": connected\n\n");
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+    if (path === "/" || path === `/${basename(opts.output)}`) {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(html);
+      return;
+    }
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+  });
+
+  server.on("error", (e) => {
+    console.error(`Error: cannot serve on ${opts.host} port ${opts.port}: ${e.message}`);
+    process.exit(1);
+  });
+
+  server.listen(opts.port, opts.host, () => {
+    const { address, family, port } = server.address();
+    const host = family === "IPv6" ? `[${address}]` : address;
+    console.log(`Serving http://${host}:${port}/ — watching for changes, press Ctrl+C to stop`);
+  });
+
+  const { dirs, files } = watchedPaths(dir, opts);
+  watchDirs(dirs, () => {
+    const time = new Date().toLocaleTimeString();
+    try {
+      html = withLiveReload(renderDiagram(dir, opts, () => {}));
+    } catch (e) {
+      // Keep serving the last good diagram until the files parse again
+      console.error(`[${time}] Render failed: ${e.message}`);
+      return;
+    }
+    console.log(`[${time}] Re-rendered ${basename(opts.output)} — reloading ${clients.size} browser tab(s)`);
+    for (const client of clients) client.write("data: reload\n\n");
+  }, { filter: (d, name) => isWatchedFile(name) || files.has(join(d, name)) });
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function run() {
+  const { dir, opts } = parseArgs();
+
+  try {
+    if (opts.watch)                 serveAndWatch(dir, opts);
+    else if (opts.format === "svg") exportSvg(dir, opts);
+    else                            renderDiagram(dir, opts);
+  } catch (e) {
+    // Missing files, unparseable SDL and invalid themes — the message says which
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
 }
 
-run();
+// Run as a script only — importing the module for renderSvg() must not start the CLI
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) run();